@@ -0,0 +1,200 @@
+// audit.js
+const fs = require('fs');
+const crypto = require('crypto');
+
+class AuditOutcome {
+    static VERIFIED = 'VERIFIED'; // Read-back entspricht dem gesendeten Wert
+    static MISMATCH = 'MISMATCH'; // Read-back weicht ab, auch nach allen Versuchen
+    static FAILED = 'FAILED';     // kein Read-back, z. B. Timeout oder Verbindungsabbruch
+    static ABORTED = 'ABORTED';   // über AbortSignal abgebrochen
+    static ALL = [AuditOutcome.VERIFIED, AuditOutcome.MISMATCH, AuditOutcome.FAILED, AuditOutcome.ABORTED];
+}
+
+// Vorgänger-Hash des ersten Eintrags
+const GENESIS_HASH = '0'.repeat(64);
+
+// Ohne Schlüssel SHA-256, mit Schlüssel HMAC-SHA-256
+function hashEntry(entry, key = null) {
+    const { hash, ...body } = entry;
+    const digest = key === null ? crypto.createHash('sha256') : crypto.createHmac('sha256', key);
+    return digest.update(JSON.stringify(body)).digest('hex');
+}
+
+function checkKey(key) {
+    const valid = key === null || (typeof key === 'string' && key !== '') || (Buffer.isBuffer(key) && key.length > 0);
+    if (!valid) {
+        throw new Error('Invalid audit log key: expected a non-empty string or Buffer');
+    }
+    return key;
+}
+
+function parseLines(text, source) {
+    return text.split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map((line, i) => {
+            try {
+                return JSON.parse(line);
+            } catch (err) {
+                throw new Error(`Invalid audit log line ${i + 1} in ${source}: ${err.message}`);
+            }
+        });
+}
+
+/**
+ * Append-only JSONL file sink: one entry per line, written synchronously so that nothing is
+ * lost on a crash. An existing file is continued, including its hash chain.
+ */
+class JsonlFileSink {
+    constructor(path) {
+        if (typeof path !== 'string' || path === '') {
+            throw new Error(`Invalid audit log path: ${path}`);
+        }
+        this.path = path;
+        this._fd = fs.openSync(path, 'a');
+    }
+
+    append(entry) {
+        if (this._fd === null) {
+            throw new Error(`Audit log ${this.path} is closed`);
+        }
+        fs.writeSync(this._fd, JSON.stringify(entry) + '\n');
+    }
+
+    lastEntry() {
+        const entries = parseLines(fs.readFileSync(this.path, 'utf8'), this.path);
+        return entries.length > 0 ? entries[entries.length - 1] : null;
+    }
+
+    close() {
+        if (this._fd !== null) {
+            fs.closeSync(this._fd);
+            this._fd = null;
+        }
+    }
+}
+
+/**
+ * Tamper-evident log of every write a Connection performs. Each entry carries a sequence
+ * number and the hash of its content including the previous entry's hash, so edited,
+ * removed or reordered entries break the chain (see verifyAuditLog).
+ *
+ *   const audit = new WriteAuditLog(new JsonlFileSink('writes.jsonl'), { key });   // or a file path
+ *   const conn = new Connection(host, port, 0, 1000, { auditLog: audit });
+ *
+ * Without `key` the hash is plain SHA-256: it detects accidental edits and truncation, but
+ * anyone with write access can recompute the chain. With `key` (string or Buffer) entries are
+ * signed with HMAC-SHA-256, and verifyAuditLog needs the same key.
+ *
+ * A sink is an object with append(entry) and optionally lastEntry() to continue an existing
+ * chain. append() may return a Promise; entries are then appended one after another in call
+ * order. Sequence number and chain only advance once append() succeeded, so an entry the sink
+ * rejected leaves no gap. Without a sink the entries are kept in `entries`.
+ */
+class WriteAuditLog {
+    constructor(sink = null, { key = null } = {}) {
+        this.entries = null;
+        this.sink = null;
+        this._key = checkKey(key);
+        this._pending = null; // letzter asynchroner append()
+
+        if (typeof sink === 'string') {
+            this.sink = new JsonlFileSink(sink);
+        } else if (sink && typeof sink.append === 'function') {
+            this.sink = sink;
+        } else if (sink === null) {
+            this.entries = [];
+        } else {
+            throw new Error(`Invalid audit log sink: ${sink}`);
+        }
+
+        const last = this.sink && typeof this.sink.lastEntry === 'function' ? this.sink.lastEntry() : null;
+        this._seq = last ? last.seq + 1 : 0;
+        this._lastHash = last ? last.hash : GENESIS_HASH;
+    }
+
+    /**
+     * Completes an entry with seq, timestamp and hash chain and hands it to the sink.
+     * Returns the sink's result (a Promise for asynchronous sinks).
+     */
+    record(fields) {
+        const timestamp = new Date().toISOString();
+        if (this.entries) {
+            const entry = this._entry(fields, timestamp);
+            this.entries.push(entry);
+            this._advance(entry);
+            return undefined;
+        }
+        // Asynchrone Sinks nacheinander: seq und prevHash stehen erst nach dem vorigen append() fest
+        if (this._pending) {
+            return this._track(this._pending.then(() => this._append(fields, timestamp)));
+        }
+        return this._append(fields, timestamp);
+    }
+
+    _append(fields, timestamp) {
+        const entry = this._entry(fields, timestamp);
+        const result = this.sink.append(entry);
+        if (result && typeof result.then === 'function') {
+            return this._track(Promise.resolve(result).then(value => {
+                this._advance(entry);
+                return value;
+            }));
+        }
+        this._advance(entry);
+        return result;
+    }
+
+    _track(promise) {
+        this._pending = promise.catch(() => undefined);
+        return promise;
+    }
+
+    _entry(fields, timestamp) {
+        const entry = { seq: this._seq, timestamp, ...fields, prevHash: this._lastHash };
+        entry.hash = hashEntry(entry, this._key);
+        return entry;
+    }
+
+    _advance(entry) {
+        this._seq = entry.seq + 1;
+        this._lastHash = entry.hash;
+    }
+
+    close() {
+        if (this.sink && typeof this.sink.close === 'function') this.sink.close();
+    }
+}
+
+/**
+ * Reads an audit log from a JSONL file path or an array of entries.
+ */
+function readAuditLog(source) {
+    if (Array.isArray(source)) return source;
+    if (typeof source !== 'string') {
+        throw new Error('Audit log must be a file path or an array of entries');
+    }
+    return parseLines(fs.readFileSync(source, 'utf8'), source);
+}
+
+/**
+ * Checks sequence numbers and the hash chain. Returns { ok, count, brokenAt, reason };
+ * brokenAt is the index of the first entry that does not fit, else null. An excerpt that
+ * starts after seq 0 is trusted up to its first entry. Pass the log's `key` for HMAC chains.
+ */
+function verifyAuditLog(source, { key = null } = {}) {
+    checkKey(key);
+    const entries = readAuditLog(source);
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        const broken = reason => ({ ok: false, count: entries.length, brokenAt: i, reason });
+        if (i > 0 && entry.seq !== entries[i - 1].seq + 1) return broken('sequence gap');
+        // Ein Ausschnitt ab seq > 0 beginnt mit einem unbekannten Vorgänger
+        const expected = i > 0 ? entries[i - 1].hash : entry.seq === 0 ? GENESIS_HASH : null;
+        if (expected !== null && entry.prevHash !== expected) return broken('previous hash mismatch');
+        if (entry.hash !== hashEntry(entry, key)) return broken('hash mismatch');
+    }
+    return { ok: true, count: entries.length, brokenAt: null, reason: null };
+}
+
+module.exports = { WriteAuditLog, JsonlFileSink, AuditOutcome, readAuditLog, verifyAuditLog, GENESIS_HASH };
@@ -0,0 +1,150 @@
+// battery.js
+const { Identifier, SOCStrategy } = require('./datagram.js');
+
+class BatteryMode {
+    static DEFAULT = 'DEFAULT';                   // interne Steuerung, Laden aus PV
+    static CHARGE_FROM_GRID = 'CHARGE_FROM_GRID';
+    static DISCHARGE_LOCKED = 'DISCHARGE_LOCKED';
+    static FORCE_DISCHARGE = 'FORCE_DISCHARGE';
+    static EXTERNAL = 'EXTERNAL';                 // externe Steuerung, passt zu keinem Rezept
+    static OTHER = 'OTHER';                       // andere SoC-Strategie
+    static ALL = [BatteryMode.DEFAULT, BatteryMode.CHARGE_FROM_GRID, BatteryMode.DISCHARGE_LOCKED,
+        BatteryMode.FORCE_DISCHARGE, BatteryMode.EXTERNAL, BatteryMode.OTHER];
+}
+
+const EXTERN_W = Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W;
+
+function checkWatts(watts) {
+    if (typeof watts !== 'number' || !Number.isFinite(watts) || watts <= 0) {
+        throw new Error(`Invalid watts: ${watts} (expected a positive number)`);
+    }
+}
+
+function checkFraction(name, value) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 1) {
+        throw new Error(`Invalid ${name}: ${value} (expected a fraction between 0 and 1)`);
+    }
+}
+
+/**
+ * Battery control recipes on top of a Connection. Every method applies its writes as one
+ * transaction (see Connection#transaction) and resolves with the transaction report:
+ *
+ *   const battery = new BatteryController(conn);
+ *   await battery.chargeFromGrid(3000, { confirm: true });
+ *   console.log(await battery.currentMode()); // { mode: 'CHARGE_FROM_GRID', watts: 3000, ... }
+ *   await battery.restoreDefault({ confirm: true });
+ *
+ * `options` are passed to transaction() (confirm, signal, timeoutMs, retries, priority). The
+ * write policy checks every step as in write(): the power-management writes need
+ * `{ confirm: true }` and fail with CONFIRMATION_REQUIRED without it.
+ */
+class BatteryController {
+    constructor(conn) {
+        if (!conn || typeof conn.transaction !== 'function') {
+            throw new Error('BatteryController requires a Connection');
+        }
+        this.conn = conn;
+    }
+
+    /**
+     * Charges the battery from the grid with `watts` (external power -watts).
+     */
+    async chargeFromGrid(watts, options = {}) {
+        checkWatts(watts);
+        return this._external(-watts, true, options);
+    }
+
+    /**
+     * Keeps the battery from discharging (external power 0).
+     */
+    async lockDischarge(options = {}) {
+        return this._external(0, true, options);
+    }
+
+    /**
+     * Discharges the battery with `watts` (external power +watts), without grid charging.
+     */
+    async forceDischarge(watts, options = {}) {
+        checkWatts(watts);
+        return this._external(watts, false, options);
+    }
+
+    /**
+     * Hands control back to the inverter: strategy INTERNAL, charging from solar.
+     */
+    async restoreDefault(options = {}) {
+        return this._apply([
+            [Identifier.POWER_MNG_SOC_STRATEGY, SOCStrategy.INTERNAL],
+            [EXTERN_W, 0],
+            [Identifier.POWER_MNG_USE_GRID_POWER_ENABLE, false],
+        ], options);
+    }
+
+    /**
+     * Sets the SoC limits as fractions (0.1 = 10 %).
+     */
+    async setSocLimits(min, max, options = {}) {
+        checkFraction('min', min);
+        checkFraction('max', max);
+        if (min > max) {
+            throw new Error(`Invalid SoC limits: min ${min} is greater than max ${max}`);
+        }
+        // Reihenfolge so wählen, dass min nie über max liegt
+        const currentMax = await this._read(Identifier.POWER_MNG_SOC_MAX, options);
+        const steps = [[Identifier.POWER_MNG_SOC_MIN, min], [Identifier.POWER_MNG_SOC_MAX, max]];
+        return this._apply(min > currentMax ? steps.reverse() : steps, options);
+    }
+
+    /**
+     * Reads strategy, external power and grid enable (bypassing the cache) and classifies them:
+     * { mode, watts, strategy, externPowerW, gridPowerEnabled }, mode see BatteryMode.
+     * `watts` is the charge or discharge power of CHARGE_FROM_GRID and FORCE_DISCHARGE, else null.
+     */
+    async currentMode(options = {}) {
+        const strategy = await this._read(Identifier.POWER_MNG_SOC_STRATEGY, options);
+        const externPowerW = await this._read(EXTERN_W, options);
+        const gridPowerEnabled = (await this._read(Identifier.POWER_MNG_USE_GRID_POWER_ENABLE, options)) !== 0;
+
+        let mode = BatteryMode.OTHER;
+        let watts = null;
+        if (strategy === SOCStrategy.INTERNAL) {
+            mode = BatteryMode.DEFAULT;
+        } else if (strategy === SOCStrategy.EXTERNAL) {
+            if (externPowerW === 0) {
+                mode = BatteryMode.DISCHARGE_LOCKED;
+            } else if (externPowerW < 0 && gridPowerEnabled) {
+                mode = BatteryMode.CHARGE_FROM_GRID;
+                watts = -externPowerW;
+            } else if (externPowerW > 0) {
+                mode = BatteryMode.FORCE_DISCHARGE;
+                watts = externPowerW;
+            } else {
+                mode = BatteryMode.EXTERNAL;
+            }
+        }
+        return { mode, watts, strategy, externPowerW, gridPowerEnabled };
+    }
+
+    _external(externPowerW, gridPowerEnabled, options) {
+        // Policy vor dem ersten Frame prüfen (wirft WriteGuardError, z. B. OUT_OF_RANGE)
+        this.conn.writePolicy.check(EXTERN_W, externPowerW, { confirm: options.confirm });
+        return this._apply([
+            [Identifier.POWER_MNG_SOC_STRATEGY, SOCStrategy.EXTERNAL],
+            [EXTERN_W, externPowerW],
+            [Identifier.POWER_MNG_USE_GRID_POWER_ENABLE, gridPowerEnabled],
+        ], options);
+    }
+
+    _apply(steps, options) {
+        return this.conn.transaction(steps.map(([identifier, value]) => ({ identifier, value })), options);
+    }
+
+    // Rohwert ohne Enum-Mapping und ohne Cache
+    _read(identifier, { signal, timeoutMs, retries, priority } = {}) {
+        this.conn.cache.entries.delete(identifier.id);
+        return this.conn.query({ ...identifier, enumMapping: null }, { signal, timeoutMs, retries, priority });
+    }
+}
+
+module.exports = { BatteryController, BatteryMode };
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+// rct-decode: decodes RCT frames from hex dumps and packet captures offline
+const fs = require('fs');
+const { parseHexDump, readPcap, isPcap, decodeFrames, formatEntry } = require('../decoder.js');
+
+const USAGE = `Usage: rct-decode [--json] <capture.pcap | dump.txt | "2B 01 04 ..." | ->
+
+  capture.pcap(ng)  TCP payloads are reassembled and decoded per direction
+  dump.txt          hex dump (plain hex, Wireshark "Copy as Hex Dump" or xxd)
+  "2B 01 04 ..."    hex bytes given directly on the command line
+  -                 hex dump from stdin
+
+  --json            one JSON object per frame instead of text`;
+
+function main(argv) {
+    const args = argv.filter(arg => arg !== '--json');
+    const json = args.length !== argv.length;
+    if (args.length === 0 || args.includes('-h') || args.includes('--help')) {
+        console.log(USAGE);
+        return args.length === 0 ? 1 : 0;
+    }
+
+    let input;
+    if (args.length === 1 && args[0] === '-') {
+        input = fs.readFileSync(0);
+    } else if (args.length === 1 && fs.existsSync(args[0])) {
+        input = fs.readFileSync(args[0]);
+    } else {
+        input = Buffer.from(args.join(' '));
+    }
+
+    const sources = isPcap(input)
+        ? readPcap(input).map(flow => ({ title: `${flow.src} -> ${flow.dst}`, bytes: Buffer.concat(flow.chunks.map(c => c.data)) }))
+        : [{ title: null, bytes: parseHexDump(input.toString('utf8')) }];
+
+    for (const { title, bytes } of sources) {
+        const entries = decodeFrames(bytes);
+        if (json) {
+            for (const entry of entries) console.log(JSON.stringify(title ? { flow: title, ...entry } : entry));
+            continue;
+        }
+        if (title) console.log(`\n== ${title} (${bytes.length} bytes)`);
+        for (const entry of entries) console.log(formatEntry(entry));
+    }
+    return 0;
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+    console.error(`rct-decode: ${err.message}`);
+    process.exitCode = 1;
+}
@@ -5,10 +5,21 @@ const CRC = require('./crc.js');
 const Command = {
     READ: 0x01,
     WRITE: 0x02,
+    LONG_WRITE: 0x03,
     RESPONSE: 0x05,
+    LONG_RESPONSE: 0x06,
     // etc...
 };
 
+// Maximum value of the length field (ID + data) for normal and long frames
+const MAX_SHORT_LENGTH = 0xFF;
+const MAX_LONG_LENGTH = 0xFFFF;
+
+// LONG_WRITE and LONG_RESPONSE carry a 2-byte length field instead of 1 byte
+function isLongCommand(cmd) {
+    return cmd === Command.LONG_WRITE || cmd === Command.LONG_RESPONSE;
+}
+
 class DatagramBuilder {
     constructor(initialSize = 16) {
         this.buffer = new Uint8Array(initialSize);
@@ -89,17 +100,21 @@ class DatagramBuilder {
         const hi = (crcVal >> 8) & 0xFF;
         const lo = crcVal & 0xFF;
 
-        this.ensureCapacity(2);
-        // These 2 bytes are physically added to the frame, but do *not* feed back into the CRC
-        this.buffer[this.pos++] = hi;
-        this.buffer[this.pos++] = lo;
+        // These 2 bytes are physically added to the frame, but do *not* feed back into the CRC.
+        // Like every byte after the start token they have to be escaped if they are 0x2B or 0x2D.
+        for (const b of [hi, lo]) {
+            if (b === 0x2B || b === 0x2D) {
+                this._rawWriteByteNoCRC(0x2D);
+            }
+            this._rawWriteByteNoCRC(b);
+        }
     }
 
     /**
-     * Build a normal (1-byte length) frame with:
+     * Build a frame with:
      * 1) start(0x2B) no CRC
      * 2) cmd => CRC
-     * 3) length => CRC
+     * 3) length => CRC (1 byte, or 2 bytes BigEndian for LONG_WRITE / LONG_RESPONSE)
      * 4) ID => CRC (4 bytes, each possibly escaped)
      * 5) data => CRC (each possibly escaped)
      * 6) pad if odd length
@@ -129,7 +144,18 @@ class DatagramBuilder {
         // 3) length = 4 (for ID) + data.length
         // (We're ignoring escaping from the length count.)
         const length = 4 + dataArray.length;
-        this.writeByteWithEscape(length);
+        if (isLongCommand(dg.cmd)) {
+            if (length > MAX_LONG_LENGTH) {
+                throw new Error(`Payload too long: ${dataArray.length} data bytes exceed the 16-bit length field`);
+            }
+            this.writeByteWithEscape((length >>> 8) & 0xFF);
+            this.writeByteWithEscape(length & 0xFF);
+        } else {
+            if (length > MAX_SHORT_LENGTH) {
+                throw new Error(`Payload too long: ${dataArray.length} data bytes require a long command (LONG_WRITE / LONG_RESPONSE)`);
+            }
+            this.writeByteWithEscape(length);
+        }
 
         // 4) ID (4 bytes, each possibly escaped)
         const b3 = (dg.id >>> 24) & 0xFF;
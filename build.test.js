@@ -2,6 +2,21 @@ const DatagramBuilder = require('./build.js');
 const DatagramParser = require('./parse.js');
 const { Command, Identifier, SOCStrategy } = require('./datagram.js');
 const { RecoverableError } = require('./recoverable.js');
+const Connection = require('./connection.js');
+const { MemoryTransport } = require('./transports.js');
+
+// Kurze Timeouts für Connections gegen den Simulator
+const SIMULATOR_OPTIONS = { receiveTimeoutMs: 200, initialBackoffMs: 1, writeVerifyDelayMs: 1, verifyTimeoutMs: 200 };
+
+/**
+ * Connection to `sim` over a MemoryTransport with short test timeouts. `cacheDuration`
+ * (default 5000) goes to the Connection constructor; the other options override the defaults.
+ */
+function createSimulatedConnection(sim, { cacheDuration = 5000, ...options } = {}) {
+    const transport = new MemoryTransport();
+    transport.on('connection', peer => sim.attach(peer));
+    return new Connection('memory', 0, cacheDuration, 1000, { transport, ...SIMULATOR_OPTIONS, ...options });
+}
 
 const builderTestCases = [
     { dg: { cmd: Command.READ, id: Identifier.BATTERY_POWER_W.id, data: null }, expect: "[2B 01 04 40 0F 01 5B 58 B4]" },
@@ -49,6 +64,20 @@ describe('DatagramBuilder and DatagramParser Tests', () => {
         }
     });
 
+    test('regression: a CRC byte of 0x2B or 0x2D was sent unescaped and read as a frame start or escape', () => {
+        const builder = new DatagramBuilder();
+        const parser = new DatagramParser();
+
+        // CRC dieses Frames endet auf 0x2D
+        builder.build({ cmd: Command.RESPONSE, id: 90, data: [0x3F, 0x00, 0x00, 0x00] });
+        expect(builder.toString()).toBe('[2B 05 08 00 00 00 5A 3F 00 00 00 A1 2D 2D]');
+
+        parser.buffer = Buffer.from(builder.bytes());
+        const result = parser.parse();
+        expect(result.datagram.id).toBe(90);
+        expect(result.bytesConsumed).toBe(14);
+    });
+
 });
 
 describe('DatagramBuilder Validations', () => {
@@ -130,8 +159,6 @@ describe('DatagramParser Validations', () => {
     });
 });
 
-const Connection = require('./connection.js');
-
 describe('Connection Pooling', () => {
     const host = '127.0.0.1';
     const port = 12345;
@@ -309,6 +336,749 @@ describe('DatagramParser Buffer Robustness', () => {
     });
 });
 
+describe('Long frames (LONG_WRITE / LONG_RESPONSE)', () => {
+    const longData = Array.from({ length: 300 }, (_, i) => i & 0xFF);
+
+    test('builder writes a 2-byte length field for LONG_RESPONSE', () => {
+        const builder = new DatagramBuilder();
+        builder.build({ cmd: Command.LONG_RESPONSE, id: 0x11223344, data: longData });
+        const bytes = builder.bytes();
+        expect(bytes[1]).toBe(Command.LONG_RESPONSE);
+        // 4 + 300 = 304 = 0x0130
+        expect(bytes[2]).toBe(0x01);
+        expect(bytes[3]).toBe(0x30);
+    });
+
+    test('roundtrip of LONG_RESPONSE and LONG_WRITE keeps the full payload', () => {
+        const builder = new DatagramBuilder();
+        const parser = new DatagramParser();
+
+        for (const cmd of [Command.LONG_RESPONSE, Command.LONG_WRITE]) {
+            builder.build({ cmd, id: 0x11223344, data: longData });
+            parser.buffer = Buffer.from(builder.bytes());
+            const result = parser.parse();
+            expect(result && result.datagram).toBeTruthy();
+            expect(result.bytesConsumed).toBe(builder.bytes().length);
+            expect(result.datagram.cmd).toBe(cmd);
+            expect(result.datagram.id).toBe(0x11223344);
+            expect(result.datagram.data).toEqual(longData);
+        }
+    });
+
+    test('short long-frame payloads roundtrip as well', () => {
+        const builder = new DatagramBuilder();
+        const parser = new DatagramParser();
+        builder.build({ cmd: Command.LONG_RESPONSE, id: 0x400F015B, data: [1, 2, 3] });
+        parser.buffer = Buffer.from(builder.bytes());
+        const result = parser.parse();
+        expect(result.datagram.data).toEqual([1, 2, 3]);
+    });
+
+    test('builder rejects payloads that do not fit the 1-byte length field', () => {
+        const builder = new DatagramBuilder();
+        expect(() => builder.build({ cmd: Command.RESPONSE, id: 1, data: longData }))
+            .toThrow('require a long command');
+    });
+
+    test('parser waits for the rest of a fragmented long frame', () => {
+        const builder = new DatagramBuilder();
+        const parser = new DatagramParser();
+        builder.build({ cmd: Command.LONG_RESPONSE, id: 0x11223344, data: longData });
+        parser.buffer = Buffer.from(builder.bytes()).slice(0, 100);
+        expect(parser.parse()).toBe(null);
+    });
+
+    test('query accepts a LONG_RESPONSE as the reply to a READ', async () => {
+        const conn = new Connection('localhost', 12345, 1000);
+        const responder = new DatagramBuilder();
+        const text = 'x'.repeat(260);
+
+        conn.send = jest.fn(async () => {
+            responder.build({
+                cmd: Command.LONG_RESPONSE,
+                id: Identifier.INVERTER_SN.id,
+                data: Array.from(Buffer.from(text)),
+            });
+            const frame = Buffer.from(responder.bytes());
+            setImmediate(() => conn._onData(frame));
+        });
+
+        await expect(conn.query(Identifier.INVERTER_SN)).resolves.toBe(text);
+        conn.close();
+    });
+
+    test('LONG_RESPONSE frames above the 4096-byte default need a larger maxFrameLength', async () => {
+        const text = 'y'.repeat(5000);
+        const responder = new DatagramBuilder();
+        responder.build({ cmd: Command.LONG_RESPONSE, id: Identifier.INVERTER_SN.id, data: Array.from(Buffer.from(text)) });
+        const frame = Buffer.from(responder.bytes());
+
+        const limited = new Connection('localhost', 12345, 1000, 1000, { receiveTimeoutMs: 50, maxRetries: 1 });
+        limited.send = jest.fn(async () => setImmediate(() => limited._onData(frame)));
+        await expect(limited.query(Identifier.INVERTER_SN)).rejects.toThrow();
+        expect(limited.stats.parser.discarded.LENGTH_OVERFLOW).toBeGreaterThan(0);
+        limited.close();
+
+        const conn = new Connection('localhost', 12345, 1000, 1000, { maxFrameLength: 0xFFFF });
+        conn.send = jest.fn(async () => setImmediate(() => conn._onData(frame)));
+        await expect(conn.query(Identifier.INVERTER_SN)).resolves.toBe(text);
+        expect(conn.stats.parser.discarded.LENGTH_OVERFLOW).toBe(0);
+        conn.close();
+
+        expect(() => new Connection('localhost', 12345, 1000, 1000, { maxFrameLength: 0x10000 }))
+            .toThrow("Invalid connection option 'maxFrameLength'");
+    });
+});
+
+describe('READ_PERIODICALLY subscriptions', () => {
+    function responseFrame(id, value) {
+        const builder = new DatagramBuilder();
+        const data = new Uint8Array(4);
+        new DataView(data.buffer).setFloat32(0, value, false);
+        builder.build({ cmd: Command.RESPONSE, id, data: Array.from(data) });
+        return Buffer.from(builder.bytes());
+    }
+
+    test('registers the periodic read and delivers decoded values', async () => {
+        const conn = new Connection('localhost', 12345, 1000);
+        const sent = [];
+        conn.send = jest.fn(async (builder) => { sent.push(Buffer.from(builder.bytes())); });
+
+        const values = [];
+        const unsubscribe = await conn.subscribe(Identifier.BATTERY_POWER_W, 5000, v => values.push(v));
+
+        const parser = new DatagramParser();
+        parser.buffer = sent[0];
+        const registration = parser.parse().datagram;
+        expect(registration.cmd).toBe(Command.READ_PERIODICALLY);
+        expect(registration.id).toBe(Identifier.BATTERY_POWER_W.id);
+
+        conn._onData(responseFrame(Identifier.BATTERY_POWER_W.id, 1500));
+        conn._onData(responseFrame(Identifier.BATTERY_POWER_W.id, -250));
+        expect(values).toEqual([1500, -250]);
+
+        unsubscribe();
+        conn._onData(responseFrame(Identifier.BATTERY_POWER_W.id, 42));
+        expect(values).toEqual([1500, -250]);
+        expect(conn._subscriptions.size).toBe(0);
+        conn.close();
+    });
+
+    test('frames for other ids are emitted as unsolicited datagrams', async () => {
+        const conn = new Connection('localhost', 12345, 1000);
+        conn.send = jest.fn(async () => undefined);
+
+        const values = [];
+        const unsolicited = [];
+        conn.on('datagram', dg => unsolicited.push(dg.id));
+        await conn.subscribe(Identifier.BATTERY_POWER_W, 5000, v => values.push(v));
+
+        conn._onData(responseFrame(Identifier.SOLAR_GEN_A_POWER_W.id, 10));
+        expect(values).toEqual([]);
+        expect(unsolicited).toEqual([Identifier.SOLAR_GEN_A_POWER_W.id]);
+        conn.unsubscribe(Identifier.BATTERY_POWER_W);
+        conn.close();
+    });
+
+    test('rejects invalid intervals', async () => {
+        const conn = new Connection('localhost', 12345, 1000);
+        await expect(conn.subscribe(Identifier.BATTERY_POWER_W, 0, () => {})).rejects.toThrow('Invalid subscription interval');
+    });
+
+    test('frames delivered to a subscription are not emitted as datagrams', async () => {
+        const conn = new Connection('localhost', 12345, 1000);
+        conn.send = jest.fn(async () => undefined);
+
+        const values = [];
+        const unsolicited = [];
+        conn.on('datagram', dg => unsolicited.push(dg.id));
+        await conn.subscribe(Identifier.BATTERY_POWER_W, 5000, v => values.push(v));
+
+        conn._onData(responseFrame(Identifier.BATTERY_POWER_W.id, 1500));
+        expect(values).toEqual([1500]);
+        expect(unsolicited).toEqual([]);
+        conn.unsubscribe(Identifier.BATTERY_POWER_W);
+        conn.close();
+    });
+
+    test('removes the subscription when the registration fails', async () => {
+        const conn = new Connection('localhost', 12345, 1000);
+        conn.send = jest.fn(async () => { throw new Error('socket closed'); });
+        conn.options.maxRetries = 1;
+
+        await expect(conn.subscribe(Identifier.BATTERY_POWER_W, 5000, () => {})).rejects.toThrow('socket closed');
+        expect(conn._subscriptions.size).toBe(0);
+        conn.close();
+    });
+});
+
+describe('Connection lifecycle events', () => {
+    const net = require('net');
+    let server;
+    let sockets;
+
+    beforeEach(async () => {
+        sockets = [];
+        server = net.createServer(socket => sockets.push(socket));
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterEach(async () => {
+        sockets.forEach(socket => socket.destroy());
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('emits connect and disconnect with reason client', async () => {
+        const conn = new Connection('127.0.0.1', server.address().port, 1000);
+        const events = [];
+        conn.on('connect', () => events.push('connect'));
+        const disconnected = new Promise(resolve => conn.on('disconnect', resolve));
+
+        await conn.connect();
+        conn.close();
+
+        await expect(disconnected).resolves.toMatchObject({ reason: 'client' });
+        expect(events).toEqual(['connect']);
+    });
+
+    test('emits disconnect with reason remote and reconnecting on the next dial', async () => {
+        const conn = new Connection('127.0.0.1', server.address().port, 1000);
+        const disconnected = new Promise(resolve => conn.on('disconnect', resolve));
+        const reconnecting = jest.fn();
+        conn.on('reconnecting', reconnecting);
+
+        await conn.connect();
+        await new Promise(resolve => setImmediate(resolve));
+        sockets[0].destroy();
+
+        await expect(disconnected).resolves.toMatchObject({ reason: 'remote' });
+        await conn.connect();
+        expect(reconnecting).toHaveBeenCalledTimes(1);
+        conn.close();
+    });
+
+    test('emits timeout when no response arrives', async () => {
+        const conn = new Connection('localhost', 12345, 1000);
+        const onTimeout = jest.fn();
+        conn.on('timeout', onTimeout);
+
+        await expect(conn._receive({ timeoutMs: 10, expect: { id: 0x1234 } })).rejects.toBeInstanceOf(RecoverableError);
+        expect(onTimeout).toHaveBeenCalledWith(expect.objectContaining({ timeoutMs: 10, id: 0x1234 }));
+    });
+
+    test('emits retry with the attempt count', async () => {
+        const conn = new Connection('localhost', 12345, 1000);
+        const attempts = [];
+        conn.on('retry', info => attempts.push(info.attempt));
+
+        let calls = 0;
+        const result = await conn.retryOperation(async () => {
+            if (++calls < 3) throw new RecoverableError('flaky');
+            return 'ok';
+        }, 5, 1);
+
+        expect(result).toBe('ok');
+        expect(attempts).toEqual([1, 2]);
+    });
+
+    test('emits response for matched frames and write after a verified write', async () => {
+        const conn = new Connection('localhost', 12345, 1000);
+        const responder = new DatagramBuilder();
+        conn.query = jest.fn(async () => 0);
+        conn.send = jest.fn(async () => {
+            responder.build({ cmd: Command.RESPONSE, id: Identifier.POWER_MNG_SOC_TARGET_SET.id, data: [0x3F, 0x00, 0x00, 0x00] });
+            const frame = Buffer.from(responder.bytes());
+            setImmediate(() => conn._onData(frame));
+        });
+
+        const responses = jest.fn();
+        const writes = jest.fn();
+        conn.on('response', responses);
+        conn.on('write', writes);
+
+        jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+        try {
+            const pending = conn.write(Identifier.POWER_MNG_SOC_TARGET_SET, 0.5, { confirm: true });
+            await jest.advanceTimersByTimeAsync(1000);
+            await pending;
+        } finally {
+            jest.useRealTimers();
+        }
+
+        expect(responses).toHaveBeenCalled();
+        expect(writes).toHaveBeenCalledWith(Identifier.POWER_MNG_SOC_TARGET_SET, 0.5);
+        conn.close();
+    });
+});
+
+describe('Connection auto-reconnect', () => {
+    const net = require('net');
+    let server;
+    let sockets;
+
+    // Minimaler Responder: beantwortet jeden READ mit float32 42
+    function respond(socket) {
+        const parser = new DatagramParser();
+        const builder = new DatagramBuilder();
+        socket.on('data', chunk => {
+            parser.buffer = chunk;
+            const result = parser.parse();
+            if (result && result.datagram && result.datagram.cmd === Command.READ) {
+                builder.build({ cmd: Command.RESPONSE, id: result.datagram.id, data: [0x42, 0x28, 0x00, 0x00] });
+                socket.write(Buffer.from(builder.bytes()));
+            }
+        });
+    }
+
+    beforeEach(async () => {
+        sockets = [];
+        server = net.createServer(socket => {
+            sockets.push(socket);
+            respond(socket);
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterEach(async () => {
+        sockets.forEach(socket => socket.destroy());
+        if (server.listening) await new Promise(resolve => server.close(resolve));
+    });
+
+    test('rejects invalid options', () => {
+        const conn = new Connection('127.0.0.1', 1, 1000);
+        expect(() => conn.setAutoReconnect({ jitter: 2 })).toThrow("Invalid auto-reconnect option 'jitter'");
+        expect(() => conn.setAutoReconnect({ deadlineMs: -1 })).toThrow("Invalid auto-reconnect option 'deadlineMs'");
+    });
+
+    test('reconnects after a drop and serves requests queued while backing off', async () => {
+        const conn = new Connection('127.0.0.1', server.address().port, 0);
+        conn.setAutoReconnect({ initialDelayMs: 20, jitter: 0, deadlineMs: 2000 });
+        const states = [];
+        conn.on('state', state => states.push(state));
+
+        await conn.connect();
+        await new Promise(resolve => setImmediate(resolve));
+        const backingOff = new Promise(resolve => conn.once('disconnect', resolve));
+        sockets[0].destroy();
+        await backingOff;
+        expect(conn.state).toBe(Connection.State.BACKING_OFF);
+
+        await expect(conn.query(Identifier.BATTERY_POWER_W)).resolves.toBe(42);
+        expect(states).toEqual(['connecting', 'connected', 'backing-off', 'connecting', 'connected']);
+
+        conn.close();
+        expect(conn.state).toBe(Connection.State.CLOSED);
+    });
+
+    test('fails queued requests once the reconnect deadline has passed', async () => {
+        const conn = new Connection('127.0.0.1', server.address().port, 0);
+        conn.setAutoReconnect({ initialDelayMs: 10, maxDelayMs: 20, deadlineMs: 150 });
+
+        await conn.connect();
+        await new Promise(resolve => setImmediate(resolve));
+        const serverClosed = new Promise(resolve => server.close(resolve));
+        const lost = new Promise(resolve => conn.once('disconnect', resolve));
+        sockets[0].destroy();
+        await Promise.all([serverClosed, lost]);
+
+        conn.builder.build({ cmd: Command.READ, id: Identifier.BATTERY_POWER_W.id, data: null });
+        await expect(conn.send(conn.builder)).rejects.toMatchObject({ code: 'RECONNECT_DEADLINE' });
+        expect(conn.state).not.toBe(Connection.State.CONNECTED);
+
+        conn.close();
+        expect(conn._reconnectTimer).toBe(null);
+    });
+});
+
+describe('Connection options', () => {
+    test('uses documented defaults', () => {
+        const conn = new Connection('localhost', 12345, 1000);
+        expect(conn.options).toEqual(Connection.DEFAULT_OPTIONS);
+        expect(conn.options.writeVerifyDelayMs).toBe(800);
+        expect(conn.options.verifyTimeoutMs).toBe(8000);
+        expect(conn._idleTimeoutMs).toBe(90000);
+    });
+
+    test('overrides values per connection', () => {
+        const wifi = new Connection('localhost', 12345, 1000, 1000, { receiveTimeoutMs: 20000, maxRetries: 3 });
+        const lan = new Connection('localhost', 12346, 1000, 1000, { receiveTimeoutMs: 2000, idleTimeoutMs: 0 });
+        expect(wifi.options.receiveTimeoutMs).toBe(20000);
+        expect(wifi.options.maxRetries).toBe(3);
+        expect(lan.options.receiveTimeoutMs).toBe(2000);
+        expect(lan._idleTimeoutMs).toBe(0);
+        expect(lan.options.maxRetries).toBe(Connection.DEFAULT_OPTIONS.maxRetries);
+    });
+
+    test('rejects unknown and invalid options', () => {
+        expect(() => new Connection('localhost', 1, 1000, 1000, { receiveTimout: 5 })).toThrow("Unknown connection option 'receiveTimout'");
+        expect(() => new Connection('localhost', 1, 1000, 1000, { dialTimeoutMs: -1 })).toThrow("Invalid connection option 'dialTimeoutMs'");
+        expect(() => new Connection('localhost', 1, 1000, 1000, { maxRetries: 0 })).toThrow("Invalid connection option 'maxRetries'");
+        expect(() => new Connection('localhost', 1, 1000, 1000, { backoffMultiplier: 0.5 })).toThrow("Invalid connection option 'backoffMultiplier'");
+    });
+
+    test('retryOperation uses the per-connection retry settings', async () => {
+        const conn = new Connection('localhost', 12345, 1000, 1000, { maxRetries: 2, initialBackoffMs: 1 });
+        const operation = jest.fn(async () => { throw new RecoverableError('flaky'); });
+        const err = await conn.retryOperation(operation).catch(e => e);
+        expect(err).toMatchObject({ message: 'Max retries reached', code: 'MAX_RETRIES' });
+        expect(err.cause).toEqual(new RecoverableError('flaky'));
+        expect(operation).toHaveBeenCalledTimes(2);
+    });
+
+    test('getPooledConnection passes options to a new instance', () => {
+        const conn = Connection.getPooledConnection('127.0.0.3', 8899, 1000, 1000, { verifyTimeoutMs: 3000, autoReconnect: true });
+        expect(conn.options.verifyTimeoutMs).toBe(3000);
+        expect(conn._reconnect).toBeTruthy();
+        conn.close();
+    });
+});
+
+describe('Pluggable logger', () => {
+    const { createConsoleLogger, createPinoAdapter, normalizeLogger } = require('./logger.js');
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('connection is silent by default', async () => {
+        const spies = ['log', 'error', 'warn', 'debug', 'info'].map(m => jest.spyOn(console, m).mockImplementation(() => {}));
+        const conn = new Connection('localhost', 12345, 1000);
+
+        await expect(conn.retryOperation(async () => { throw new RecoverableError('flaky'); }, 2, 1)).rejects.toThrow();
+        for (const spy of spies) expect(spy).not.toHaveBeenCalled();
+    });
+
+    test('injected logger receives structured fields', async () => {
+        const entries = [];
+        const logger = {
+            warn: (message, fields) => entries.push({ level: 'warn', message, fields }),
+            debug: (message, fields) => entries.push({ level: 'debug', message, fields }),
+        };
+        const conn = new Connection('10.0.0.5', 8899, 1000, 1000, { logger });
+
+        await expect(conn.retryOperation(
+            async () => { throw new RecoverableError('flaky'); },
+            2, 1,
+            { identifier: { id: '0x400F015B', description: 'Battery power [W]' } }
+        )).rejects.toThrow();
+
+        const warning = entries.find(e => e.level === 'warn');
+        expect(warning.fields).toMatchObject({
+            host: '10.0.0.5',
+            port: 8899,
+            attempt: 1,
+            identifier: { id: '0x400F015B', description: 'Battery power [W]' },
+        });
+    });
+
+    test('query logs response latency with identifier fields', async () => {
+        const entries = [];
+        const conn = new Connection('localhost', 12345, 1000, 1000, {
+            logger: { debug: (message, fields) => entries.push({ message, fields }) },
+        });
+        const responder = new DatagramBuilder();
+        conn.send = jest.fn(async () => {
+            responder.build({ cmd: Command.RESPONSE, id: Identifier.BATTERY_POWER_W.id, data: [0, 0, 0, 0] });
+            const frame = Buffer.from(responder.bytes());
+            setImmediate(() => conn._onData(frame));
+        });
+
+        await conn.query(Identifier.BATTERY_POWER_W);
+        const entry = entries.find(e => e.message === 'Response received');
+        expect(entry.fields.identifier).toEqual({ id: '0x400F015B', description: 'Battery power [W]' });
+        expect(typeof entry.fields.latencyMs).toBe('number');
+        conn.close();
+    });
+
+    test('console logger respects its level', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+        const logger = createConsoleLogger('warn');
+        logger.warn('visible', { a: 1 });
+        logger.debug('hidden');
+        expect(warn).toHaveBeenCalledTimes(1);
+        expect(log).not.toHaveBeenCalled();
+        expect(() => createConsoleLogger('verbose')).toThrow("Invalid log level 'verbose'");
+    });
+
+    test('pino adapter swaps message and fields', () => {
+        const pino = { info: jest.fn() };
+        const logger = normalizeLogger(createPinoAdapter(pino));
+        logger.info('Connected', { host: 'x' });
+        expect(pino.info).toHaveBeenCalledWith({ host: 'x' }, 'Connected');
+    });
+
+    test('normalizeLogger rejects non-objects', () => {
+        expect(() => new Connection('localhost', 1, 1000, 1000, { logger: 'console' })).toThrow('Invalid logger');
+    });
+});
+
+describe('Pipelined reads (queryMany)', () => {
+    const net = require('net');
+    let server;
+    let requests;
+    let dropOnce;
+
+    function float32Bytes(value) {
+        const data = new Uint8Array(4);
+        new DataView(data.buffer).setFloat32(0, value, false);
+        return Array.from(data);
+    }
+
+    beforeEach(async () => {
+        requests = [];
+        dropOnce = new Set();
+        server = net.createServer(socket => {
+            const parser = new DatagramParser();
+            const builder = new DatagramBuilder();
+            let buffer = Buffer.alloc(0);
+            socket.on('data', chunk => {
+                buffer = Buffer.concat([buffer, chunk]);
+                const ids = [];
+                for (;;) {
+                    parser.buffer = buffer;
+                    const result = parser.parse();
+                    if (!result) break;
+                    buffer = buffer.slice(result.bytesConsumed);
+                    if (result.datagram) ids.push(result.datagram.id);
+                }
+                requests.push(ids);
+                // Antworten in umgekehrter Reihenfolge, einzelne ids beim ersten Mal verwerfen
+                for (const id of ids.reverse()) {
+                    if (dropOnce.delete(id)) continue;
+                    builder.build({ cmd: Command.RESPONSE, id, data: float32Bytes(id & 0xFF) });
+                    socket.write(Buffer.from(builder.bytes()));
+                }
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('matches out-of-order responses and retries only missing ids', async () => {
+        const conn = new Connection('127.0.0.1', server.address().port, 0, 1000, {
+            receiveTimeoutMs: 100, initialBackoffMs: 1,
+        });
+        const identifiers = [Identifier.BATTERY_POWER_W, Identifier.SOLAR_GEN_A_POWER_W, Identifier.INVERTER_AC_POWER_W];
+        dropOnce.add(Identifier.SOLAR_GEN_A_POWER_W.id);
+
+        const { values, errors } = await conn.queryMany(identifiers);
+
+        expect(errors.size).toBe(0);
+        for (const identifier of identifiers) {
+            expect(values.get(identifier.id)).toBe(identifier.id & 0xFF);
+        }
+        expect(requests[0]).toHaveLength(3);
+        expect(requests[1]).toEqual([Identifier.SOLAR_GEN_A_POWER_W.id]);
+        conn.close();
+    });
+
+    test('splits requests into batches and reports per-id errors', async () => {
+        const conn = new Connection('127.0.0.1', server.address().port, 0, 1000, {
+            receiveTimeoutMs: 50, initialBackoffMs: 1, maxRetries: 2,
+        });
+        const sendSpy = jest.spyOn(conn, '_sendBuffer');
+        const unknown = { id: 0x12345678, type: 'uint8', description: 'Unknown' };
+
+        const { values, errors } = await conn.queryMany([Identifier.BATTERY_POWER_W, Identifier.BATTERY_VOLTAGE, unknown], { batchSize: 2 });
+
+        expect(values.get(Identifier.BATTERY_POWER_W.id)).toBe(Identifier.BATTERY_POWER_W.id & 0xFF);
+        expect(values.get(Identifier.BATTERY_VOLTAGE.id)).toBe(Identifier.BATTERY_VOLTAGE.id & 0xFF);
+        // uint8 cannot decode the 4-byte response
+        expect(errors.get(unknown.id)).toBeInstanceOf(RecoverableError);
+        expect(sendSpy).toHaveBeenCalledTimes(2);
+        conn.close();
+    });
+
+    test('serves cached values without a round trip', async () => {
+        const conn = new Connection('127.0.0.1', server.address().port, 10000, 1000, { receiveTimeoutMs: 100 });
+        await conn.queryMany([Identifier.BATTERY_POWER_W]);
+        const { values } = await conn.queryMany([Identifier.BATTERY_POWER_W, Identifier.BATTERY_POWER_W]);
+        expect(values.size).toBe(1);
+        expect(requests).toHaveLength(1);
+        conn.close();
+    });
+
+    test('rejects invalid input', async () => {
+        const conn = new Connection('127.0.0.1', 1, 0);
+        await expect(conn.queryMany(Identifier.BATTERY_POWER_W)).rejects.toThrow('expects an array');
+        await expect(conn.queryMany([{ foo: 1 }])).rejects.toThrow('Invalid or unknown identifier');
+    });
+});
+
+describe('Inverter simulator', () => {
+    const InverterSimulator = require('./simulator.js');
+    let sim;
+    let conn;
+
+    beforeEach(async () => {
+        sim = new InverterSimulator({
+            values: [
+                [Identifier.BATTERY_POWER_W, 1234.5],
+                [Identifier.BATTERY_STATUS, 0],
+                [Identifier.POWER_MNG_SOC_TARGET_SET, 0.5],
+                [Identifier.INVERTER_SN, 'SIM-0001'],
+                [Identifier.BATTERY_TOWER_1_BMS_SN, 'B'.repeat(300)],
+            ],
+            periodicIntervalMs: 20,
+        });
+        const { host, port } = await sim.start();
+        conn = new Connection(host, port, 0, 1000, {
+            receiveTimeoutMs: 100, initialBackoffMs: 1, writeVerifyDelayMs: 1, verifyTimeoutMs: 200,
+        });
+    });
+
+    afterEach(async () => {
+        conn.close();
+        await sim.stop();
+    });
+
+    test('serves values through the real socket and parser paths', async () => {
+        await expect(conn.query(Identifier.BATTERY_POWER_W)).resolves.toBe(1234.5);
+        await expect(conn.query(Identifier.INVERTER_SN)).resolves.toBe('SIM-0001');
+        await expect(conn.query(Identifier.BATTERY_TOWER_1_BMS_SN)).resolves.toBe('B'.repeat(300));
+    });
+
+    test('applies and verifies writes', async () => {
+        await conn.write(Identifier.POWER_MNG_SOC_TARGET_SET, 0.75, { confirm: true });
+        expect(sim.getValue(Identifier.POWER_MNG_SOC_TARGET_SET)).toBe(0.75);
+        expect(sim.writes).toHaveLength(1);
+    });
+
+    test('recovers from dropped responses and CRC corruption', async () => {
+        sim.setFaults({ dropNext: 1, corruptNext: 1 });
+        const retries = jest.fn();
+        conn.on('retry', retries);
+
+        await expect(conn.query(Identifier.BATTERY_POWER_W)).resolves.toBe(1234.5);
+        expect(retries).toHaveBeenCalledTimes(2);
+    });
+
+    test('a corrupted CRC never turns into a start or escape byte', async () => {
+        // Ohne Korrektur würde das letzte Byte 0xD2 zum Escape 0x2D und den nächsten Frame verschlucken
+        sim.setValue(Identifier.BATTERY_POWER_W, 47);
+        sim.setFaults({ corruptNext: 1 });
+        const retries = jest.fn();
+        conn.on('retry', retries);
+
+        await expect(conn.query(Identifier.BATTERY_POWER_W)).resolves.toBe(47);
+        expect(retries).toHaveBeenCalledTimes(1);
+        expect(conn.stats.parser.discarded).toEqual(expect.objectContaining({ CRC_MISMATCH: 1, NOISE: 0, RESTART: 0 }));
+    });
+
+    test('reassembles fragmented and delayed frames', async () => {
+        sim.setFaults({ fragmentSize: 3, fragmentDelayMs: 2, delayMs: 10 });
+        await expect(conn.query(Identifier.BATTERY_POWER_W)).resolves.toBe(1234.5);
+    });
+
+    test('delivers unsolicited frames as datagram events', async () => {
+        await conn.connect();
+        const received = new Promise(resolve => conn.once('datagram', resolve));
+        await new Promise(resolve => setImmediate(resolve));
+        sim.sendUnsolicited({ id: 0x11223344, data: [1, 2] });
+        await expect(received).resolves.toMatchObject({ id: 0x11223344, data: [1, 2] });
+    });
+
+    test('pushes READ_PERIODICALLY values to subscribers', async () => {
+        const values = [];
+        await new Promise(resolve => {
+            conn.subscribe(Identifier.BATTERY_POWER_W, 1000, v => {
+                values.push(v);
+                if (values.length === 3) resolve();
+            });
+        });
+        expect(values).toEqual([1234.5, 1234.5, 1234.5]);
+        conn.unsubscribe(Identifier.BATTERY_POWER_W);
+    });
+
+    test('reconnects after a simulated disconnect', async () => {
+        conn.setAutoReconnect({ initialDelayMs: 5, jitter: 0, deadlineMs: 1000 });
+        await conn.connect();
+        const lost = new Promise(resolve => conn.once('disconnect', resolve));
+        sim.disconnect();
+        await lost;
+        await expect(conn.query(Identifier.BATTERY_POWER_W)).resolves.toBe(1234.5);
+    });
+
+    test('rejects unknown fault names', () => {
+        expect(() => sim.setFaults({ explode: true })).toThrow("Unknown simulator fault 'explode'");
+    });
+});
+
+describe('Typed value codec', () => {
+    const codec = require('./codec.js');
+    const { Datagram } = require('./datagram.js');
+
+    test.each([
+        ['int8', -128, [0x80]],
+        ['int8', 127, [0x7F]],
+        ['uint8', 255, [0xFF]],
+        ['int16', -2, [0xFF, 0xFE]],
+        ['uint16', 0xABCD, [0xAB, 0xCD]],
+        ['int32', -1, [0xFF, 0xFF, 0xFF, 0xFF]],
+        ['uint32', 0xDEADBEEF, [0xDE, 0xAD, 0xBE, 0xEF]],
+        ['float32', 1, [0x3F, 0x80, 0x00, 0x00]],
+        ['bool', true, [0x01]],
+        ['enum', 4, [0x04]],
+    ])('%s roundtrip of %p', (type, value, bytes) => {
+        expect(codec.encode(type, value)).toEqual(bytes);
+        expect(codec.decode(type, bytes)).toBe(value);
+    });
+
+    test('rejects out-of-range and mistyped values per type', () => {
+        expect(() => codec.encode('int8', 128)).toThrow('out of range [-128, 127]');
+        expect(() => codec.encode('uint8', -1)).toThrow('out of range [0, 255]');
+        expect(() => codec.encode('uint16', 0x10000)).toThrow('out of range');
+        expect(() => codec.encode('uint32', 1.5)).toThrow('is not an integer');
+        expect(() => codec.encode('float32', NaN)).toThrow('not a finite number');
+        expect(() => codec.encode('float32', 1e39)).toThrow('out of range for float32');
+        expect(() => codec.encode('bool', 2)).toThrow('not a boolean');
+        expect(() => codec.encode('string', 5)).toThrow('not a string');
+        expect(() => codec.encode('int64', 1)).toThrow("Unsupported data type 'int64'");
+    });
+
+    test('encodes fixed-length and length-prefixed strings', () => {
+        expect(codec.encode('string', 'AB', { length: 4 })).toEqual([0x41, 0x42, 0, 0]);
+        expect(codec.encode('string', 'AB', { lengthPrefixed: true })).toEqual([2, 0x41, 0x42]);
+        expect(() => codec.encode('string', 'ABCDE', { length: 4 })).toThrow('exceeds fixed length 4');
+        expect(codec.decode('string', [0x41, 0x42, 0, 0])).toBe('AB');
+        expect(codec.decode('string', [2, 0x41, 0x42, 0x43], { lengthPrefixed: true })).toBe('AB');
+    });
+
+    test('decoding with a wrong length is recoverable', () => {
+        expect(() => codec.decode('int16', [1])).toThrow(RecoverableError);
+    });
+
+    test('Datagram decodes all types through the codec', () => {
+        expect(new Datagram(Command.RESPONSE, 1, [0xFF, 0xFE]).int16()).toBe(-2);
+        expect(new Datagram(Command.RESPONSE, 1, [0xFF]).int8()).toBe(-1);
+        expect(new Datagram(Command.RESPONSE, 1, [0]).bool()).toBe(false);
+        expect(new Datagram(Command.RESPONSE, 1, [0, 0, 1, 0]).value({ type: 'uint32' })).toBe(256);
+    });
+
+    test('write encodes uint32 and int16 identifiers and enforces ranges', async () => {
+        const conn = new Connection('localhost', 12345, 1000);
+        conn.query = jest.fn(async () => 0);
+        conn._enqueueWriteOperation = jest.fn(async () => undefined);
+
+        const counter = { id: 0x01020304, type: 'uint32', writable: true, description: 'Test counter' };
+        const offset = { id: 0x01020305, type: 'int16', writable: true, description: 'Test offset' };
+        conn.writePolicy.define(counter, { riskClass: 'LOW', decision: 'ALLOW' });
+        conn.writePolicy.define(offset, { riskClass: 'LOW', decision: 'ALLOW' });
+
+        await conn.write(counter, 0x01000000);
+        expect(conn._enqueueWriteOperation).toHaveBeenLastCalledWith(
+            counter, expect.objectContaining({ data: [1, 0, 0, 0] }), [1, 0, 0, 0], expect.any(Object)
+        );
+        await conn.write(offset, -300);
+        expect(conn._enqueueWriteOperation).toHaveBeenLastCalledWith(
+            offset, expect.objectContaining({ data: [0xFE, 0xD4] }), [0xFE, 0xD4], expect.any(Object)
+        );
+        await expect(conn.write(offset, 40000)).rejects.toThrow("out of range [-32768, 32767] for 'Test offset'");
+    });
+});
+
 describe('Connection write pre-check (battery status)', () => {
     test('switches SoC strategy to INTERNAL before throwing BATTERY_NOT_NORMAL', async () => {
         const conn = new Connection('localhost', 12345, 1000);
@@ -322,7 +1092,7 @@ describe('Connection write pre-check (battery status)', () => {
 
         conn._enqueueWriteOperation = jest.fn(async () => undefined);
 
-        await expect(conn.write(Identifier.POWER_MNG_USE_GRID_POWER_ENABLE, true)).rejects.toMatchObject({
+        await expect(conn.write(Identifier.POWER_MNG_USE_GRID_POWER_ENABLE, true, { confirm: true })).rejects.toMatchObject({
             code: 'BATTERY_NOT_NORMAL'
         });
 
@@ -334,7 +1104,8 @@ describe('Connection write pre-check (battery status)', () => {
                 id: Identifier.POWER_MNG_SOC_STRATEGY.id,
                 data: [SOCStrategy.INTERNAL]
             }),
-            [SOCStrategy.INTERNAL]
+            [SOCStrategy.INTERNAL],
+            expect.any(Object)
         );
     });
 
@@ -349,7 +1120,7 @@ describe('Connection write pre-check (battery status)', () => {
 
         conn._enqueueWriteOperation = jest.fn(async () => undefined);
 
-        await expect(conn.write(Identifier.POWER_MNG_USE_GRID_POWER_ENABLE, true)).rejects.toMatchObject({
+        await expect(conn.write(Identifier.POWER_MNG_USE_GRID_POWER_ENABLE, true, { confirm: true })).rejects.toMatchObject({
             code: 'BATTERY_NOT_NORMAL'
         });
 
@@ -410,6 +1181,1887 @@ describe('Battery tower 2 identifier safety', () => {
 
 
 
+describe('Identifier registry', () => {
+    test('every entry carries full metadata', () => {
+        for (const entry of Identifier.list()) {
+            expect(typeof entry.id).toBe('number');
+            expect(typeof entry.name).toBe('string');
+            expect(typeof entry.group).toBe('string');
+            expect(typeof entry.type).toBe('string');
+            expect(entry).toHaveProperty('unit');
+            expect(entry.scale).toBe(1);
+            expect(entry.access).toBe(entry.writable ? 'rw' : 'r');
+            expect(typeof entry.description).toBe('string');
+        }
+    });
+
+    test('indexes the RCT object table as read-only entries', () => {
+        const entry = Identifier.getByName('acc_conv.i_charge_max');
+        expect(entry).toEqual({
+            id: 0xB0FA4D23, name: 'acc_conv.i_charge_max', group: 'acc_conv', type: 'float32', unit: 'A', scale: 1,
+            access: 'r', writable: false, description: 'Max. battery converter charge current',
+        });
+        expect(Identifier.resolve('0xB0FA4D23')).toBe(entry);
+        expect(Identifier.list().length).toBeGreaterThan(600);
+        expect(Identifier.groups()).toEqual(expect.arrayContaining(['acc_conv', 'grid_mon', 'nsm', 'rb485']));
+    });
+
+    test('constants agree with the RCT object table', () => {
+        // enum wird als uint8 übertragen; das Vorzeichen von Statuswörtern ist unerheblich
+        const wireType = type => (type === 'enum' ? 'uint8' : type).replace(/^u?int/, 'int');
+        for (const object of require('./objects.js')) {
+            const entry = Identifier.getById(object.id);
+            expect([entry.name, wireType(entry.type)]).toEqual([object.name, wireType(object.type)]);
+        }
+        expect(Identifier.BATTERY_TOWER_1_VOLTAGE.name).toBe('battery.voltage');
+    });
+
+    test('ids and protocol names are unique', () => {
+        const entries = Identifier.list();
+        expect(new Set(entries.map(e => e.id)).size).toBe(entries.length);
+        expect(new Set(entries.map(e => e.name)).size).toBe(entries.length);
+    });
+
+    test('looks up entries by id, name and constant name', () => {
+        expect(Identifier.getById(0x959930BF)).toBe(Identifier.BATTERY_SOC);
+        expect(Identifier.getById(0x12345678)).toBe(null);
+        expect(Identifier.getByName('battery.soc')).toBe(Identifier.BATTERY_TOWER_1_SOC);
+        expect(Identifier.getByName('power_mng.soc_strategy')).toBe(Identifier.POWER_MNG_SOC_STRATEGY);
+        expect(Identifier.getByKey('BATTERY_SOC')).toBe(Identifier.BATTERY_TOWER_1_SOC);
+        expect(Identifier.BATTERY_SOC.key).toBe('BATTERY_TOWER_1_SOC');
+    });
+
+    test('lists entries by group', () => {
+        const battery = Identifier.listByGroup('battery');
+        expect(battery).toContain(Identifier.BATTERY_TOWER_1_SOC);
+        expect(battery).toContain(Identifier.BATTERY_SYSTEM_STATUS);
+        expect(battery.every(e => e.group === 'battery')).toBe(true);
+        expect(Identifier.listByGroup('power_mng')).toContain(Identifier.POWER_MNG_SOC_STRATEGY);
+        expect(Identifier.groups()).toEqual(expect.arrayContaining(['battery', 'power_mng', 'energy']));
+    });
+
+    test('round-trips references from config files', () => {
+        for (const entry of Identifier.list()) {
+            expect(Identifier.resolve(Identifier.toRef(entry))).toBe(entry);
+        }
+        expect(Identifier.resolve('0x959930bf')).toBe(Identifier.BATTERY_SOC);
+        expect(Identifier.resolve(0x959930BF)).toBe(Identifier.BATTERY_SOC);
+        expect(Identifier.resolve('BATTERY_STATUS')).toBe(Identifier.BATTERY_SYSTEM_STATUS);
+        expect(Identifier.resolve('no.such.value')).toBe(null);
+    });
+
+    test('exports plain JSON definitions', () => {
+        const def = Identifier.toDefinition(Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W);
+        expect(def).toEqual({
+            key: 'POWER_MNG_BATTERY_POWER_EXTERN_W',
+            id: '0xBD008E29',
+            name: 'power_mng.battery_power_extern',
+            group: 'power_mng',
+            type: 'float32',
+            unit: 'W',
+            scale: 1,
+            access: 'rw',
+            writable: true,
+            description: 'Power management battery power external [W]',
+            min: -6000,
+            max: 6000,
+            step: 1,
+        });
+        expect(JSON.parse(JSON.stringify(def))).toEqual(def);
+    });
+});
+
+describe('Custom identifier registration', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const InverterSimulator = require('./simulator.js');
+
+    const registered = [];
+    const register = def => {
+        const entry = Identifier.register(def);
+        registered.push(entry);
+        return entry;
+    };
+
+    afterEach(() => {
+        while (registered.length) Identifier.unregister(registered.pop());
+    });
+
+    test('registers an entry that is found by all lookups', () => {
+        const entry = register({
+            id: '0x12345678', key: 'CUSTOM_LIMIT', name: 'custom.limit', type: 'uint16',
+            unit: 'W', writable: true, min: 0, max: 5000, description: 'Custom limit',
+        });
+
+        expect(Identifier.getById(0x12345678)).toBe(entry);
+        expect(Identifier.getByName('custom.limit')).toBe(entry);
+        expect(Identifier.getByKey('CUSTOM_LIMIT')).toBe(entry);
+        expect(Identifier.CUSTOM_LIMIT).toBe(entry);
+        expect(Identifier.listByGroup('custom')).toEqual([entry]);
+        expect(entry.access).toBe('rw');
+        expect(entry.validate(5000)).toBe(true);
+        expect(entry.validate(5001)).toBe(false);
+    });
+
+    test('turns enum data into validation and labels', () => {
+        const entry = register({ id: 0x12345679, name: 'custom.mode', type: 'enum', enum: { 0: 'OFF', 2: 'ON' } });
+        expect(entry.writable).toBe(false);
+        expect(entry.validate(2)).toBe(true);
+        expect(entry.validate(1)).toBe(false);
+        expect(entry.enumMapping(2)).toBe('ON');
+        expect(entry.enumMapping(1)).toBe('#INVALID');
+    });
+
+    test('rejects invalid definitions', () => {
+        expect(() => Identifier.register({ id: 'abc', type: 'uint8' })).toThrow('Invalid id');
+        expect(() => Identifier.register({ id: 0x1FFFFFFFF, type: 'uint8' })).toThrow('Invalid id');
+        expect(() => Identifier.register({ id: 1, type: 'double' })).toThrow("Unsupported data type 'double'");
+        expect(() => Identifier.register({ id: 1, type: 'uint8', writable: 'yes' })).toThrow('Invalid writable flag');
+        expect(() => Identifier.register({ id: 1, type: 'uint8', min: 5, max: 1 })).toThrow('min 5 is greater than max 1');
+        expect(() => Identifier.register({ id: 1, type: 'uint8', step: 0 })).toThrow('Invalid step');
+        expect(() => Identifier.register({ id: 1, type: 'uint8', enum: ['a'] })).toThrow('Invalid enum values');
+        expect(() => Identifier.register({ id: 0x959930BF, type: 'float32' })).toThrow('already registered');
+        expect(() => Identifier.register({ id: 1, name: 'battery.soc', type: 'float32' })).toThrow('already registered');
+        expect(() => Identifier.register({ id: 1, key: 'BATTERY_SOC', type: 'float32' })).toThrow('already in use');
+        expect(() => Identifier.unregister(Identifier.BATTERY_SOC)).toThrow('built in');
+    });
+
+    test('loads definitions from a JSON file atomically', () => {
+        const file = path.join(os.tmpdir(), `rct-defs-${process.pid}.json`);
+        fs.writeFileSync(file, JSON.stringify({
+            definitions: [
+                { id: '0x0000A001', name: 'custom.a', type: 'float32' },
+                { id: '0x0000A002', name: 'custom.b', type: 'int32', writable: true },
+            ],
+        }));
+        try {
+            const entries = Identifier.loadDefinitions(file);
+            registered.push(...entries);
+            expect(entries.map(e => e.name)).toEqual(['custom.a', 'custom.b']);
+            expect(Identifier.getById(0xA002).writable).toBe(true);
+        } finally {
+            fs.unlinkSync(file);
+        }
+
+        expect(() => Identifier.loadDefinitions([
+            { id: 0xA003, name: 'custom.c', type: 'uint8' },
+            { id: 0xA004, name: 'custom.d', type: 'nope' },
+        ])).toThrow('Invalid identifier definition #1');
+        expect(Identifier.getById(0xA003)).toBe(null);
+    });
+
+    test('round-trips through toDefinition', () => {
+        const entry = register({ id: 0xA005, name: 'custom.e', type: 'uint8', writable: true, min: 1, max: 9, step: 2 });
+        const def = JSON.parse(JSON.stringify(Identifier.toDefinition(entry)));
+        Identifier.unregister(registered.pop());
+
+        const again = register(def);
+        expect(Identifier.toDefinition(again)).toEqual(def);
+        expect(again.validate(10)).toBe(false);
+    });
+
+    test('works with query() and write(); the policy takes the ranges from the definition', async () => {
+        const entry = register({ id: 0xA006, name: 'custom.setpoint', type: 'uint16', writable: true, min: 0, max: 1000, step: 10 });
+        const sim = new InverterSimulator({ values: [[entry, 250], [Identifier.BATTERY_STATUS, 0]] });
+        const conn = createSimulatedConnection(sim, { cacheDuration: 0 });
+        conn.writePolicy.define(entry, { riskClass: 'LOW', decision: 'ALLOW' });
+        try {
+            await expect(conn.query(Identifier.getByName('custom.setpoint'))).resolves.toBe(250);
+            await conn.write(entry, 500);
+            expect(sim.getValue(entry)).toBe(500);
+            await expect(conn.write(entry, 1010)).rejects.toMatchObject({ code: 'OUT_OF_RANGE', constraint: { min: 0, max: 1000 } });
+            await expect(conn.write(entry, 505)).rejects.toMatchObject({ code: 'INVALID_STEP', constraint: { step: 10 } });
+        } finally {
+            conn.close();
+            await sim.stop();
+        }
+    });
+});
+
+describe('Object id discovery scan', () => {
+    const InverterSimulator = require('./simulator.js');
+    const { guessType, resolveTargets, MAX_SCAN_TARGETS } = require('./scanner.js');
+    let sim;
+    let conn;
+
+    beforeEach(async () => {
+        sim = new InverterSimulator({
+            values: [
+                [Identifier.BATTERY_POWER_W, 1234.5],
+                [{ id: 0x00001002, type: 'uint16' }, 42],
+                [{ id: 0x00001004, type: 'string' }, 'HELLO'],
+            ],
+        });
+        const { host, port } = await sim.start();
+        conn = new Connection(host, port, 0);
+    });
+
+    afterEach(async () => {
+        conn.close();
+        await sim.stop();
+    });
+
+    test('guesses types from length and content', () => {
+        expect(guessType([])).toBe(null);
+        expect(guessType([1])).toBe('uint8');
+        expect(guessType([0, 1])).toBe('uint16');
+        expect(guessType([0x44, 0x9A, 0x50, 0x00])).toBe('float32'); // 1234.5
+        expect(guessType([0x00, 0x00, 0x00, 0x07])).toBe('uint32');  // Denormal als float
+        expect(guessType(Buffer.from('SN123\0\0'))).toBe('string');
+        expect(guessType([0x01, 0x02, 0x03])).toBe(null);
+    });
+
+    test('reports answering ids and sends only READ frames', async () => {
+        const progress = jest.fn();
+        const report = await conn.scan({ from: 0x1000, to: 0x1005 }, { delayMs: 0, timeoutMs: 50, batchSize: 4, onProgress: progress });
+
+        expect(report.scanned).toBe(6);
+        expect(report.results).toEqual([
+            { id: '0x00001002', length: 2, data: '002a', type: 'uint16', value: 42, known: null },
+            { id: '0x00001004', length: 5, data: Buffer.from('HELLO').toString('hex'), type: 'string', value: 'HELLO', known: null },
+        ]);
+        expect(sim.requests.every(dg => dg.cmd === Command.READ)).toBe(true);
+        expect(sim.writes).toHaveLength(0);
+        expect(progress).toHaveBeenLastCalledWith({ scanned: 6, total: 6, found: 2 });
+    });
+
+    test('marks known ids and retries missing ones', async () => {
+        sim.setFaults({ dropNext: 1 });
+        const report = await conn.scan([Identifier.BATTERY_POWER_W, '0x00001002'], { delayMs: 0, timeoutMs: 50 });
+        expect(report.results.map(r => r.known)).toEqual([null, 'g_sync.p_acc_lp']);
+        expect(report.results[1].value).toBe(1234.5);
+    });
+
+    test('exports definitions that Identifier can load', async () => {
+        const report = await conn.scan(['0x00001002', '0x00001004', Identifier.BATTERY_POWER_W], { delayMs: 0, timeoutMs: 50 });
+        const defs = JSON.parse(JSON.stringify(report.toDefinitions()));
+        expect(defs).toEqual([
+            { id: '0x00001002', name: 'unknown.0x00001002', type: 'uint16', writable: false, description: 'Discovered object 0x00001002 (2 bytes)' },
+            { id: '0x00001004', name: 'unknown.0x00001004', type: 'string', writable: false, description: 'Discovered object 0x00001004 (5 bytes)' },
+        ]);
+
+        const entries = Identifier.loadDefinitions(defs);
+        try {
+            expect(Identifier.getById(0x1002).type).toBe('uint16');
+            await expect(conn.query(Identifier.getByName('unknown.0x00001004'))).resolves.toBe('HELLO');
+        } finally {
+            entries.forEach(entry => Identifier.unregister(entry));
+        }
+    });
+
+    test('validates targets and options', async () => {
+        await expect(conn.scan('0x1000')).rejects.toThrow('scan expects an array of ids or a range');
+        await expect(conn.scan({ from: 5, to: 1 })).rejects.toThrow('Invalid scan range');
+        await expect(conn.scan({ from: 0, to: 0xFFFFFFFF })).rejects.toThrow('Scan range too large: 4294967296 ids');
+        expect(resolveTargets({ from: 0, to: 0xFFFFFFFF, step: 0x10000 })).toHaveLength(MAX_SCAN_TARGETS);
+        await expect(conn.scan(['nope'])).rejects.toThrow('Invalid object id');
+        await expect(conn.scan([1], { write: true })).rejects.toThrow("Unknown scan option 'write'");
+    });
+});
+
+describe('Traffic recorder and replay', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const InverterSimulator = require('./simulator.js');
+    const { TrafficRecorder, ReplayTransport, readRecording } = require('./recorder.js');
+
+    let sim;
+
+    beforeEach(async () => {
+        sim = new InverterSimulator({ values: [[Identifier.BATTERY_POWER_W, 1234.5], [Identifier.INVERTER_SN, 'SIM-0001']] });
+        await sim.start();
+    });
+
+    afterEach(async () => {
+        await sim.stop();
+    });
+
+    // Nimmt eine Sitzung mit fragmentierten Antworten und einem unaufgeforderten Frame auf
+    async function recordSession(recorder) {
+        const conn = new Connection(sim.host, sim.port, 0, 1000, { recorder, receiveTimeoutMs: 200 });
+        const unsolicited = new Promise(resolve => conn.once('datagram', resolve));
+        sim.setFaults({ fragmentSize: 3 });
+        await conn.query(Identifier.BATTERY_POWER_W);
+        sim.sendUnsolicited({ id: 0x12345678, data: [1, 2] });
+        await unsolicited;
+        await conn.query(Identifier.INVERTER_SN);
+        const closed = new Promise(resolve => conn.once('disconnect', resolve));
+        conn.close();
+        await closed;
+    }
+
+    test('records TX buffers, RX chunks and connection events', async () => {
+        const recorder = new TrafficRecorder();
+        await recordSession(recorder);
+
+        const dirs = recorder.entries.map(e => e.dir);
+        expect(dirs[0]).toBe('connect');
+        expect(dirs.filter(d => d === 'tx')).toHaveLength(2);
+        expect(dirs.filter(d => d === 'rx').length).toBeGreaterThan(4); // fragmentiert
+        expect(dirs[dirs.length - 1]).toBe('close');
+        expect(recorder.entries.every(e => typeof e.t === 'number')).toBe(true);
+
+        const tx = recorder.entries.find(e => e.dir === 'tx');
+        const builder = new DatagramBuilder();
+        builder.build({ cmd: Command.READ, id: Identifier.BATTERY_POWER_W.id, data: null });
+        expect(tx.hex).toBe(Buffer.from(builder.bytes()).toString('hex'));
+    });
+
+    test('replays a recording through the parser and Connection offline', async () => {
+        const file = path.join(os.tmpdir(), `rct-traffic-${process.pid}.jsonl`);
+        const recorder = new TrafficRecorder(file);
+        try {
+            await recordSession(recorder);
+            recorder.close();
+            await sim.stop();
+
+            const replay = new ReplayTransport(file);
+            expect(replay.entries).toEqual(readRecording(file));
+
+            const conn = new Connection('replay', 0, 0, 1000, { transport: replay, receiveTimeoutMs: 200 });
+            const datagrams = [];
+            conn.on('datagram', dg => datagrams.push(dg));
+
+            await expect(conn.query(Identifier.BATTERY_POWER_W)).resolves.toBe(1234.5);
+            await expect(conn.query(Identifier.INVERTER_SN)).resolves.toBe('SIM-0001');
+            expect(datagrams.map(dg => dg.id)).toEqual([0x12345678]);
+            expect(replay.mismatches).toEqual([]);
+            conn.close();
+        } finally {
+            fs.unlinkSync(file);
+        }
+    });
+
+    test('reports writes that differ from the recording', async () => {
+        const recorder = new TrafficRecorder();
+        await recordSession(recorder);
+
+        const replay = new ReplayTransport(recorder.entries);
+        const conn = new Connection('replay', 0, 0, 1000, { transport: replay, receiveTimeoutMs: 50, maxRetries: 1 });
+        const mismatch = jest.fn();
+        replay.on('mismatch', mismatch);
+
+        await expect(conn.query(Identifier.INVERTER_SN)).rejects.toThrow();
+        expect(mismatch).toHaveBeenCalledWith(expect.objectContaining({ index: 1, actual: expect.any(String) }));
+        conn.close();
+    });
+
+    test('validates recorder and transport', () => {
+        expect(() => new TrafficRecorder(42)).toThrow('Invalid recorder target');
+        expect(() => new TrafficRecorder().record('up')).toThrow("Invalid recording direction 'up'");
+        expect(() => new Connection('h', 1, 0, 1000, { recorder: {} })).toThrow('Invalid recorder');
+        expect(() => new Connection('h', 1, 0, 1000, { transport: {} })).toThrow("Invalid connection option 'transport'");
+    });
+});
+
+describe('Offline frame decoder', () => {
+    const { parseHexDump, readPcap, decodeFrames, formatEntry } = require('./decoder.js');
+    const codec = require('./codec.js');
+
+    function frame(cmd, id, data = null) {
+        const builder = new DatagramBuilder();
+        builder.build({ cmd, id, data });
+        return Buffer.from(builder.bytes());
+    }
+
+    // Ethernet/IPv4/TCP-Paket mit Nutzdaten
+    function tcpPacket([srcIp, srcPort], [dstIp, dstPort], seq, payload) {
+        const tcp = Buffer.alloc(20);
+        tcp.writeUInt16BE(srcPort, 0);
+        tcp.writeUInt16BE(dstPort, 2);
+        tcp.writeUInt32BE(seq, 4);
+        tcp[12] = 5 << 4;
+        const ip = Buffer.alloc(20);
+        ip[0] = 0x45;
+        ip.writeUInt16BE(20 + 20 + payload.length, 2);
+        ip[9] = 6;
+        Buffer.from(srcIp).copy(ip, 12);
+        Buffer.from(dstIp).copy(ip, 16);
+        const ethernet = Buffer.alloc(14);
+        ethernet.writeUInt16BE(0x0800, 12);
+        return Buffer.concat([ethernet, ip, tcp, payload]);
+    }
+
+    function pcap(packets) {
+        const header = Buffer.alloc(24);
+        header.writeUInt32LE(0xa1b2c3d4, 0);
+        header.writeUInt16LE(2, 4);
+        header.writeUInt16LE(4, 6);
+        header.writeUInt32LE(65535, 16);
+        header.writeUInt32LE(1, 20);
+        return Buffer.concat([header, ...packets.map((packet, i) => {
+            const record = Buffer.alloc(16);
+            record.writeUInt32LE(1700000000 + i, 0);
+            record.writeUInt32LE(packet.length, 8);
+            record.writeUInt32LE(packet.length, 12);
+            return Buffer.concat([record, packet]);
+        })]);
+    }
+
+    function pcapng(packets) {
+        const block = (type, body) => {
+            const length = 12 + body.length;
+            const head = Buffer.alloc(8);
+            head.writeUInt32LE(type, 0);
+            head.writeUInt32LE(length, 4);
+            const tail = Buffer.alloc(4);
+            tail.writeUInt32LE(length, 0);
+            return Buffer.concat([head, body, tail]);
+        };
+        const shb = Buffer.alloc(16);
+        shb.writeUInt32LE(0x1A2B3C4D, 0);
+        shb.writeUInt16LE(1, 4);
+        shb.writeInt32LE(-1, 8);
+        shb.writeInt32LE(-1, 12);
+        const idb = Buffer.alloc(8);
+        idb.writeUInt16LE(1, 0);
+        return Buffer.concat([block(0x0A0D0D0A, shb), block(1, idb), ...packets.map(packet => {
+            const epb = Buffer.alloc(20);
+            epb.writeUInt32LE(packet.length, 12);
+            epb.writeUInt32LE(packet.length, 16);
+            const padding = Buffer.alloc((4 - packet.length % 4) % 4);
+            return block(6, Buffer.concat([epb, packet, padding]));
+        })]);
+    }
+
+    const read = frame(Command.READ, Identifier.BATTERY_SOC.id);
+    const response = frame(Command.RESPONSE, Identifier.BATTERY_SOC.id, codec.encode('float32', 0.5));
+
+    test('parses plain, Wireshark and xxd hex dumps', () => {
+        const expected = Buffer.from('2b0104959930bf', 'hex');
+        expect(parseHexDump('2B 01 04 95 99 30 BF')).toEqual(expected);
+        expect(parseHexDump('0x2B, 0x01, 0x04, 0x95, 0x99, 0x30, 0xBF')).toEqual(expected);
+        expect(parseHexDump('0000   2b 01 04 95 99 30 bf   +....0.')).toEqual(expected);
+        expect(parseHexDump('00000000: 2b01 0495 9930 bf  +....0.')).toEqual(expected);
+        expect(() => parseHexDump('2B 0')).toThrow('Invalid hex dump');
+    });
+
+    test('decodes frames and flags rejected bytes with a reason', () => {
+        const corrupt = Buffer.from(response);
+        corrupt[corrupt.length - 1] ^= 0xFF;
+        const entries = decodeFrames(Buffer.concat([Buffer.from([0x01, 0x02]), read, response, corrupt, response.subarray(0, 4)]));
+
+        expect(entries.map(e => e.reason || e.command)).toEqual(['NOISE', 'Read', 'Response', 'CRC_MISMATCH', 'TRUNCATED']);
+        expect(entries[2]).toEqual(expect.objectContaining({
+            id: '0x959930BF', name: 'battery.soc', value: 0.5, crc: 'ok', offset: 2 + read.length,
+        }));
+        expect(entries[3].crc.received).not.toBe(entries[3].crc.expected);
+        expect(formatEntry(entries[2])).toMatch(/Response\s+0x959930BF battery\.soc\s+= 0\.5\s+CRC ok/);
+        expect(formatEntry(entries[3])).toContain('discarded 13 byte(s): CRC_MISMATCH');
+    });
+
+    test('flags short frames and restarts', () => {
+        const entries = decodeFrames(Buffer.concat([Buffer.from([0x2B]), Buffer.from('2b010200001234', 'hex'), read]));
+        expect(entries.map(e => e.reason || e.command)).toEqual(['RESTART', 'SHORT_FRAME', 'Read']);
+    });
+
+    test('reassembles TCP payloads from pcap and pcapng captures', () => {
+        const client = [[192, 168, 0, 10], 51234];
+        const inverter = [[192, 168, 0, 211], 8899];
+        const packets = [
+            tcpPacket(client, inverter, 1000, read),
+            tcpPacket(inverter, client, 5000, response.subarray(0, 5)),
+            tcpPacket(inverter, client, 5005, response.subarray(5)),
+            tcpPacket(inverter, client, 5005, response.subarray(5)), // Retransmission
+        ];
+        for (const capture of [pcap(packets), pcapng(packets)]) {
+            const flows = readPcap(capture);
+            expect(flows.map(f => `${f.src} -> ${f.dst}`)).toEqual([
+                '192.168.0.10:51234 -> 192.168.0.211:8899',
+                '192.168.0.211:8899 -> 192.168.0.10:51234',
+            ]);
+            const bytes = Buffer.concat(flows[1].chunks.map(c => c.data));
+            expect(bytes).toEqual(response);
+            expect(decodeFrames(bytes).map(e => e.value)).toEqual([0.5]);
+        }
+        expect(() => readPcap(Buffer.alloc(30))).toThrow('Not a pcap or pcapng capture');
+    });
+});
+
+describe('Parser diagnostics', () => {
+    const InverterSimulator = require('./simulator.js');
+    const { Reason } = DatagramParser;
+
+    function parseAll(bytes, options) {
+        const parser = new DatagramParser(options);
+        const results = [];
+        let buffer = Buffer.from(bytes);
+        while (buffer.length > 0) {
+            parser.buffer = buffer;
+            const parsed = parser.parse();
+            if (!parsed) break;
+            results.push(parsed);
+            buffer = buffer.subarray(parsed.bytesConsumed);
+        }
+        return results;
+    }
+
+    const read = () => {
+        const builder = new DatagramBuilder();
+        builder.build({ cmd: Command.READ, id: Identifier.BATTERY_SOC.id, data: null });
+        return Buffer.from(builder.bytes());
+    };
+
+    test('tags every discard with a reason code', () => {
+        const corrupt = read();
+        corrupt[corrupt.length - 1] ^= 0xFF;
+        const results = parseAll(Buffer.concat([
+            Buffer.from([0x00, 0x11]),             // Noise
+            Buffer.from([0x2B]),                   // Neustart
+            Buffer.from('2b01020000ffff', 'hex'),  // Kurz-Frame
+            corrupt,
+            Buffer.from('2b062000', 'hex'),        // LONG-Länge 0x2000 über maxLength
+            read(),
+        ]), { maxLength: 0x1000 });
+
+        expect(results.map(r => r.datagram ? 'frame' : r.reason)).toEqual([
+            Reason.NOISE, Reason.RESTART, Reason.SHORT_FRAME, Reason.CRC_MISMATCH,
+            Reason.LENGTH_OVERFLOW, Reason.NOISE, 'frame',
+        ]);
+        const crc = results[3].crc;
+        expect(crc.received).not.toBe(crc.expected);
+        expect(results[4].bytesConsumed).toBe(1);
+    });
+
+    test('a garbage LONG length overflows the default limit and the next frame parses cleanly', () => {
+        const results = parseAll(Buffer.concat([
+            Buffer.from('2b06c3a9', 'hex'),        // verfälschte LONG-Länge 0xC3A9
+            read(),
+        ]));
+
+        expect(results.map(r => r.datagram ? 'frame' : r.reason)).toEqual([
+            Reason.LENGTH_OVERFLOW, Reason.NOISE, 'frame',
+        ]);
+        expect(results[0].bytesConsumed).toBe(1);
+        expect(results[2].datagram.id).toBe(Identifier.BATTERY_SOC.id);
+    });
+
+    test('maxLength is configurable', () => {
+        const [result] = parseAll(read(), { maxLength: 3 });
+        expect(result.reason).toBe(Reason.LENGTH_OVERFLOW);
+    });
+
+    test('counts frames and discards on the connection', async () => {
+        const sim = new InverterSimulator({ values: [[Identifier.BATTERY_POWER_W, 1234.5]] });
+        const { host, port } = await sim.start();
+        const conn = new Connection(host, port, 0, 1000, { receiveTimeoutMs: 200, initialBackoffMs: 1 });
+        try {
+            expect(conn.stats.parser.discarded).toEqual({
+                NOISE: 0, SHORT_FRAME: 0, RESTART: 0, CRC_MISMATCH: 0, LENGTH_OVERFLOW: 0,
+            });
+
+            sim.setFaults({ corruptNext: 1 });
+            await conn.connect();
+            sim.sendRaw([0x00, 0x11, 0x22]);
+            await expect(conn.query(Identifier.BATTERY_POWER_W)).resolves.toBe(1234.5);
+
+            const stats = conn.stats.parser;
+            expect(stats.frames).toBe(1);
+            expect(stats.discarded.NOISE).toBe(1);
+            expect(stats.discardedBytes.NOISE).toBe(3);
+            expect(stats.discarded.CRC_MISMATCH).toBe(1);
+            expect(stats.lastDiscard).toEqual({ reason: Reason.CRC_MISMATCH, bytes: expect.any(Number), at: expect.any(Number) });
+
+            conn.resetStats();
+            expect(conn.stats.parser.frames).toBe(0);
+            expect(conn.stats.parser.lastDiscard).toBe(null);
+        } finally {
+            conn.close();
+            await sim.stop();
+        }
+    });
+});
+
+describe('Datagram streams', () => {
+    const net = require('net');
+    const { pipeline, Readable, Writable } = require('stream');
+    const InverterSimulator = require('./simulator.js');
+    const { DatagramDecoder, DatagramEncoder } = require('./streams.js');
+    const codec = require('./codec.js');
+
+    const response = { cmd: Command.RESPONSE, id: Identifier.BATTERY_SOC.id, data: codec.encode('float32', 0.5) };
+
+    function collect(stream) {
+        const items = [];
+        stream.on('data', item => items.push(item));
+        return new Promise((resolve, reject) => {
+            stream.on('end', () => resolve(items));
+            stream.on('error', reject);
+        });
+    }
+
+    test('round-trips datagrams through encoder and decoder', async () => {
+        const encoder = new DatagramEncoder();
+        const decoder = new DatagramDecoder();
+        const result = collect(encoder.pipe(decoder));
+
+        encoder.write({ cmd: Command.READ, id: Identifier.BATTERY_SOC.id });
+        encoder.write(response);
+        encoder.end({ cmd: Command.LONG_RESPONSE, id: 0x12345678, data: new Array(300).fill(0x41) });
+
+        const dgs = await result;
+        expect(dgs.map(dg => dg.cmd)).toEqual([Command.READ, Command.RESPONSE, Command.LONG_RESPONSE]);
+        expect(dgs[1].float32()).toBe(0.5);
+        expect(dgs[2].data).toHaveLength(300);
+    });
+
+    test('reassembles fragmented input and reports discards', async () => {
+        const encoder = new DatagramEncoder();
+        const bytes = [];
+        encoder.on('data', chunk => bytes.push(...chunk));
+        encoder.end(response);
+        await new Promise(resolve => encoder.on('end', resolve));
+
+        const decoder = new DatagramDecoder();
+        const discards = [];
+        decoder.on('discard', d => discards.push(d));
+        const result = collect(decoder);
+
+        decoder.write(Buffer.from([0x00, 0x11]));
+        for (const b of bytes) decoder.write(Buffer.from([b]));
+        decoder.end(Buffer.from(bytes.slice(0, 5)));
+
+        const dgs = await result;
+        expect(dgs).toHaveLength(1);
+        expect(dgs[0].id).toBe(Identifier.BATTERY_SOC.id);
+        expect(discards).toEqual([{ reason: 'NOISE', bytes: 2 }, { reason: 'TRUNCATED', bytes: 5 }]);
+    });
+
+    test('respects backpressure of slow consumers', async () => {
+        const frames = Array.from({ length: 200 }, (_, i) => ({ ...response, id: i + 1 }));
+        const decoder = new DatagramDecoder({ readableHighWaterMark: 4 });
+        const received = [];
+        const slow = new Writable({
+            objectMode: true,
+            highWaterMark: 1,
+            write(dg, encoding, callback) {
+                received.push(dg.id);
+                setImmediate(callback);
+            },
+        });
+
+        await new Promise((resolve, reject) => pipeline(
+            Readable.from(frames, { objectMode: true }), new DatagramEncoder(), decoder, slow,
+            err => (err ? reject(err) : resolve()),
+        ));
+        expect(received).toEqual(frames.map(f => f.id));
+    });
+
+    test('fails on invalid descriptors', async () => {
+        const encoder = new DatagramEncoder();
+        const failed = new Promise(resolve => encoder.on('error', resolve));
+        encoder.write({ cmd: Command.WRITE, id: 1, data: new Array(300).fill(0) });
+        await expect(failed).resolves.toEqual(expect.objectContaining({ message: expect.stringContaining('Payload too long') }));
+    });
+
+    test('talks to an inverter over a plain socket', async () => {
+        const sim = new InverterSimulator({ values: [[Identifier.BATTERY_SOC, 0.5]] });
+        const { host, port } = await sim.start();
+        const socket = net.createConnection({ host, port });
+        try {
+            const encoder = new DatagramEncoder();
+            const decoder = new DatagramDecoder();
+            encoder.pipe(socket).pipe(decoder);
+
+            const dg = new Promise(resolve => decoder.once('data', resolve));
+            encoder.write({ cmd: Command.READ, id: Identifier.BATTERY_SOC.id });
+            expect((await dg).value(Identifier.BATTERY_SOC)).toBe(0.5);
+        } finally {
+            socket.destroy();
+            await sim.stop();
+        }
+    });
+});
+
+describe('Transports', () => {
+    const InverterSimulator = require('./simulator.js');
+    const { StreamTransport, createDuplexPair } = require('./transports.js');
+
+    const setups = {
+        tcp: async (sim) => {
+            const { host, port } = await sim.start();
+            return new Connection(host, port, 0, 1000, SIMULATOR_OPTIONS);
+        },
+        memory: async (sim) => createSimulatedConnection(sim, { cacheDuration: 0 }),
+        stream: async (sim) => {
+            // z. B. RS485-Adapter: open() liefert einen Duplex-Stream
+            const transport = new StreamTransport({
+                open: async () => {
+                    const [local, remote] = createDuplexPair();
+                    sim.attach(remote);
+                    return local;
+                },
+            });
+            return new Connection('rs485', 0, 0, 1000, { transport, ...SIMULATOR_OPTIONS });
+        },
+    };
+
+    describe.each(Object.keys(setups))('%s', (name) => {
+        let sim;
+        let conn;
+
+        beforeEach(async () => {
+            sim = new InverterSimulator({
+                values: [
+                    [Identifier.BATTERY_POWER_W, 1234.5],
+                    [Identifier.BATTERY_STATUS, 0],
+                    [Identifier.POWER_MNG_SOC_TARGET_SET, 0.5],
+                    [Identifier.BATTERY_TOWER_1_BMS_SN, 'B'.repeat(300)],
+                ],
+            });
+            conn = await setups[name](sim);
+        });
+
+        afterEach(async () => {
+            conn.close();
+            await sim.stop();
+        });
+
+        test('query() and write() behave the same', async () => {
+            await expect(conn.query(Identifier.BATTERY_POWER_W)).resolves.toBe(1234.5);
+            await expect(conn.query(Identifier.BATTERY_TOWER_1_BMS_SN)).resolves.toBe('B'.repeat(300));
+            await conn.write(Identifier.POWER_MNG_SOC_TARGET_SET, 0.75, { confirm: true });
+            expect(sim.getValue(Identifier.POWER_MNG_SOC_TARGET_SET)).toBe(0.75);
+        });
+
+        test('reports a remote close and reconnects on the next request', async () => {
+            await conn.query(Identifier.BATTERY_POWER_W);
+            const disconnected = new Promise(resolve => conn.once('disconnect', resolve));
+            sim.disconnect();
+            await expect(disconnected).resolves.toEqual(expect.objectContaining({ reason: expect.stringMatching(/remote|error/) }));
+
+            await expect(conn.query(Identifier.BATTERY_POWER_W)).resolves.toBe(1234.5);
+        });
+    });
+
+    test('a device path that cannot be opened fails the connect', async () => {
+        const transport = new StreamTransport({ path: '/nonexistent/ttyUSB9' });
+        const conn = new Connection('rs485', 0, 0, 1000, { transport });
+        await expect(conn.connect()).rejects.toThrow('ENOENT');
+    });
+
+    test('validates StreamTransport options', () => {
+        expect(() => new StreamTransport({})).toThrow('requires an open() function or a device path');
+    });
+});
+
+describe('Reference-counted connection pool', () => {
+    const host = '127.0.0.1';
+    let graceMs;
+
+    beforeEach(() => {
+        graceMs = Connection.pool.graceMs;
+        jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    });
+
+    afterEach(async () => {
+        jest.useRealTimers();
+        Connection.pool.graceMs = graceMs;
+        await Connection.pool.closeAll();
+    });
+
+    const entry = port => Connection.pool.list().find(e => e.port === port);
+
+    test('closes only after the last holder released and the grace period passed', () => {
+        const a = Connection.acquire(host, 21001, 0);
+        const b = Connection.acquire(host, 21001, 0);
+        expect(a).toBe(b);
+        expect(entry(21001)).toEqual(expect.objectContaining({ key: `${host}:21001`, refs: 2, idleSince: null }));
+
+        a.release();
+        expect(entry(21001).refs).toBe(1);
+        b.release();
+        expect(entry(21001)).toEqual(expect.objectContaining({ refs: 0, idleSince: expect.any(Number) }));
+        expect(a.state).not.toBe(Connection.State.CLOSED);
+
+        jest.advanceTimersByTime(Connection.pool.graceMs);
+        expect(a.state).toBe(Connection.State.CLOSED);
+        expect(entry(21001)).toBeUndefined();
+        expect(Connection.acquire(host, 21001, 0)).not.toBe(a);
+    });
+
+    test('acquiring during the grace period keeps the connection', () => {
+        const a = Connection.acquire(host, 21002, 0);
+        a.release();
+        jest.advanceTimersByTime(Connection.pool.graceMs - 1);
+        expect(Connection.acquire(host, 21002, 0)).toBe(a);
+
+        jest.advanceTimersByTime(Connection.pool.graceMs);
+        expect(a.state).not.toBe(Connection.State.CLOSED);
+        expect(entry(21002).refs).toBe(1);
+    });
+
+    test('closes immediately without grace period', () => {
+        Connection.pool.graceMs = 0;
+        const a = Connection.acquire(host, 21003, 0);
+        a.release();
+        expect(a.state).toBe(Connection.State.CLOSED);
+        expect(entry(21003)).toBeUndefined();
+    });
+
+    test('rejects unbalanced releases', () => {
+        const a = Connection.acquire(host, 21004, 0);
+        a.release();
+        expect(() => a.release()).toThrow('is not acquired from the pool');
+        expect(() => new Connection(host, 21005, 0).release()).toThrow('is not acquired from the pool');
+
+        const b = Connection.acquire(host, 21006, 0);
+        b.close();
+        expect(() => b.release()).not.toThrow(); // nach close() harmlos
+    });
+
+    test('stays pooled after an idle disconnect', () => {
+        const a = Connection.acquire(host, 21007, 0);
+        a._closeReason = 'idle';
+        a.close();
+        expect(a.state).toBe(Connection.State.DISCONNECTED);
+        expect(Connection.acquire(host, 21007, 0)).toBe(a);
+    });
+
+    test('closeAll() completes pending requests first', async () => {
+        const a = Connection.acquire(host, 21008, 0);
+        const b = Connection.getPooledConnection(host, 21009, 0);
+        let finished = false;
+        const request = a._enqueueRequest(() => new Promise(resolve => setTimeout(() => {
+            finished = true;
+            resolve();
+        }, 100)));
+
+        const closing = Connection.pool.closeAll();
+        expect(Connection.pool.list()).toHaveLength(1); // a wartet noch auf den Request
+        jest.advanceTimersByTime(100);
+        await request;
+        await closing;
+
+        expect(finished).toBe(true);
+        expect(a.state).toBe(Connection.State.CLOSED);
+        expect(b.state).toBe(Connection.State.CLOSED);
+        expect(Connection.pool.list()).toEqual([]);
+    });
+});
+
+describe('Request cancellation and per-call options', () => {
+    const InverterSimulator = require('./simulator.js');
+    const { AbortError, isAbortError } = require('./recoverable.js');
+    let sim;
+    let conn;
+
+    const connect = (options = {}) => {
+        conn = createSimulatedConnection(sim, { cacheDuration: 0, ...options });
+    };
+
+    beforeEach(() => {
+        sim = new InverterSimulator({
+            values: [
+                [Identifier.BATTERY_POWER_W, 1234.5],
+                [Identifier.BATTERY_STATUS, 0],
+                [Identifier.POWER_MNG_SOC_TARGET_SET, 0.5],
+            ],
+        });
+        connect();
+    });
+
+    afterEach(async () => {
+        conn.close();
+        await sim.stop();
+    });
+
+    test('a failed write reports the verification error after the last attempt', async () => {
+        // Register bleibt stehen: jeder Read-back weicht ab
+        sim.on('write', () => sim.setValue(Identifier.POWER_MNG_SOC_TARGET_SET, 0.5));
+
+        for (const retries of [1, 3]) {
+            const err = await conn.write(Identifier.POWER_MNG_SOC_TARGET_SET, 0.8, { confirm: true, retries }).catch(e => e);
+            expect(err).toBeInstanceOf(RecoverableError);
+            expect(err.message).toBe(`Write and Read verification failed for '${Identifier.POWER_MNG_SOC_TARGET_SET.description}'`);
+        }
+
+        // Read-back nach jedem Write bleibt unbeantwortet
+        sim.on('write', () => sim.setFaults({ dropNext: 1 }));
+        const err = await conn.write(Identifier.POWER_MNG_SOC_TARGET_SET, 0.8, { confirm: true, retries: 2 }).catch(e => e);
+        expect(err).toBeInstanceOf(RecoverableError);
+        expect(err.message).toBe(`Fallback Read failed for '${Identifier.POWER_MNG_SOC_TARGET_SET.description}'`);
+    });
+
+    test('an already aborted signal rejects without sending', async () => {
+        const controller = new AbortController();
+        controller.abort('not needed');
+
+        const err = await conn.query(Identifier.BATTERY_POWER_W, { signal: controller.signal }).catch(e => e);
+        expect(err).toBeInstanceOf(AbortError);
+        expect(err).toEqual(expect.objectContaining({ name: 'AbortError', code: 'ABORT_ERR', cause: 'not needed' }));
+        expect(conn.conn).toBeNull();
+        expect(conn._activeRequests).toBe(0);
+    });
+
+    test('aborting a queued request removes it from the queue', async () => {
+        sim.setFaults({ delayMs: 30 });
+        const controller = new AbortController();
+        const first = conn.query(Identifier.BATTERY_POWER_W);
+        const second = conn.query(Identifier.BATTERY_STATUS, { signal: controller.signal });
+        expect(conn._requestQueue).toHaveLength(1);
+
+        controller.abort();
+        expect(conn._requestQueue).toHaveLength(0);
+        await expect(second).rejects.toThrow(AbortError);
+        await expect(first).resolves.toBe(1234.5);
+        expect(conn._activeRequests).toBe(0);
+    });
+
+    test('aborting while waiting for the response clears the waiter', async () => {
+        sim.setFaults({ dropNext: 1 });
+        const controller = new AbortController();
+        const request = conn.query(Identifier.BATTERY_POWER_W, { signal: controller.signal, timeoutMs: 5000 });
+        await new Promise(resolve => conn.once('connect', resolve));
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        const start = Date.now();
+        controller.abort();
+        await expect(request).rejects.toThrow(AbortError);
+        expect(Date.now() - start).toBeLessThan(1000);
+        expect(conn._waiter).toBeNull();
+
+        await expect(conn.query(Identifier.BATTERY_POWER_W)).resolves.toBe(1234.5);
+    });
+
+    test('aborting stops the retry loop during the backoff pause', async () => {
+        conn.close();
+        connect({ initialBackoffMs: 10000 });
+        sim.setFaults({ dropNext: 1 });
+        const controller = new AbortController();
+        conn.on('retry', () => controller.abort());
+
+        const err = await conn.query(Identifier.BATTERY_POWER_W, { signal: controller.signal, timeoutMs: 20 }).catch(e => e);
+        expect(isAbortError(err)).toBe(true);
+        expect(conn._activeRequests).toBe(0);
+    });
+
+    test('AbortSignal.timeout() bounds the whole call including retries', async () => {
+        sim.setFaults({ dropNext: 100 });
+        const err = await conn.query(Identifier.BATTERY_POWER_W, { signal: AbortSignal.timeout(100), timeoutMs: 20 }).catch(e => e);
+        expect(err).toBeInstanceOf(AbortError);
+        expect(err.cause.name).toBe('TimeoutError');
+    });
+
+    test('timeoutMs and retries override the connection options per call', async () => {
+        sim.setFaults({ dropNext: 2 });
+        const retries = jest.fn();
+        conn.on('retry', retries);
+        await expect(conn.query(Identifier.BATTERY_POWER_W, { timeoutMs: 20, retries: 1 })).rejects.toThrow('Max retries reached');
+        expect(retries).not.toHaveBeenCalled();
+
+        sim.setFaults({ dropNext: 2 });
+        await expect(conn.query(Identifier.BATTERY_POWER_W, { timeoutMs: 20, retries: 3 })).resolves.toBe(1234.5);
+        expect(retries).toHaveBeenCalledTimes(2);
+    });
+
+    test('write() can be aborted and reports whether the frame went out', async () => {
+        conn.close();
+        connect({ writeVerifyDelayMs: 5000 });
+        const controller = new AbortController();
+        conn.on('response', () => setTimeout(() => controller.abort(), 20)); // nach dem Pre-Check
+
+        const err = await conn.write(Identifier.POWER_MNG_SOC_TARGET_SET, 0.75, { confirm: true, signal: controller.signal }).catch(e => e);
+        expect(err).toBeInstanceOf(AbortError);
+        expect(err.writeSent).toBe(true);
+        expect(sim.writes).toHaveLength(1);
+    });
+
+    test('write() retries the verification when asked to', async () => {
+        const retries = jest.fn();
+        conn.on('retry', retries);
+        conn.on('response', dg => {
+            // erste Verifikation verwerfen: Antwort auf den Pre-Check ist schon durch
+            if (dg.id === Identifier.BATTERY_STATUS.id) sim.setFaults({ dropNext: 1 });
+        });
+
+        await conn.write(Identifier.POWER_MNG_SOC_TARGET_SET, 0.75, { confirm: true, retries: 2, timeoutMs: 50 });
+        expect(retries).toHaveBeenCalledTimes(1);
+        expect(sim.getValue(Identifier.POWER_MNG_SOC_TARGET_SET)).toBe(0.75);
+    });
+
+    test('validates per-call options', async () => {
+        await expect(conn.query(Identifier.BATTERY_POWER_W, { timeout: 5 })).rejects.toThrow("Unknown request option 'timeout'");
+        await expect(conn.query(Identifier.BATTERY_POWER_W, { retries: 0 })).rejects.toThrow("Invalid request option 'retries'");
+        await expect(conn.query(Identifier.BATTERY_POWER_W, { timeoutMs: -1 })).rejects.toThrow("Invalid request option 'timeoutMs'");
+        await expect(conn.write(Identifier.POWER_MNG_SOC_TARGET_SET, 0.75, { signal: {} })).rejects.toThrow("Invalid request option 'signal'");
+    });
+});
+
+describe('Request priorities', () => {
+    const InverterSimulator = require('./simulator.js');
+    const { Priority } = Connection;
+    let sim;
+    let conn;
+
+    const connect = (options = {}) => {
+        // Cache aus: jeder Read ohne Dedupe geht an den Simulator
+        conn = createSimulatedConnection(sim, { cacheDuration: -1, ...options });
+    };
+    const reads = () => sim.requests.filter(dg => dg.cmd === Command.READ).map(dg => dg.id);
+
+    beforeEach(() => {
+        sim = new InverterSimulator({
+            values: [
+                [Identifier.BATTERY_POWER_W, 1234.5],
+                [Identifier.BATTERY_STATUS, 0],
+                [Identifier.BATTERY_SOC, 0.42],
+                [Identifier.POWER_MNG_SOC_STRATEGY, SOCStrategy.INTERNAL],
+                [Identifier.POWER_MNG_SOC_TARGET_SET, 0.5],
+            ],
+        });
+        sim.setFaults({ delayMs: 10 });
+    });
+
+    afterEach(async () => {
+        conn.close();
+        await sim.stop();
+    });
+
+    test('higher lanes overtake queued lower ones, FIFO within a lane', async () => {
+        connect();
+        const order = [];
+        const track = (name, promise) => promise.then(() => order.push(name));
+
+        const running = track('poll-1', conn.query(Identifier.BATTERY_POWER_W, { priority: Priority.BACKGROUND }));
+        const queued = [
+            track('poll-2', conn.query(Identifier.BATTERY_SOC, { priority: Priority.BACKGROUND })),
+            track('ui', conn.query(Identifier.POWER_MNG_SOC_STRATEGY)),
+            track('write', conn.write(Identifier.POWER_MNG_SOC_TARGET_SET, 0.75, { confirm: true })),
+        ];
+        // der Pre-Check des Writes läuft bereits in der Control-Lane
+        expect(conn._requestQueue.map(job => job.priority)).toEqual([Priority.CONTROL, Priority.INTERACTIVE, Priority.BACKGROUND]);
+
+        await Promise.all([running, ...queued]);
+        // zwischen Pre-Check und Write startet bereits der nächste Job (ui)
+        expect(order).toEqual(['poll-1', 'ui', 'write', 'poll-2']);
+    });
+
+    test('a control write overtakes a polling burst', async () => {
+        connect();
+        const polls = [Identifier.BATTERY_POWER_W, Identifier.BATTERY_SOC, Identifier.BATTERY_POWER_W, Identifier.BATTERY_SOC]
+            .map(identifier => conn.query(identifier, { priority: Priority.BACKGROUND }));
+        await new Promise(resolve => conn.once('response', resolve)); // erster Poll ist durch
+
+        await conn.write(Identifier.POWER_MNG_SOC_TARGET_SET, 0.75, { confirm: true });
+        expect(conn._requestQueue.length).toBeGreaterThan(0); // Polls warten noch
+        await Promise.all(polls);
+    });
+
+    test('dedupeReads lets concurrent reads of the same id share one request', async () => {
+        connect({ dedupeReads: true });
+        const results = await Promise.all([
+            conn.query(Identifier.BATTERY_SOC),
+            conn.query(Identifier.BATTERY_SOC),
+            conn.query(Identifier.POWER_MNG_SOC_STRATEGY),
+            conn.query({ ...Identifier.POWER_MNG_SOC_STRATEGY, enumMapping: null }),
+        ]);
+
+        expect(results[0]).toBeCloseTo(0.42);
+        expect(results[1]).toBeCloseTo(0.42);
+        expect(results[2]).toBe(Identifier.POWER_MNG_SOC_STRATEGY.enumMapping(SOCStrategy.INTERNAL));
+        expect(results[3]).toBe(SOCStrategy.INTERNAL);
+        expect(reads()).toEqual([Identifier.BATTERY_SOC.id, Identifier.POWER_MNG_SOC_STRATEGY.id]);
+        expect(conn._pendingReads.size).toBe(0);
+    });
+
+    test('a shared read is promoted to the most urgent caller', async () => {
+        connect({ dedupeReads: true });
+        const first = conn.query(Identifier.BATTERY_POWER_W);
+        const poll = conn.query(Identifier.BATTERY_SOC, { priority: Priority.BACKGROUND });
+        const ui = conn.query(Identifier.POWER_MNG_SOC_STRATEGY);
+        const urgent = conn.query(Identifier.BATTERY_SOC, { priority: Priority.CONTROL });
+        expect(conn._requestQueue.map(job => job.priority)).toEqual([Priority.CONTROL, Priority.INTERACTIVE]);
+
+        await Promise.all([first, poll, ui, urgent]);
+        expect(reads()).toEqual([Identifier.BATTERY_POWER_W.id, Identifier.BATTERY_SOC.id, Identifier.POWER_MNG_SOC_STRATEGY.id]);
+    });
+
+    test('without dedupeReads every query sends its own READ', async () => {
+        connect();
+        await Promise.all([conn.query(Identifier.BATTERY_SOC), conn.query(Identifier.BATTERY_SOC)]);
+        expect(reads()).toEqual([Identifier.BATTERY_SOC.id, Identifier.BATTERY_SOC.id]);
+    });
+
+    test('rejects background work when the queue is full', async () => {
+        connect({ maxQueueDepth: 2 });
+        const accepted = [
+            conn.query(Identifier.BATTERY_POWER_W, { priority: Priority.BACKGROUND }), // läuft sofort
+            conn.query(Identifier.BATTERY_SOC, { priority: Priority.BACKGROUND }),
+            conn.query(Identifier.BATTERY_POWER_W, { priority: Priority.BACKGROUND }),
+        ];
+        const rejected = conn.query(Identifier.BATTERY_SOC, { priority: Priority.BACKGROUND });
+        const interactive = conn.query(Identifier.BATTERY_STATUS);
+
+        await expect(rejected).rejects.toEqual(expect.objectContaining({ code: 'QUEUE_FULL' }));
+        await expect(interactive).resolves.toBe(0);
+        await Promise.all(accepted);
+        expect(conn._activeRequests).toBe(0);
+    });
+
+    test('scan batches wait for room in a full queue instead of failing the scan', async () => {
+        const warnings = [];
+        connect({ maxQueueDepth: 1, logger: { warn: message => warnings.push(message) } });
+        const busy = [Identifier.BATTERY_STATUS, Identifier.BATTERY_STATUS, Identifier.BATTERY_STATUS]
+            .map(identifier => conn.query(identifier));
+
+        const report = await conn.scan([Identifier.BATTERY_POWER_W.id, Identifier.BATTERY_SOC.id], { batchSize: 1, delayMs: 0, timeoutMs: 100 });
+        await Promise.all(busy);
+
+        expect(warnings).toContain('Request queue full, background request rejected');
+        expect(report.results.map(r => r.id)).toEqual(['0x400F015B', '0x959930BF']);
+    });
+
+    test('validates priorities and the new options', async () => {
+        connect();
+        await expect(conn.query(Identifier.BATTERY_SOC, { priority: 'urgent' })).rejects.toThrow("Invalid request option 'priority'");
+        await expect(conn.queryMany([Identifier.BATTERY_SOC], { priority: 'urgent' })).rejects.toThrow('Invalid priority');
+        expect(() => new Connection('localhost', 1, 0, 1000, { maxQueueDepth: 1.5 })).toThrow("Invalid connection option 'maxQueueDepth'");
+        expect(() => new Connection('localhost', 1, 0, 1000, { dedupeReads: 'yes' })).toThrow("Invalid connection option 'dedupeReads'");
+    });
+});
+
+describe('Write-safety policy', () => {
+    const { WritePolicy, WriteGuardError, RiskClass, Decision } = require('./writeguard.js');
+    let conn;
+
+    beforeEach(() => {
+        conn = new Connection('localhost', 12345, 1000);
+        conn.query = jest.fn(async () => 0);
+        conn._enqueueWriteOperation = jest.fn(async () => undefined);
+    });
+
+    test('accepts valid values of allowed identifiers', async () => {
+        await conn.write(Identifier.POWER_MNG_SOC_TARGET_SET, 0.75, { confirm: true });
+        await conn.write(Identifier.POWER_MNG_SOC_STRATEGY, SOCStrategy.EXTERNAL, { confirm: true });
+        await conn.write(Identifier.POWER_MNG_USE_GRID_POWER_ENABLE, false, { confirm: true });
+        expect(conn._enqueueWriteOperation).toHaveBeenCalledTimes(3);
+    });
+
+    test('requires confirmation for ALLOW_WITH_CONFIRMATION', async () => {
+        const err = await conn.write(Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, -1000).catch(e => e);
+        expect(err).toBeInstanceOf(WriteGuardError);
+        expect(err.toJSON()).toEqual({
+            code: 'CONFIRMATION_REQUIRED',
+            message: "Write requires confirmation ({ confirm: true }, HIGH risk) for 'power_mng.battery_power_extern'",
+            identifier: 'power_mng.battery_power_extern',
+            oid: '0xBD008E29',
+            value: -1000,
+            riskClass: RiskClass.HIGH,
+            decision: Decision.ALLOW_WITH_CONFIRMATION,
+            constraint: null,
+        });
+        await expect(conn.write(Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, -1000, { confirm: 'yes' }))
+            .rejects.toThrow("Invalid request option 'confirm'");
+    });
+
+    test('rejects wrong types, unknown enum values, ranges and steps', async () => {
+        const confirm = { confirm: true };
+        await expect(conn.write(Identifier.POWER_MNG_SOC_TARGET_SET, '0.5', { confirm: true })).rejects.toMatchObject({ code: 'INVALID_TYPE' });
+        await expect(conn.write(Identifier.POWER_MNG_SOC_TARGET_SET, NaN, { confirm: true })).rejects.toMatchObject({ code: 'INVALID_TYPE' });
+        await expect(conn.write(Identifier.POWER_MNG_SOC_STRATEGY, 9, confirm)).rejects.toMatchObject({
+            code: 'INVALID_VALUE', constraint: { allowedValues: expect.arrayContaining([SOCStrategy.INTERNAL]) },
+        });
+        await expect(conn.write(Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, 7000, confirm)).rejects.toMatchObject({
+            code: 'OUT_OF_RANGE', constraint: { min: -6000, max: 6000 },
+        });
+        await expect(conn.write(Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, 100.5, confirm)).rejects.toMatchObject({
+            code: 'INVALID_STEP', constraint: { step: 1 },
+        });
+        await expect(conn.write(Identifier.POWER_MNG_SOC_MIN, 0.125, { confirm: true })).rejects.toMatchObject({ code: 'INVALID_STEP' });
+        await conn.write(Identifier.POWER_MNG_SOC_MIN, 0.07, { confirm: true }); // Gleitkomma-Rest liegt innerhalb der Toleranz
+        expect(conn._enqueueWriteOperation).toHaveBeenCalledTimes(1);
+    });
+
+    test('denies read-only, unknown and DENY identifiers before any traffic', async () => {
+        await expect(conn.write(Identifier.BATTERY_SOC, 0.5)).rejects.toMatchObject({ code: 'WRITE_DENIED' });
+        const unknown = { id: 0x12345678, type: 'uint8', writable: true, description: 'Mystery' };
+        await expect(conn.write(unknown, 1)).rejects.toThrow("Write denied: no guard record for 'Mystery'");
+
+        conn.writePolicy.define(Identifier.POWER_MNG_SOC_CHARGE, { riskClass: RiskClass.HIGH, decision: Decision.DENY });
+        await expect(conn.write(Identifier.POWER_MNG_SOC_CHARGE, 0.5)).rejects.toMatchObject({
+            code: 'WRITE_DENIED', riskClass: RiskClass.HIGH, decision: Decision.DENY,
+        });
+
+        expect(conn.query).not.toHaveBeenCalled(); // auch kein Pre-Check
+        expect(conn._enqueueWriteOperation).not.toHaveBeenCalled();
+    });
+
+    test('policies are per connection unless shared', async () => {
+        const policy = new WritePolicy([]);
+        const strict = new Connection('localhost', 12346, 1000, 1000, { writePolicy: policy });
+        await expect(strict.write(Identifier.POWER_MNG_SOC_TARGET_SET, 0.5)).rejects.toMatchObject({ code: 'WRITE_DENIED' });
+        expect(conn.writePolicy.get(Identifier.POWER_MNG_SOC_TARGET_SET)).toEqual(expect.objectContaining({ decision: Decision.ALLOW_WITH_CONFIRMATION }));
+        expect(() => new Connection('localhost', 1, 0, 1000, { writePolicy: {} })).toThrow("Invalid connection option 'writePolicy'");
+    });
+
+    test('validates guard records', () => {
+        const policy = new WritePolicy([]);
+        expect(() => policy.define(Identifier.POWER_MNG_SOC_MIN, { riskClass: 'LOW', decision: 'ALLOW' }))
+            .toThrow("group 'power_mng' is high risk and must be classified HIGH");
+        expect(() => policy.define(Identifier.POWER_MNG_SOC_MIN, { riskClass: 'HIGH', decision: 'ALLOW' }))
+            .toThrow('HIGH risk writes must be denied or require confirmation');
+        const unbounded = { id: 0x12345678, name: 'power_mng.unbounded', type: 'float32', writable: true };
+        expect(() => policy.define(unbounded, { riskClass: 'HIGH', decision: 'ALLOW_WITH_CONFIRMATION' }))
+            .toThrow('HIGH risk writes need an identifier with enum or min and max');
+        expect(() => policy.define(Identifier.BATTERY_SYSTEM_SOC_TARGET, { riskClass: 'MEDIUM', decision: 'MAYBE' }))
+            .toThrow("unknown decision 'MAYBE'");
+        expect(() => policy.define(Identifier.BATTERY_SYSTEM_SOC_TARGET, { riskClass: 'MEDIUM', decision: 'ALLOW', min: 0, step: 0.1 }))
+            .toThrow('min, step belong to the identifier definition (min, max, step, enum)');
+        expect(policy.get(Identifier.BATTERY_SYSTEM_SOC_TARGET)).toBeNull();
+    });
+
+    test('lists the guard records in the documented schema', () => {
+        const rows = new WritePolicy().list();
+        expect(rows).toHaveLength(8);
+        expect(rows.find(row => row.oid === '0x36A9E9A6')).toEqual({
+            identifier: 'power_mng.use_grid_power_enable',
+            oid: '0x36A9E9A6',
+            risk_class: 'HIGH',
+            decision: 'ALLOW_WITH_CONFIRMATION',
+            datatype: 'uint8',
+            unit: null,
+            allowed_values: [0, 1],
+            min: null,
+            max: null,
+            step: null,
+            requires_confirmation: true,
+            requires_readback: true,
+            notes: 'allows charging the battery from the grid',
+        });
+    });
+});
+
+describe('Write transactions', () => {
+    const InverterSimulator = require('./simulator.js');
+    const { WriteGuardError } = require('./writeguard.js');
+    let sim;
+    let conn;
+
+    const chargeFromGrid = [
+        { identifier: Identifier.POWER_MNG_SOC_STRATEGY, value: SOCStrategy.EXTERNAL },
+        { identifier: Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, value: -3000 },
+        { identifier: Identifier.POWER_MNG_USE_GRID_POWER_ENABLE, value: true },
+    ];
+
+    // Simulator nimmt den Write an, beim Read-back steht aber `stuck` im Register
+    const rejectWrites = (identifier, stuck, times = 1) => {
+        sim.on('write', function revert(id) {
+            if (id !== identifier.id) return;
+            sim.setValue(identifier, stuck);
+            if (--times === 0) sim.off('write', revert);
+        });
+    };
+
+    beforeEach(() => {
+        sim = new InverterSimulator({
+            values: [
+                [Identifier.BATTERY_STATUS, 0],
+                [Identifier.POWER_MNG_SOC_STRATEGY, SOCStrategy.INTERNAL],
+                [Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, 0],
+                [Identifier.POWER_MNG_USE_GRID_POWER_ENABLE, 0],
+            ],
+        });
+        conn = createSimulatedConnection(sim);
+    });
+
+    afterEach(async () => {
+        conn.close();
+        await sim.stop();
+    });
+
+    test('applies all steps in order and reports them', async () => {
+        const result = await conn.transaction(chargeFromGrid, { confirm: true });
+
+        expect(result).toEqual(expect.objectContaining({ ok: true, applied: [0, 1, 2], rolledBack: [] }));
+        expect(result.steps[0]).toEqual({
+            index: 0, identifier: 'power_mng.soc_strategy', value: SOCStrategy.EXTERNAL, previous: SOCStrategy.INTERNAL, status: 'applied',
+        });
+        expect(sim.writes.map(w => w.id)).toEqual(chargeFromGrid.map(step => step.identifier.id));
+        expect(sim.getValue(Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W)).toBe(-3000);
+    });
+
+    test('reads the originals fresh instead of from the cache', async () => {
+        await conn.query(Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W); // 0 im Cache
+        sim.setValue(Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, 500);
+
+        const result = await conn.transaction([chargeFromGrid[1]], { confirm: true });
+        expect(result.steps[0].previous).toBe(500);
+    });
+
+    test('rolls back in reverse order when a step fails', async () => {
+        rejectWrites(Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, 0);
+        const writes = [];
+        conn.on('write', (identifier, value) => writes.push([identifier.id, value]));
+
+        const err = await conn.transaction(chargeFromGrid, { confirm: true }).catch(e => e);
+        expect(err.code).toBe('TRANSACTION_FAILED');
+        expect(err.message).toMatch("Transaction failed at step 1 ('power_mng.battery_power_extern') and was rolled back");
+        expect(err.result).toEqual(expect.objectContaining({ ok: false, applied: [], rolledBack: [0] }));
+        expect(err.result.steps.map(step => step.status)).toEqual(['rolled-back', 'failed', 'skipped']);
+        expect(err.result.steps[1]).toEqual(expect.objectContaining({ restored: true, previous: 0 }));
+
+        expect(writes).toEqual([
+            [Identifier.POWER_MNG_SOC_STRATEGY.id, SOCStrategy.EXTERNAL],
+            [Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W.id, 0],
+            [Identifier.POWER_MNG_SOC_STRATEGY.id, SOCStrategy.INTERNAL],
+        ]);
+        expect(sim.getValue(Identifier.POWER_MNG_SOC_STRATEGY)).toBe(SOCStrategy.INTERNAL);
+        expect(sim.getValue(Identifier.POWER_MNG_USE_GRID_POWER_ENABLE)).toBe(0);
+    });
+
+    test('reports restores that failed', async () => {
+        rejectWrites(Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, 1234, 2);
+
+        const err = await conn.transaction(chargeFromGrid, { confirm: true }).catch(e => e);
+        expect(err.code).toBe('ROLLBACK_FAILED');
+        expect(err.message).toMatch('could not be rolled back completely');
+        expect(err.result.steps.map(step => step.status)).toEqual(['rolled-back', 'failed', 'skipped']);
+        expect(err.result.steps[1]).toEqual(expect.objectContaining({ restored: false, rollbackError: expect.any(String) }));
+        expect(err.result.rolledBack).toEqual([0]);
+    });
+
+    test('does not restore external control when the battery fails during the transaction', async () => {
+        sim.setValue(Identifier.POWER_MNG_SOC_STRATEGY, SOCStrategy.EXTERNAL);
+        sim.setValue(Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, 1000);
+        sim.on('write', id => {
+            if (id !== Identifier.POWER_MNG_SOC_STRATEGY.id) return;
+            sim.setValue(Identifier.BATTERY_STATUS, 1);
+            conn.cache.entries.delete(Identifier.BATTERY_STATUS.id); // Pre-Check des nächsten Schritts liest frisch
+        });
+
+        const err = await conn.transaction(chargeFromGrid, { confirm: true }).catch(e => e);
+        expect(err.code).toBe('TRANSACTION_FAILED');
+        expect(err.message).toMatch('1 step(s) were not rolled back because the battery is not in normal operation');
+        expect(err.cause.code).toBe('BATTERY_NOT_NORMAL');
+        expect(err.result.steps.map(step => step.status)).toEqual(['not-rolled-back', 'failed', 'skipped']);
+        expect(err.result.steps[0].rollbackError).toBe('battery is not in normal operation');
+
+        // Der Pre-Check hat auf INTERNAL zurückgesetzt, der Rollback stellt EXTERNAL nicht wieder her
+        expect(sim.getValue(Identifier.POWER_MNG_SOC_STRATEGY)).toBe(SOCStrategy.INTERNAL);
+        expect(sim.writes.map(w => w.id)).toEqual([Identifier.POWER_MNG_SOC_STRATEGY.id, Identifier.POWER_MNG_SOC_STRATEGY.id]);
+    });
+
+    test('checks the battery status before rolling back', async () => {
+        sim.setValue(Identifier.POWER_MNG_SOC_STRATEGY, SOCStrategy.EXTERNAL);
+        sim.setValue(Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, 500);
+        rejectWrites(Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, 1234);
+        sim.on('write', id => {
+            if (id === Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W.id) sim.setValue(Identifier.BATTERY_STATUS, 1);
+        });
+
+        const err = await conn.transaction(chargeFromGrid, { confirm: true }).catch(e => e);
+        expect(err.code).toBe('TRANSACTION_FAILED');
+        expect(err.message).toMatch('2 step(s) were not rolled back');
+        expect(err.result.steps.map(step => step.status)).toEqual(['not-rolled-back', 'failed', 'skipped']);
+        expect(err.result.steps[1]).toEqual(expect.objectContaining({ restored: false, previous: 500 }));
+        expect(sim.getValue(Identifier.POWER_MNG_SOC_STRATEGY)).toBe(SOCStrategy.INTERNAL);
+        expect(sim.getValue(Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W)).toBe(1234);
+    });
+
+    test('checks every step against the policy before writing anything', async () => {
+        const steps = [chargeFromGrid[0], { identifier: Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, value: -9000 }];
+        await expect(conn.transaction(steps, { confirm: true })).rejects.toThrow(WriteGuardError);
+        await expect(conn.transaction(chargeFromGrid)).rejects.toMatchObject({ code: 'CONFIRMATION_REQUIRED' });
+        expect(sim.requests).toEqual([]);
+
+        await expect(conn.transaction([])).rejects.toThrow('non-empty array');
+        await expect(conn.transaction([{ identifier: Identifier.POWER_MNG_SOC_MIN }])).rejects.toThrow('Invalid transaction step #0');
+    });
+});
+
+describe('External control lease', () => {
+    const InverterSimulator = require('./simulator.js');
+    let sim;
+    let conn;
+
+    const controlValues = () => [
+        sim.getValue(Identifier.POWER_MNG_SOC_STRATEGY),
+        sim.getValue(Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W),
+        sim.getValue(Identifier.POWER_MNG_USE_GRID_POWER_ENABLE),
+    ];
+
+    // Lease mit onExpire, das als Promise abgewartet werden kann
+    const holdLease = ttlMs => {
+        let expired;
+        const promise = new Promise(resolve => { expired = resolve; });
+        const lease = conn.holdExternalControl({ ttlMs, onExpire: expired });
+        return { lease, expired: promise };
+    };
+
+    beforeEach(() => {
+        sim = new InverterSimulator({
+            values: [
+                [Identifier.BATTERY_STATUS, 0],
+                [Identifier.POWER_MNG_SOC_STRATEGY, SOCStrategy.EXTERNAL],
+                [Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, -3000],
+                [Identifier.POWER_MNG_USE_GRID_POWER_ENABLE, 1],
+            ],
+        });
+        conn = createSimulatedConnection(sim);
+    });
+
+    afterEach(async () => {
+        conn.close();
+        await sim.stop();
+    });
+
+    test('restores internal control when renewals stop', async () => {
+        const { lease, expired } = holdLease(30);
+
+        const outcome = await expired;
+        expect(outcome).toEqual({ reason: 'expired', restored: true, errors: [] });
+        expect(lease.active).toBe(false);
+        expect(controlValues()).toEqual([SOCStrategy.INTERNAL, 0, 0]);
+        expect(sim.writes.map(w => w.id)).toEqual([
+            Identifier.POWER_MNG_SOC_STRATEGY.id,
+            Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W.id,
+            Identifier.POWER_MNG_USE_GRID_POWER_ENABLE.id,
+        ]);
+    });
+
+    test('renewals keep the lease alive and release({ restore: false }) leaves the values alone', async () => {
+        const onExpire = jest.fn();
+        const lease = conn.holdExternalControl({ ttlMs: 60, onExpire });
+        for (let i = 0; i < 6; i++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+            lease.renew();
+        }
+        expect(lease.active).toBe(true);
+
+        await expect(lease.release({ restore: false })).resolves.toEqual({ restored: false, errors: [] });
+        await new Promise(resolve => setTimeout(resolve, 80));
+        expect(onExpire).not.toHaveBeenCalled();
+        expect(sim.writes).toHaveLength(0);
+        expect(() => lease.renew()).toThrow('already ended');
+    });
+
+    test('release() restores internal control without calling onExpire', async () => {
+        const onExpire = jest.fn();
+        const lease = conn.holdExternalControl({ ttlMs: 1000, onExpire });
+
+        await expect(lease.release()).resolves.toEqual({ restored: true, errors: [] });
+        expect(controlValues()).toEqual([SOCStrategy.INTERNAL, 0, 0]);
+        expect(onExpire).not.toHaveBeenCalled();
+    });
+
+    test('restores internal control when the connection drops', async () => {
+        await conn.query(Identifier.BATTERY_STATUS);
+        const { expired } = holdLease(1000);
+
+        sim.disconnect();
+
+        const outcome = await expired;
+        expect(outcome).toMatchObject({ reason: 'disconnect', restored: true });
+        expect(controlValues()).toEqual([SOCStrategy.INTERNAL, 0, 0]);
+    });
+
+    test('keeps a failed restore pending and retries it until all values are verified', async () => {
+        await conn.query(Identifier.BATTERY_STATUS);
+        conn.options.maxRetries = 1;
+        // Erster Rückgabeversuch: die Strategie bleibt auf EXTERNAL stehen
+        sim.on('write', function revert(id) {
+            if (id !== Identifier.POWER_MNG_SOC_STRATEGY.id) return;
+            sim.setValue(Identifier.POWER_MNG_SOC_STRATEGY, SOCStrategy.EXTERNAL);
+            sim.off('write', revert);
+        });
+        const outcomes = [];
+        const restored = new Promise(resolve => {
+            conn.holdExternalControl({
+                ttlMs: 1000,
+                onExpire: outcome => {
+                    outcomes.push(outcome);
+                    if (outcome.restored) resolve();
+                },
+            });
+        });
+
+        sim.disconnect();
+
+        await restored;
+        expect(outcomes).toHaveLength(2);
+        expect(outcomes[0]).toMatchObject({ reason: 'disconnect', restored: false });
+        expect(outcomes[0].errors.map(e => e.identifier)).toEqual([Identifier.POWER_MNG_SOC_STRATEGY.name]);
+        expect(outcomes[1]).toEqual({ reason: 'disconnect', restored: true, errors: [] });
+        expect(controlValues()).toEqual([SOCStrategy.INTERNAL, 0, 0]);
+        expect(conn._pendingRestore).toBeNull();
+    });
+
+    test('close() restores internal control before closing', async () => {
+        await conn.query(Identifier.BATTERY_STATUS);
+        const { expired } = holdLease(1000);
+        const disconnected = new Promise(resolve => conn.once('disconnect', resolve));
+
+        conn.close();
+
+        await expect(disconnected).resolves.toMatchObject({ reason: 'client' });
+        await expect(expired).resolves.toMatchObject({ reason: 'closed', restored: true });
+        expect(controlValues()).toEqual([SOCStrategy.INTERNAL, 0, 0]);
+    });
+
+    test('reports restore failures to onExpire', async () => {
+        sim.setFaults({ dropNext: 100 });
+        conn.options.maxRetries = 1;
+        const { expired } = holdLease(10);
+
+        const outcome = await expired;
+        expect(outcome.restored).toBe(false);
+        expect(outcome.errors.map(e => e.identifier)).toEqual([
+            Identifier.POWER_MNG_SOC_STRATEGY.name,
+            Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W.name,
+            Identifier.POWER_MNG_USE_GRID_POWER_ENABLE.name,
+        ]);
+    });
+
+    test('close() gives a pending restore one last attempt and stops retrying', async () => {
+        sim.setFaults({ dropNext: 1000 });
+        conn.options.maxRetries = 1;
+        const outcomes = [];
+        let reported;
+        const first = new Promise(resolve => { reported = resolve; });
+        conn.holdExternalControl({ ttlMs: 10, onExpire: outcome => { outcomes.push(outcome); reported(); } });
+        await first;
+
+        // Der letzte Versuch verbindet nach dem Abbruch neu; danach keine weiteren Versuche
+        const last = new Promise(resolve => { reported = resolve; });
+        conn.close();
+        sim.disconnect();
+        await last;
+        expect(outcomes.map(o => o.restored)).toEqual([false, false]);
+        expect(conn._pendingRestore).toBeNull();
+
+        const requests = sim.requests.length;
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(sim.requests).toHaveLength(requests);
+    });
+
+    test('allows one lease per connection and validates its options', () => {
+        expect(() => conn.holdExternalControl({ ttlMs: 0 })).toThrow('Invalid ttlMs');
+        expect(() => conn.holdExternalControl({ ttlMs: 100, onExpire: 'x' })).toThrow('onExpire must be a function');
+
+        const lease = conn.holdExternalControl({ ttlMs: 1000 });
+        expect(() => conn.holdExternalControl({ ttlMs: 1000 })).toThrow('already held');
+        lease.release({ restore: false });
+        conn.holdExternalControl({ ttlMs: 1000 }).release({ restore: false });
+    });
+});
+
+describe('BatteryController', () => {
+    const InverterSimulator = require('./simulator.js');
+    const { BatteryController, BatteryMode } = require('./battery.js');
+    const { WriteGuardError } = require('./writeguard.js');
+    let sim;
+    let conn;
+    let battery;
+    const confirm = { confirm: true };
+
+    const controlValues = () => [
+        sim.getValue(Identifier.POWER_MNG_SOC_STRATEGY),
+        sim.getValue(Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W),
+        sim.getValue(Identifier.POWER_MNG_USE_GRID_POWER_ENABLE),
+    ];
+
+    beforeEach(() => {
+        sim = new InverterSimulator({
+            values: [
+                [Identifier.BATTERY_STATUS, 0],
+                [Identifier.POWER_MNG_SOC_STRATEGY, SOCStrategy.INTERNAL],
+                [Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, 0],
+                [Identifier.POWER_MNG_USE_GRID_POWER_ENABLE, 0],
+                [Identifier.POWER_MNG_SOC_MIN, 0.05],
+                [Identifier.POWER_MNG_SOC_MAX, 0.5],
+            ],
+        });
+        conn = createSimulatedConnection(sim);
+        battery = new BatteryController(conn);
+    });
+
+    afterEach(async () => {
+        conn.close();
+        await sim.stop();
+    });
+
+    test('maps the recipes to strategy, external power and grid enable', async () => {
+        await battery.chargeFromGrid(3000, confirm);
+        expect(controlValues()).toEqual([SOCStrategy.EXTERNAL, -3000, 1]);
+        await expect(battery.currentMode()).resolves.toEqual({
+            mode: BatteryMode.CHARGE_FROM_GRID, watts: 3000,
+            strategy: SOCStrategy.EXTERNAL, externPowerW: -3000, gridPowerEnabled: true,
+        });
+
+        await battery.lockDischarge(confirm);
+        expect(controlValues()).toEqual([SOCStrategy.EXTERNAL, 0, 1]);
+        await expect(battery.currentMode()).resolves.toMatchObject({ mode: BatteryMode.DISCHARGE_LOCKED, watts: null });
+
+        await battery.forceDischarge(2500, confirm);
+        expect(controlValues()).toEqual([SOCStrategy.EXTERNAL, 2500, 0]);
+        await expect(battery.currentMode()).resolves.toMatchObject({ mode: BatteryMode.FORCE_DISCHARGE, watts: 2500 });
+
+        const result = await battery.restoreDefault(confirm);
+        expect(result.ok).toBe(true);
+        expect(controlValues()).toEqual([SOCStrategy.INTERNAL, 0, 0]);
+        await expect(battery.currentMode()).resolves.toMatchObject({ mode: BatteryMode.DEFAULT, gridPowerEnabled: false });
+    });
+
+    test('classifies states that match no recipe', async () => {
+        sim.setValue(Identifier.POWER_MNG_SOC_STRATEGY, SOCStrategy.EXTERNAL);
+        sim.setValue(Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, -1000);
+        await expect(battery.currentMode()).resolves.toMatchObject({ mode: BatteryMode.EXTERNAL, watts: null });
+
+        sim.setValue(Identifier.POWER_MNG_SOC_STRATEGY, SOCStrategy.SCHEDULE);
+        await expect(battery.currentMode()).resolves.toMatchObject({ mode: BatteryMode.OTHER, strategy: SOCStrategy.SCHEDULE });
+    });
+
+    test('rejects watts outside the POWER_MNG_BATTERY_POWER_EXTERN_W limits before sending', async () => {
+        const err = await battery.chargeFromGrid(6001, confirm).catch(e => e);
+        expect(err).toBeInstanceOf(WriteGuardError);
+        expect(err).toMatchObject({ code: 'OUT_OF_RANGE', constraint: { min: -6000, max: 6000 } });
+        await expect(battery.forceDischarge(0)).rejects.toThrow('expected a positive number');
+        await expect(battery.chargeFromGrid(-100)).rejects.toThrow('expected a positive number');
+        expect(sim.requests).toHaveLength(0);
+    });
+
+    test('passes the confirmation of the caller through, like write()', async () => {
+        await expect(battery.chargeFromGrid(3000)).rejects.toMatchObject({ code: 'CONFIRMATION_REQUIRED' });
+        await expect(battery.restoreDefault()).rejects.toMatchObject({ code: 'CONFIRMATION_REQUIRED' });
+        await expect(battery.setSocLimits(0.1, 0.9, { confirm: false })).rejects.toMatchObject({ code: 'CONFIRMATION_REQUIRED' });
+        expect(sim.writes).toHaveLength(0);
+        expect(controlValues()).toEqual([SOCStrategy.INTERNAL, 0, 0]);
+    });
+
+    test('sets SoC limits without crossing min and max', async () => {
+        const order = [];
+        sim.on('write', id => order.push(id));
+
+        await battery.setSocLimits(0.6, 0.9, confirm);
+        expect(order).toEqual([Identifier.POWER_MNG_SOC_MAX.id, Identifier.POWER_MNG_SOC_MIN.id]);
+        expect(sim.getValue(Identifier.POWER_MNG_SOC_MIN)).toBeCloseTo(0.6);
+        expect(sim.getValue(Identifier.POWER_MNG_SOC_MAX)).toBeCloseTo(0.9);
+
+        order.length = 0;
+        await battery.setSocLimits(0.1, 0.8, confirm);
+        expect(order).toEqual([Identifier.POWER_MNG_SOC_MIN.id, Identifier.POWER_MNG_SOC_MAX.id]);
+
+        await expect(battery.setSocLimits(0.8, 0.2)).rejects.toThrow('min 0.8 is greater than max 0.2');
+        await expect(battery.setSocLimits(-0.1, 0.5)).rejects.toThrow('Invalid min');
+    });
+
+    test('requires a connection', () => {
+        expect(() => new BatteryController()).toThrow('requires a Connection');
+    });
+});
+
+describe('Write audit log', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const InverterSimulator = require('./simulator.js');
+    const { WriteAuditLog, JsonlFileSink, AuditOutcome, readAuditLog, verifyAuditLog } = require('./audit.js');
+    let sim;
+    let conn;
+    let audit;
+
+    beforeEach(() => {
+        sim = new InverterSimulator({
+            values: [
+                [Identifier.INVERTER_SN, 'SIM-0001'],
+                [Identifier.BATTERY_STATUS, 0],
+                [Identifier.POWER_MNG_SOC_STRATEGY, SOCStrategy.INTERNAL],
+                [Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, 0],
+                [Identifier.POWER_MNG_USE_GRID_POWER_ENABLE, 0],
+            ],
+        });
+        audit = new WriteAuditLog();
+        conn = createSimulatedConnection(sim, { auditLog: audit });
+    });
+
+    afterEach(async () => {
+        conn.close();
+        await sim.stop();
+    });
+
+    test('records previous, requested and read-back value with serial number and caller tag', async () => {
+        await conn.write(Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, -2500, { confirm: true, tag: 'scheduler' });
+
+        expect(audit.entries).toHaveLength(1);
+        expect(audit.entries[0]).toMatchObject({
+            seq: 0,
+            host: 'memory',
+            inverterSn: 'SIM-0001',
+            identifier: Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W.name,
+            oid: '0xBD008E29',
+            previous: 0,
+            requested: -2500,
+            readBack: -2500,
+            outcome: AuditOutcome.VERIFIED,
+            error: null,
+            source: 'write',
+            tag: 'scheduler',
+        });
+        expect(Date.parse(audit.entries[0].timestamp)).not.toBeNaN();
+    });
+
+    test('audit reads use the timeout of the write and a missing serial number is looked up once', async () => {
+        conn.close();
+        await sim.stop();
+        sim = new InverterSimulator({
+            values: [[Identifier.BATTERY_STATUS, 0], [Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, 0]],
+        });
+        conn = createSimulatedConnection(sim, { auditLog: audit, receiveTimeoutMs: 5000 });
+
+        const start = Date.now();
+        await conn.write(Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, -1000, { confirm: true, timeoutMs: 50 });
+        await conn.write(Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, -2000, { confirm: true, timeoutMs: 50 });
+
+        expect(Date.now() - start).toBeLessThan(1000);
+        const serialReads = sim.requests.filter(dg => dg.cmd === Command.READ && dg.id === Identifier.INVERTER_SN.id);
+        expect(serialReads).toHaveLength(1);
+        expect(audit.entries.map(entry => [entry.inverterSn, entry.previous])).toEqual([[null, 0], [null, -1000]]);
+    });
+
+    test('records the implicit SoC strategy reset of the pre-check', async () => {
+        sim.setValue(Identifier.BATTERY_STATUS, 1);
+        sim.setValue(Identifier.POWER_MNG_SOC_STRATEGY, SOCStrategy.EXTERNAL);
+
+        await expect(conn.write(Identifier.POWER_MNG_USE_GRID_POWER_ENABLE, true, { confirm: true, tag: 'ui' }))
+            .rejects.toMatchObject({ code: 'BATTERY_NOT_NORMAL' });
+
+        expect(audit.entries).toHaveLength(1);
+        expect(audit.entries[0]).toMatchObject({
+            identifier: Identifier.POWER_MNG_SOC_STRATEGY.name,
+            previous: SOCStrategy.EXTERNAL,
+            requested: SOCStrategy.INTERNAL,
+            readBack: SOCStrategy.INTERNAL,
+            outcome: AuditOutcome.VERIFIED,
+            source: 'pre-check',
+            tag: 'ui',
+        });
+    });
+
+    test('records failed writes with the last read-back and transaction rollbacks', async () => {
+        // Register bleibt bei 1234 stehen: Write und Rollback scheitern am Read-back
+        sim.on('write', id => {
+            if (id === Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W.id) sim.setValue(Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, 1234);
+        });
+
+        await expect(conn.transaction([
+            { identifier: Identifier.POWER_MNG_SOC_STRATEGY, value: SOCStrategy.EXTERNAL },
+            { identifier: Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, value: -3000 },
+        ], { confirm: true, tag: 'tx' })).rejects.toMatchObject({ code: 'ROLLBACK_FAILED' });
+
+        expect(audit.entries.map(e => [e.identifier, e.source, e.outcome])).toEqual([
+            [Identifier.POWER_MNG_SOC_STRATEGY.name, 'write', AuditOutcome.VERIFIED],
+            [Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W.name, 'write', AuditOutcome.MISMATCH],
+            [Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W.name, 'rollback', AuditOutcome.MISMATCH],
+            [Identifier.POWER_MNG_SOC_STRATEGY.name, 'rollback', AuditOutcome.VERIFIED],
+        ]);
+        expect(audit.entries[1]).toMatchObject({ previous: 0, requested: -3000, readBack: 1234, tag: 'tx' });
+        expect(audit.entries[1].error).toEqual(expect.any(String));
+        expect(verifyAuditLog(audit.entries)).toEqual({ ok: true, count: 4, brokenAt: null, reason: null });
+    });
+
+    test('JSONL file sink appends, continues the hash chain and detects tampering', async () => {
+        const file = path.join(os.tmpdir(), `rct-audit-${process.pid}.jsonl`);
+        try {
+            const fileLog = new WriteAuditLog(new JsonlFileSink(file));
+            conn.setAuditLog(fileLog);
+            await conn.write(Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, -1000, { confirm: true });
+            fileLog.close();
+
+            const reopened = new WriteAuditLog(file);
+            conn.setAuditLog(reopened);
+            await conn.write(Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, 0, { confirm: true });
+            reopened.close();
+
+            const entries = readAuditLog(file);
+            expect(entries.map(e => [e.seq, e.requested])).toEqual([[0, -1000], [1, 0]]);
+            expect(verifyAuditLog(file).ok).toBe(true);
+
+            const tampered = entries.map(e => ({ ...e }));
+            tampered[0].requested = -500;
+            expect(verifyAuditLog(tampered)).toMatchObject({ ok: false, brokenAt: 0, reason: 'hash mismatch' });
+            expect(verifyAuditLog([entries[1]]).ok).toBe(true);
+            expect(verifyAuditLog([entries[0], { ...entries[1], seq: 2 }])).toMatchObject({ ok: false, reason: 'sequence gap' });
+        } finally {
+            fs.unlinkSync(file);
+        }
+    });
+
+    test('a failing sink does not fail the write', async () => {
+        const sink = { append: jest.fn(() => { throw new Error('disk full'); }) };
+        conn.setAuditLog(new WriteAuditLog(sink));
+
+        await expect(conn.write(Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, -1000, { confirm: true })).resolves.toBeUndefined();
+        expect(sink.append).toHaveBeenCalledTimes(1);
+    });
+
+    test('advances the chain only after the sink accepted the entry', () => {
+        const appended = [];
+        let failNext = true;
+        const sink = {
+            append: entry => {
+                if (failNext) {
+                    failNext = false;
+                    throw new Error('disk full');
+                }
+                appended.push(entry);
+            },
+        };
+        const log = new WriteAuditLog(sink);
+        expect(() => log.record({ requested: 1 })).toThrow('disk full');
+        log.record({ requested: 2 });
+        expect(appended.map(e => [e.seq, e.requested])).toEqual([[0, 2]]);
+        expect(verifyAuditLog(appended).ok).toBe(true);
+    });
+
+    test('appends to asynchronous sinks one after another', async () => {
+        const appended = [];
+        let calls = 0;
+        const sink = {
+            append: entry => new Promise((resolve, reject) => setTimeout(() => {
+                if (++calls === 2) return reject(new Error('timeout'));
+                appended.push(entry);
+                resolve();
+            }, 5)),
+        };
+        const log = new WriteAuditLog(sink);
+        const results = await Promise.allSettled([1, 2, 3].map(requested => log.record({ requested })));
+
+        expect(results.map(r => r.status)).toEqual(['fulfilled', 'rejected', 'fulfilled']);
+        expect(appended.map(e => [e.seq, e.requested])).toEqual([[0, 1], [1, 3]]);
+        expect(verifyAuditLog(appended)).toMatchObject({ ok: true, count: 2 });
+    });
+
+    test('signs the chain with HMAC when a key is given', async () => {
+        const log = new WriteAuditLog(null, { key: 'secret' });
+        conn.setAuditLog(log);
+        await conn.write(Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, -1000, { confirm: true });
+        await conn.write(Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, 0, { confirm: true });
+
+        expect(verifyAuditLog(log.entries, { key: 'secret' })).toMatchObject({ ok: true, count: 2 });
+        expect(verifyAuditLog(log.entries, { key: 'other' })).toMatchObject({ ok: false, brokenAt: 0, reason: 'hash mismatch' });
+        expect(verifyAuditLog(log.entries)).toMatchObject({ ok: false, reason: 'hash mismatch' });
+
+        // Ohne Schlüssel lässt sich eine SHA-256-Kette nach einer Änderung neu berechnen, mit HMAC nicht
+        const crypto = require('crypto');
+        const forged = { ...log.entries[0], requested: -6000 };
+        const { hash, ...body } = forged;
+        forged.hash = crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+        expect(verifyAuditLog([forged], { key: 'secret' })).toMatchObject({ ok: false, reason: 'hash mismatch' });
+    });
+
+    test('validates the audit log and the tag option', async () => {
+        expect(() => conn.setAuditLog({})).toThrow('Invalid audit log');
+        expect(() => new WriteAuditLog(42)).toThrow('Invalid audit log sink');
+        expect(() => new WriteAuditLog(null, { key: '' })).toThrow('Invalid audit log key');
+        expect(() => verifyAuditLog([], { key: 42 })).toThrow('Invalid audit log key');
+        await expect(conn.write(Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, 0, { confirm: true, tag: 7 }))
+            .rejects.toThrow("Invalid request option 'tag'");
+    });
+});
+
 /*
 // Basic Parsing Tests
 describe('Basic Parsing Tests', () => {
@@ -0,0 +1,159 @@
+// codec.js
+const { RecoverableError } = require('./recoverable.js');
+
+const FLOAT32_MAX = 3.4028234663852886e38;
+
+// Ganzzahltypen: Byte-Länge, Wertebereich und DataView-Accessor (BigEndian)
+const INTEGER_TYPES = {
+    int8:   { size: 1, min: -0x80,       max: 0x7F,       get: 'getInt8',   set: 'setInt8' },
+    uint8:  { size: 1, min: 0,           max: 0xFF,       get: 'getUint8',  set: 'setUint8' },
+    int16:  { size: 2, min: -0x8000,     max: 0x7FFF,     get: 'getInt16',  set: 'setInt16' },
+    uint16: { size: 2, min: 0,           max: 0xFFFF,     get: 'getUint16', set: 'setUint16' },
+    int32:  { size: 4, min: -0x80000000, max: 0x7FFFFFFF, get: 'getInt32',  set: 'setInt32' },
+    uint32: { size: 4, min: 0,           max: 0xFFFFFFFF, get: 'getUint32', set: 'setUint32' },
+};
+
+// enum-Werte werden als uint8 übertragen
+const TYPES = [...Object.keys(INTEGER_TYPES), 'enum', 'bool', 'float32', 'string'];
+
+function isSupported(type) {
+    return TYPES.includes(type);
+}
+
+function describe(options) {
+    return options && options.description ? ` for '${options.description}'` : '';
+}
+
+/**
+ * Throws if value cannot be represented by type. Booleans are accepted for integer types and bool.
+ */
+function checkRange(type, value, options = {}) {
+    if (type === 'enum') type = 'uint8';
+
+    if (INTEGER_TYPES[type]) {
+        const { min, max } = INTEGER_TYPES[type];
+        if (typeof value === 'boolean') value = value ? 1 : 0;
+        if (typeof value !== 'number' || !Number.isInteger(value)) {
+            throw new Error(`Value '${value}' is not an integer${describe(options)} (${type}).`);
+        }
+        if (value < min || value > max) {
+            throw new Error(`Value ${value} out of range [${min}, ${max}]${describe(options)} (${type}).`);
+        }
+        return;
+    }
+
+    switch (type) {
+        case 'bool':
+            if (typeof value !== 'boolean' && value !== 0 && value !== 1) {
+                throw new Error(`Value '${value}' is not a boolean${describe(options)}.`);
+            }
+            return;
+        case 'float32':
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new Error(`Value '${value}' is not a finite number${describe(options)} (float32).`);
+            }
+            if (Math.abs(value) > FLOAT32_MAX) {
+                throw new Error(`Value ${value} out of range for float32${describe(options)}.`);
+            }
+            return;
+        case 'string': {
+            if (typeof value !== 'string') {
+                throw new Error(`Value '${value}' is not a string${describe(options)}.`);
+            }
+            const byteLength = Buffer.byteLength(value, 'latin1');
+            if (options.length != null && byteLength > options.length) {
+                throw new Error(`String of ${byteLength} bytes exceeds fixed length ${options.length}${describe(options)}.`);
+            }
+            if (options.lengthPrefixed && byteLength > 0xFF) {
+                throw new Error(`String of ${byteLength} bytes exceeds length prefix${describe(options)}.`);
+            }
+            return;
+        }
+        default:
+            throw new Error(`Unsupported data type '${type}'${describe(options)}.`);
+    }
+}
+
+/**
+ * Encodes value as BigEndian bytes according to type.
+ *
+ * String options: `length` (fixed size, zero-padded) or `lengthPrefixed` (1 length byte in front).
+ * Identifiers can be passed as options directly (description, length, lengthPrefixed).
+ *
+ * @returns {number[]} bytes
+ */
+function encode(type, value, options = {}) {
+    checkRange(type, value, options);
+    if (type === 'enum') type = 'uint8';
+
+    if (INTEGER_TYPES[type]) {
+        const { size, set } = INTEGER_TYPES[type];
+        const view = new DataView(new ArrayBuffer(size));
+        view[set](0, typeof value === 'boolean' ? (value ? 1 : 0) : value, false);
+        return Array.from(new Uint8Array(view.buffer));
+    }
+
+    switch (type) {
+        case 'bool':
+            return [value === true || value === 1 ? 1 : 0];
+        case 'float32': {
+            const view = new DataView(new ArrayBuffer(4));
+            view.setFloat32(0, value, false);
+            return Array.from(new Uint8Array(view.buffer));
+        }
+        case 'string': {
+            const bytes = Array.from(Buffer.from(value, 'latin1'));
+            if (options.length != null) {
+                while (bytes.length < options.length) bytes.push(0);
+            }
+            return options.lengthPrefixed ? [bytes.length, ...bytes] : bytes;
+        }
+    }
+}
+
+/**
+ * Decodes BigEndian bytes according to type. Invalid lengths throw a RecoverableError,
+ * as a corrupt or unexpected response may be resolved by reading again.
+ */
+function decode(type, data, options = {}) {
+    if (type === 'enum') type = 'uint8';
+
+    if (INTEGER_TYPES[type]) {
+        const { size, get } = INTEGER_TYPES[type];
+        expectLength(data, size, type);
+        const view = new DataView(Uint8Array.from(data).buffer);
+        return view[get](0, false);
+    }
+
+    switch (type) {
+        case 'bool':
+            expectLength(data, 1, type);
+            return data[0] !== 0;
+        case 'float32': {
+            expectLength(data, 4, type);
+            const view = new DataView(Uint8Array.from(data).buffer);
+            return view.getFloat32(0, false);
+        }
+        case 'string': {
+            let bytes = Array.from(data);
+            if (options.lengthPrefixed) {
+                if (bytes.length === 0 || bytes[0] > bytes.length - 1) {
+                    throw new RecoverableError(`Invalid length prefix for string`);
+                }
+                bytes = bytes.slice(1, 1 + bytes[0]);
+            }
+            const result = bytes.map(b => String.fromCharCode(b)).join('').trim();
+            return result.replace(/[^\x20-\x7E]/g, '');
+        }
+        default:
+            throw new Error(`Unsupported data type '${type}'${describe(options)}.`);
+    }
+}
+
+function expectLength(data, size, type) {
+    if (data.length !== size) {
+        throw new RecoverableError(`Invalid data length ${data.length} for ${type}`);
+    }
+}
+
+module.exports = { TYPES, INTEGER_TYPES, isSupported, checkRange, encode, decode };
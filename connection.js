@@ -1,27 +1,347 @@
 // connection.js
-const net = require('net');
+const EventEmitter = require('events');
 const DatagramBuilder = require('./build.js');
 const DatagramParser = require('./parse.js');
 const { Datagram, Command, Identifier, SOCStrategy, BatteryStatus } = require('./datagram.js');
 const Cache = require('./cache.js');
-const { RecoverableError } = require('./recoverable.js');
+const codec = require('./codec.js');
+const { RecoverableError, AbortError, isAbortError } = require('./recoverable.js');
+const { normalizeLogger, identifierFields } = require('./logger.js');
+const { ScanReport, resolveTargets, resolveScanOptions } = require('./scanner.js');
+const { TcpTransport } = require('./transports.js');
+const { WritePolicy } = require('./writeguard.js');
+const { AuditOutcome } = require('./audit.js');
+
+/**
+ * Default connection options. Every value can be overridden per Connection via the
+ * options argument; the environment variables remain as process-wide fallbacks.
+ *
+ *  - dialTimeoutMs        5000   timeout for establishing the TCP connection      (DIAL_TIMEOUT)
+ *  - maxRetries           10     attempts per request on recoverable errors       (MAX_RETRIES)
+ *  - initialBackoffMs     100    delay before the first retry                     (INITIAL_BACKOFF)
+ *  - backoffMultiplier    2      factor applied to the delay after each retry     (BACKOFF_MULTIPLIER)
+ *  - receiveTimeoutMs     10000  timeout for the response to a READ               (RECEIVE_TIMEOUT)
+ *  - keepAliveIntervalMs  15000  TCP keep-alive interval                          (KEEPALIVE_INTERVAL)
+ *  - writeVerifyDelayMs   800    pause between WRITE and the verifying READ
+ *  - verifyTimeoutMs      8000   timeout for the verifying READ after a WRITE
+ *  - idleTimeoutMs        90000  close the socket after this much inactivity (0 = never)
+ *  - maxQueueDepth        0      reject background requests while this many are queued (0 = no limit)
+ *  - maxFrameLength       4096   longest frame length field the parser accepts (LENGTH_OVERFLOW above, at most 65535)
+ *
+ * Non-numeric options: `autoReconnect` (see setAutoReconnect), `logger`
+ * (see logger.js; silent by default), `recorder` (see setRecorder), `transport`
+ * (see transports.js: TCP by default, StreamTransport, MemoryTransport or ReplayTransport)
+ * `dedupeReads` (concurrent reads of the same id share one request, see query()),
+ * `writePolicy` (see writeguard.js; the built-in guard records by default) and `auditLog`
+ * (see setAuditLog).
+ */
+const DEFAULT_OPTIONS = Object.freeze({
+  dialTimeoutMs:       Number(process.env.DIAL_TIMEOUT || 5000),    // nur für Verbindungsaufbau
+  maxRetries:          Number(process.env.MAX_RETRIES || 10),
+  initialBackoffMs:    Number(process.env.INITIAL_BACKOFF || 100),
+  backoffMultiplier:   Number(process.env.BACKOFF_MULTIPLIER || 2),
+  receiveTimeoutMs:    Number(process.env.RECEIVE_TIMEOUT || 10000), // robuster als 4000 ms
+  keepAliveIntervalMs: Number(process.env.KEEPALIVE_INTERVAL || 15000),
+  writeVerifyDelayMs:  800,
+  verifyTimeoutMs:     8000,
+  idleTimeoutMs:       90000,
+  maxQueueDepth:       0,
+  maxFrameLength:      DatagramParser.DEFAULT_MAX_FRAME_LENGTH,
+});
+
+// Optionen, die keine Zahlen aus DEFAULT_OPTIONS sind
+const EXTRA_OPTIONS = ['autoReconnect', 'logger', 'recorder', 'transport', 'dedupeReads', 'writePolicy', 'auditLog'];
+
+function resolveOptions(options = {}) {
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error(`Invalid connection options: ${JSON.stringify(options)}`);
+  }
+  for (const key of Object.keys(options)) {
+    if (!(key in DEFAULT_OPTIONS) && !EXTRA_OPTIONS.includes(key)) {
+      throw new Error(`Unknown connection option '${key}'`);
+    }
+  }
+
+  const resolved = { ...DEFAULT_OPTIONS };
+  for (const key of Object.keys(DEFAULT_OPTIONS)) {
+    if (options[key] !== undefined) resolved[key] = options[key];
+    const value = resolved[key];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid connection option '${key}': ${value}`);
+    }
+  }
+  if (!Number.isInteger(resolved.maxRetries) || resolved.maxRetries < 1) {
+    throw new Error(`Invalid connection option 'maxRetries': ${resolved.maxRetries}`);
+  }
+  if (resolved.backoffMultiplier < 1) {
+    throw new Error(`Invalid connection option 'backoffMultiplier': ${resolved.backoffMultiplier}`);
+  }
+  if (!Number.isInteger(resolved.maxQueueDepth)) {
+    throw new Error(`Invalid connection option 'maxQueueDepth': ${resolved.maxQueueDepth}`);
+  }
+  if (!Number.isInteger(resolved.maxFrameLength) || resolved.maxFrameLength < 4 ||
+      resolved.maxFrameLength > DatagramParser.MAX_FRAME_LENGTH) {
+    throw new Error(`Invalid connection option 'maxFrameLength': ${resolved.maxFrameLength}`);
+  }
+  if (options.dedupeReads !== undefined && typeof options.dedupeReads !== 'boolean') {
+    throw new Error(`Invalid connection option 'dedupeReads': ${options.dedupeReads}`);
+  }
+  if (options.writePolicy != null && typeof options.writePolicy.check !== 'function') {
+    throw new Error(`Invalid connection option 'writePolicy': check(identifier, value, options) is missing`);
+  }
+  if (options.transport != null && typeof options.transport.createSocket !== 'function') {
+    throw new Error(`Invalid connection option 'transport': createSocket(host, port) is missing`);
+  }
+  return resolved;
+}
+
+// Obergrenze der Wartezeit, wenn ein Scan-Batch an einer vollen Queue abprallt
+const MAX_SCAN_BACKOFF_MS = 5000;
+
+// Obergrenze der Wartezeit zwischen zwei Versuchen, eine abgelaufene Lease zurückzugeben
+const MAX_RESTORE_BACKOFF_MS = 30000;
+
+// Optionen je Aufruf von query()/write(); fehlende Werte fallen auf die Connection-Optionen zurück
+const REQUEST_OPTIONS = ['signal', 'timeoutMs', 'retries', 'priority'];
+const WRITE_OPTIONS = [...REQUEST_OPTIONS, 'confirm', 'tag'];
+
+function resolveRequestOptions(options = {}, allowed = REQUEST_OPTIONS) {
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error(`Invalid request options: ${JSON.stringify(options)}`);
+  }
+  for (const key of Object.keys(options)) {
+    if (!allowed.includes(key)) {
+      throw new Error(`Unknown request option '${key}'`);
+    }
+  }
+
+  const { signal = null, timeoutMs, retries, priority, confirm = false, tag = null } = options;
+  if (signal !== null && (typeof signal !== 'object' || typeof signal.aborted !== 'boolean' ||
+      typeof signal.addEventListener !== 'function')) {
+    throw new Error(`Invalid request option 'signal': expected an AbortSignal`);
+  }
+  if (timeoutMs !== undefined && (typeof timeoutMs !== 'number' || !Number.isFinite(timeoutMs) || timeoutMs < 0)) {
+    throw new Error(`Invalid request option 'timeoutMs': ${timeoutMs}`);
+  }
+  if (retries !== undefined && (!Number.isInteger(retries) || retries < 1)) {
+    throw new Error(`Invalid request option 'retries': ${retries}`);
+  }
+  if (priority !== undefined && !RequestPriority.ALL.includes(priority)) {
+    throw new Error(`Invalid request option 'priority': ${priority}`);
+  }
+  if (typeof confirm !== 'boolean') {
+    throw new Error(`Invalid request option 'confirm': ${confirm}`);
+  }
+  if (tag !== null && typeof tag !== 'string') {
+    throw new Error(`Invalid request option 'tag': ${tag}`);
+  }
+  return { signal, timeoutMs, retries, priority, confirm, tag };
+}
+
+// Rohwert ohne enumMapping; Bytes als Hex, wenn sie sich nicht dekodieren lassen
+function decodeForAudit(identifier, data) {
+  try {
+    return codec.decode(identifier.type, data, identifier);
+  } catch (err) {
+    return Buffer.from(data).toString('hex');
+  }
+}
+
+// signal.reason (z. B. TimeoutError von AbortSignal.timeout()) bleibt als cause erhalten
+function abortError(signal) {
+  return new AbortError('The operation was aborted', signal.reason);
+}
+
+// Antworten auf READ kommen als RESPONSE oder – bei großen Nutzdaten – als LONG_RESPONSE
+const RESPONSE_COMMANDS = [Command.RESPONSE, Command.LONG_RESPONSE];
+const MAX_SHORT_DATA_LENGTH = 0xFF - 4;
+
+// Standardwerte für den optionalen Auto-Reconnect (siehe setAutoReconnect)
+const AUTO_RECONNECT_DEFAULTS = {
+  initialDelayMs: 1000,
+  maxDelayMs: 60000,
+  multiplier: 2,
+  jitter: 0.5,       // Anteil der Wartezeit, der zufällig abgezogen wird
+  deadlineMs: 60000, // so lange bleiben Requests während des Reconnects in der Queue
+};
+
+// Werte, mit denen der Wechselrichter die Batterie wieder selbst steuert (Lease-Ablauf);
+// bei gestörter Batterie schreibt der Rollback nur diese zurück
+const INTERNAL_CONTROL = [
+  [Identifier.POWER_MNG_SOC_STRATEGY, SOCStrategy.INTERNAL],
+  [Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, 0],
+  [Identifier.POWER_MNG_USE_GRID_POWER_ENABLE, 0],
+];
+
+// Ein Rückschreiben, das externe Steuerung wiederherstellen würde
+function restoresExternalControl(identifier, value) {
+  const entry = INTERNAL_CONTROL.find(([target]) => target.id === identifier.id);
+  return entry !== undefined && Number(value) !== entry[1];
+}
+
+function isIdentifier(identifier) {
+  return identifier !== null && typeof identifier === 'object' && 'id' in identifier && 'type' in identifier;
+}
 
-const DIAL_TIMEOUT       = Number(process.env.DIAL_TIMEOUT || 5000);    // nur für Verbindungsaufbau
-const MAX_RETRIES        = Number(process.env.MAX_RETRIES || 10);
-const INITIAL_BACKOFF    = Number(process.env.INITIAL_BACKOFF || 100);
-const BACKOFF_MULTIPLIER = Number(process.env.BACKOFF_MULTIPLIER || 2);
-const RECEIVE_TIMEOUT    = Number(process.env.RECEIVE_TIMEOUT || 10000); // robuster als 4000 ms
-const KEEPALIVE_INTERVAL = Number(process.env.KEEPALIVE_INTERVAL || 15000);
+/**
+ * Lanes of the request queue, highest first. Within a lane requests run in FIFO order;
+ * a lower lane only runs when all higher ones are empty.
+ */
+class RequestPriority {
+  static CONTROL = 'control';         // Steuer-Writes (Default für write())
+  static INTERACTIVE = 'interactive'; // Default für query(), queryMany()
+  static BACKGROUND = 'background';   // Polling, scan(); bei voller Queue abgelehnt
+  static ALL = [RequestPriority.CONTROL, RequestPriority.INTERACTIVE, RequestPriority.BACKGROUND];
+}
 
-const _connectionPool = new Map();
+/**
+ * Lease of Connection#holdExternalControl(). `active` is false once it was released or expired;
+ * `expiresAt` is the current deadline (ms timestamp).
+ */
+class ExternalControlLease {
+  constructor(conn, { ttlMs, onExpire }) {
+    this.ttlMs = ttlMs;
+    this.onExpire = onExpire;
+    this.active = true;
+    this.expiresAt = null;
+    this._conn = conn;
+    this._timer = null;
+    this._reason = null;
+    this._attempts = 0;
+    this._retryDelayMs = null;
+    this._retryTimer = null;
+    this._restoring = null;
+    this._final = false;
+    this._onConnect = () => this._retryRestore();
+    // Idle-Disconnects sind gewollt und beenden die Lease nicht
+    this._onDisconnect = ({ reason }) => {
+      if (reason === 'error' || reason === 'remote') this._expire('disconnect');
+    };
+    conn.on('disconnect', this._onDisconnect);
+    this.renew();
+  }
+
+  renew() {
+    if (!this.active) {
+      throw new Error('External control lease has already ended');
+    }
+    if (this._timer) clearTimeout(this._timer);
+    this.expiresAt = Date.now() + this.ttlMs;
+    this._timer = setTimeout(() => this._expire('expired'), this.ttlMs);
+  }
+
+  async release({ restore = true } = {}) {
+    if (!this.active) return { restored: false, errors: [] };
+    this._end();
+    if (!restore) return { restored: false, errors: [] };
+    return this._conn._restoreInternalControl();
+  }
+
+  _end() {
+    this.active = false;
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._conn.off('disconnect', this._onDisconnect);
+    if (this._conn._lease === this) this._conn._lease = null;
+  }
+
+  async _expire(reason) {
+    if (!this.active) return;
+    this._end();
+    this._reason = reason;
+    this._final = reason === 'closed';
+    this._conn._log('warn', 'External control lease ended, restoring internal control', { reason });
+    await this._restore();
+  }
 
-class Connection {
-  constructor(host, port, cacheDuration, cacheMaxSize = 1000) {
+  // Ein fehlgeschlagener Versuch bleibt offen: Wiederholung beim nächsten 'connect' oder nach
+  // Backoff, bis alle drei Werte verifiziert sind; nach close() nur noch ein letzter Versuch
+  async _restore() {
+    const conn = this._conn;
+    this._attempts++;
+    const result = await conn._restoreInternalControl();
+    // Der letzte Versuch nach close() verbindet ggf. neu, der Zustand ist dann nicht mehr CLOSED
+    const retry = !result.restored && !this._final && conn.state !== ConnectionState.CLOSED;
+
+    if (retry) {
+      this._retryDelayMs = this._retryDelayMs === null
+        ? Math.max(conn.options.initialBackoffMs, 1)
+        : Math.min(this._retryDelayMs * conn.options.backoffMultiplier, MAX_RESTORE_BACKOFF_MS);
+      conn._pendingRestore = this;
+      conn.once('connect', this._onConnect);
+      this._retryTimer = setTimeout(() => this._retryRestore(), this._retryDelayMs);
+      conn._log('warn', 'Restoring internal control failed, retrying', { attempt: this._attempts, delayMs: this._retryDelayMs });
+    } else if (conn._pendingRestore === this) {
+      conn._pendingRestore = null;
+    }
+
+    // onExpire: erster Versuch sowie das Ende der Wiederholungen
+    if (this.onExpire && (this._attempts === 1 || !retry)) {
+      try {
+        this.onExpire({ reason: this._reason, ...result });
+      } catch (err) {
+        conn._log('error', 'onExpire callback failed', { error: err.message });
+      }
+    }
+  }
+
+  _retryRestore() {
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+    this._conn.off('connect', this._onConnect);
+    // Nie zwei Versuche gleichzeitig; ein laufender zählt auch als letzter Versuch von close()
+    if (!this._restoring) {
+      this._restoring = this._restore().finally(() => { this._restoring = null; });
+    }
+    return this._restoring;
+  }
+
+  _finalRestore() {
+    this._final = true;
+    return this._retryRestore();
+  }
+}
+
+class ConnectionState {
+  static DISCONNECTED = 'disconnected';
+  static CONNECTING = 'connecting';
+  static CONNECTED = 'connected';
+  static BACKING_OFF = 'backing-off';
+  static CLOSED = 'closed';
+}
+
+/**
+ * Connection to one inverter (host:port).
+ *
+ * Events:
+ *  - 'connect'                                   socket connected
+ *  - 'disconnect'   ({ reason, error })           socket closed; reason: 'client' | 'idle' | 'error' | 'remote'
+ *  - 'reconnecting' ({ attempt })                 dialing again after an earlier connection was lost or closed
+ *  - 'state'        (state, previous)             state change, see Connection.State
+ *  - 'datagram'     (dg)                          unsolicited frame (no matching request or subscription)
+ *  - 'response'     (dg)                          frame matched a pending request
+ *  - 'timeout'      ({ timeoutMs, id, cmd })      no matching response within timeoutMs
+ *  - 'retry'        ({ attempt, retries, delayMs, error })  recoverable error, operation is retried
+ *  - 'write'        (identifier, value)           write was verified by read-back
+ *  - 'error'        (err)                         socket error; only emitted if an 'error' listener is registered
+ */
+class Connection extends EventEmitter {
+  /**
+   * @param {string} host
+   * @param {number} port
+   * @param {number} cacheDuration  cache lifetime of responses [ms]
+   * @param {number} [cacheMaxSize=1000]
+   * @param {Object} [options]      see DEFAULT_OPTIONS; additionally `autoReconnect` and `logger`
+   */
+  constructor(host, port, cacheDuration, cacheMaxSize = 1000, options = {}) {
+    super();
     this.host = host;
     this.port = port;
+    this.options = resolveOptions(options);
+    this.logger = normalizeLogger(options.logger);
 
     this.builder = new DatagramBuilder();
-    this.parser = new DatagramParser();
+    this.parser = new DatagramParser({ maxLength: this.options.maxFrameLength });
     this.cache = new Cache(cacheDuration, cacheMaxSize);
 
     this.conn = null;
@@ -29,14 +349,158 @@ class Connection {
 
     this._requestQueue = [];
     this._processing = false;
+    this._dedupeReads = options.dedupeReads === true;
+
+    // Schreibschutz: Guard-Record je Identifier, geprüft vor jedem write()
+    this.writePolicy = options.writePolicy || new WritePolicy();
+    this._lease = null; // holdExternalControl()
+    this._pendingRestore = null; // abgelaufene Lease, deren Rückgabe noch wiederholt wird
+    this._pendingReads = new Map(); // dedupeReads: id -> { fn, promise } des laufenden Reads
 
     this._idleTimeoutHandle = null;
-    this._idleTimeoutMs = 90000;
+    this._idleTimeoutMs = this.options.idleTimeoutMs;
     this._activeRequests = 0;
     this._pendingClose = false;
+    this._closeWaiters = []; // closeAll() wartet, bis offene Requests abgearbeitet sind
 
     // Einziger „Waiter“ (wir arbeiten sequentiell), aber mit Match-Funktion
     this._waiter = null;
+
+    // Pipelined Reads (queryMany): ein Waiter je erwarteter id
+    this._batchWaiters = new Map();
+
+    // READ_PERIODICALLY-Abos: id -> { identifier, intervalMs, callbacks, timer, lastUpdate }
+    this._subscriptions = new Map();
+
+    // Für 'reconnecting'/'disconnect'-Events
+    this._everConnected = false;
+    this._closeReason = null;
+
+    // Zustandsmaschine + optionaler Auto-Reconnect (standardmäßig aus)
+    this.state = ConnectionState.DISCONNECTED;
+    this._reconnect = null;
+    this._reconnectTimer = null;
+    this._reconnectAttempt = 0;
+    this._disconnectedSince = null;
+    if (options.autoReconnect) this.setAutoReconnect(options.autoReconnect);
+
+    // Mitschnitt des Rohverkehrs (TX/RX) und Transport (TCP, Stream/seriell, In-Memory, Replay)
+    this._recorder = null;
+    this._transport = options.transport || new TcpTransport();
+    if (options.recorder) this.setRecorder(options.recorder);
+
+    // Audit-Log aller Writes; die Seriennummer wird beim ersten protokollierten Write gelesen,
+    // auch ein Fehlschlag nur einmal
+    this._auditLog = null;
+    this._inverterSn = null;
+    this._inverterSnRead = false;
+    if (options.auditLog) this.setAuditLog(options.auditLog);
+
+    this.resetStats();
+  }
+
+  /**
+   * Resets the running counters in `conn.stats`:
+   *
+   *   stats.parser = {
+   *     frames,          valid datagrams
+   *     discarded,       { NOISE, SHORT_FRAME, RESTART, CRC_MISMATCH, LENGTH_OVERFLOW } → count
+   *     discardedBytes,  same keys → bytes
+   *     lastDiscard,     { reason, bytes, at } or null
+   *   }
+   */
+  resetStats() {
+    const perReason = () => Object.fromEntries(DatagramParser.Reason.ALL.map(reason => [reason, 0]));
+    this.stats = {
+      parser: { frames: 0, discarded: perReason(), discardedBytes: perReason(), lastDiscard: null },
+    };
+  }
+
+  /**
+   * Starts (or with `null` stops) recording raw wire traffic: every TX buffer, every RX
+   * chunk and connect/close events, see TrafficRecorder in recorder.js.
+   *
+   * @param {Object|null} recorder  object with record(dir, buffer)
+   */
+  setRecorder(recorder) {
+    if (recorder !== null && (!recorder || typeof recorder.record !== 'function')) {
+      throw new Error(`Invalid recorder: ${recorder}`);
+    }
+    this._recorder = recorder;
+  }
+
+  /**
+   * Starts (or with `null` stops) the write audit log, see WriteAuditLog in audit.js. Every
+   * write the connection performs is recorded once, after its last attempt, with host,
+   * inverterSn, identifier, oid, previous, requested and readBack value, outcome
+   * (see AuditOutcome), error, source and tag. `source` is 'write', 'pre-check' (strategy
+   * reset of the battery-status pre-check), 'rollback' (transaction) or 'lease'
+   * (holdExternalControl); `tag` is the caller's write option.
+   *
+   * While a log is set, each write reads the previous value in the same queue job, and the
+   * first write also reads INVERTER_SN.
+   *
+   * @param {Object|null} auditLog  object with record(fields)
+   */
+  setAuditLog(auditLog) {
+    if (auditLog !== null && (!auditLog || typeof auditLog.record !== 'function')) {
+      throw new Error(`Invalid audit log: ${auditLog}`);
+    }
+    this._auditLog = auditLog;
+  }
+
+  _audit(fields) {
+    // Ein defektes Audit-Log darf den Write nicht verfälschen
+    const failed = err => this._log('error', 'Audit log entry failed', { identifier: fields.identifier, error: err.message });
+    try {
+      const result = this._auditLog.record(fields);
+      if (result && typeof result.catch === 'function') result.catch(failed);
+    } catch (err) {
+      failed(err);
+    }
+  }
+
+  _record(dir, buffer) {
+    if (!this._recorder) return;
+    try {
+      this._recorder.record(dir, buffer);
+    } catch (err) {
+      this._log('warn', 'Recording failed', { error: err.message });
+    }
+  }
+
+  /**
+   * Enables (or with `false` disables) automatic reconnects after the connection drops.
+   * Reconnects use jittered exponential backoff; requests stay queued while reconnecting
+   * and fail with code RECONNECT_DEADLINE once the connection has been down for deadlineMs.
+   *
+   * @param {boolean|Object} options  false, true, or { initialDelayMs, maxDelayMs, multiplier, jitter, deadlineMs }
+   */
+  setAutoReconnect(options = true) {
+    if (options === false) {
+      this._reconnect = null;
+      this._cancelReconnect();
+      if (this.state === ConnectionState.BACKING_OFF) this._setState(ConnectionState.DISCONNECTED);
+      return;
+    }
+
+    const config = { ...AUTO_RECONNECT_DEFAULTS, ...(options === true ? {} : options) };
+    for (const key of Object.keys(AUTO_RECONNECT_DEFAULTS)) {
+      if (!Number.isFinite(config[key]) || config[key] < 0) {
+        throw new Error(`Invalid auto-reconnect option '${key}': ${config[key]}`);
+      }
+    }
+    if (config.jitter > 1) {
+      throw new Error(`Invalid auto-reconnect option 'jitter': ${config.jitter}`);
+    }
+    this._reconnect = config;
+  }
+
+  _setState(state) {
+    if (this.state === state) return;
+    const previous = this.state;
+    this.state = state;
+    this.emit('state', state, previous);
   }
 
   setIdleTimeout(ms = this._idleTimeoutMs) {
@@ -50,6 +514,7 @@ class Connection {
       const handle = setTimeout(() => {
         // keine Logs hier, damit Tests nicht nach Abschluss loggen
         this._idleTimeoutHandle = null;
+        if (!this._closeReason) this._closeReason = 'idle';
         this.close();
       }, ms);
       // Verhindert, dass der Timer den Event-Loop am Leben hält
@@ -65,65 +530,183 @@ class Connection {
 
   // Erzeuge Socket und behalte eine lokale Referenz, um Race-Conditions
   // mit spaeterem this.conn = null zu vermeiden (z. B. in Timern/close()).
-  const socket = net.createConnection({ host: this.host, port: this.port });
+  if (this._everConnected) this.emit('reconnecting', { attempt: this._reconnectAttempt });
+  this._setState(ConnectionState.CONNECTING);
+  const socket = this._transport.createSocket(this.host, this.port);
   this.conn = socket;
 
+    let connected = false;
+    let lastError = null;
+
     // Einmalige Low-Level-Handler
     socket.on('data', chunk => this._onData(chunk));
     socket.on('error', err => {
+      lastError = err;
+      this._emitError(err);
       // Offene Waiter sauber ablehnen
-      if (this._waiter) {
-        const rej = this._waiter.reject;
-        this._clearWaiter();
-        rej(new RecoverableError(`Socket error: ${err.message || err}`));
-      }
+      this._rejectWaiters(new RecoverableError(`Socket error: ${err.message || err}`));
     });
     socket.on('close', () => {
-      if (this._waiter) {
-        const rej = this._waiter.reject;
-        this._clearWaiter();
-        rej(new RecoverableError('Socket closed'));
+      if (connected) this._record('close');
+      const reason = this._closeReason || (lastError ? 'error' : 'remote');
+      this._closeReason = null;
+      if (connected) {
+        if (reason === 'error' || reason === 'remote') this._onConnectionLost();
+        this.emit('disconnect', { reason, error: lastError });
       }
+      this._rejectWaiters(new RecoverableError('Socket closed'));
     });
 
     // Wir verwenden einen eigenen Verbindungsaufbau-Timeout (NICHT socket.setTimeout)
     return new Promise((resolve, reject) => {
-      console.log('Setting up event listeners');
+      const dialStart = Date.now();
+      this._log('debug', 'Dialing inverter');
 
       const dialTimer = setTimeout(() => {
         // bricht den Verbindungsaufbau hart ab; verwende lokale Socket-Referenz
         try {
           if (socket && !socket.destroyed) {
-            socket.destroy(new Error(`Dial timeout after ${DIAL_TIMEOUT} ms`));
+            socket.destroy(new Error(`Dial timeout after ${this.options.dialTimeoutMs} ms`));
           }
         } catch (e) {
           // ignore
         }
-      }, DIAL_TIMEOUT);
+      }, this.options.dialTimeoutMs);
+
+      const onDialError = (err) => {
+        clearTimeout(dialTimer);
+        this._log('error', 'Connection failed', { error: err.message || String(err), latencyMs: Date.now() - dialStart });
+        if (this._reconnect && this.state !== ConnectionState.CLOSED) {
+          this._scheduleReconnect();
+        } else {
+          this._closeReason = 'error';
+          this.close();
+        }
+        reject(err);
+      };
 
       socket.once('connect', () => {
         clearTimeout(dialTimer);
-        console.log('Connected successfully');
+        socket.removeListener('error', onDialError);
+        this._log('info', 'Connected', { latencyMs: Date.now() - dialStart });
         // WICHTIG: KEIN socket.setTimeout(...) mehr für Inaktivität!
-        socket.setKeepAlive(true, KEEPALIVE_INTERVAL); // hält NAT/GW/WR-Verbindung offen
+        if (typeof socket.setKeepAlive === 'function') {
+          socket.setKeepAlive(true, this.options.keepAliveIntervalMs); // hält NAT/GW/WR-Verbindung offen
+        }
         this.setIdleTimeout();
+        connected = true;
+        this._record('connect');
+        this._everConnected = true;
+        this._reconnectAttempt = 0;
+        this._disconnectedSince = null;
+        this._setState(ConnectionState.CONNECTED);
+        this.emit('connect');
+        this._resumeSubscriptions();
         resolve();
       });
 
-      socket.once('error', (err) => {
-        clearTimeout(dialTimer);
-        console.error('Connection error:', err);
-        this.close();
-        reject(err);
+      socket.once('error', onDialError);
+    });
+  }
+
+  // Verbindung ist unerwartet weggebrochen (Fehler oder Gegenseite)
+  _onConnectionLost() {
+    if (this._idleTimeoutHandle) {
+      clearTimeout(this._idleTimeoutHandle);
+      this._idleTimeoutHandle = null;
+    }
+    this._stopSubscriptionTimers();
+    if (this._reconnect && this.state !== ConnectionState.CLOSED) {
+      this._scheduleReconnect();
+    } else {
+      this._setState(ConnectionState.DISCONNECTED);
+    }
+  }
+
+  _scheduleReconnect() {
+    if (this._reconnectTimer || this.state === ConnectionState.CLOSED) return;
+    if (this._disconnectedSince === null) this._disconnectedSince = Date.now();
+
+    const { initialDelayMs, maxDelayMs, multiplier, jitter } = this._reconnect;
+    const baseDelay = Math.min(maxDelayMs, initialDelayMs * Math.pow(multiplier, this._reconnectAttempt));
+    const delayMs = Math.round(baseDelay * (1 - jitter * Math.random()));
+    this._reconnectAttempt++;
+
+    this._setState(ConnectionState.BACKING_OFF);
+    // bewusst kein unref(): der Reconnect ist aktive Arbeit, close() bricht ihn ab
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      this.connect().catch(() => {
+        // Fehlschlag plant bereits den nächsten Versuch ein
       });
+    }, delayMs);
+  }
+
+  _cancelReconnect() {
+    if (this._reconnectTimer) {
+      clearTimeout(this._reconnectTimer);
+      this._reconnectTimer = null;
+    }
+  }
+
+  // Im Auto-Reconnect-Modus: verbinden bzw. auf den laufenden Reconnect warten (bis zur Deadline)
+  async _connectOrWait() {
+    if (this.state !== ConnectionState.BACKING_OFF && this.state !== ConnectionState.CONNECTING) {
+      try {
+        await this.connect();
+        return;
+      } catch (err) {
+        if (!this._reconnect || this.state === ConnectionState.CLOSED) throw err;
+      }
+    }
+    await this._waitForReconnect();
+  }
+
+  _waitForReconnect() {
+    const { deadlineMs } = this._reconnect;
+    const since = this._disconnectedSince === null ? Date.now() : this._disconnectedSince;
+    const remaining = since + deadlineMs - Date.now();
+
+    const deadlineError = () => {
+      const error = new Error(`Reconnect to ${this.host}:${this.port} did not succeed within ${deadlineMs} ms`);
+      error.code = 'RECONNECT_DEADLINE';
+      return error;
+    };
+    if (remaining <= 0) return Promise.reject(deadlineError());
+
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timer);
+        this.removeListener('state', onState);
+      };
+      const onState = (state) => {
+        if (state === ConnectionState.CONNECTED) {
+          cleanup();
+          resolve();
+        } else if (state === ConnectionState.CLOSED || state === ConnectionState.DISCONNECTED) {
+          cleanup();
+          reject(new RecoverableError(`Connection to ${this.host}:${this.port} was closed while reconnecting`));
+        }
+      };
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(deadlineError());
+      }, remaining);
+      this.on('state', onState);
     });
   }
 
   close() {
+    // Vor dem Schließen die Batteriesteuerung zurückgeben; close() wartet auf diese Writes
+    if (this._lease) this._lease._expire('closed');
+    else if (this._pendingRestore) this._pendingRestore._finalRestore();
     if (this._idleTimeoutHandle) {
       clearTimeout(this._idleTimeoutHandle);
       this._idleTimeoutHandle = null;
     }
+    if (!this._closeReason) this._closeReason = 'client';
+    this._cancelReconnect();
+    this._setState(this._closeReason === 'client' ? ConnectionState.CLOSED : ConnectionState.DISCONNECTED);
     if (this._activeRequests > 0) {
       this._pendingClose = true;
     } else {
@@ -132,25 +715,44 @@ class Connection {
   }
 
   _doClose() {
+    this._stopSubscriptionTimers();
     if (this.conn) {
       this.conn.end();
       this.conn.destroy();
       this.conn = null;
+    } else {
+      this._closeReason = null;
     }
-    const key = `${this.host}:${this.port}`;
-    _connectionPool.delete(key);
+    // Nur ein explizites close() entfernt die Instanz aus dem Pool; nach Idle-Timeout oder
+    // Verbindungsabbruch verbindet sie sich beim nächsten Request neu
+    if (this.state === ConnectionState.CLOSED) Connection.pool._remove(this);
     this._pendingClose = false;
+    for (const resolve of this._closeWaiters.splice(0)) resolve();
+  }
+
+  _whenClosed() {
+    if (!this._pendingClose) return Promise.resolve();
+    return new Promise(resolve => this._closeWaiters.push(resolve));
+  }
+
+  /**
+   * Returns a connection obtained with Connection.acquire() to the pool, see ConnectionPool.
+   */
+  release() {
+    Connection.pool.release(this);
   }
 
   _onData(chunk) {
     // Jede RX-Aktivität hält den Idle-Timer frisch
     this.setIdleTimeout();
+    this._record('rx', chunk);
 
-    this.readBuffer = Buffer.concat([this.readBuffer, chunk]);
+    // Nur bei Resten eines unvollständigen Frames zusammenfügen
+    this.readBuffer = this.readBuffer.length > 0 ? Buffer.concat([this.readBuffer, chunk]) : chunk;
 
     // Parser arbeitet stream-sicher und liefert entweder:
     // - null: brauche mehr Daten
-    // - { datagram: null, bytesConsumed: N }: N Bytes verwerfen und weitermachen
+    // - { datagram: null, bytesConsumed: N, reason }: N Bytes verwerfen, zählen und weitermachen
     // - { datagram, bytesConsumed: N }: N Bytes verbraucht, Datagramm verarbeiten
     while (this.readBuffer.length > 0) {
       this.parser.buffer = this.readBuffer;
@@ -160,7 +762,7 @@ class Connection {
         parsed = this.parser.parse();
       } catch (err) {
         // Sollte mit neuem Parser praktisch nicht mehr passieren
-        console.debug('Parsing exception, dropping 1 byte:', err && err.message ? err.message : err);
+        this._log('debug', 'Parsing exception, dropping 1 byte', { error: err && err.message ? err.message : String(err) });
         this.readBuffer = this.readBuffer.slice(1);
         continue;
       }
@@ -171,12 +773,14 @@ class Connection {
       }
 
       if (!parsed.datagram && parsed.bytesConsumed > 0) {
-        // Noise/Kurzer Frame/Korrupter Frame o. ä. → still verwerfen
+        // Noise/Kurzer Frame/Korrupter Frame o. ä. → verwerfen, aber mit Grund zählen
+        this._countDiscard(parsed);
         this.readBuffer = this.readBuffer.slice(parsed.bytesConsumed);
         continue;
       }
 
       if (parsed.datagram) {
+        this.stats.parser.frames++;
         this.readBuffer = this.readBuffer.slice(parsed.bytesConsumed);
         this._handleDatagram(parsed.datagram);
         continue;
@@ -187,40 +791,246 @@ class Connection {
     }
   }
 
+  _countDiscard({ reason, bytesConsumed, crc }) {
+    const stats = this.stats.parser;
+    if (reason in stats.discarded) {
+      stats.discarded[reason]++;
+      stats.discardedBytes[reason] += bytesConsumed;
+    }
+    stats.lastDiscard = { reason, bytes: bytesConsumed, at: Date.now() };
+    this._log('debug', 'Discarded bytes', crc ? { reason, bytes: bytesConsumed, crc } : { reason, bytes: bytesConsumed });
+  }
+
   _handleDatagram(dg) {
+    // Abonnierte Werte immer zustellen – auch wenn zusätzlich ein query() darauf wartet
+    const delivered = this._dispatchSubscription(dg);
+
+    // Antworten auf queryMany() dürfen in beliebiger Reihenfolge eintreffen
+    if (Command.isResponse(dg.cmd) && this._batchWaiters.has(dg.id)) {
+      const waiter = this._batchWaiters.get(dg.id);
+      this._batchWaiters.delete(dg.id);
+      this.emit('response', dg);
+      waiter.resolve(dg);
+      return;
+    }
+
     if (this._waiter && typeof this._waiter.match === 'function') {
       if (this._waiter.match(dg)) {
         const res = this._waiter.resolve;
         this._clearWaiter();
+        this.emit('response', dg);
         res(dg);
         return;
       }
       // passt nicht zur Erwartung → als asynchrones Telegramm behandeln
       // (keine Warnungen, um Logflut zu vermeiden)
-      this.emit && this.emit('datagram', dg);
+      if (!delivered) this.emit('datagram', dg);
       return;
     }
 
-    // Kein wartender Request → asynchrones Telegramm
-    this.emit && this.emit('datagram', dg);
+    // Kein wartender Request → asynchrones Telegramm, sofern kein Abo es zugestellt hat
+    if (!delivered) this.emit('datagram', dg);
+  }
+
+  /**
+   * Registers a periodic read (READ_PERIODICALLY) for the identifier and delivers every
+   * decoded value to the callback as callback(value, datagram).
+   * If no update arrives within intervalMs, the registration is sent again.
+   * Returns a function that removes this callback again.
+   */
+  async subscribe(identifier, intervalMs, callback) {
+    if (!isIdentifier(identifier)) {
+      throw new Error(`Invalid or unknown identifier: ${JSON.stringify(identifier)}`);
+    }
+    if (!Number.isFinite(intervalMs) || intervalMs <= 0) {
+      throw new Error(`Invalid subscription interval: ${intervalMs}`);
+    }
+    if (typeof callback !== 'function') {
+      throw new Error('Subscription callback must be a function');
+    }
+
+    let sub = this._subscriptions.get(identifier.id);
+    if (!sub) {
+      sub = { identifier, intervalMs, callbacks: new Set(), timer: null, lastUpdate: 0 };
+      this._subscriptions.set(identifier.id, sub);
+    }
+    sub.intervalMs = Math.min(sub.intervalMs, intervalMs);
+    sub.callbacks.add(callback);
+
+    this._armSubscriptionTimer(sub);
+    try {
+      await this._registerPeriodicRead(sub);
+    } catch (err) {
+      // Ohne Handle kann der Aufrufer das Abo nicht mehr entfernen
+      this.unsubscribe(identifier, callback);
+      throw err;
+    }
+
+    return () => this.unsubscribe(identifier, callback);
+  }
+
+  /**
+   * Removes a callback (or, without callback, all callbacks) for the identifier.
+   * The protocol has no command to cancel a periodic read on the inverter, so frames
+   * that still arrive afterwards are treated as unsolicited datagrams.
+   */
+  unsubscribe(identifier, callback) {
+    const sub = this._subscriptions.get(identifier.id);
+    if (!sub) return;
+
+    if (callback) {
+      sub.callbacks.delete(callback);
+    } else {
+      sub.callbacks.clear();
+    }
+
+    if (sub.callbacks.size === 0) {
+      if (sub.timer) clearTimeout(sub.timer);
+      this._subscriptions.delete(identifier.id);
+    }
+  }
+
+  async _registerPeriodicRead(sub) {
+    await this._enqueueRequest(async () => {
+      this.builder.build({ cmd: Command.READ_PERIODICALLY, id: sub.identifier.id, data: null });
+      await this.send(this.builder);
+    });
+  }
+
+  _armSubscriptionTimer(sub) {
+    if (sub.timer) clearTimeout(sub.timer);
+    const handle = setTimeout(() => {
+      sub.timer = null;
+      if (this._subscriptions.get(sub.identifier.id) !== sub) return;
+      // Keine Aktualisierung im Intervall → Registrierung erneuern (z. B. nach Neustart des WR)
+      if (Date.now() - sub.lastUpdate >= sub.intervalMs) {
+        this._registerPeriodicRead(sub).catch(() => {});
+      }
+      this._armSubscriptionTimer(sub);
+    }, sub.intervalMs);
+    if (typeof handle.unref === 'function') handle.unref();
+    sub.timer = handle;
+  }
+
+  // Nach einem (Wieder-)Verbindungsaufbau die durch close() gestoppten Abos neu registrieren
+  _resumeSubscriptions() {
+    for (const sub of this._subscriptions.values()) {
+      if (sub.timer) continue;
+      this._armSubscriptionTimer(sub);
+      this._registerPeriodicRead(sub).catch(() => {});
+    }
+  }
+
+  _stopSubscriptionTimers() {
+    for (const sub of this._subscriptions.values()) {
+      if (sub.timer) {
+        clearTimeout(sub.timer);
+        sub.timer = null;
+      }
+    }
+  }
+
+  // true, wenn der Frame an ein Abo zugestellt wurde
+  _dispatchSubscription(dg) {
+    if (!Command.isResponse(dg.cmd)) return false;
+    const sub = this._subscriptions.get(dg.id);
+    if (!sub) return false;
+
+    const { type: dataTypeHandler, enumMapping } = sub.identifier;
+    let value;
+    try {
+      value = dataTypeHandler ? this._processDataHandler(dg, dataTypeHandler, enumMapping, sub.identifier) : dg;
+    } catch (_) {
+      // nicht dekodierbare Frames verwerfen wie beim Parser
+      return false;
+    }
+
+    sub.lastUpdate = Date.now();
+    this.cache.put(dg);
+
+    for (const callback of Array.from(sub.callbacks)) {
+      try {
+        callback(value, dg);
+      } catch (_) {
+        // Fehler eines Abonnenten dürfen den Empfangspfad nicht unterbrechen
+      }
+    }
+    return true;
+  }
+
+  // Alle Logeinträge tragen host/port; weitere Felder je Aufruf
+  _log(level, message, fields = {}) {
+    this.logger[level](message, { host: this.host, port: this.port, ...fields });
+  }
+
+  // 'error' nur emittieren, wenn jemand zuhört – sonst würde EventEmitter werfen
+  _emitError(err) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', err);
+    }
+  }
+
+  _rejectWaiters(err) {
+    if (this._waiter) {
+      const rej = this._waiter.reject;
+      this._clearWaiter();
+      rej(err);
+    }
+    for (const waiter of Array.from(this._batchWaiters.values())) {
+      waiter.reject(err);
+    }
   }
 
   _clearWaiter() {
     if (!this._waiter) return;
     if (this._waiter.timer) clearTimeout(this._waiter.timer);
+    if (this._waiter.onAbort) this._waiter.signal.removeEventListener('abort', this._waiter.onAbort);
     this._waiter = null;
   }
 
+  // Wartet ms Millisekunden; ein Abort beendet das Warten sofort mit AbortError
+  _sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(abortError(signal));
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortError(signal));
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
   async send(rdb) {
-    if (!this.conn || this.conn.destroyed) {
+    return this._sendBuffer(Buffer.from(rdb.bytes()));
+  }
+
+  // Schreibt einen fertigen Puffer (ein oder mehrere Frames) auf den Socket
+  async _sendBuffer(outBuffer) {
+    if (this._reconnect) {
+      if (this.state !== ConnectionState.CONNECTED || !this.conn || this.conn.destroyed) {
+        await this._connectOrWait();
+      }
+    } else if (!this.conn || this.conn.destroyed) {
       await this.connect();
     }
 
+    this._record('tx', outBuffer);
     return new Promise((resolve, reject) => {
-      const outBuffer = Buffer.from(rdb.bytes());
       this.conn.write(outBuffer, (err) => {
         if (err) {
-          console.error('Error while sending:', err.message);
+          this._log('error', 'Error while sending', { error: err.message });
+          if (this._reconnect) {
+            // Socket-Handler übernehmen den Reconnect; Request darf erneut versucht werden
+            reject(new RecoverableError(`Send failed: ${err.message}`));
+            return;
+          }
           this.close();
           reject(err);
         } else {
@@ -230,7 +1040,30 @@ class Connection {
     });
   }
 
-  async _receive({ timeoutMs = RECEIVE_TIMEOUT, expect = null } = {}) {
+  // Waiter vor dem Senden registrieren: schnelle Transporte (z. B. In-Memory) antworten,
+  // bevor der Write-Callback zurückkommt
+  async _sendAndReceive(rdb, receiveOptions) {
+    const busy = this._waiter !== null; // dann lehnt _receive ab und der fremde Waiter bleibt
+    const response = this._receive(receiveOptions);
+    const sent = this.send(rdb);
+    try {
+      // Ein Abort wartet nicht auf einen laufenden Verbindungsaufbau
+      await Promise.race([sent, response.catch(err => {
+        if (isAbortError(err)) throw err;
+        return sent;
+      })]);
+    } catch (err) {
+      response.catch(() => {});
+      if (!busy) this._clearWaiter();
+      throw err;
+    }
+    return response;
+  }
+
+  async _receive({ timeoutMs = this.options.receiveTimeoutMs, expect = null, signal = null } = {}) {
+    if (signal && signal.aborted) {
+      throw abortError(signal);
+    }
     if (this._waiter) {
       throw new Error('Another request is already waiting for a response');
     }
@@ -239,71 +1072,107 @@ class Connection {
       const match = (dg) => {
         if (!expect) return true;
         if (expect.id != null && dg.id !== expect.id) return false;
-        if (expect.cmd != null && dg.cmd !== expect.cmd) return false;
+        if (expect.cmd != null) {
+          // expect.cmd darf ein einzelnes Kommando oder eine Liste sein (z. B. RESPONSE/LONG_RESPONSE)
+          const cmds = Array.isArray(expect.cmd) ? expect.cmd : [expect.cmd];
+          if (!cmds.includes(dg.cmd)) return false;
+        }
         return true;
       };
 
       const timer = timeoutMs > 0 ? setTimeout(() => {
         if (this._waiter && this._waiter.reject === reject) {
           this._clearWaiter();
+          this.emit('timeout', { timeoutMs, id: expect ? expect.id : null, cmd: expect ? expect.cmd : null });
           reject(new RecoverableError(`Receive timed out after ${timeoutMs} ms`));
         }
       }, timeoutMs) : null;
 
-      this._waiter = { resolve, reject, match, timer };
+      // Abort räumt den Waiter ab; eine spätere Antwort gilt dann als asynchrones Telegramm
+      const onAbort = signal ? () => {
+        if (this._waiter && this._waiter.reject === reject) {
+          this._clearWaiter();
+          reject(abortError(signal));
+        }
+      } : null;
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+      this._waiter = { resolve, reject, match, timer, signal, onAbort };
     });
   }
 
-  async retryOperation(operation, retries = MAX_RETRIES, delay = INITIAL_BACKOFF) {
+  /**
+   * Runs operation and retries it with exponential backoff on RecoverableError.
+   * `fields` are added to the log entries (e.g. the identifier). An aborted `signal`
+   * stops before the next attempt and cuts the backoff pause short with AbortError.
+   * When all attempts fail, it rejects with code MAX_RETRIES and the last error as `cause`.
+   */
+  async retryOperation(operation, retries = this.options.maxRetries, delay = this.options.initialBackoffMs, fields = {}, signal = null) {
     let attempt = 0;
     let currentDelay = delay;
+    let lastError = null;
 
     while (attempt < retries) {
+      if (signal && signal.aborted) {
+        throw abortError(signal);
+      }
       try {
         return await operation();
       } catch (error) {
         if (error instanceof RecoverableError) {
-          console.error(`Recoverable error during attempt ${attempt + 1} of ${retries}:`, error.message);
+          lastError = error;
           attempt++;
+          this._log('warn', 'Recoverable error', { ...fields, attempt, retries, error: error.message });
           if (attempt < retries) {
-            console.log(`Waiting ${currentDelay}ms before retrying...`);
-            await new Promise(resolve => setTimeout(resolve, currentDelay));
-            currentDelay *= BACKOFF_MULTIPLIER;
+            this.emit('retry', { attempt, retries, delayMs: currentDelay, error });
+            this._log('debug', 'Waiting before retrying', { ...fields, attempt, delayMs: currentDelay });
+            await this._sleep(currentDelay, signal);
+            currentDelay *= this.options.backoffMultiplier;
           }
         } else {
           throw error;
         }
       }
     }
-    throw new Error(`Max retries reached`);
+    // Letzten Fehler als cause behalten: write() meldet ihn statt dieser Sammelmeldung
+    const error = new Error(`Max retries reached`);
+    error.code = 'MAX_RETRIES';
+    error.cause = lastError;
+    throw error;
   }
 
-  async write(identifier, value) {
+  /**
+   * Writes a value and verifies it by reading it back.
+   *
+   * The write policy (`conn.writePolicy`, see writeguard.js) is checked first, before any frame
+   * is sent: identifiers without a guard record or with decision DENY are rejected, and
+   * ALLOW_WITH_CONFIRMATION needs `confirm: true`. Violations throw WriteGuardError.
+   *
+   * @param {Object} identifier
+   * @param {*} value
+   * @param {Object} [options]
+   *   - confirm    explicit intent for ALLOW_WITH_CONFIRMATION identifiers
+   *   - signal     AbortSignal; aborting rejects with AbortError (`writeSent` tells whether the
+   *                WRITE frame already went out)
+   *   - timeoutMs  timeout for the verifying READ (default verifyTimeoutMs) and the pre-check
+   *                reads (default receiveTimeoutMs)
+   *   - retries    attempts of write + verification on recoverable errors (default 1)
+   *   - priority   queue lane, see Connection.Priority (default CONTROL, also for the pre-check)
+   *   - tag        caller tag for the audit log (see setAuditLog)
+   */
+  async write(identifier, value, options = {}) {
+    const { signal, timeoutMs, retries, priority = RequestPriority.CONTROL, confirm, tag } = resolveRequestOptions(options, WRITE_OPTIONS);
+    if (!isIdentifier(identifier)) {
+      throw new Error(`Invalid or unknown identifier: ${JSON.stringify(identifier)}`);
+    }
+    this.writePolicy.check(identifier, value, { confirm });
 
     // Pre-Check – if battery is not in normal operation mode, force the SoC strategy to INTERNAL (if needed)
     // and only then reject the write operation.
-    const batteryStatus = await this.query(Identifier.BATTERY_STATUS);
+    const batteryStatus = await this.query(Identifier.BATTERY_STATUS, { signal, timeoutMs, priority });
     if (batteryStatus !== 0) {
-      try {
-        // Query strategy as numeric value (bypass enumMapping string conversion)
-        const currentStrategy = await this.query({ ...Identifier.POWER_MNG_SOC_STRATEGY, enumMapping: null });
-        if (currentStrategy !== SOCStrategy.INTERNAL) {
-          await this._enqueueWriteOperation(
-            Identifier.POWER_MNG_SOC_STRATEGY,
-            {
-              cmd: Command.WRITE,
-              id: Identifier.POWER_MNG_SOC_STRATEGY.id,
-              data: [SOCStrategy.INTERNAL],
-            },
-            [SOCStrategy.INTERNAL]
-          );
-
-          // Avoid stale cache entries after changing strategy
-          this.cache.entries.delete(Identifier.POWER_MNG_SOC_STRATEGY.id);
-        }
-      } catch (_) {
-        // Best-effort: if switching the strategy fails, still throw BATTERY_NOT_NORMAL below.
-      }
+      // Best-effort: if switching the strategy fails, still throw BATTERY_NOT_NORMAL below.
+      await this._forceInternalStrategy({ signal, timeoutMs, priority }, { source: 'pre-check', tag });
 
       const error = new Error(
         `Battery is not in normal operation mode. Current status: ${BatteryStatus.decode(batteryStatus)}`
@@ -312,121 +1181,436 @@ class Connection {
       throw error;
     }
 
-    if (!identifier.writable) {
-      throw new Error(`Identifier '${identifier.description}' is not writable.`);
-    }
-
     if (identifier.type === 'uint8' && typeof value === 'boolean') {
       value = value ? 1 : 0;
     }
 
-    if (identifier.validate && !identifier.validate(value)) {
-      throw new Error(`Invalid value '${value}' for identifier '${identifier.description}'.`);
-    }
+    const { datagram, data } = this._encodeWrite(identifier, value);
+    await this._enqueueWriteOperation(identifier, datagram, data, {
+      signal, timeoutMs, retries, priority, audit: { value, source: 'write', tag },
+    });
+    this.emit('write', identifier, value);
+  }
 
-    let data;
-    switch (identifier.type) {
-      case 'float32': {
-        data = new Uint8Array(4);
-        new DataView(data.buffer).setFloat32(0, value, false);
-        break;
+  // Setzt die SoC-Strategie auf INTERNAL, falls nötig; Fehler außer Abbrüchen werden geschluckt
+  async _forceInternalStrategy({ signal, timeoutMs, priority }, audit) {
+    try {
+      // Query strategy as numeric value (bypass enumMapping string conversion)
+      const currentStrategy = await this.query({ ...Identifier.POWER_MNG_SOC_STRATEGY, enumMapping: null }, { signal, timeoutMs, priority });
+      if (currentStrategy !== SOCStrategy.INTERNAL) {
+        await this._restoreValue(Identifier.POWER_MNG_SOC_STRATEGY, SOCStrategy.INTERNAL, { audit });
       }
-      case 'uint8':
-        data = [value & 0xFF];
-        break;
-      case 'uint16': {
-        data = new Uint8Array(2);
-        new DataView(data.buffer).setUint16(0, value, false);
-        break;
-      }
-      case 'enum':
-        data = [value];
-        break;
-      default:
-        throw new Error(`Unsupported data type '${identifier.type}' for '${identifier.description}'.`);
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      this._log('error', 'Switching the SoC strategy to INTERNAL failed', { error: err.message });
     }
+  }
+
+  _encodeWrite(identifier, value) {
+    // Kodierung inkl. Typ- und Bereichsprüfung anhand von identifier.type
+    const data = codec.encode(identifier.type, value, identifier);
 
     const datagram = {
-      cmd: Command.WRITE,
+      // Nutzdaten über 251 Byte passen nicht in das 1-Byte-Längenfeld
+      cmd: data.length > MAX_SHORT_DATA_LENGTH ? Command.LONG_WRITE : Command.WRITE,
       id: identifier.id,
       data: Array.from(data),
     };
+    return { datagram, data };
+  }
+
+  /**
+   * Applies several writes as one unit:
+   *
+   *   const result = await conn.transaction([
+   *     { identifier: Identifier.POWER_MNG_SOC_STRATEGY, value: SOCStrategy.EXTERNAL },
+   *     { identifier: Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, value: -3000 },
+   *     { identifier: Identifier.POWER_MNG_USE_GRID_POWER_ENABLE, value: true },
+   *   ], { confirm: true });
+   *
+   * All steps are checked against the write policy first. Then the current values are read
+   * (bypassing the cache) and the steps are written in order with read-back verification.
+   * If a step fails, the failed step and all applied steps are restored to their original
+   * values in reverse order, and the call rejects with code TRANSACTION_FAILED (or
+   * ROLLBACK_FAILED if a restore failed as well) and the report as `err.result`.
+   *
+   * The battery status is checked before the rollback. If the battery is not in normal
+   * operation (or the status cannot be read), the SoC strategy is switched to INTERNAL like in
+   * the write() pre-check, and no restore may bring back external control: a non-INTERNAL
+   * strategy, external battery power other than 0 or enabled grid charging stay unrestored
+   * ('not-rolled-back', `restored: false` for the failed step) with the reason in `rollbackError`.
+   *
+   * Report: { ok, applied: [index], rolledBack: [index], steps: [{ index, identifier, value, previous,
+   * status: 'applied' | 'failed' | 'rolled-back' | 'rollback-failed' | 'not-rolled-back' | 'skipped',
+   * error?, restored?, rollbackError? }] }
+   *
+   * Other requests on the connection may run between the steps.
+   *
+   * @param {Array<{ identifier, value, confirm? }>} steps
+   * @param {Object} [options]  as for write(); `confirm` applies to all steps without their own
+   */
+  async transaction(steps, options = {}) {
+    const { signal, timeoutMs, retries, priority = RequestPriority.CONTROL, confirm, tag } = resolveRequestOptions(options, WRITE_OPTIONS);
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw new Error('transaction expects a non-empty array of { identifier, value }');
+    }
+    steps.forEach((step, index) => {
+      if (!step || !isIdentifier(step.identifier) || step.value === undefined) {
+        throw new Error(`Invalid transaction step #${index}: expected { identifier, value }`);
+      }
+      if (step.confirm !== undefined && typeof step.confirm !== 'boolean') {
+        throw new Error(`Invalid transaction step #${index}: confirm must be a boolean`);
+      }
+    });
+    const confirmOf = step => (step.confirm !== undefined ? step.confirm : confirm);
+    // Policy vorab für alle Schritte: ein unzulässiger Schritt verhindert jeden Write
+    for (const step of steps) {
+      this.writePolicy.check(step.identifier, step.value, { confirm: confirmOf(step) });
+    }
+
+    const report = steps.map((step, index) => ({
+      index,
+      identifier: step.identifier.name || step.identifier.description || step.identifier.id,
+      value: step.value,
+      previous: undefined,
+      status: 'skipped',
+    }));
+    const result = () => ({
+      ok: report.every(entry => entry.status === 'applied'),
+      applied: report.filter(entry => entry.status === 'applied' || entry.status === 'rollback-failed').map(entry => entry.index),
+      rolledBack: report.filter(entry => entry.status === 'rolled-back').map(entry => entry.index),
+      steps: report,
+    });
+    const failure = (code, message, cause) => {
+      const error = new Error(message);
+      error.code = code;
+      error.cause = cause;
+      error.result = result();
+      return error;
+    };
+
+    // 1) Ausgangswerte lesen (numerisch, ohne enumMapping), bevor irgendetwas geschrieben wird
+    const originals = new Map();
+    try {
+      for (const { identifier } of steps) {
+        if (originals.has(identifier.id)) continue;
+        this.cache.entries.delete(identifier.id);
+        originals.set(identifier.id, await this.query({ ...identifier, enumMapping: null }, { signal, timeoutMs, priority }));
+      }
+    } catch (err) {
+      throw failure('TRANSACTION_FAILED', `Transaction failed before any write: reading the original values failed: ${err.message}`, err);
+    }
+    steps.forEach((step, index) => {
+      report[index].previous = originals.get(step.identifier.id);
+    });
+
+    // 2) Schritte in Reihenfolge
+    let failed = -1;
+    let error = null;
+    for (let i = 0; i < steps.length; i++) {
+      try {
+        await this.write(steps[i].identifier, steps[i].value, { signal, timeoutMs, retries, priority, confirm: confirmOf(steps[i]), tag });
+        report[i].status = 'applied';
+      } catch (err) {
+        failed = i;
+        error = err;
+        report[i].status = 'failed';
+        report[i].error = err.message;
+        break;
+      }
+    }
+    if (!error) return result();
+
+    // 3) Rollback rückwärts; der fehlgeschlagene Schritt zählt mit, sein Frame kann schon gesendet sein
+    const untouched = error.code === 'BATTERY_NOT_NORMAL' || (isAbortError(error) && !error.writeSent);
+    // Bei gestörter Batterie keine externe Steuerung zurückschreiben; der Pre-Check hat die
+    // Strategie bei BATTERY_NOT_NORMAL bereits auf INTERNAL gesetzt
+    const batteryNormal = error.code !== 'BATTERY_NOT_NORMAL' && await this._batteryNormal({ timeoutMs, priority });
+    if (!batteryNormal && error.code !== 'BATTERY_NOT_NORMAL') {
+      await this._forceInternalStrategy({ timeoutMs, priority }, { source: 'rollback', tag });
+    }
+    let rollbackFailed = false;
+    let heldBack = 0;
+    for (let i = untouched ? failed - 1 : failed; i >= 0; i--) {
+      const { identifier } = steps[i];
+      if (!batteryNormal && restoresExternalControl(identifier, report[i].previous)) {
+        heldBack++;
+        report[i].rollbackError = 'battery is not in normal operation';
+        if (i === failed) report[i].restored = false;
+        else report[i].status = 'not-rolled-back';
+        continue;
+      }
+      try {
+        await this._restoreValue(identifier, report[i].previous, { audit: { source: 'rollback', tag } });
+        if (i === failed) report[i].restored = true;
+        else report[i].status = 'rolled-back';
+      } catch (err) {
+        rollbackFailed = true;
+        report[i].rollbackError = err.message;
+        if (i === failed) report[i].restored = false;
+        else report[i].status = 'rollback-failed';
+        this._log('error', 'Rollback failed', { identifier: identifierFields(identifier), error: err.message });
+      }
+    }
 
-    return this._enqueueWriteOperation(identifier, datagram, data);
+    const where = `step ${failed} ('${report[failed].identifier}')`;
+    if (rollbackFailed) {
+      throw failure('ROLLBACK_FAILED', `Transaction failed at ${where} and could not be rolled back completely: ${error.message}`, error);
+    }
+    if (heldBack > 0) {
+      throw failure('TRANSACTION_FAILED', `Transaction failed at ${where}; ${heldBack} step(s) were not rolled back `
+        + `because the battery is not in normal operation: ${error.message}`, error);
+    }
+    throw failure('TRANSACTION_FAILED', `Transaction failed at ${where} and was rolled back: ${error.message}`, error);
   }
 
-  async _enqueueWriteOperation(identifier, datagram, data) {
-    await this._enqueueRequest(async () => {
+  // Frischer Batteriestatus; ein nicht lesbarer Status gilt als gestört
+  async _batteryNormal({ timeoutMs, priority }) {
+    this.cache.entries.delete(Identifier.BATTERY_STATUS.id);
+    try {
+      return (await this.query(Identifier.BATTERY_STATUS, { timeoutMs, priority })) === 0;
+    } catch (err) {
+      this._log('warn', 'Reading the battery status before the rollback failed', { error: err.message });
+      return false;
+    }
+  }
+
+  // Rückfallpfad ohne Pre-Check und Policy: Strategie-Reset im Pre-Check, Rollback, Lease-Ablauf
+  async _restoreValue(identifier, value, { audit = {}, ...options } = {}) {
+    const { datagram, data } = this._encodeWrite(identifier, value);
+    await this._enqueueWriteOperation(identifier, datagram, data, { ...options, audit: { ...audit, value } });
+    this.emit('write', identifier, value);
+
+    // Avoid stale cache entries after changing the value
+    this.cache.entries.delete(identifier.id);
+  }
+
+  /**
+   * Dead-man's switch for external battery control. While the returned lease is active the
+   * application must call lease.renew() within every ttlMs. When renewals stop, or the
+   * connection drops or is closed, the library hands control back to the inverter:
+   * SoC strategy INTERNAL, external battery power 0 and grid power disabled (written without
+   * pre-check and policy, like the strategy reset of the write() pre-check).
+   *
+   *   const lease = conn.holdExternalControl({ ttlMs: 30000, onExpire: ({ reason, restored }) => ... });
+   *   setInterval(() => lease.renew(), 10000);
+   *   ...
+   *   await lease.release();   // restores as well; release({ restore: false }) only ends the lease
+   *
+   * onExpire receives { reason: 'expired' | 'disconnect' | 'closed', restored, errors }.
+   * If the restore fails (typically over the dropped connection), it stays pending and is
+   * retried on the next 'connect' and with backoff until all three values are verified;
+   * onExpire is called again once it succeeds. close() makes one last attempt and then stops.
+   * An idle disconnect does not end the lease. The switch lives in this process: if the process
+   * itself dies, nothing restores the inverter.
+   *
+   * @param {Object} options { ttlMs, onExpire }
+   * @returns {ExternalControlLease}
+   */
+  holdExternalControl({ ttlMs, onExpire = null } = {}) {
+    if (typeof ttlMs !== 'number' || !Number.isFinite(ttlMs) || ttlMs <= 0) {
+      throw new Error(`Invalid ttlMs: ${ttlMs}`);
+    }
+    if (onExpire !== null && typeof onExpire !== 'function') {
+      throw new Error('onExpire must be a function');
+    }
+    if (this._lease) {
+      throw new Error('External control is already held on this connection');
+    }
+    this._lease = new ExternalControlLease(this, { ttlMs, onExpire });
+    return this._lease;
+  }
+
+  // Übergibt die Batteriesteuerung an den Wechselrichter zurück; Fehler einzelner Writes
+  // halten die übrigen nicht auf
+  async _restoreInternalControl() {
+    // Alle sofort einreihen: ein gleichzeitiges close() wartet dann auf sie
+    const outcomes = await Promise.allSettled(INTERNAL_CONTROL.map(([identifier, value]) =>
+      this._restoreValue(identifier, value, { retries: this.options.maxRetries, audit: { source: 'lease' } })));
+
+    const errors = [];
+    outcomes.forEach((outcome, i) => {
+      if (outcome.status === 'rejected') {
+        errors.push({ identifier: INTERNAL_CONTROL[i][0].name, error: outcome.reason });
+        this._log('error', 'Restoring internal control failed', {
+          identifier: identifierFields(INTERNAL_CONTROL[i][0]), error: outcome.reason.message,
+        });
+      }
+    });
+    return { restored: errors.length === 0, errors };
+  }
+
+  async _enqueueWriteOperation(identifier, datagram, data, {
+    signal = null, timeoutMs = this.options.verifyTimeoutMs, retries = 1, priority = RequestPriority.CONTROL, audit = {},
+  } = {}) {
+    const fields = { identifier: identifierFields(identifier) };
+    let writeSent = false;
+    // Für das Audit-Log: Vorwert einmal vor dem ersten Versuch, Read-back des letzten Versuchs
+    const auditLog = this._auditLog;
+    let started = false;
+    let previous = null;
+    let readBack = null;
+
+    const operation = async () => {
+      const start = Date.now();
+      readBack = null;
+      if (!started) {
+        started = true;
+        if (auditLog) {
+          if (!this._inverterSnRead) {
+            this._inverterSn = await this._readForAudit(Identifier.INVERTER_SN, { signal, timeoutMs });
+            this._inverterSnRead = true;
+          }
+          previous = await this._readForAudit(identifier, { signal, timeoutMs });
+        }
+      }
+
       // 1) Write
       this.builder.build(datagram);
       await this.send(this.builder);
-      console.log(`Write command for '${identifier.description}' sent.`);
+      writeSent = true;
+      this._log('debug', 'Write command sent', fields);
 
       // 2) Optional kurze Pause, dann Read zum Verifizieren
-      await new Promise(resolve => setTimeout(resolve, 800));
+      await this._sleep(this.options.writeVerifyDelayMs, signal);
       const readDatagram = { cmd: Command.READ, id: identifier.id, data: null };
       this.builder.build(readDatagram);
-      await this.send(this.builder);
-      console.log(`Read command for '${identifier.description}' sent.`);
 
       let readDg;
       try {
-        readDg = await this._receive({ timeoutMs: 8000, expect: { cmd: Command.RESPONSE, id: identifier.id } });
+        readDg = await this._sendAndReceive(this.builder, { timeoutMs, signal, expect: { cmd: RESPONSE_COMMANDS, id: identifier.id } });
+        readBack = readDg.data;
+        this._log('debug', 'Verification read answered', fields);
       } catch (err) {
-        console.error(`Read after Write for '${identifier.description}' failed.`);
+        if (isAbortError(err)) throw err;
+        this._log('error', 'Verification read after write failed', { ...fields, error: err.message, latencyMs: Date.now() - start });
         throw new RecoverableError(`Fallback Read failed for '${identifier.description}'`);
       }
 
       if (
         readDg &&
-        readDg.cmd === Command.RESPONSE &&
+        Command.isResponse(readDg.cmd) &&
         readDg.id === identifier.id &&
         this._compareArrays(readDg.data, data)
       ) {
-        console.log(`Read verification for '${identifier.description}' was successful.`);
+        this._log('info', 'Write verified', { ...fields, latencyMs: Date.now() - start });
       } else {
-        console.error(
-          `Write & Read verification for '${identifier.description}' failed. ` +
-          `Sent data: ${data}, Got (Read): ${readDg ? readDg.data : "none"}`
-        );
+        this._log('error', 'Write verification failed', {
+          ...fields,
+          sent: Array.from(data),
+          received: readDg ? readDg.data : null,
+          latencyMs: Date.now() - start,
+        });
         throw new RecoverableError(`Write and Read verification failed for '${identifier.description}'`);
       }
-    });
-  }
+    };
 
-  async query(identifier) {
-    return this._enqueueRequest(async () => {
-      if (typeof identifier !== 'object' || !('id' in identifier && 'type' in identifier)) {
-        throw new Error(`Invalid or unknown identifier: ${JSON.stringify(identifier)}`);
+    let error = null;
+    try {
+      await this._enqueueRequest(() => this.retryOperation(operation, retries, undefined, fields, signal), { signal, priority });
+    } catch (err) {
+      if (isAbortError(err)) err.writeSent = writeSent;
+      // Nach dem letzten Versuch den eigentlichen Fehler melden (Read-back fehlgeschlagen/abweichend)
+      error = err.code === 'MAX_RETRIES' && err.cause ? err.cause : err;
+    }
+
+    // Nur Writes, die tatsächlich angelaufen sind (nicht in der Queue abgebrochen)
+    if (auditLog && started) {
+      let outcome = AuditOutcome.VERIFIED;
+      if (error) {
+        if (isAbortError(error)) outcome = AuditOutcome.ABORTED;
+        else outcome = readBack !== null ? AuditOutcome.MISMATCH : AuditOutcome.FAILED;
       }
+      this._audit({
+        host: this.host,
+        inverterSn: this._inverterSn,
+        identifier: identifier.name || null,
+        oid: identifierFields(identifier).id,
+        previous,
+        requested: audit.value !== undefined ? audit.value : decodeForAudit(identifier, data),
+        readBack: readBack !== null ? decodeForAudit(identifier, readBack) : null,
+        outcome,
+        error: error ? error.message : null,
+        source: audit.source || 'write',
+        tag: audit.tag || null,
+      });
+    }
+    if (error) throw error;
+  }
+
+  // Liest einen Wert für das Audit-Log im laufenden Job; null, wenn das nicht gelingt
+  async _readForAudit(identifier, { signal, timeoutMs }) {
+    try {
+      this.builder.build({ cmd: Command.READ, id: identifier.id, data: null });
+      const dg = await this._sendAndReceive(this.builder, { timeoutMs, signal, expect: { cmd: RESPONSE_COMMANDS, id: identifier.id } });
+      return decodeForAudit(identifier, dg.data);
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      this._log('warn', 'Audit read failed', { identifier: identifierFields(identifier), error: err.message });
+      return null;
+    }
+  }
 
-      const { id: numericId, type: dataTypeHandler, enumMapping } = identifier;
+  /**
+   * Reads a value (from the cache if still fresh).
+   *
+   * @param {Object} identifier
+   * @param {Object} [options]
+   *   - signal     AbortSignal; aborting removes the queued request or stops the running one
+   *                (pending response, retry pause) and rejects with AbortError
+   *   - timeoutMs  timeout per response (default receiveTimeoutMs)
+   *   - retries    attempts on recoverable errors (default maxRetries)
+   *   - priority   queue lane, see Connection.Priority (default INTERACTIVE)
+   *
+   * With the connection option `dedupeReads`, a read of an id that is already queued or in
+   * flight joins that request instead of sending another READ (raising its priority if needed);
+   * the joining call shares the first call's timeoutMs and retries. Calls with a signal are
+   * never joined.
+   */
+  async query(identifier, options = {}) {
+    const { signal, timeoutMs, retries, priority = RequestPriority.INTERACTIVE } = resolveRequestOptions(options);
+    if (!isIdentifier(identifier)) {
+      throw new Error(`Invalid or unknown identifier: ${JSON.stringify(identifier)}`);
+    }
+
+    // Dekodiert wird je Aufrufer: geteilte Reads können unterschiedliche enumMappings haben
+    const dg = await this._readDatagram(identifier, { signal, timeoutMs, retries, priority });
+    const { type: dataTypeHandler, enumMapping } = identifier;
+    if (dataTypeHandler) {
+      return this._processDataHandler(dg, dataTypeHandler, enumMapping, identifier);
+    }
+    return dg;
+  }
 
+  // Liefert das Antwort-Datagramm aus dem Cache oder per READ (mit Retries)
+  _readDatagram(identifier, { signal, timeoutMs, retries, priority }) {
+    const numericId = identifier.id;
+    const shared = this._dedupeReads && !signal;
+    if (shared && this._pendingReads.has(numericId)) {
+      const pending = this._pendingReads.get(numericId);
+      this._promoteRequest(pending.fn, priority);
+      return pending.promise;
+    }
+
+    const fn = async () => {
       const [cachedDg, found] = this.cache.get(numericId);
-      if (found) {
-        if (dataTypeHandler) {
-          return this._processDataHandler(cachedDg, dataTypeHandler, enumMapping);
-        }
-        return cachedDg;
-      }
+      if (found) return cachedDg;
 
       this.builder.build({ cmd: Command.READ, id: numericId, data: null });
 
+      const fields = { identifier: identifierFields(identifier) };
       const operation = async () => {
-        await this.send(this.builder);
+        const start = Date.now();
 
         // WARTEN bis *passende* Antwort kommt
-        const dg = await this._receive({ timeoutMs: RECEIVE_TIMEOUT, expect: { cmd: Command.RESPONSE, id: numericId } });
+        const dg = await this._sendAndReceive(this.builder, { timeoutMs, signal, expect: { cmd: RESPONSE_COMMANDS, id: numericId } });
 
         // Mit Expectation-Matching sind Mismatch-Fälle sehr unwahrscheinlich,
         // die Prüfung bleibt aber als Sicherheitsnetz bestehen:
-        if (dg.cmd === Command.RESPONSE && dg.id === numericId) {
+        if (Command.isResponse(dg.cmd) && dg.id === numericId) {
+          this._log('debug', 'Response received', { ...fields, latencyMs: Date.now() - start });
           this.cache.put(dg);
           this.cache.cleanup();
-
-          if (dataTypeHandler) {
-            return this._processDataHandler(dg, dataTypeHandler, enumMapping);
-          }
           return dg;
         } else {
           throw new RecoverableError(
@@ -435,18 +1619,285 @@ class Connection {
         }
       };
 
-      return await this.retryOperation(operation);
+      return await this.retryOperation(operation, retries, undefined, fields, signal);
+    };
+
+    const promise = this._enqueueRequest(fn, { signal, priority });
+    if (shared) {
+      this._pendingReads.set(numericId, { fn, promise });
+      const done = () => this._pendingReads.delete(numericId);
+      promise.then(done, done);
+    }
+    return promise;
+  }
+
+  /**
+   * Reads several identifiers in one go: READ frames are packed into a single TCP write
+   * (in chunks of batchSize), responses are matched by id in any order and only the
+   * missing ids are retried.
+   *
+   * @param {Array<Object>} identifiers
+   * @param {Object} [options] { batchSize = 20, priority = INTERACTIVE }
+   * @returns {Promise<{ values: Map<number, *>, errors: Map<number, Error> }>} keyed by numeric id
+   */
+  async queryMany(identifiers, { batchSize = 20, priority = RequestPriority.INTERACTIVE } = {}) {
+    if (!Array.isArray(identifiers)) {
+      throw new Error('queryMany expects an array of identifiers');
+    }
+    for (const identifier of identifiers) {
+      if (!isIdentifier(identifier)) {
+        throw new Error(`Invalid or unknown identifier: ${JSON.stringify(identifier)}`);
+      }
+    }
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      throw new Error(`Invalid batch size: ${batchSize}`);
+    }
+    if (!RequestPriority.ALL.includes(priority)) {
+      throw new Error(`Invalid priority: ${priority}`);
+    }
+
+    return this._enqueueRequest(async () => {
+      const values = new Map();
+      const errors = new Map();
+      const pending = new Map(); // id -> identifier
+
+      for (const identifier of identifiers) {
+        if (pending.has(identifier.id) || values.has(identifier.id) || errors.has(identifier.id)) continue;
+        const [cachedDg, found] = this.cache.get(identifier.id);
+        if (found) {
+          this._decodeInto(identifier, cachedDg, values, errors);
+        } else {
+          pending.set(identifier.id, identifier);
+        }
+      }
+
+      const { maxRetries, initialBackoffMs, backoffMultiplier, receiveTimeoutMs } = this.options;
+      let delay = initialBackoffMs;
+
+      for (let attempt = 1; attempt <= maxRetries && pending.size > 0; attempt++) {
+        if (attempt > 1) {
+          this.emit('retry', { attempt: attempt - 1, retries: maxRetries, delayMs: delay, ids: Array.from(pending.keys()) });
+          this._log('debug', 'Retrying missing ids', { attempt: attempt - 1, missing: pending.size, delayMs: delay });
+          await new Promise(resolve => setTimeout(resolve, delay));
+          delay *= backoffMultiplier;
+        }
+
+        const ids = Array.from(pending.keys());
+        for (let i = 0; i < ids.length && pending.size > 0; i += batchSize) {
+          const chunk = ids.slice(i, i + batchSize);
+          const start = Date.now();
+          let received;
+          try {
+            received = await this._requestBatch(chunk, receiveTimeoutMs);
+          } catch (err) {
+            if (err instanceof RecoverableError) continue;
+            // nicht behebbar (z. B. RECONNECT_DEADLINE) → alle offenen ids scheitern
+            for (const id of pending.keys()) errors.set(id, err);
+            pending.clear();
+            break;
+          }
+
+          this._log('debug', 'Batch received', { requested: chunk.length, received: received.size, latencyMs: Date.now() - start });
+          for (const [id, dg] of received) {
+            this.cache.put(dg);
+            this._decodeInto(pending.get(id), dg, values, errors);
+            pending.delete(id);
+          }
+        }
+      }
+      this.cache.cleanup();
+
+      for (const [id, identifier] of pending) {
+        errors.set(id, new RecoverableError(`No response for '${identifier.description || id}' after ${maxRetries} attempts`));
+      }
+      return { values, errors };
+    }, { priority });
+  }
+
+  /**
+   * Discovery scan: sends READ requests for candidate object ids and reports which ones answer,
+   * with payload length and a guessed data type (see scanner.js). Strictly read-only: only READ
+   * frames are sent. Batches are queued as background requests and throttled by delayMs, and
+   * responses bypass the cache.
+   *
+   * @param {Array|Object} targets  ids (numbers, hex strings, identifiers) or { from, to, step }
+   * @param {Object} [options]      { batchSize = 10, delayMs = 100, timeoutMs = 1000, retries = 1, onProgress }
+   * @returns {Promise<ScanReport>}  report.toDefinitions() can be passed to Identifier.loadDefinitions()
+   */
+  async scan(targets, options = {}) {
+    const ids = resolveTargets(targets);
+    const { batchSize, delayMs, timeoutMs, retries, onProgress } = resolveScanOptions(options);
+
+    const startedAt = new Date();
+    const found = new Map(); // id -> dg
+    let pending = ids;
+
+    for (let pass = 0; pass <= retries && pending.length > 0; pass++) {
+      for (let i = 0; i < pending.length; i += batchSize) {
+        if (i > 0 || pass > 0) await new Promise(resolve => setTimeout(resolve, delayMs));
+
+        const chunk = pending.slice(i, i + batchSize);
+        let received;
+        try {
+          received = await this._enqueueScanBatch(chunk, timeoutMs);
+        } catch (err) {
+          if (!(err instanceof RecoverableError)) throw err;
+          received = new Map();
+        }
+        for (const [id, dg] of received) found.set(id, dg);
+
+        this._log('debug', 'Scan batch', { pass, requested: chunk.length, received: received.size });
+        if (onProgress) {
+          onProgress({ scanned: pass === 0 ? i + chunk.length : ids.length, total: ids.length, found: found.size });
+        }
+      }
+      pending = pending.filter(id => !found.has(id));
+    }
+
+    const results = Array.from(found.values())
+      .sort((a, b) => a.id - b.id)
+      .map(dg => ScanReport.entry(dg));
+    this._log('info', 'Scan finished', { scanned: ids.length, found: results.length });
+
+    return new ScanReport({
+      scanned: ids.length,
+      results,
+      startedAt: startedAt.toISOString(),
+      durationMs: Date.now() - startedAt.getTime(),
+    });
+  }
+
+  // Bei voller Queue (maxQueueDepth) mit Backoff erneut einreihen statt den Scan abzubrechen
+  async _enqueueScanBatch(chunk, timeoutMs) {
+    let delay = Math.max(this.options.initialBackoffMs, 1);
+    for (;;) {
+      try {
+        return await this._enqueueRequest(() => this._requestBatch(chunk, timeoutMs), { priority: RequestPriority.BACKGROUND });
+      } catch (err) {
+        if (err.code !== 'QUEUE_FULL') throw err;
+        this._log('debug', 'Scan batch deferred, request queue is full', { delayMs: delay });
+        await this._sleep(delay);
+        delay = Math.min(delay * this.options.backoffMultiplier, MAX_SCAN_BACKOFF_MS);
+      }
+    }
+  }
+
+  // Sendet READs für alle ids in einem Write und sammelt Antworten, bis alle da sind oder timeoutMs abläuft
+  async _requestBatch(ids, timeoutMs) {
+    const frames = ids.map(id => {
+      this.builder.build({ cmd: Command.READ, id, data: null });
+      return Buffer.from(this.builder.bytes());
+    });
+
+    const received = new Map();
+    let finish;
+    const done = new Promise((resolve, reject) => {
+      let settled = false;
+      const timer = setTimeout(() => {
+        this.emit('timeout', { timeoutMs, id: null, cmd: RESPONSE_COMMANDS, ids: ids.filter(id => !received.has(id)) });
+        finish();
+      }, timeoutMs);
+
+      finish = (err) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        for (const id of ids) this._batchWaiters.delete(id);
+        // Teilergebnisse behalten; nur ohne jede Antwort den Fehler weiterreichen
+        if (err && received.size === 0) reject(err);
+        else resolve(received);
+      };
+
+      for (const id of ids) {
+        this._batchWaiters.set(id, {
+          resolve: (dg) => {
+            received.set(id, dg);
+            if (received.size === ids.length) finish();
+          },
+          reject: (err) => finish(err),
+        });
+      }
     });
+
+    try {
+      await this._sendBuffer(Buffer.concat(frames));
+    } catch (err) {
+      finish(err);
+    }
+    return done;
+  }
+
+  _decodeInto(identifier, dg, values, errors) {
+    try {
+      const { type: dataTypeHandler, enumMapping } = identifier;
+      values.set(identifier.id, dataTypeHandler ? this._processDataHandler(dg, dataTypeHandler, enumMapping, identifier) : dg);
+    } catch (err) {
+      errors.set(identifier.id, err);
+    }
   }
 
-  _enqueueRequest(fn) {
+  // Mit signal: ein Abort entfernt den Job, solange er noch in der Queue wartet;
+  // ein laufender Job bricht über sein eigenes signal ab
+  _enqueueRequest(fn, { signal = null, priority = RequestPriority.INTERACTIVE } = {}) {
+    if (signal && signal.aborted) {
+      return Promise.reject(abortError(signal));
+    }
+    const { maxQueueDepth } = this.options;
+    if (priority === RequestPriority.BACKGROUND && maxQueueDepth > 0 && this._requestQueue.length >= maxQueueDepth) {
+      this._log('warn', 'Request queue full, background request rejected', { queued: this._requestQueue.length });
+      const error = new Error(`Request queue is full (${this._requestQueue.length} queued), background request rejected`);
+      error.code = 'QUEUE_FULL';
+      return Promise.reject(error);
+    }
     this._activeRequests++;
     return new Promise((resolve, reject) => {
-      this._requestQueue.push({ fn, resolve, reject });
+      const job = { fn, resolve, reject, priority };
+      if (signal) {
+        const onAbort = () => {
+          const index = this._requestQueue.indexOf(job);
+          if (index === -1) return;
+          this._requestQueue.splice(index, 1);
+          this._activeRequests--;
+          this._log('debug', 'Queued request aborted');
+          reject(abortError(signal));
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        job.resolve = (value) => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(value);
+        };
+        job.reject = (err) => {
+          signal.removeEventListener('abort', onAbort);
+          reject(err);
+        };
+      }
+      this._insertJob(job);
       this._processQueue();
     });
   }
 
+  // Hinter den letzten Job gleicher oder höherer Priorität einreihen (FIFO je Lane)
+  _insertJob(job) {
+    const rank = RequestPriority.ALL.indexOf(job.priority);
+    const index = this._requestQueue.findIndex(other => RequestPriority.ALL.indexOf(other.priority) > rank);
+    if (index === -1) {
+      this._requestQueue.push(job);
+    } else {
+      this._requestQueue.splice(index, 0, job);
+    }
+  }
+
+  // Wartenden Job in eine höhere Lane verschieben (geteilter Read mit dringenderem Aufrufer)
+  _promoteRequest(fn, priority) {
+    const index = this._requestQueue.findIndex(job => job.fn === fn);
+    if (index === -1) return; // läuft bereits
+    const job = this._requestQueue[index];
+    if (RequestPriority.ALL.indexOf(priority) >= RequestPriority.ALL.indexOf(job.priority)) return;
+    this._requestQueue.splice(index, 1);
+    job.priority = priority;
+    this._insertJob(job);
+  }
+
   async _processQueue() {
     if (this._processing) return;
     this._processing = true;
@@ -469,28 +1920,24 @@ class Connection {
     this._processing = false;
   }
 
-  _processDataHandler(dg, dataTypeHandler, enumMapping = null) {
-    if (dataTypeHandler === 'string') {
-      const result = dg.data.map(b => String.fromCharCode(b)).join('').trim();
-      return result.replace(/[^\x20-\x7E]/g, '');
-    }
-
+  // options: Identifier bzw. Codec-Optionen (z. B. length/lengthPrefixed für Strings)
+  _processDataHandler(dg, dataTypeHandler, enumMapping = null, options = {}) {
     if (dataTypeHandler === 'enum') {
-      const enumValue = dg.uint8();
+      const enumValue = codec.decode('enum', dg.data);
       return enumMapping ? enumMapping(enumValue) : enumValue;
     }
 
-    if (typeof dg[dataTypeHandler] !== 'function') {
+    if (!codec.isSupported(dataTypeHandler)) {
       throw new Error(`Handler '${dataTypeHandler}' is not supported by the response.`);
     }
 
-    return dg[dataTypeHandler]();
+    return codec.decode(dataTypeHandler, dg.data, options);
   }
 
-  async queryString(identifier)  { return await this.query(identifier, 'string'); }
-  async queryFloat32(identifier) { return await this.query(identifier, 'float32'); }
-  async queryUint16(identifier)  { return await this.query(identifier, 'uint16'); }
-  async queryUint8(identifier)   { return await this.query(identifier, 'uint8'); }
+  async queryString(identifier, options)  { return await this.query(identifier, options); }
+  async queryFloat32(identifier, options) { return await this.query(identifier, options); }
+  async queryUint16(identifier, options)  { return await this.query(identifier, options); }
+  async queryUint8(identifier, options)   { return await this.query(identifier, options); }
 
   _compareArrays(arr1, arr2) {
     if (arr1.length !== arr2.length) return false;
@@ -501,19 +1948,127 @@ class Connection {
   }
 }
 
-Connection.getPooledConnection = function(host, port, cacheDuration, cacheMaxSize = 1000) {
-  const key = `${host}:${port}`;
-  let conn = _connectionPool.get(key);
+/**
+ * Pool of shared connections, one per host:port, with reference counting:
+ *
+ *   const conn = Connection.acquire(host, port, cacheDuration);  // refs + 1
+ *   ...
+ *   conn.release();                                              // refs - 1
+ *
+ * When the last holder releases a connection it stays open for graceMs (default 10000 ms) so a
+ * following acquire() can reuse it; afterwards it is closed and removed. close() on a pooled
+ * connection still closes it for every holder, closeAll() does so for the whole pool.
+ */
+class ConnectionPool {
+  constructor() {
+    this.graceMs = 10000;
+    this._entries = new Map(); // key -> { conn, refs, idleSince, timer }
+  }
+
+  acquire(host, port, cacheDuration, cacheMaxSize = 1000, options = {}) {
+    const entry = this._entry(host, port, cacheDuration, cacheMaxSize, options);
+    entry.refs++;
+    entry.idleSince = null;
+    if (entry.timer) {
+      clearTimeout(entry.timer);
+      entry.timer = null;
+    }
+    return entry.conn;
+  }
+
+  release(conn) {
+    const entry = this._entries.get(`${conn.host}:${conn.port}`);
+    // Nach close()/closeAll() ist die Instanz nicht mehr im Pool – release() ist dann harmlos
+    if ((!entry || entry.conn !== conn) && conn.state === ConnectionState.CLOSED) return;
+    if (!entry || entry.conn !== conn || entry.refs === 0) {
+      throw new Error(`Connection ${conn.host}:${conn.port} is not acquired from the pool`);
+    }
+
+    entry.refs--;
+    if (entry.refs > 0) return;
+
+    entry.idleSince = Date.now();
+    if (this.graceMs > 0) {
+      entry.timer = setTimeout(() => {
+        entry.timer = null;
+        entry.conn.close();
+      }, this.graceMs);
+      // Die Schonfrist allein soll den Prozess nicht am Leben halten
+      if (typeof entry.timer.unref === 'function') entry.timer.unref();
+    } else {
+      entry.conn.close();
+    }
+  }
+
+  /**
+   * @returns {Array<{ key, host, port, refs, state, idleSince }>}
+   */
+  list() {
+    return Array.from(this._entries, ([key, entry]) => ({
+      key,
+      host: entry.conn.host,
+      port: entry.conn.port,
+      refs: entry.refs,
+      state: entry.conn.state,
+      idleSince: entry.idleSince,
+    }));
+  }
 
-  if (conn && conn.conn && conn.conn.destroyed) {
-    _connectionPool.delete(key);
-    conn = null;
+  /**
+   * Closes every pooled connection (pending requests are completed first) and empties the pool.
+   */
+  async closeAll() {
+    const conns = Array.from(this._entries.values(), entry => entry.conn);
+    for (const conn of conns) conn.close();
+    await Promise.all(conns.map(conn => conn._whenClosed()));
   }
-  if (conn) return conn;
 
-  conn = new Connection(host, port, cacheDuration, cacheMaxSize);
-  _connectionPool.set(key, conn);
-  return conn;
+  _entry(host, port, cacheDuration, cacheMaxSize, options) {
+    const key = `${host}:${port}`;
+    let entry = this._entries.get(key);
+
+    // Mit Auto-Reconnect bleibt die Instanz auch bei weggebrochenem Socket gültig
+    if (entry && entry.conn.conn && entry.conn.conn.destroyed && !entry.conn._reconnect && entry.refs === 0) {
+      this._remove(entry.conn);
+      entry = null;
+    }
+    if (!entry) {
+      entry = { conn: new Connection(host, port, cacheDuration, cacheMaxSize, options), refs: 0, idleSince: null, timer: null };
+      this._entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  _remove(conn) {
+    const key = `${conn.host}:${conn.port}`;
+    const entry = this._entries.get(key);
+    if (!entry || entry.conn !== conn) return;
+    if (entry.timer) clearTimeout(entry.timer);
+    this._entries.delete(key);
+  }
+}
+
+Connection.pool = new ConnectionPool();
+
+/**
+ * Acquires the shared Connection for host:port and increments its reference count;
+ * call conn.release() when done. Options only apply when the instance is created.
+ */
+Connection.acquire = function(host, port, cacheDuration, cacheMaxSize = 1000, options = {}) {
+  return Connection.pool.acquire(host, port, cacheDuration, cacheMaxSize, options);
 };
 
+/**
+ * Returns the shared Connection for host:port without reference counting. Options only apply
+ * when the instance is created; later calls for the same host:port return the existing instance.
+ */
+Connection.getPooledConnection = function(host, port, cacheDuration, cacheMaxSize = 1000, options = {}) {
+  return Connection.pool._entry(host, port, cacheDuration, cacheMaxSize, options).conn;
+};
+
+Connection.State = ConnectionState;
+Connection.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+Connection.AbortError = AbortError;
+Connection.Priority = RequestPriority;
+
 module.exports = Connection;
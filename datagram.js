@@ -1,4 +1,7 @@
 const { RecoverableError, isRecoverableError } = require('./recoverable.js');
+const fs = require('fs');
+const codec = require('./codec.js');
+const OBJECTS = require('./objects.js');
 
 class Command {
     static READ = 1;
@@ -32,6 +35,15 @@ class Command {
         }
         return "#INVALID";
     }
+
+    // LONG_WRITE and LONG_RESPONSE frames use a 2-byte length field
+    static isLong(cmd) {
+        return cmd === this.LONG_WRITE || cmd === this.LONG_RESPONSE;
+    }
+
+    static isResponse(cmd) {
+        return cmd === this.RESPONSE || cmd === this.LONG_RESPONSE;
+    }
 }
 
 // Add SOC Strategy Selection constants
@@ -109,72 +121,78 @@ class BatteryStatus {
     }
 }
 
+/**
+ * Registry of RCT object ids. The constants below are the objects this library uses directly;
+ * the rest of the published RCT object table (objects.js) is indexed as read-only entries
+ * without a constant, reachable through getById(), getByName() and resolve(). Where both
+ * define an object, the constant wins. Other ids can be added with Identifier.register().
+ */
 class Identifier {
     // Power values
-    static SOLAR_GEN_A_POWER_W = { id: 0xB5317B78, type: 'float32', writable: false, description: "Solar generator A power [W]" };
-    static SOLAR_GEN_B_POWER_W = { id: 0xAA9AA253, type: 'float32', writable: false, description: "Solar generator B power [W]" };
-    static BATTERY_POWER_W = { id: 0x400f015b, type: 'float32', writable: false, description: "Battery power [W]" };
-    static INVERTER_AC_POWER_W = { id: 0xDB2D69AE, type: 'float32', writable: false, description: "Inverter AC power [W]" };
-    static REAL_POWER_W = { id: 0x4E49AEC5, type: 'float32', writable: false, description: "Real power [W]" };
-    static TOTAL_GRID_POWER_W = { id: 0x91617C58, type: 'float32', writable: false, description: "Total grid power [W]" };
-    static S0_EXTERNAL_POWER_W = { id: 0xE96F1844, type: 'float32', writable: false, description: "S0 External power [W]" };
-    static LOAD_HOUSEHOLD_POWER_W = { id: 0x1AC87AA0, type: 'float32', writable: false, description: "Load household power [W]" };
+    static SOLAR_GEN_A_POWER_W = { id: 0xB5317B78, name: 'dc_conv.dc_conv_struct[0].p_dc', unit: "W", type: 'float32', writable: false, description: "Solar generator A power [W]" };
+    static SOLAR_GEN_B_POWER_W = { id: 0xAA9AA253, name: 'dc_conv.dc_conv_struct[1].p_dc', unit: "W", type: 'float32', writable: false, description: "Solar generator B power [W]" };
+    static BATTERY_POWER_W = { id: 0x400f015b, name: 'g_sync.p_acc_lp', unit: "W", type: 'float32', writable: false, description: "Battery power [W]" };
+    static INVERTER_AC_POWER_W = { id: 0xDB2D69AE, name: 'g_sync.p_ac_sum_lp', unit: "W", type: 'float32', writable: false, description: "Inverter AC power [W]" };
+    static REAL_POWER_W = { id: 0x4E49AEC5, name: 'g_sync.p_ac_sum', unit: "W", type: 'float32', writable: false, description: "Real power [W]" };
+    static TOTAL_GRID_POWER_W = { id: 0x91617C58, name: 'g_sync.p_ac_grid_sum_lp', unit: "W", type: 'float32', writable: false, description: "Total grid power [W]" };
+    static S0_EXTERNAL_POWER_W = { id: 0xE96F1844, name: 'io_board.s0_external_power', unit: "W", type: 'float32', writable: false, description: "S0 External power [W]" };
+    static LOAD_HOUSEHOLD_POWER_W = { id: 0x1AC87AA0, name: 'g_sync.p_ac_load_sum_lp', unit: "W", type: 'float32', writable: false, description: "Load household power [W]" };
 
     // Voltage values
-    static SOLAR_GEN_A_VOLTAGE = { id: 0xB298395D, type: 'float32', writable: false, description: "Solar generator A voltage [V]" };
-    static SOLAR_GEN_B_VOLTAGE = { id: 0x5BB8075A, type: 'float32', writable: false, description: "Solar generator B voltage [V]" };
-    static BATTERY_VOLTAGE = { id: 0xA7FA5C5D, type: 'float32', writable: false, description: "Battery voltage [V]" };
+    static SOLAR_GEN_A_VOLTAGE = { id: 0xB298395D, name: 'dc_conv.dc_conv_struct[0].u_sg_lp', unit: "V", type: 'float32', writable: false, description: "Solar generator A voltage [V]" };
+    static SOLAR_GEN_B_VOLTAGE = { id: 0x5BB8075A, name: 'dc_conv.dc_conv_struct[1].u_sg_lp', unit: "V", type: 'float32', writable: false, description: "Solar generator B voltage [V]" };
+    static BATTERY_VOLTAGE = { id: 0xA7FA5C5D, name: 'power_mng.u_acc_mix_lp', unit: "V", type: 'float32', writable: false, description: "Battery voltage [V]" };
 
     // Energy values
-    static TOTAL_ENERGY_WH = { id: 0xB1EF67CE, type: 'float32', writable: false, description: "Total energy [Wh]" };
-    static TOTAL_ENERGY_SOLAR_GEN_A_WH = { id: 0xFC724A9E, type: 'float32', writable: false, description: "Total energy solarGenA [Wh]" };
-    static TOTAL_ENERGY_SOLAR_GEN_B_WH = { id: 0x68EEFD3D, type: 'float32', writable: false, description: "Total energy solarGenB [Wh]" };
-    static TOTAL_ENERGY_BATT_IN_WH = { id: 0x5570401B, type: 'float32', writable: false, description: "Total energy batt in [Wh]" };
-    static TOTAL_ENERGY_BATT_OUT_WH = { id: 0xA9033880, type: 'float32', writable: false, description: "Total energy batt out [Wh]" };
-    static TOTAL_ENERGY_HOUSEHOLD_WH = { id: 0xEFF4B537, type: 'float32', writable: false, description: "Total energy household [Wh]" };
-    static TOTAL_ENERGY_GRID_WH = { id: 0xA59C8428, type: 'float32', writable: false, description: "Total energy grid [Wh]" };
-    static TOTAL_ENERGY_GRID_FEED_IN_WH = { id: 0x44D4C533, type: 'float32', writable: false, description: "Total energy grid feed in [Wh]" };
-    static TOTAL_ENERGY_GRID_LOAD_WH = { id: 0x62FBE7DC, type: 'float32', writable: false, description: "Total energy grid load [Wh]" };
+    static TOTAL_ENERGY_WH = { id: 0xB1EF67CE, name: 'energy.e_ac_total', unit: "Wh", type: 'float32', writable: false, description: "Total energy [Wh]" };
+    static TOTAL_ENERGY_SOLAR_GEN_A_WH = { id: 0xFC724A9E, name: 'energy.e_dc_total[0]', unit: "Wh", type: 'float32', writable: false, description: "Total energy solarGenA [Wh]" };
+    static TOTAL_ENERGY_SOLAR_GEN_B_WH = { id: 0x68EEFD3D, name: 'energy.e_dc_total[1]', unit: "Wh", type: 'float32', writable: false, description: "Total energy solarGenB [Wh]" };
+    static TOTAL_ENERGY_BATT_IN_WH = { id: 0x5570401B, name: 'battery.stored_energy', unit: "Wh", type: 'float32', writable: false, description: "Total energy batt in [Wh]" };
+    static TOTAL_ENERGY_BATT_OUT_WH = { id: 0xA9033880, name: 'battery.used_energy', unit: "Wh", type: 'float32', writable: false, description: "Total energy batt out [Wh]" };
+    static TOTAL_ENERGY_HOUSEHOLD_WH = { id: 0xEFF4B537, name: 'energy.e_load_total', unit: "Wh", type: 'float32', writable: false, description: "Total energy household [Wh]" };
+    static TOTAL_ENERGY_GRID_WH = { id: 0xA59C8428, name: 'energy.e_ext_total', unit: "Wh", type: 'float32', writable: false, description: "Total energy grid [Wh]" };
+    static TOTAL_ENERGY_GRID_FEED_IN_WH = { id: 0x44D4C533, name: 'energy.e_grid_feed_total', unit: "Wh", type: 'float32', writable: false, description: "Total energy grid feed in [Wh]" };
+    static TOTAL_ENERGY_GRID_LOAD_WH = { id: 0x62FBE7DC, name: 'energy.e_grid_load_total', unit: "Wh", type: 'float32', writable: false, description: "Total energy grid load [Wh]" };
 
     // Power management values
-    static POWER_MNG_SOC_STRATEGY = { id: 0xF168B748, type: 'enum', writable: true, description: "Power management SoC strategy", enumMapping: SOCStrategy.toString, validate: value => Object.values(SOCStrategy).includes(value) };
-    static POWER_MNG_SOC_TARGET_SET = { id: 0xD1DFC969, type: 'float32', writable: true, description: "Power management SoC target set", validate: value => value >= 0 && value <= 1 };
-    static POWER_MNG_BATTERY_POWER_EXTERN_W = { id: 0xBD008E29, type: 'float32', writable: true, description: "Power management battery power external [W]", validate: value => value >= -6000 && value <= 6000 };
-    static POWER_MNG_SOC_MIN = { id: 0xCE266F0F, type: 'float32', writable: true, description: "Power management SoC min", validate: value => value >= 0 && value <= 1 };
-    static POWER_MNG_SOC_MAX = { id: 0x97997C93, type: 'float32', writable: true, description: "Power management SoC max", validate: value => value >= 0 && value <= 1 };
-    static POWER_MNG_SOC_CHARGE_POWER_W = { id: 0x1D2994EA, type: 'float32', writable: false, description: "Power management SoC charge power [W]" };
-    static POWER_MNG_SOC_CHARGE = { id: 0xBD3A23C3, type: 'float32', writable: true, description: "Power management SoC charge", validate: value => value >= 0 && value <= 1 };
-    static POWER_MNG_GRID_POWER_LIMIT_W = { id: 0x54829753, type: 'float32', writable: false, description: "Power management grid power limit [W]" };
-    static POWER_MNG_USE_GRID_POWER_ENABLE = { id: 0x36A9E9A6, type: 'uint8', writable: true, description: "Power management use grid power enable", validate: value => value === 0 || value === 1 };
-    static BATTERY_SYSTEM_TOWER_COUNT = { id: 0x663F1452, type: 'uint8', writable: false, description: "Configured number of battery towers" };
-    static BATTERY_SYSTEM_SOC_TARGET_MIN_ISLAND = { id: 0x8EBF9574, type: 'float32', writable: false, description: "Battery system SoC target min island" };
+    static POWER_MNG_SOC_STRATEGY = { id: 0xF168B748, name: 'power_mng.soc_strategy', unit: null, type: 'enum', writable: true, description: "Power management SoC strategy", enumMapping: SOCStrategy.toString, enum: [SOCStrategy.SOC, SOCStrategy.CONSTANT, SOCStrategy.EXTERNAL, SOCStrategy.MIDDLE_VOLTAGE, SOCStrategy.INTERNAL, SOCStrategy.SCHEDULE] };
+    static POWER_MNG_SOC_TARGET_SET = { id: 0xD1DFC969, name: 'power_mng.soc_target_set', unit: null, type: 'float32', writable: true, description: "Power management SoC target set", min: 0, max: 1, step: 0.01 };
+    static POWER_MNG_BATTERY_POWER_EXTERN_W = { id: 0xBD008E29, name: 'power_mng.battery_power_extern', unit: "W", type: 'float32', writable: true, description: "Power management battery power external [W]", min: -6000, max: 6000, step: 1 };
+    static POWER_MNG_SOC_MIN = { id: 0xCE266F0F, name: 'power_mng.soc_min', unit: null, type: 'float32', writable: true, description: "Power management SoC min", min: 0, max: 1, step: 0.01 };
+    static POWER_MNG_SOC_MAX = { id: 0x97997C93, name: 'power_mng.soc_max', unit: null, type: 'float32', writable: true, description: "Power management SoC max", min: 0, max: 1, step: 0.01 };
+    static POWER_MNG_SOC_CHARGE_POWER_W = { id: 0x1D2994EA, name: 'power_mng.soc_charge_power', unit: "W", type: 'float32', writable: false, description: "Power management SoC charge power [W]" };
+    static POWER_MNG_SOC_CHARGE = { id: 0xBD3A23C3, name: 'power_mng.soc_charge', unit: null, type: 'float32', writable: true, description: "Power management SoC charge", min: 0, max: 1, step: 0.01 };
+    static POWER_MNG_GRID_POWER_LIMIT_W = { id: 0x54829753, name: 'p_rec_lim[1]', unit: "W", type: 'float32', writable: false, description: "Power management grid power limit [W]" };
+    static POWER_MNG_USE_GRID_POWER_ENABLE = { id: 0x36A9E9A6, name: 'power_mng.use_grid_power_enable', unit: null, type: 'uint8', writable: true, description: "Power management use grid power enable", enum: [0, 1] };
+    static BATTERY_SYSTEM_TOWER_COUNT = { id: 0x663F1452, name: 'power_mng.n_batteries', unit: null, type: 'uint8', writable: false, description: "Configured number of battery towers" };
+    static BATTERY_SYSTEM_SOC_TARGET_MIN_ISLAND = { id: 0x8EBF9574, name: 'power_mng.soc_min_island', unit: null, type: 'float32', writable: false, description: "Battery system SoC target min island" };
 
     // Battery tower 1 values
-    static BATTERY_TOWER_1_SOC = { id: 0x959930BF, type: 'float32', writable: false, description: "Battery tower 1 state of charge" };
-    static BATTERY_TOWER_1_VOLTAGE = { id: 0x65EED11B, type: 'float32', writable: false, description: "Battery tower 1 voltage [V]" };
-    static BATTERY_TOWER_1_CURRENT = { id: 0x21961B58, type: 'float32', writable: false, description: "Battery tower 1 current [A]" };
-    static BATTERY_TOWER_1_TEMPERATURE_C = { id: 0x902AFAFB, type: 'float32', writable: false, description: "Battery tower 1 temperature [°C]" };
-    static BATTERY_TOWER_1_SOH = { id: 0x381B8BF9, type: 'float32', writable: false, description: "Battery tower 1 state of health" };
-    static BATTERY_TOWER_1_CAPACITY_AH = { id: 0xB57B59BD, type: 'float32', writable: false, description: "Battery tower 1 capacity [Ah]" };
-    static BATTERY_TOWER_1_BMS_SN = { id: 0x16A1F844, type: 'string', writable: false, description: "Battery tower 1 BMS serial number" };
+    static BATTERY_TOWER_1_SOC = { id: 0x959930BF, name: 'battery.soc', unit: null, type: 'float32', writable: false, description: "Battery tower 1 state of charge" };
+    static BATTERY_TOWER_1_VOLTAGE = { id: 0x65EED11B, name: 'battery.voltage', unit: "V", type: 'float32', writable: false, description: "Battery tower 1 voltage [V]" };
+    static BATTERY_TOWER_1_CURRENT = { id: 0x21961B58, name: 'battery.current', unit: "A", type: 'float32', writable: false, description: "Battery tower 1 current [A]" };
+    static BATTERY_TOWER_1_TEMPERATURE_C = { id: 0x902AFAFB, name: 'battery.temperature', unit: "°C", type: 'float32', writable: false, description: "Battery tower 1 temperature [°C]" };
+    static BATTERY_TOWER_1_SOH = { id: 0x381B8BF9, name: 'battery.soh', unit: null, type: 'float32', writable: false, description: "Battery tower 1 state of health" };
+    static BATTERY_TOWER_1_CAPACITY_AH = { id: 0xB57B59BD, name: 'battery.ah_capacity', unit: "Ah", type: 'float32', writable: false, description: "Battery tower 1 capacity [Ah]" };
+    static BATTERY_TOWER_1_BMS_SN = { id: 0x16A1F844, name: 'battery.bms_sn', unit: null, type: 'string', writable: false, description: "Battery tower 1 BMS serial number" };
 
     // Battery system values (no known tower-specific counterpart for tower 2)
-    static BATTERY_SYSTEM_STATUS = { id: 0x70A2AF4F, type: 'uint32', writable: false, description: "Battery system status" };
-    static BATTERY_SYSTEM_SOC_TARGET = { id: 0x8B9FF008, type: 'float32', writable: true, description: "Battery system SoC target", validate: value => value >= 0 && value <= 1 };
-    static BATTERY_SYSTEM_SOC_TARGET_HIGH = { id: 0xB84A38AB, type: 'float32', writable: false, description: "Battery system SoC target high" };
+    static BATTERY_SYSTEM_STATUS = { id: 0x70A2AF4F, name: 'battery.bat_status', unit: null, type: 'uint32', writable: false, description: "Battery system status" };
+    static BATTERY_SYSTEM_SOC_TARGET = { id: 0x8B9FF008, name: 'battery.soc_target', unit: null, type: 'float32', writable: true, description: "Battery system SoC target", min: 0, max: 1, step: 0.01 };
+    static BATTERY_SYSTEM_SOC_TARGET_HIGH = { id: 0xB84A38AB, name: 'battery.soc_target_high', unit: null, type: 'float32', writable: false, description: "Battery system SoC target high" };
 
     // Battery tower 2 values (battery_placeholder[0], read-only)
-    static BATTERY_TOWER_2_SOC = { id: 0x8B4BE168, type: 'float32', writable: false, description: "Battery tower 2 state of charge" };
-    static BATTERY_TOWER_2_VOLTAGE = { id: 0xFCA1CBB5, type: 'float32', writable: false, description: "Battery tower 2 voltage [V]" };
-    static BATTERY_TOWER_2_CURRENT = { id: 0x79D7D617, type: 'float32', writable: false, description: "Battery tower 2 current [A]" };
-    static BATTERY_TOWER_2_TEMPERATURE_C = { id: 0xC66665E8, type: 'float32', writable: false, description: "Battery tower 2 temperature [°C]" };
-    static BATTERY_TOWER_2_SOH = { id: 0x1781CD31, type: 'float32', writable: false, description: "Battery tower 2 state of health" };
-    static BATTERY_TOWER_2_CAPACITY_AH = { id: 0xBD95C46C, type: 'float32', writable: false, description: "Battery tower 2 capacity [Ah]" };
-    static BATTERY_TOWER_2_BMS_SN = { id: 0xEB7BCB93, type: 'string', writable: false, description: "Battery tower 2 BMS serial number" };
+    static BATTERY_TOWER_2_SOC = { id: 0x8B4BE168, name: 'battery_placeholder[0].soc', unit: null, type: 'float32', writable: false, description: "Battery tower 2 state of charge" };
+    static BATTERY_TOWER_2_VOLTAGE = { id: 0xFCA1CBB5, name: 'battery_placeholder[0].voltage', unit: "V", type: 'float32', writable: false, description: "Battery tower 2 voltage [V]" };
+    static BATTERY_TOWER_2_CURRENT = { id: 0x79D7D617, name: 'battery_placeholder[0].current', unit: "A", type: 'float32', writable: false, description: "Battery tower 2 current [A]" };
+    static BATTERY_TOWER_2_TEMPERATURE_C = { id: 0xC66665E8, name: 'battery_placeholder[0].temperature', unit: "°C", type: 'float32', writable: false, description: "Battery tower 2 temperature [°C]" };
+    static BATTERY_TOWER_2_SOH = { id: 0x1781CD31, name: 'battery_placeholder[0].soh', unit: null, type: 'float32', writable: false, description: "Battery tower 2 state of health" };
+    static BATTERY_TOWER_2_CAPACITY_AH = { id: 0xBD95C46C, name: 'battery_placeholder[0].ah_capacity', unit: "Ah", type: 'float32', writable: false, description: "Battery tower 2 capacity [Ah]" };
+    static BATTERY_TOWER_2_BMS_SN = { id: 0xEB7BCB93, name: 'battery_placeholder[0].bms_sn', unit: null, type: 'string', writable: false, description: "Battery tower 2 BMS serial number" };
 
     // Inverter values
-    static INVERTER_STATE = { id: 0x5F33284E, type: 'enum', writable: false, description: "Inverter state", enumMapping: InverterStates.toString };
-    static INVERTER_SN = { id: 0x7924ABD9, type: 'string', writable: false, description: "Inverter serial number" };
+    static INVERTER_STATE = { id: 0x5F33284E, name: 'prim_sm.state', unit: null, type: 'enum', writable: false, description: "Inverter state", enumMapping: InverterStates.toString };
+    static INVERTER_SN = { id: 0x7924ABD9, name: 'inverter_sn', unit: null, type: 'string', writable: false, description: "Inverter serial number" };
 
     // Legacy aliases (non-breaking): prefer BATTERY_TOWER_1_*, BATTERY_TOWER_2_* and BATTERY_SYSTEM_*
     static BATTERY_SOC = Identifier.BATTERY_TOWER_1_SOC;
@@ -191,33 +209,319 @@ class Identifier {
     static BATTERY_BMS_SN = Identifier.BATTERY_TOWER_1_BMS_SN;
 
     // Battery tower 1 module values
-    static BATTERY_MODULE_0_SERIAL = { id: 0xFBF6D834, type: 'string', writable: false, description: "Battery cell 0 serial number" };
-    static BATTERY_MODULE_1_SERIAL = { id: 0x99396810, type: 'string', writable: false, description: "Battery cell 1 serial number" };
-    static BATTERY_MODULE_2_SERIAL = { id: 0x73489528, type: 'string', writable: false, description: "Battery cell 2 serial number" };
-    static BATTERY_MODULE_3_SERIAL = { id: 0x257B7612, type: 'string', writable: false, description: "Battery cell 3 serial number" };
-    static BATTERY_MODULE_4_SERIAL = { id: 0x4E699086, type: 'string', writable: false, description: "Battery cell 4 serial number" };
-    static BATTERY_MODULE_5_SERIAL = { id: 0x162491E8, type: 'string', writable: false, description: "Battery cell 5 serial number" };
-    static BATTERY_MODULE_6_SERIAL = { id: 0x5939EC5D, type: 'string', writable: false, description: "Battery cell 6 serial number" };
-
-    static BATTERY_MODULE_0_UMAX = { id: 0x03D9C51F, type: 'float32', writable: false, description: "Battery cell 0 Umax" };
-    static BATTERY_MODULE_1_UMAX = { id: 0x3A7D5F53, type: 'float32', writable: false, description: "Battery cell 1 Umax" };
-    static BATTERY_MODULE_2_UMAX = { id: 0xE7177DEE, type: 'float32', writable: false, description: "Battery cell 2 Umax" };
-    static BATTERY_MODULE_3_UMAX = { id: 0x0EF60C7E, type: 'float32', writable: false, description: "Battery cell 3 Umax" };
-    static BATTERY_MODULE_4_UMAX = { id: 0xF54BC06D, type: 'float32', writable: false, description: "Battery cell 4 Umax" };
-    static BATTERY_MODULE_5_UMAX = { id: 0x4D985F33, type: 'float32', writable: false, description: "Battery cell 5 Umax" };
-    static BATTERY_MODULE_6_UMAX = { id: 0x804A3266, type: 'float32', writable: false, description: "Battery cell 6 Umax" };
-
-    static BATTERY_MODULE_0_UMIN = { id: 0x889DC27F, type: 'float32', writable: false, description: "Battery cell 0 Umin" };
-    static BATTERY_MODULE_1_UMIN = { id: 0xB4E053D4, type: 'float32', writable: false, description: "Battery cell 1 Umin" };
-    static BATTERY_MODULE_2_UMIN = { id: 0xEECDFEFC, type: 'float32', writable: false, description: "Battery cell 2 Umin" };
-    static BATTERY_MODULE_3_UMIN = { id: 0x18F98B6D, type: 'float32', writable: false, description: "Battery cell 3 Umin" };
-    static BATTERY_MODULE_4_UMIN = { id: 0x6DB1FDDC, type: 'float32', writable: false, description: "Battery cell 4 Umin" };
-    static BATTERY_MODULE_5_UMIN = { id: 0x428CCF46, type: 'float32', writable: false, description: "Battery cell 5 Umin" };
-    static BATTERY_MODULE_6_UMIN = { id: 0x6213589B, type: 'float32', writable: false, description: "Battery cell 6 Umin" };
-
-    // Helper functions
+    static BATTERY_MODULE_0_SERIAL = { id: 0xFBF6D834, name: 'battery.module_sn[0]', unit: null, type: 'string', writable: false, description: "Battery cell 0 serial number" };
+    static BATTERY_MODULE_1_SERIAL = { id: 0x99396810, name: 'battery.module_sn[1]', unit: null, type: 'string', writable: false, description: "Battery cell 1 serial number" };
+    static BATTERY_MODULE_2_SERIAL = { id: 0x73489528, name: 'battery.module_sn[2]', unit: null, type: 'string', writable: false, description: "Battery cell 2 serial number" };
+    static BATTERY_MODULE_3_SERIAL = { id: 0x257B7612, name: 'battery.module_sn[3]', unit: null, type: 'string', writable: false, description: "Battery cell 3 serial number" };
+    static BATTERY_MODULE_4_SERIAL = { id: 0x4E699086, name: 'battery.module_sn[4]', unit: null, type: 'string', writable: false, description: "Battery cell 4 serial number" };
+    static BATTERY_MODULE_5_SERIAL = { id: 0x162491E8, name: 'battery.module_sn[5]', unit: null, type: 'string', writable: false, description: "Battery cell 5 serial number" };
+    static BATTERY_MODULE_6_SERIAL = { id: 0x5939EC5D, name: 'battery.module_sn[6]', unit: null, type: 'string', writable: false, description: "Battery cell 6 serial number" };
+
+    static BATTERY_MODULE_0_UMAX = { id: 0x03D9C51F, name: 'battery.cells_stat[0].u_max.value', unit: "V", type: 'float32', writable: false, description: "Battery cell 0 Umax" };
+    static BATTERY_MODULE_1_UMAX = { id: 0x3A7D5F53, name: 'battery.cells_stat[1].u_max.value', unit: "V", type: 'float32', writable: false, description: "Battery cell 1 Umax" };
+    static BATTERY_MODULE_2_UMAX = { id: 0xE7177DEE, name: 'battery.cells_stat[2].u_max.value', unit: "V", type: 'float32', writable: false, description: "Battery cell 2 Umax" };
+    static BATTERY_MODULE_3_UMAX = { id: 0x0EF60C7E, name: 'battery.cells_stat[3].u_max.value', unit: "V", type: 'float32', writable: false, description: "Battery cell 3 Umax" };
+    static BATTERY_MODULE_4_UMAX = { id: 0xF54BC06D, name: 'battery.cells_stat[4].u_max.value', unit: "V", type: 'float32', writable: false, description: "Battery cell 4 Umax" };
+    static BATTERY_MODULE_5_UMAX = { id: 0x4D985F33, name: 'battery.cells_stat[5].u_max.value', unit: "V", type: 'float32', writable: false, description: "Battery cell 5 Umax" };
+    static BATTERY_MODULE_6_UMAX = { id: 0x804A3266, name: 'battery.cells_stat[6].u_max.value', unit: "V", type: 'float32', writable: false, description: "Battery cell 6 Umax" };
+
+    static BATTERY_MODULE_0_UMIN = { id: 0x889DC27F, name: 'battery.cells_stat[0].u_min.value', unit: "V", type: 'float32', writable: false, description: "Battery cell 0 Umin" };
+    static BATTERY_MODULE_1_UMIN = { id: 0xB4E053D4, name: 'battery.cells_stat[1].u_min.value', unit: "V", type: 'float32', writable: false, description: "Battery cell 1 Umin" };
+    static BATTERY_MODULE_2_UMIN = { id: 0xEECDFEFC, name: 'battery.cells_stat[2].u_min.value', unit: "V", type: 'float32', writable: false, description: "Battery cell 2 Umin" };
+    static BATTERY_MODULE_3_UMIN = { id: 0x18F98B6D, name: 'battery.cells_stat[3].u_min.value', unit: "V", type: 'float32', writable: false, description: "Battery cell 3 Umin" };
+    static BATTERY_MODULE_4_UMIN = { id: 0x6DB1FDDC, name: 'battery.cells_stat[4].u_min.value', unit: "V", type: 'float32', writable: false, description: "Battery cell 4 Umin" };
+    static BATTERY_MODULE_5_UMIN = { id: 0x428CCF46, name: 'battery.cells_stat[5].u_min.value', unit: "V", type: 'float32', writable: false, description: "Battery cell 5 Umin" };
+    static BATTERY_MODULE_6_UMIN = { id: 0x6213589B, name: 'battery.cells_stat[6].u_min.value', unit: "V", type: 'float32', writable: false, description: "Battery cell 6 Umin" };
+
+    // Registry helpers
+    //
+    // Every entry carries: id, name (protocol name, e.g. 'battery.soc'), group, type, unit,
+    // scale, access ('r' | 'rw'), writable and description. group, scale, access and key
+    // (the constant name) are filled in by _buildIndex(). scale is the factor from the
+    // transmitted value to `unit`; RCT floats are transmitted in their unit, so it is 1.
+    // Writable entries may carry their value range as data (min, max, step, enum); the write
+    // policy enforces it and _buildIndex() derives validate() from it.
+
+    static _buildIndex() {
+        const byId = new Map();
+        const byName = new Map();
+        const byKey = new Map();
+
+        for (const [key, entry] of Object.entries(this)) {
+            if (!entry || typeof entry !== 'object' || typeof entry.id !== 'number') continue;
+            byKey.set(key, entry);
+            if (byId.has(entry.id >>> 0)) continue; // Legacy-Alias auf bereits indizierten Eintrag
+
+            entry.key = key;
+            if (entry.name && entry.group === undefined) entry.group = entry.name.split(/[.[]/)[0];
+            if (entry.scale === undefined) entry.scale = 1;
+            if (entry.access === undefined) entry.access = entry.writable ? 'rw' : 'r';
+            const validate = rangeValidator(entry);
+            if (validate) entry.validate = validate;
+
+            byId.set(entry.id >>> 0, entry);
+            if (entry.name) byName.set(entry.name, entry);
+        }
+        // Übrige Objekte der RCT-Tabelle, schreibgeschützt und ohne Konstante
+        for (const object of OBJECTS) {
+            if (byId.has(object.id)) continue;
+            const entry = {
+                id: object.id,
+                name: object.name,
+                unit: object.unit,
+                type: object.type,
+                writable: false,
+                description: object.description || object.name,
+                group: object.name.split(/[.[]/)[0],
+                scale: 1,
+                access: 'r',
+            };
+            byId.set(entry.id, entry);
+            byName.set(entry.name, entry);
+        }
+        this._index = { byId, byName, byKey };
+    }
+
     static getById(id) {
-        return Object.values(this).find(entry => entry?.id === id) || null;
+        return this._index.byId.get(id >>> 0) || null;
+    }
+
+    static getByName(name) {
+        return this._index.byName.get(name) || null;
+    }
+
+    static getByKey(key) {
+        return this._index.byKey.get(key) || null;
+    }
+
+    /**
+     * All registry entries (without legacy aliases).
+     */
+    static list() {
+        return Array.from(this._index.byId.values());
+    }
+
+    static listByGroup(group) {
+        return this.list().filter(entry => entry.group === group);
+    }
+
+    static groups() {
+        return Array.from(new Set(this.list().map(entry => entry.group).filter(Boolean)));
+    }
+
+    /**
+     * Resolves a reference from a config file: protocol name ('battery.soc'), constant name
+     * ('BATTERY_SOC'), numeric id or hex string ('0x959930BF'). Entries are returned as-is.
+     */
+    static resolve(ref) {
+        if (ref && typeof ref === 'object' && typeof ref.id === 'number') {
+            return this.getById(ref.id);
+        }
+        if (typeof ref === 'number') {
+            return this.getById(ref);
+        }
+        if (typeof ref === 'string') {
+            if (/^0x[0-9a-f]{1,8}$/i.test(ref)) return this.getById(parseInt(ref, 16));
+            return this.getByName(ref) || this.getByKey(ref);
+        }
+        return null;
+    }
+
+    /**
+     * Stable reference for config files (protocol name, falls back to hex id); resolve() reverses it.
+     */
+    static toRef(identifier) {
+        return identifier.name || formatId(identifier.id);
+    }
+
+    /**
+     * Value range of an entry as { allowedValues, min, max, step } (null where unset), taken
+     * from its min/max/step/enum data. writeguard.js checks writes against it.
+     */
+    static constraints(identifier) {
+        const field = name => identifier[name] === undefined ? null : identifier[name];
+        return { allowedValues: enumValues(identifier), min: field('min'), max: field('max'), step: field('step') };
+    }
+
+    /**
+     * Plain JSON metadata of an entry (without validation functions or enum mappings).
+     * The min/max/step/enum ranges are kept, so the result can be passed to register() again.
+     */
+    static toDefinition(identifier) {
+        const def = {
+            key: identifier.key,
+            id: formatId(identifier.id),
+            name: identifier.name,
+            group: identifier.group,
+            type: identifier.type,
+            unit: identifier.unit,
+            scale: identifier.scale,
+            access: identifier.access,
+            writable: identifier.writable,
+            description: identifier.description,
+        };
+        for (const field of ['min', 'max', 'step', 'enum']) {
+            if (identifier[field] !== undefined) def[field] = identifier[field];
+        }
+        return def;
+    }
+
+    /**
+     * Registers a custom identifier at runtime from a JSON-compatible definition:
+     *
+     *   { id: '0x12345678' | 305419896, type: 'uint16', description: '...',
+     *     name?, key?, group?, unit?, scale?, writable? = false,
+     *     min?, max?, step?, enum?: [values] | { value: label } }
+     *
+     * Validation ranges are data (min/max/step/enum); the write policy checks writes against
+     * them. Registered entries work with query(), write() and all lookups.
+     */
+    static register(def) {
+        const entry = this._createEntry(def);
+        this._addEntry(entry);
+        return entry;
+    }
+
+    /**
+     * Registers all definitions from a JSON file path, an array or { definitions: [...] }.
+     * All definitions are validated before any is registered.
+     */
+    static loadDefinitions(source) {
+        let defs = source;
+        if (typeof source === 'string') {
+            defs = JSON.parse(fs.readFileSync(source, 'utf8'));
+        }
+        if (defs && !Array.isArray(defs) && Array.isArray(defs.definitions)) {
+            defs = defs.definitions;
+        }
+        if (!Array.isArray(defs)) {
+            throw new Error('Identifier definitions must be an array or { definitions: [...] }');
+        }
+
+        const entries = defs.map((def, i) => {
+            try {
+                return this._createEntry(def);
+            } catch (err) {
+                throw new Error(`Invalid identifier definition #${i}: ${err.message}`);
+            }
+        });
+        const ids = new Set();
+        const names = new Set();
+        for (const entry of entries) {
+            if (ids.has(entry.id)) throw new Error(`Duplicate id ${formatId(entry.id)} in definitions`);
+            if (names.has(entry.name)) throw new Error(`Duplicate name '${entry.name}' in definitions`);
+            ids.add(entry.id);
+            names.add(entry.name);
+        }
+
+        entries.forEach(entry => this._addEntry(entry));
+        return entries;
+    }
+
+    /**
+     * Removes a runtime-registered identifier again. Built-in entries cannot be removed.
+     */
+    static unregister(ref) {
+        const entry = this.resolve(ref);
+        if (!entry) return false;
+        if (!entry.custom) {
+            throw new Error(`Identifier '${entry.name || formatId(entry.id)}' is built in and cannot be unregistered`);
+        }
+        this._index.byId.delete(entry.id);
+        if (entry.name) this._index.byName.delete(entry.name);
+        if (entry.key) {
+            this._index.byKey.delete(entry.key);
+            delete this[entry.key];
+        }
+        return true;
+    }
+
+    static _createEntry(def) {
+        if (!def || typeof def !== 'object') {
+            throw new Error(`Invalid identifier definition: ${JSON.stringify(def)}`);
+        }
+
+        const id = typeof def.id === 'string' && /^0x[0-9a-f]{1,8}$/i.test(def.id) ? parseInt(def.id, 16) : def.id;
+        if (!Number.isInteger(id) || id < 0 || id > 0xFFFFFFFF) {
+            throw new Error(`Invalid id: ${JSON.stringify(def.id)}`);
+        }
+        if (!codec.isSupported(def.type)) {
+            throw new Error(`Unsupported data type '${def.type}'`);
+        }
+        if (def.writable !== undefined && typeof def.writable !== 'boolean') {
+            throw new Error(`Invalid writable flag: ${JSON.stringify(def.writable)}`);
+        }
+        if (def.access !== undefined && def.access !== 'r' && def.access !== 'rw') {
+            throw new Error(`Invalid access: ${JSON.stringify(def.access)}`);
+        }
+        if (def.key !== undefined && !/^[A-Z][A-Z0-9_]*$/.test(def.key)) {
+            throw new Error(`Invalid key '${def.key}'`);
+        }
+        for (const field of ['min', 'max', 'step', 'scale']) {
+            if (def[field] !== undefined && !Number.isFinite(def[field])) {
+                throw new Error(`Invalid ${field}: ${JSON.stringify(def[field])}`);
+            }
+        }
+        if (def.step !== undefined && def.step <= 0) {
+            throw new Error(`Invalid step: ${def.step}`);
+        }
+        if (def.min !== undefined && def.max !== undefined && def.min > def.max) {
+            throw new Error(`min ${def.min} is greater than max ${def.max}`);
+        }
+
+        if (def.enum !== undefined) {
+            const allowed = def.enum && typeof def.enum === 'object' ? enumValues(def) : null;
+            if (!allowed || allowed.length === 0 || !allowed.every(Number.isInteger)) {
+                throw new Error(`Invalid enum values: ${JSON.stringify(def.enum)}`);
+            }
+        }
+
+        const writable = def.writable !== undefined ? def.writable : def.access === 'rw';
+        const name = def.name || formatId(id);
+        const entry = {
+            id,
+            name,
+            unit: def.unit !== undefined ? def.unit : null,
+            type: def.type,
+            writable,
+            description: def.description || name,
+            group: def.group || name.split(/[.[]/)[0],
+            scale: def.scale !== undefined ? def.scale : 1,
+            access: writable ? 'rw' : 'r',
+            custom: true,
+        };
+        if (def.key) entry.key = def.key;
+        for (const field of ['min', 'max', 'step', 'enum']) {
+            if (def[field] !== undefined) entry[field] = def[field];
+        }
+
+        const validate = rangeValidator(entry);
+        if (validate) entry.validate = validate;
+        if (def.enum !== undefined && !Array.isArray(def.enum)) {
+            const labels = def.enum;
+            entry.enumMapping = value => labels[value] !== undefined ? labels[value] : '#INVALID';
+        }
+        return entry;
+    }
+
+    static _addEntry(entry) {
+        const existing = this.getById(entry.id);
+        if (existing) {
+            throw new Error(`Id ${formatId(entry.id)} is already registered as '${existing.name || existing.description}'`);
+        }
+        if (this.getByName(entry.name)) {
+            throw new Error(`Name '${entry.name}' is already registered`);
+        }
+        if (entry.key && (this.getByKey(entry.key) || entry.key in this)) {
+            throw new Error(`Key '${entry.key}' is already in use`);
+        }
+
+        this._index.byId.set(entry.id, entry);
+        this._index.byName.set(entry.name, entry);
+        if (entry.key) {
+            this._index.byKey.set(entry.key, entry);
+            this[entry.key] = entry;
+        }
     }
 
     static getType(id) {
@@ -233,6 +537,29 @@ class Identifier {
     }
 }
 
+// Erlaubte Werte aus `enum`: Liste oder { Wert: Label }; null ohne enum
+function enumValues(entry) {
+    if (entry.enum === undefined || entry.enum === null) return null;
+    return Array.isArray(entry.enum) ? entry.enum : Object.keys(entry.enum).map(Number);
+}
+
+// validate() aus min/max/enum; den Raster-Check (step) macht die Write-Policy
+function rangeValidator(entry) {
+    const { allowedValues, min, max } = Identifier.constraints(entry);
+    if (allowedValues === null && min === null && max === null) return null;
+    return value =>
+        (min === null || value >= min) &&
+        (max === null || value <= max) &&
+        (allowedValues === null || allowedValues.includes(value));
+}
+
+Identifier._buildIndex();
+
+// Feste Hex-Schreibweise der ids, z. B. 0x959930BF; gemeinsam für Logs, Scans, Policy und Decoder
+function formatId(id) {
+    return `0x${(id >>> 0).toString(16).toUpperCase().padStart(8, '0')}`;
+}
+
 
 class Datagram {
     constructor(cmd, id, data) {
@@ -249,38 +576,47 @@ class Datagram {
     }
      
     float32() {
-        if (this.data.length !== 4) {
-            throw new RecoverableError(`Invalid data length ${this.data.length}`);
-        }
-        const buffer = new ArrayBuffer(4);
-        const view = new DataView(buffer);
-        this.data.forEach((b, i) => view.setUint8(i, b));
-        return view.getFloat32(0, false); // BigEndian
+        return codec.decode('float32', this.data);
     }
 
     uint32() {
-        if (this.data.length !== 4) {
-            throw new RecoverableError(`Invalid data length ${this.data.length} for uint32`);
-        }
-        const buffer = new ArrayBuffer(4);
-        const view = new DataView(buffer);
-        this.data.forEach((b, i) => view.setUint8(i, b));
-        return view.getUint32(0, false); // BigEndian
+        return codec.decode('uint32', this.data);
     }
-    
+
+    int32() {
+        return codec.decode('int32', this.data);
+    }
+
     uint16() {
-        if (this.data.length !== 2) {
-            throw new RecoverableError(`Invalid data length ${this.data.length}`);
-        }
-        return (this.data[0] << 8) | this.data[1];
+        return codec.decode('uint16', this.data);
+    }
+
+    int16() {
+        return codec.decode('int16', this.data);
     }
 
     uint8() {
-        if (this.data.length !== 1) {
-            throw new RecoverableError(`Invalid data length ${this.data.length}`);
-        }
-        return this.data[0];
+        return codec.decode('uint8', this.data);
+    }
+
+    int8() {
+        return codec.decode('int8', this.data);
+    }
+
+    bool() {
+        return codec.decode('bool', this.data);
+    }
+
+    string(options = {}) {
+        return codec.decode('string', this.data, options);
+    }
+
+    /**
+     * Decodes the payload according to identifier.type (see codec.js).
+     */
+    value(identifier) {
+        return codec.decode(identifier.type, this.data, identifier);
     }
 }
 
-module.exports = { Datagram, Command, Identifier, SOCStrategy, InverterStates, BatteryStatus };
\ No newline at end of file
+module.exports = { Datagram, Command, Identifier, SOCStrategy, InverterStates, BatteryStatus, formatId };
\ No newline at end of file
@@ -0,0 +1,284 @@
+// decoder.js
+const DatagramParser = require('./parse.js');
+const { Command, Identifier, formatId } = require('./datagram.js');
+const { TRUNCATED } = require('./streams.js');
+const codec = require('./codec.js');
+
+function toHex(bytes) {
+    return Buffer.from(bytes).toString('hex');
+}
+
+/**
+ * Parses a hex dump into bytes. Accepts plain hex ("2B 01 04 ...", "2b0104...", "0x2B, 0x01"),
+ * Wireshark "Copy as Hex Dump" and xxd output (offset column and ASCII column are skipped).
+ */
+function parseHexDump(text) {
+    const hex = text.split(/\r?\n/).map(line => {
+        const dump = line.match(/^\s*[0-9a-f]{4,8}(?::\s*|\s{2,})(.*)$/i);
+        // ASCII-Spalte ist durch mindestens zwei Leerzeichen abgetrennt
+        return dump ? dump[1].split(/\s{2,}/)[0] : line;
+    }).join(' ')
+        .replace(/0x/gi, '')
+        .replace(/[\s,;:]/g, '');
+
+    if (!/^([0-9a-f]{2})*$/i.test(hex)) {
+        throw new Error('Invalid hex dump: expected pairs of hex digits');
+    }
+    return Buffer.from(hex, 'hex');
+}
+
+// Link-Layer-Header bis zum IP-Paket überspringen; liefert den Offset oder -1
+function ipOffset(linkType, packet) {
+    switch (linkType) {
+        case 0:   // BSD loopback
+            return 4;
+        case 1: { // Ethernet (optional VLAN-Tag)
+            let offset = 12;
+            while (packet.length >= offset + 2 && packet.readUInt16BE(offset) === 0x8100) offset += 4;
+            return offset + 2;
+        }
+        case 12:  // raw IP
+        case 101:
+        case 228: // raw IPv4
+        case 229: // raw IPv6
+            return 0;
+        case 113: // Linux cooked capture
+            return 16;
+        case 276: // Linux cooked capture v2
+            return 20;
+        default:
+            return -1;
+    }
+}
+
+function formatIp(bytes) {
+    if (bytes.length === 4) return Array.from(bytes).join('.');
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) groups.push(bytes.readUInt16BE(i).toString(16));
+    return `[${groups.join(':')}]`;
+}
+
+// Extrahiert { src, dst, seq, payload } aus einem TCP-Paket, sonst null
+function tcpSegment(linkType, packet) {
+    const offset = ipOffset(linkType, packet);
+    if (offset < 0 || packet.length < offset + 20) return null;
+
+    const ip = packet.subarray(offset);
+    let tcp;
+    let src;
+    let dst;
+    const version = ip[0] >> 4;
+    if (version === 4) {
+        if (ip[9] !== 6) return null;
+        const headerLength = (ip[0] & 0x0F) * 4;
+        const totalLength = Math.min(ip.readUInt16BE(2), ip.length); // Ethernet-Padding abschneiden
+        tcp = ip.subarray(headerLength, totalLength);
+        src = formatIp(ip.subarray(12, 16));
+        dst = formatIp(ip.subarray(16, 20));
+    } else if (version === 6) {
+        if (ip.length < 40 || ip[6] !== 6) return null; // keine Extension-Header
+        tcp = ip.subarray(40, Math.min(40 + ip.readUInt16BE(4), ip.length));
+        src = formatIp(ip.subarray(8, 24));
+        dst = formatIp(ip.subarray(24, 40));
+    } else {
+        return null;
+    }
+    if (tcp.length < 20) return null;
+
+    return {
+        src: `${src}:${tcp.readUInt16BE(0)}`,
+        dst: `${dst}:${tcp.readUInt16BE(2)}`,
+        seq: tcp.readUInt32BE(4),
+        payload: tcp.subarray((tcp[12] >> 4) * 4),
+    };
+}
+
+// Klassisches pcap: { linkType, packets: [{ time, data }] }
+function readClassicPcap(buffer) {
+    const magic = buffer.readUInt32LE(0);
+    const littleEndian = magic === 0xa1b2c3d4 || magic === 0xa1b23c4d;
+    const nanoseconds = magic === 0xa1b23c4d || magic === 0x4d3cb2a1;
+    const u32 = offset => littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+
+    const linkType = u32(20) & 0xFFFF;
+    const packets = [];
+    let offset = 24;
+    while (offset + 16 <= buffer.length) {
+        const seconds = u32(offset);
+        const fraction = u32(offset + 4);
+        const capturedLength = u32(offset + 8);
+        const data = buffer.subarray(offset + 16, offset + 16 + capturedLength);
+        packets.push({ time: seconds * 1000 + (nanoseconds ? fraction / 1e6 : fraction / 1e3), data, linkType });
+        offset += 16 + capturedLength;
+    }
+    return packets;
+}
+
+// pcapng: Section Header, Interface Description, Enhanced und Simple Packet Blocks
+function readPcapng(buffer) {
+    const packets = [];
+    const interfaces = [];
+    let littleEndian = true;
+    let offset = 0;
+
+    while (offset + 12 <= buffer.length) {
+        let type = littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+        if (type === 0x0A0D0D0A) {
+            littleEndian = buffer.readUInt32LE(offset + 8) === 0x1A2B3C4D;
+            interfaces.length = 0;
+        }
+        const u32 = o => littleEndian ? buffer.readUInt32LE(o) : buffer.readUInt32BE(o);
+        const u16 = o => littleEndian ? buffer.readUInt16LE(o) : buffer.readUInt16BE(o);
+        type = u32(offset);
+        const blockLength = u32(offset + 4);
+        if (blockLength < 12 || offset + blockLength > buffer.length) break;
+
+        if (type === 1) {
+            interfaces.push(u16(offset + 8));
+        } else if (type === 6) {
+            const linkType = interfaces[u32(offset + 8)];
+            // Zeitstempel standardmäßig in Mikrosekunden
+            const time = (u32(offset + 12) * 0x100000000 + u32(offset + 16)) / 1000;
+            const capturedLength = u32(offset + 20);
+            packets.push({ time, data: buffer.subarray(offset + 28, offset + 28 + capturedLength), linkType });
+        } else if (type === 3) {
+            const data = buffer.subarray(offset + 12, offset + blockLength - 4);
+            packets.push({ time: null, data, linkType: interfaces[0] });
+        }
+        offset += blockLength;
+    }
+    return packets;
+}
+
+function isPcap(buffer) {
+    if (buffer.length < 24) return false;
+    const magic = buffer.readUInt32LE(0);
+    return [0xa1b2c3d4, 0xd4c3b2a1, 0xa1b23c4d, 0x4d3cb2a1, 0x0A0D0D0A].includes(magic);
+}
+
+/**
+ * Reads the TCP payloads of a pcap or pcapng capture, reassembled per direction.
+ * Retransmitted bytes are skipped using the sequence numbers.
+ *
+ * @returns {Array<{ src: string, dst: string, chunks: Array<{ time, data: Buffer }> }>}
+ *          in order of first appearance
+ */
+function readPcap(buffer) {
+    if (!isPcap(buffer)) {
+        throw new Error('Not a pcap or pcapng capture');
+    }
+    const packets = buffer.readUInt32LE(0) === 0x0A0D0D0A ? readPcapng(buffer) : readClassicPcap(buffer);
+
+    const flows = new Map();
+    for (const packet of packets) {
+        const segment = tcpSegment(packet.linkType, packet.data);
+        if (!segment || segment.payload.length === 0) continue;
+
+        const key = `${segment.src}>${segment.dst}`;
+        if (!flows.has(key)) {
+            flows.set(key, { src: segment.src, dst: segment.dst, chunks: [], nextSeq: null });
+        }
+        const flow = flows.get(key);
+
+        let payload = segment.payload;
+        if (flow.nextSeq !== null) {
+            const behind = (flow.nextSeq - segment.seq) >>> 0;
+            if (behind > 0 && behind < 0x80000000) {
+                if (behind >= payload.length) continue; // reine Wiederholung
+                payload = payload.subarray(behind);
+            }
+        }
+        flow.nextSeq = (segment.seq + segment.payload.length) >>> 0;
+        flow.chunks.push({ time: packet.time, data: payload });
+    }
+
+    return Array.from(flows.values()).map(({ src, dst, chunks }) => ({ src, dst, chunks }));
+}
+
+function decodeValue(identifier, dg) {
+    const carriesValue = Command.isResponse(dg.cmd) || dg.cmd === Command.WRITE || dg.cmd === Command.LONG_WRITE;
+    if (!identifier || !carriesValue || dg.data.length === 0) return {};
+    try {
+        const value = codec.decode(identifier.type, dg.data, identifier);
+        return { value: identifier.enumMapping ? identifier.enumMapping(value) : value };
+    } catch (err) {
+        return { error: err.message };
+    }
+}
+
+/**
+ * Runs bytes through DatagramParser and describes every frame and every discarded byte range.
+ *
+ * Frames:   { offset, size, raw, crc: 'ok', cmd, command, id, name, description, unit, data, value | error }
+ * Discards: { offset, size, raw, reason, crc? } with a DatagramParser.Reason code, or TRUNCATED for
+ *           an incomplete frame at the end of the input
+ */
+function decodeFrames(bytes) {
+    const buffer = Buffer.from(bytes);
+    const parser = new DatagramParser();
+    const entries = [];
+    let offset = 0;
+
+    while (offset < buffer.length) {
+        parser.buffer = buffer.subarray(offset);
+        const parsed = parser.parse();
+        if (!parsed) {
+            const raw = buffer.subarray(offset);
+            entries.push({ offset, size: raw.length, raw: toHex(raw), reason: TRUNCATED });
+            break;
+        }
+
+        const raw = buffer.subarray(offset, offset + parsed.bytesConsumed);
+        if (parsed.datagram) {
+            const dg = parsed.datagram;
+            const identifier = Identifier.getById(dg.id);
+            entries.push({
+                offset,
+                size: raw.length,
+                raw: toHex(raw),
+                crc: 'ok',
+                cmd: dg.cmd,
+                command: Command.toString(dg.cmd),
+                id: formatId(dg.id),
+                name: identifier ? identifier.name : null,
+                description: identifier ? identifier.description : null,
+                unit: identifier ? identifier.unit : null,
+                data: toHex(dg.data),
+                ...decodeValue(identifier, dg),
+            });
+        } else {
+            const entry = { offset, size: raw.length, raw: toHex(raw), reason: parsed.reason };
+            if (parsed.crc) entry.crc = parsed.crc;
+            entries.push(entry);
+        }
+        offset += parsed.bytesConsumed;
+    }
+    return entries;
+}
+
+/**
+ * One line of human-readable output per entry.
+ */
+function formatEntry(entry) {
+    const at = `@${entry.offset}`.padEnd(7);
+    if (entry.reason) {
+        let line = `${at}discarded ${entry.size} byte(s): ${entry.reason}`;
+        if (entry.crc) {
+            line += ` (received 0x${entry.crc.received.toString(16).padStart(4, '0')}, ` +
+                `expected 0x${entry.crc.expected.toString(16).padStart(4, '0')})`;
+        }
+        return `${line}  [${entry.raw}]`;
+    }
+
+    let line = `${at}${entry.command.padEnd(17)}${entry.id} ${(entry.name || '<unknown id>').padEnd(32)}`;
+    if ('value' in entry) {
+        line += ` = ${JSON.stringify(entry.value)}${entry.unit ? ` ${entry.unit}` : ''}`;
+    } else if (entry.error) {
+        line += ` ! ${entry.error}`;
+    } else if (entry.data) {
+        line += ` data ${entry.data}`;
+    }
+    return `${line}  CRC ${entry.crc}`;
+}
+
+module.exports = { parseHexDump, readPcap, isPcap, decodeFrames, formatEntry };
@@ -0,0 +1,103 @@
+// logger.js
+const { formatId } = require('./datagram.js');
+
+/**
+ * Log levels in order of severity. A logger set to a level also emits all more severe levels.
+ */
+class LogLevel {
+    static ERROR = 'error';
+    static WARN = 'warn';
+    static INFO = 'info';
+    static DEBUG = 'debug';
+
+    static ALL = [LogLevel.ERROR, LogLevel.WARN, LogLevel.INFO, LogLevel.DEBUG];
+}
+
+/**
+ * Logger interface used by the library:
+ *
+ *   logger.error(message, fields)
+ *   logger.warn(message, fields)
+ *   logger.info(message, fields)
+ *   logger.debug(message, fields)
+ *
+ * `fields` is a plain object with structured data (host, identifier, attempt, latencyMs, ...).
+ * This matches winston directly; for pino use createPinoAdapter(pinoLogger).
+ */
+const silentLogger = Object.freeze({
+    error() {},
+    warn() {},
+    info() {},
+    debug() {},
+});
+
+/**
+ * Simple console logger, mainly for scripts and debugging.
+ */
+function createConsoleLogger(level = LogLevel.INFO) {
+    const threshold = LogLevel.ALL.indexOf(level);
+    if (threshold < 0) {
+        throw new Error(`Invalid log level '${level}'`);
+    }
+
+    const logger = {};
+    for (const current of LogLevel.ALL) {
+        const enabled = LogLevel.ALL.indexOf(current) <= threshold;
+        const method = current === LogLevel.DEBUG ? 'log' : current;
+        logger[current] = enabled
+            ? (message, fields) => console[method](`[rctjavalib] ${message}`, fields && Object.keys(fields).length ? fields : '')
+            : () => {};
+    }
+    return logger;
+}
+
+/**
+ * pino expects (fields, message) instead of (message, fields).
+ */
+function createPinoAdapter(pinoLogger) {
+    const logger = {};
+    for (const level of LogLevel.ALL) {
+        logger[level] = (message, fields) => pinoLogger[level](fields || {}, message);
+    }
+    return logger;
+}
+
+/**
+ * Validates an injected logger and fills in missing levels with no-ops.
+ */
+function normalizeLogger(logger) {
+    if (logger === undefined || logger === null) {
+        return silentLogger;
+    }
+    if (typeof logger !== 'object' && typeof logger !== 'function') {
+        throw new Error(`Invalid logger: ${logger}`);
+    }
+
+    const normalized = {};
+    for (const level of LogLevel.ALL) {
+        normalized[level] = typeof logger[level] === 'function'
+            ? logger[level].bind(logger)
+            : () => {};
+    }
+    return normalized;
+}
+
+/**
+ * Structured fields for an identifier (id as hex string, description).
+ */
+function identifierFields(identifier) {
+    if (!identifier) return {};
+    return {
+        id: formatId(identifier.id),
+        description: identifier.description,
+    };
+}
+
+module.exports = {
+    LogLevel,
+    silentLogger,
+    createConsoleLogger,
+    createPinoAdapter,
+    normalizeLogger,
+    identifierFields,
+};
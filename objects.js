@@ -0,0 +1,632 @@
+// objects.js
+//
+// RCT Power object table: protocol name, data type, unit and description of 619 objects.
+// Generated by scripts/import-objects.js from iobroker.rct 1.2.29 (rct/rct_core2.js),
+// MIT License, Copyright (c) 2025-2026 Andreas Ruttkamp <ioBroker.rct@aruttkamp.com>.
+// Do not edit by hand; regenerate instead.
+//
+// Not imported (no matching codec type): battery.cells[0] (cell_voltage), battery.cells[1] (cell_voltage), battery.cells[2] (cell_voltage), battery.cells[3] (cell_voltage), battery.cells[4] (cell_voltage), battery.cells[5] (cell_voltage).
+// Floats are transmitted in their unit (SoC values as fractions 0..1), so every object has scale 1.
+// The source has no access flags: all objects are read-only unless datagram.js defines them.
+
+module.exports = [
+    { id: 0x0104EB6A, name: 'rb485.f_grid[2]', type: 'float32', unit: 'Hz', description: 'Grid phase 3 frequency' },
+    { id: 0x011F41DB, name: 'power_mng.schedule[0]', type: 'string', unit: null },
+    { id: 0x016109E1, name: 'grid_mon[0].u_over.time', type: 'float32', unit: 's', description: 'Max. voltage switch-off time level 1' },
+    { id: 0x019C0B60, name: 'cs_neg[2]', type: 'float32', unit: null, description: 'Multiply value of the current sensor 2 by' },
+    { id: 0x031A6110, name: 'energy.e_ext_month', type: 'float32', unit: 'Wh', description: 'External month energy' },
+    { id: 0x039BDE11, name: 'hw_test.state', type: 'uint8', unit: null },
+    { id: 0x03A39CA2, name: 'g_sync.p_ac_load[0]', type: 'float32', unit: 'W', description: 'Load household phase 1' },
+    { id: 0x03D9C51F, name: 'battery.cells_stat[0].u_max.value', type: 'float32', unit: null },
+    { id: 0x040385DB, name: 'common_control_bits', type: 'uint32', unit: null, description: 'Bit coded function' },
+    { id: 0x04EAAA98, name: 'nsm.f_low_entry', type: 'float32', unit: 'Hz', description: 'Entry frequency for P(f) under-frequency mode' },
+    { id: 0x056162CA, name: 'battery.cells_stat[4].u_min.time', type: 'uint32', unit: null },
+    { id: 0x056417DF, name: 'battery.cells_stat[3].t_max.index', type: 'uint8', unit: null },
+    { id: 0x058F1759, name: 'hw_test.bt_power[6]', type: 'float32', unit: null },
+    { id: 0x064A60FE, name: 'battery.cells_stat[4].t_max.index', type: 'uint8', unit: null },
+    { id: 0x06A9FFA2, name: 'battery.charged_amp_hours', type: 'float32', unit: 'Ah', description: 'Total charge flow into battery' },
+    { id: 0x06E03755, name: 'wifi.ip', type: 'string', unit: null, description: 'IP Address' },
+    { id: 0x07367B64, name: 'rb485.phase_marker', type: 'int16', unit: null, description: 'Next phase after phase 1 in Power Switch' },
+    { id: 0x077692DE, name: 'battery.cells_stat[4].u_max.index', type: 'uint8', unit: null },
+    { id: 0x07C61FAD, name: 'adc.u_ref_1_5v[0]', type: 'uint16', unit: 'V', description: 'Reference voltage 1' },
+    { id: 0x08679611, name: 'net.id', type: 'uint32', unit: null },
+    { id: 0x086C75B0, name: 'battery.stack_software_version[3]', type: 'uint32', unit: null, description: 'Software version stack 3' },
+    { id: 0x0875C906, name: 'hw_test.bt_time[2]', type: 'float32', unit: null },
+    { id: 0x09923C1E, name: 'battery.cells_stat[3].t_min.index', type: 'uint8', unit: null },
+    { id: 0x0A04CA7F, name: 'g_sync.u_zk_n_avg', type: 'float32', unit: 'V', description: 'Negative buffer capacitor voltage' },
+    { id: 0x0AA372CE, name: 'p_rec_req[1]', type: 'float32', unit: 'W', description: 'Required battery to grid power' },
+    { id: 0x0AFDD6CF, name: 'acc_conv.i_acc_lp_fast', type: 'float32', unit: 'A', description: 'Battery current' },
+    { id: 0x0C3815C2, name: 'net.load_reduction', type: 'float32', unit: null },
+    { id: 0x0C588B75, name: 'energy.e_ext_day_sum', type: 'float32', unit: null },
+    { id: 0x0CB5D21B, name: 'dc_conv.dc_conv_struct[1].p_dc_lp', type: 'float32', unit: 'W', description: 'Solar generator B power' },
+    { id: 0x0CBA34B9, name: 'nsm.u_q_u[3]', type: 'float32', unit: 'V', description: 'High voltage max. point' },
+    { id: 0x0CFA8BC4, name: 'battery.stack_cycles[1]', type: 'int16', unit: null },
+    { id: 0x0D658831, name: 'i_bottom_max', type: 'float32', unit: null },
+    { id: 0x0DE3D20D, name: 'battery.status2', type: 'int32', unit: null, description: 'Battery extra status' },
+    { id: 0x0E0505B4, name: 'flash_rtc.time_stamp_set', type: 'uint32', unit: null, description: 'Set date/time' },
+    { id: 0x0E799A56, name: 'io_board.rse_table[0]', type: 'float32', unit: null, description: 'K4..K1: 0000' },
+    { id: 0x0EF60C7E, name: 'battery.cells_stat[3].u_max.value', type: 'float32', unit: null },
+    { id: 0x0F28E2E1, name: 'energy.e_ext_total_sum', type: 'float32', unit: null },
+    { id: 0x0FB40090, name: 'io_board.check_rs485_result', type: 'uint8', unit: null },
+    { id: 0x10842019, name: 'nsm.cos_phi_p[3][1]', type: 'float32', unit: 'cos(rct_db)', description: 'Point 4 (positive = overexcited)' },
+    { id: 0x1089ACA9, name: 'nsm.u_q_u[0]', type: 'float32', unit: 'V', description: 'Low voltage min. point' },
+    { id: 0x108FC93D, name: 'max_phase_shift', type: 'float32', unit: 'degrees', description: 'Max. phase shift from 120 position' },
+    { id: 0x10970E9D, name: 'energy.e_ac_month', type: 'float32', unit: 'Wh', description: 'Month energy' },
+    { id: 0x1156DFD0, name: 'power_mng.battery_power', type: 'float32', unit: 'W', description: 'Battery discharge power' },
+    { id: 0x120EC3B4, name: 'battery.cells_stat[4].u_min.index', type: 'uint8', unit: null },
+    { id: 0x126ABC86, name: 'energy.e_grid_load_month', type: 'float32', unit: 'Wh', description: 'Month energy grid load' },
+    { id: 0x147E8E26, name: 'g_sync.p_ac[1]', type: 'float32', unit: null, description: 'AC2' },
+    { id: 0x14C0E627, name: 'wifi.password', type: 'string', unit: null, description: 'WiFi password' },
+    { id: 0x14FCA232, name: 'nsm.rpm_lock_out_power', type: 'float32', unit: 'P/Pn', description: 'Reactive Power Mode lock-out power' },
+    { id: 0x15AB1A61, name: 'power_mng.schedule[2]', type: 'string', unit: null },
+    { id: 0x162491E8, name: 'battery.module_sn[5]', type: 'string', unit: null, description: 'Module 5 Serial Number' },
+    { id: 0x16A1F844, name: 'battery.bms_sn', type: 'string', unit: null, description: 'BMS Serial Number' },
+    { id: 0x16AF2A92, name: 'db.power_board.Current_Mean', type: 'float32', unit: null },
+    { id: 0x16B28CCA, name: 'adc.u_ref_1_5v[1]', type: 'uint16', unit: 'V', description: 'Reference voltage 2' },
+    { id: 0x173D81E4, name: 'rb485.version_boot', type: 'uint32', unit: null, description: 'Power Switch bootloader version' },
+    { id: 0x17E3AF97, name: 'db.power_board.adc_p9V_meas', type: 'float32', unit: null },
+    { id: 0x18D1E9E0, name: 'battery.cells_stat[5].u_max.index', type: 'uint8', unit: null },
+    { id: 0x18F98B6D, name: 'battery.cells_stat[3].u_min.value', type: 'float32', unit: null },
+    { id: 0x19608C98, name: 'partition[3].last_id', type: 'int32', unit: null },
+    { id: 0x1ABA3EE8, name: 'p_rec_req[0]', type: 'float32', unit: 'W', description: 'Required compensation power' },
+    { id: 0x1AC87AA0, name: 'g_sync.p_ac_load_sum_lp', type: 'float32', unit: 'W', description: 'Load household - external Power' },
+    { id: 0x1B39A3A3, name: 'battery.bms_power_version', type: 'uint32', unit: null, description: 'Software version BMS Power' },
+    { id: 0x1B5445C4, name: 'io_board.check_rse_result', type: 'uint16', unit: null },
+    { id: 0x1BFA5A33, name: 'energy.e_grid_load_total_sum', type: 'float32', unit: null },
+    { id: 0x1C4A665F, name: 'grid_pll[0].f', type: 'float32', unit: 'Hz', description: 'Grid frequency' },
+    { id: 0x1D0623D6, name: 'wifi.dns_address', type: 'string', unit: null, description: 'DNS address' },
+    { id: 0x1D2994EA, name: 'power_mng.soc_charge_power', type: 'float32', unit: 'W', description: 'Maintenance charge power' },
+    { id: 0x1E5FCA70, name: 'battery.maximum_charge_current', type: 'float32', unit: 'A', description: 'Max. charge current' },
+    { id: 0x1F73B6A4, name: 'battery.cells_stat[3].t_max.time', type: 'uint32', unit: null },
+    { id: 0x1F9CBBF2, name: 'db.power_board.Calibr_Value_Mean', type: 'float32', unit: null },
+    { id: 0x1FEB2F67, name: 'switch_on_cond.u_min', type: 'float32', unit: null, description: 'Min. voltage' },
+    { id: 0x2082BFB6, name: 'hw_test.bt_time[9]', type: 'float32', unit: null },
+    { id: 0x20FD4419, name: 'prim_sm.island_next_repeat_timeout', type: 'float32', unit: 's', description: 'Next island trial timeout' },
+    { id: 0x21961B58, name: 'battery.current', type: 'float32', unit: 'A', description: 'Battery current' },
+    { id: 0x21E1A802, name: 'energy.e_dc_month_sum[1]', type: 'float32', unit: null },
+    { id: 0x21EE7CBB, name: 'rb485.u_l_grid[2]', type: 'float32', unit: 'V', description: 'Grid phase 3 voltage' },
+    { id: 0x2266DCB8, name: 'flash_rtc.rtc_mcc_quartz_max_diff', type: 'float32', unit: 'ppm', description: 'Maximum allowed quartz frequency difference between RTC and Microcontroller' },
+    { id: 0x226A23A4, name: 'dc_conv.dc_conv_struct[0].u_target', type: 'float32', unit: 'V', description: 'MPP on input A' },
+    { id: 0x234B4736, name: 'fault[1].flt', type: 'uint32', unit: null, description: 'Error bit field 2' },
+    { id: 0x234DD4DF, name: 'switch_on_cond.f_min', type: 'float32', unit: null, description: 'Min. frequency' },
+    { id: 0x23F525DE, name: 'net.command', type: 'uint16', unit: null },
+    { id: 0x24150B85, name: 'g_sync.u_zk_sum_mov_avg', type: 'float32', unit: 'V', description: 'Actual DC link voltage' },
+    { id: 0x241F1F98, name: 'energy.e_dc_day_sum[1]', type: 'float32', unit: null },
+    { id: 0x2545E22D, name: 'g_sync.u_l_rms[2]', type: 'float32', unit: 'V', description: 'AC voltage phase 3' },
+    { id: 0x257B5945, name: 'battery.cells_stat[2].u_min.index', type: 'uint8', unit: null },
+    { id: 0x257B7612, name: 'battery.module_sn[3]', type: 'string', unit: null, description: 'Module 3 Serial Number' },
+    { id: 0x26260419, name: 'nsm.cos_phi_p[1][0]', type: 'float32', unit: 'P/Pn', description: 'Point 2' },
+    { id: 0x26363AAE, name: 'battery.cells_stat[1].t_max.index', type: 'uint8', unit: null },
+    { id: 0x265EACF6, name: 'battery.cells_stat[2].t_max.time', type: 'uint32', unit: null },
+    { id: 0x26EFFC2F, name: 'energy.e_grid_feed_year', type: 'float32', unit: 'Wh', description: 'Year energy grid feed-in' },
+    { id: 0x27650FE2, name: 'rb485.version_main', type: 'uint32', unit: null, description: 'Power Switch software version' },
+    { id: 0x2788928C, name: 'g_sync.p_ac_load[1]', type: 'float32', unit: 'W', description: 'Load household phase 2' },
+    { id: 0x27BE51D9, name: 'g_sync.p_ac_sc[0]', type: 'float32', unit: 'W', description: 'Grid power phase 1' },
+    { id: 0x27C39CEA, name: 'battery.stack_cycles[6]', type: 'int16', unit: null },
+    { id: 0x27C828F4, name: 'energy.e_grid_feed_total_sum', type: 'float32', unit: null },
+    { id: 0x27EC8487, name: 'performance_free[0]', type: 'uint32', unit: null },
+    { id: 0x2848A1EE, name: 'grid_offset', type: 'float32', unit: null },
+    { id: 0x29BDA75F, name: 'display_struct.brightness', type: 'uint8', unit: null, description: 'Display brightness, [0..255]' },
+    { id: 0x29CA60F8, name: 'io_board.rse_table[10]', type: 'float32', unit: null, description: 'K4..K1: 1010' },
+    { id: 0x2A30A97E, name: 'battery.stack_cycles[5]', type: 'int16', unit: null },
+    { id: 0x2AACCAA7, name: 'battery.max_cell_voltage', type: 'float32', unit: null },
+    { id: 0x2AE703F2, name: 'energy.e_dc_day[0]', type: 'float32', unit: 'Wh', description: 'Solar generator A day energy' },
+    { id: 0x2BC1E72B, name: 'battery.discharged_amp_hours', type: 'float32', unit: 'Ah', description: 'Total charge flow from battery' },
+    { id: 0x2E06172D, name: 'net.net_tunnel_id', type: 'uint32', unit: null },
+    { id: 0x2E0C6220, name: 'io_board.home_relay_sw_off_delay', type: 'float32', unit: 's', description: 'Switching off delay' },
+    { id: 0x2ED89924, name: 'db.power_board.afi_t300', type: 'float32', unit: 's', description: 'AFI 300 mA switching off time' },
+    { id: 0x2F3C1D7D, name: 'energy.e_load_day', type: 'float32', unit: 'Wh', description: 'Household day energy' },
+    { id: 0x3044195F, name: 'grid_mon[1].u_under.time', type: 'float32', unit: 's', description: 'Min. voltage switch-off time level 2' },
+    { id: 0x315D1490, name: 'power_mng.bat_empty_full', type: 'uint8', unit: null, description: 'Bit 0 - battery was empty, bit 1 - battery was full' },
+    { id: 0x32CD0DB3, name: 'nsm.cos_phi_p[0][1]', type: 'float32', unit: 'cos(Phi)', description: 'Point 1 (positive = overexcited)' },
+    { id: 0x331D0689, name: 'battery.cells_stat[2].t_max.value', type: 'float32', unit: null },
+    { id: 0x336415EA, name: 'battery.cells_stat[0].t_max.time', type: 'uint32', unit: null },
+    { id: 0x3390CC2F, name: 'switch_on_cond.test_time_fault', type: 'float32', unit: 's', description: 'Switching on time after any grid fault' },
+    { id: 0x33F76B78, name: 'nsm.p_u[0][1]', type: 'float32', unit: 'V', description: 'Point 1 voltage' },
+    { id: 0x34E33726, name: 'battery.cells_stat[2].u_max.index', type: 'uint8', unit: null },
+    { id: 0x3500F1E8, name: 'net.index', type: 'int8', unit: null },
+    { id: 0x3503B92D, name: 'battery.cells_stat[3].u_max.time', type: 'uint32', unit: null },
+    { id: 0x3515F4A0, name: 'nsm.p_u[3][1]', type: 'float32', unit: 'V', description: 'Point 4 voltage' },
+    { id: 0x360BDE8A, name: 'nsm.startup_grad', type: 'float32', unit: 'P/(Pn*s)', description: 'Startup gradient' },
+    { id: 0x36214C57, name: 'net.prev_k', type: 'float32', unit: null },
+    { id: 0x362346D4, name: 'switch_on_cond.max_rnd_test_time_fault', type: 'float32', unit: 's', description: 'Max additional random switching on time after any grid fault' },
+    { id: 0x3623D82A, name: 'prim_sm.island_flag', type: 'uint16', unit: null, description: 'Grid-separated' },
+    { id: 0x365D12DA, name: 'p_rec_req[2]', type: 'float32', unit: 'W', description: 'Required Pac' },
+    { id: 0x37F9D5CA, name: 'fault[0].flt', type: 'uint32', unit: null, description: 'Error bit field 1' },
+    { id: 0x381B8BF9, name: 'battery.soh', type: 'float32', unit: '%', description: 'SOH (State of Health)' },
+    { id: 0x383A3614, name: 'db.power_board.afi_i60', type: 'float32', unit: 'A', description: 'AFI 60 mA threshold' },
+    { id: 0x38789061, name: 'nsm.f_low_rise_grad_storage', type: 'float32', unit: '1/Pn*Hz', description: 'Power rise gradient for P(f) under-frequency mode with battery' },
+    { id: 0x392D1BEE, name: 'wifi.connect_to_server', type: 'uint8', unit: null },
+    { id: 0x3A0EA5BE, name: 'power_spring_up', type: 'float32', unit: null },
+    { id: 0x3A3050E6, name: 'grid_lt.threshold', type: 'float32', unit: 'V', description: 'Max. voltage' },
+    { id: 0x3A444FC6, name: 'g_sync.s_ac_lp[0]', type: 'float32', unit: 'VA', description: 'Apparent power phase 1' },
+    { id: 0x3A7D5F53, name: 'battery.cells_stat[1].u_max.value', type: 'float32', unit: null },
+    { id: 0x3A873343, name: 'energy.e_ac_day_sum', type: 'float32', unit: null },
+    { id: 0x3A9D2680, name: 'energy.e_ext_year_sum', type: 'float32', unit: null },
+    { id: 0x3B0C6A53, name: 'bat_mng_struct.profile_pdc_max', type: 'string', unit: null },
+    { id: 0x3B5F6B9D, name: 'rb485.f_wr[0]', type: 'float32', unit: 'Hz', description: 'Power Storage phase 1 frequency' },
+    { id: 0x3B7FCD47, name: 'fault[2].flt', type: 'uint32', unit: null, description: 'Error bit field 3' },
+    { id: 0x3BA1B77B, name: 'battery.cells_stat[3].t_min.value', type: 'float32', unit: null },
+    { id: 0x3C24F3E8, name: 'inv_struct.cosinus_phi', type: 'float32', unit: 'cos(Phi)' },
+    { id: 0x3C705F61, name: 'io_board.rse_table[8]', type: 'float32', unit: null, description: 'K4..K1: 1000' },
+    { id: 0x3C87C4F5, name: 'energy.e_grid_feed_day', type: 'float32', unit: 'Wh', description: 'Day energy grid feed-in' },
+    { id: 0x3CA8E8D0, name: 'hw_test.bt_time[0]', type: 'float32', unit: null },
+    { id: 0x3CB1EF01, name: 'grid_mon[0].u_under.threshold', type: 'float32', unit: 'V', description: 'Min. voltage level 1' },
+    { id: 0x3D789979, name: 'hw_test.bt_power[7]', type: 'float32', unit: null },
+    { id: 0x3DBCC6B4, name: 'io_board.rse_table[6]', type: 'float32', unit: null, description: 'K4..K1: 0110' },
+    { id: 0x3E25C391, name: 'bat_mng_struct.bat_calib_soc_thresh', type: 'float32', unit: null, description: 'Part of max historical SOC for battery calibration in advance' },
+    { id: 0x3E722B43, name: 'grid_mon[1].f_under.threshold', type: 'float32', unit: 'Hz', description: 'Min. frequency level 2' },
+    { id: 0x3E728842, name: 'power_spring_bat', type: 'float32', unit: null },
+    { id: 0x3EFEB931, name: 'db.power_board.relays_state', type: 'uint16', unit: null },
+    { id: 0x3F98F58A, name: 'battery.cells_stat[5].t_max.index', type: 'uint8', unit: null },
+    { id: 0x400F015B, name: 'g_sync.p_acc_lp', type: 'float32', unit: 'W', description: 'Battery power' },
+    { id: 0x4077335D, name: 'g_sync.s_ac_lp[1]', type: 'float32', unit: 'VA', description: 'Apparent power phase 2' },
+    { id: 0x40B07CA4, name: 'power_mng.schedule[6]', type: 'string', unit: null },
+    { id: 0x41B11ECF, name: 'battery.cells_stat[3].u_min.index', type: 'uint8', unit: null },
+    { id: 0x428CCF46, name: 'battery.cells_stat[5].u_min.value', type: 'float32', unit: null },
+    { id: 0x43257820, name: 'g_sync.p_ac[0]', type: 'float32', unit: null, description: 'AC1' },
+    { id: 0x4397D078, name: 'nsm.cos_phi_p[1][1]', type: 'float32', unit: 'cos(Phi)', description: 'Point 2 (positive = overexcited)' },
+    { id: 0x43CD0B6F, name: 'nsm.pf_delay', type: 'float32', unit: 's', description: 'Delay time after P(f)' },
+    { id: 0x43F16F7E, name: 'flash_state', type: 'uint16', unit: null, description: 'Flash state' },
+    { id: 0x43FF47C3, name: 'db.power_board.afi_t60', type: 'float32', unit: 's', description: 'AFI 60 mA switching off time' },
+    { id: 0x442A3409, name: 'battery.cells_stat[4].t_min.time', type: 'uint32', unit: null },
+    { id: 0x4443C661, name: 'battery.cells_stat[0].t_max.index', type: 'uint8', unit: null },
+    { id: 0x44D4C533, name: 'energy.e_grid_feed_total', type: 'float32', unit: 'Wh', description: 'Total energy grid feed-in' },
+    { id: 0x4539A6D4, name: 'can_bus.bms_update_response[0]', type: 'uint32', unit: null },
+    { id: 0x46635546, name: 'net.n_descendants', type: 'int8', unit: null, description: 'Number of descendant slaves' },
+    { id: 0x46892579, name: 'flash_param.write_cycles', type: 'uint32', unit: null, description: 'Write cycles of flash parameters' },
+    { id: 0x474F80D5, name: 'iso_struct.Rn', type: 'float32', unit: 'Ohm', description: 'Insulation resistance on negative DC input' },
+    { id: 0x47A1DACA, name: 'power_mng.schedule[8]', type: 'string', unit: null },
+    { id: 0x485AD749, name: 'g_sync.u_ptp_rms[1]', type: 'float32', unit: 'V', description: 'Phase to phase voltage 2' },
+    { id: 0x48D73FA5, name: 'g_sync.i_dr_lp[2]', type: 'float32', unit: 'A', description: 'Current phase 3 (average)' },
+    { id: 0x494FE156, name: 'power_spring_offset', type: 'float32', unit: null },
+    { id: 0x495BF0B6, name: 'energy.e_dc_year_sum[0]', type: 'float32', unit: null },
+    { id: 0x4992E65A, name: 'update_is_allowed_id', type: 'uint8', unit: null },
+    { id: 0x4A61BAEE, name: 'nsm.p_u[3][0]', type: 'float32', unit: 'P/Pn', description: 'Point 4 P/Pn' },
+    { id: 0x4AE96C12, name: 'dc_conv.dc_conv_struct[1].mpp.mpp_step', type: 'float32', unit: 'V', description: 'MPP search step on input B' },
+    { id: 0x4B51A539, name: 'battery.prog_sn', type: 'string', unit: null },
+    { id: 0x4BC0F974, name: 'buf_v_control.power_reduction_max_solar', type: 'float32', unit: 'Wp', description: 'Solar plant peak power' },
+    { id: 0x4BE02BB7, name: 'energy.e_load_day_sum', type: 'float32', unit: null },
+    { id: 0x4C12C4C7, name: 'cs_neg[1]', type: 'float32', unit: null, description: 'Multiply value of the current sensor 1 by' },
+    { id: 0x4C2A7CDC, name: 'nsm.cos_phi_p[2][1]', type: 'float32', unit: 'cos(Phi)', description: 'Point 3 (positive = overexcited)' },
+    { id: 0x4C374958, name: 'nsm.startup_grad_after_fault', type: 'float32', unit: 'P/(Pn*s)', description: 'Startup gradient after fault' },
+    { id: 0x4CB7C0DC, name: 'battery.min_cell_voltage', type: 'float32', unit: null },
+    { id: 0x4D985F33, name: 'battery.cells_stat[5].u_max.value', type: 'float32', unit: null },
+    { id: 0x4DB1B91E, name: 'switch_on_cond.f_max', type: 'float32', unit: null, description: 'Max. frequency' },
+    { id: 0x4E04DD55, name: 'battery.soc_update_since', type: 'float32', unit: null },
+    { id: 0x4E0C56F2, name: 'flash_rtc.rtc_mcc_quartz_ppm_difference', type: 'float32', unit: 'ppm', description: 'Quartz frequency difference between RTC and Microcontroller' },
+    { id: 0x4E2B42A4, name: 'hw_test.bt_power[0]', type: 'float32', unit: null },
+    { id: 0x4E49AEC5, name: 'g_sync.p_ac_sum', type: 'float32', unit: 'W', description: 'Real power' },
+    { id: 0x4E699086, name: 'battery.module_sn[4]', type: 'string', unit: null, description: 'Module 4 Serial Number' },
+    { id: 0x4E77B2CE, name: 'hw_test.bt_cycle', type: 'uint8', unit: null },
+    { id: 0x4EE8DB78, name: 'energy.e_load_year_sum', type: 'float32', unit: null },
+    { id: 0x4F735D10, name: 'db.temp2', type: 'float32', unit: '°C', description: 'Heat sink (battery actuator) temperature' },
+    { id: 0x501A162D, name: 'battery.cells_resist[5]', type: 'string', unit: null },
+    { id: 0x50514732, name: 'battery.cells_stat[6].u_min.index', type: 'uint8', unit: null },
+    { id: 0x508FCE78, name: 'adc.u_ref_1_5v[3]', type: 'uint16', unit: 'V', description: 'Reference voltage 4' },
+    { id: 0x5151D84C, name: 'prim_sm.island_reset_retrials_counter_time', type: 'float32', unit: 'min', description: 'Reset island trials counter in (by 0 not used)' },
+    { id: 0x518C7BBE, name: 'battery.cells_stat[5].u_min.time', type: 'uint32', unit: null },
+    { id: 0x537C719F, name: 'battery.cells_stat[0].t_max.value', type: 'float32', unit: null },
+    { id: 0x53886C09, name: 'wifi.connect_to_service', type: 'uint8', unit: null },
+    { id: 0x53EF7649, name: 'nsm.p_u[0][0]', type: 'float32', unit: null, description: 'Point 1 P/Pn' },
+    { id: 0x5438B68E, name: 'grid_mon[1].u_over.threshold', type: 'float32', unit: 'V', description: 'Max. voltage level 2' },
+    { id: 0x54829753, name: 'p_rec_lim[1]', type: 'float32', unit: 'W', description: 'Max. battery to grid power' },
+    { id: 0x54B4684E, name: 'g_sync.u_l_rms[1]', type: 'float32', unit: 'V', description: 'AC voltage phase 2' },
+    { id: 0x54DBC202, name: 'io_board.rse_table[12]', type: 'float32', unit: null, description: 'K4..K1: 1100' },
+    { id: 0x5570401B, name: 'battery.stored_energy', type: 'float32', unit: 'Wh', description: 'Total energy flow into battery' },
+    { id: 0x55C22966, name: 'g_sync.s_ac[2]', type: 'float32', unit: 'VA', description: 'Apparent power phase 3' },
+    { id: 0x55DDF7BA, name: 'battery.max_cell_temperature', type: 'float32', unit: null },
+    { id: 0x57429627, name: 'wifi.authentication_method', type: 'string', unit: null, description: 'WiFi authentication method' },
+    { id: 0x58378BD0, name: 'hw_test.bt_time[3]', type: 'float32', unit: null },
+    { id: 0x5847E59E, name: 'battery.maximum_charge_voltage_constant_u', type: 'float32', unit: 'V', description: 'Max. charge voltage' },
+    { id: 0x5867B3BE, name: 'io_board.rse_table[2]', type: 'float32', unit: null, description: 'K4..K1: 0010' },
+    { id: 0x58C1A946, name: 'io_board.check_state', type: 'uint8', unit: null },
+    { id: 0x592B13DF, name: 'power_mng.schedule[4]', type: 'string', unit: null },
+    { id: 0x59358EB2, name: 'power_mng.maximum_charge_voltage', type: 'float32', unit: 'V', description: 'Max. battery charge voltage' },
+    { id: 0x5939EC5D, name: 'battery.module_sn[6]', type: 'string', unit: null, description: 'Module 6 Serial Number' },
+    { id: 0x5952E5E6, name: 'wifi.mask', type: 'string', unit: null, description: 'Netmask' },
+    { id: 0x5A120CE4, name: 'battery.cells_stat[1].t_max.time', type: 'uint32', unit: null },
+    { id: 0x5A316247, name: 'wifi.mode', type: 'string', unit: null, description: 'WiFi mode' },
+    { id: 0x5A9EEFF0, name: 'battery.stack_cycles[4]', type: 'int16', unit: null },
+    { id: 0x5AF50FD7, name: 'battery.cells_stat[4].t_min.value', type: 'float32', unit: null },
+    { id: 0x5B10CE81, name: 'power_mng.is_heiphoss', type: 'uint8', unit: null, description: 'HeiPhoss mode' },
+    { id: 0x5BA122A5, name: 'battery.stack_cycles[2]', type: 'int16', unit: null },
+    { id: 0x5BB8075A, name: 'dc_conv.dc_conv_struct[1].u_sg_lp', type: 'float32', unit: 'V', description: 'Solar generator B voltage' },
+    { id: 0x5BD2DB45, name: 'io_board.io1_s0_imp_per_kwh', type: 'int16', unit: null, description: 'Number of impulses per kWh for S0 signal on I/O 1' },
+    { id: 0x5CD75669, name: 'db.power_board.afi_t150', type: 'float32', unit: 's', description: 'AFI 150 mA switching off time' },
+    { id: 0x5D0CDCF0, name: 'p_rec_available[2]', type: 'float32', unit: 'W', description: 'Available Pac' },
+    { id: 0x5E942C62, name: 'dc_conv.dc_conv_struct[1].mpp.fixed_voltage', type: 'float32', unit: 'V', description: 'Fixed voltage Solar generator B' },
+    { id: 0x5F33284E, name: 'prim_sm.state', type: 'uint8', unit: null },
+    { id: 0x6002891F, name: 'g_sync.p_ac_sc_sum', type: 'float32', unit: 'W', description: 'Grid power (ext. sensors)' },
+    { id: 0x60749E5E, name: 'battery.cells_stat[6].u_min.time', type: 'uint32', unit: null },
+    { id: 0x612F7EAB, name: 'g_sync.s_ac[1]', type: 'float32', unit: 'VA', description: 'Apparent power phase 2' },
+    { id: 0x61EAC702, name: 'battery.cells_stat[0].t_min.value', type: 'float32', unit: null },
+    { id: 0x6213589B, name: 'battery.cells_stat[6].u_min.value', type: 'float32', unit: null },
+    { id: 0x6279F2A3, name: 'db.power_board.version_boot', type: 'uint32', unit: null, description: 'PIC bootloader software version' },
+    { id: 0x62B8940B, name: 'dc_conv.start_voltage', type: 'float32', unit: 'V', description: 'Inverter DC-voltage start value' },
+    { id: 0x62FBE7DC, name: 'energy.e_grid_load_total', type: 'float32', unit: 'Wh', description: 'Total energy grid load' },
+    { id: 0x63476DBE, name: 'g_sync.u_ptp_rms[0]', type: 'float32', unit: 'V', description: 'Phase to phase voltage 1' },
+    { id: 0x6388556C, name: 'battery.stack_software_version[0]', type: 'uint32', unit: null, description: 'Software version stack 0' },
+    { id: 0x6445D856, name: 'battery.cells_stat[1].u_min.index', type: 'uint8', unit: null },
+    { id: 0x649B10DA, name: 'battery.cells_resist[0]', type: 'string', unit: null },
+    { id: 0x650C1ED7, name: 'g_sync.i_dr_eff[1]', type: 'float32', unit: 'A', description: 'Current phase 2' },
+    { id: 0x6599E3D3, name: 'power_mng.schedule[3]', type: 'string', unit: null },
+    { id: 0x65A44A98, name: 'flash_mem', type: 'string', unit: null },
+    { id: 0x65B624AB, name: 'energy.e_grid_feed_month', type: 'float32', unit: 'Wh', description: 'Month energy grid feed-in' },
+    { id: 0x65EED11B, name: 'battery.voltage', type: 'float32', unit: 'V', description: 'Battery voltage' },
+    { id: 0x663F1452, name: 'power_mng.n_batteries', type: 'uint8', unit: null },
+    { id: 0x664A1326, name: 'io_board.rse_table[14]', type: 'float32', unit: null, description: 'K4..K1: 1110' },
+    { id: 0x6709A2F4, name: 'energy.e_ac_year_sum', type: 'float32', unit: null },
+    { id: 0x672552DC, name: 'power_mng.bat_calib_days_in_advance', type: 'uint8', unit: null, description: 'Battery calibration days in advance' },
+    { id: 0x675776B1, name: 'dc_conv.dc_conv_struct[1].u_target', type: 'float32', unit: 'V', description: 'MPP on input B' },
+    { id: 0x67C0A2F5, name: 'net.slave_p_total', type: 'float32', unit: null },
+    { id: 0x6830F6E4, name: 'io_board.rse_table[9]', type: 'float32', unit: null, description: 'K4..K1: 1001' },
+    { id: 0x68BA92E1, name: 'io_board.io2_s0_imp_per_kwh', type: 'int16', unit: null, description: 'Number of impulses per kWh for S0 signal on I/O 2' },
+    { id: 0x68BC034D, name: 'parameter_file', type: 'string', unit: null, description: 'Norm' },
+    { id: 0x68EEFD3D, name: 'energy.e_dc_total[1]', type: 'float32', unit: 'Wh', description: 'Solar generator B total energy' },
+    { id: 0x6974798A, name: 'battery.stack_software_version[6]', type: 'uint32', unit: null, description: 'Software version stack 6' },
+    { id: 0x69AA598A, name: 'can_bus.requested_id', type: 'int32', unit: null },
+    { id: 0x6BA10831, name: 'db.power_board.afi_i30', type: 'float32', unit: 'A', description: 'AFI 30 mA threshold' },
+    { id: 0x6BBDC7C8, name: 'line_mon.u_max', type: 'float32', unit: 'V', description: 'Max line voltage' },
+    { id: 0x6BFF1AF4, name: 'hw_test.bt_power[2]', type: 'float32', unit: null },
+    { id: 0x6C243F71, name: 'modbus.address', type: 'uint8', unit: null, description: 'RS485 address' },
+    { id: 0x6C2D00E4, name: 'io_board.rse_table[1]', type: 'float32', unit: null, description: 'K4..K1: 0001' },
+    { id: 0x6C44F721, name: 'i_dc_max', type: 'float32', unit: 'A', description: 'Max. DC-component of Iac' },
+    { id: 0x6CFCD774, name: 'energy.e_dc_year_sum[1]', type: 'float32', unit: null },
+    { id: 0x6D5318C8, name: 'cs_map[1]', type: 'uint8', unit: null, description: 'Associate current sensor 1 with phase L' },
+    { id: 0x6D7C0BF4, name: 'wifi.sockb_port', type: 'int32', unit: null, description: 'Port' },
+    { id: 0x6DB1FDDC, name: 'battery.cells_stat[4].u_min.value', type: 'float32', unit: null },
+    { id: 0x6DCC4097, name: 'net.master_timeout', type: 'float32', unit: null },
+    { id: 0x6E1C5B78, name: 'g_sync.p_ac_lp[1]', type: 'float32', unit: 'W', description: 'AC power phase 2' },
+    { id: 0x6E24632E, name: 'battery.cells_stat[5].u_max.time', type: 'uint32', unit: null },
+    { id: 0x6E491B50, name: 'battery.maximum_charge_voltage', type: 'float32', unit: 'V', description: 'Max. charge voltage' },
+    { id: 0x6FB2E2BF, name: 'db.power_board.afi_i150', type: 'float32', unit: 'A', description: 'AFI 150 mA threshold' },
+    { id: 0x6FD36B32, name: 'rb485.f_wr[1]', type: 'float32', unit: 'Hz', description: 'Power Storage phase 2 frequency' },
+    { id: 0x6FF4BD55, name: 'energy.e_ext_month_sum', type: 'float32', unit: null },
+    { id: 0x70349444, name: 'battery.cells_stat[1].t_min.index', type: 'uint8', unit: null },
+    { id: 0x70A2AF4F, name: 'battery.bat_status', type: 'int32', unit: null },
+    { id: 0x70E28322, name: 'grid_mon[0].f_under.time', type: 'float32', unit: 's', description: 'Min. frequency switch-off time level 1' },
+    { id: 0x71196579, name: 'battery.cells_stat[5].t_min.index', type: 'uint8', unit: null },
+    { id: 0x71465EAF, name: 'nsm.cos_phi_ts', type: 'float32', unit: 's', description: 'Time const for filter' },
+    { id: 0x715C84A1, name: 'adc.u_ref_1_5v[2]', type: 'uint16', unit: 'V', description: 'Reference voltage 3' },
+    { id: 0x71765BD8, name: 'battery.status', type: 'int32', unit: null, description: 'Battery status' },
+    { id: 0x71B70DCE, name: 'hw_test.bt_power[4]', type: 'float32', unit: null },
+    { id: 0x71CB0B57, name: 'battery.cells_resist[1]', type: 'string', unit: null },
+    { id: 0x71E10B51, name: 'g_sync.p_ac_lp[0]', type: 'float32', unit: 'W', description: 'AC power phase 1' },
+    { id: 0x7268CE4D, name: 'battery.inv_cmd', type: 'uint32', unit: null },
+    { id: 0x7301A5A7, name: 'flash_rtc.time_stamp_factory', type: 'uint32', unit: null, description: 'Production date' },
+    { id: 0x73489528, name: 'battery.module_sn[2]', type: 'string', unit: null, description: 'Module 2 Serial Number' },
+    { id: 0x73E3ED49, name: 'prim_sm.island_max_trials', type: 'uint16', unit: null, description: 'Max island trials' },
+    { id: 0x742966A6, name: 'db.power_board.afi_i300', type: 'float32', unit: 'A', description: 'AFI 300 mA threshold' },
+    { id: 0x751E80CA, name: 'prim_sm.island_reset_retrials_operation_time', type: 'float32', unit: null },
+    { id: 0x75AE19ED, name: 'hw_test.hw_switch_time', type: 'float32', unit: null },
+    { id: 0x7689BE6A, name: 'io_board.home_relay_sw_on_delay', type: 'float32', unit: 's', description: 'Switching on delay' },
+    { id: 0x76CAA9BF, name: 'wifi.encryption_algorithm', type: 'string', unit: null },
+    { id: 0x770A6E7C, name: 'battery.cells_stat[0].u_max.index', type: 'uint8', unit: null },
+    { id: 0x777DC0EB, name: 'iso_struct.r_min', type: 'float32', unit: 'Ohm', description: 'Minimum allowed insulation resistance' },
+    { id: 0x77DD4364, name: 'hw_test.bt_time[5]', type: 'float32', unit: null },
+    { id: 0x7924ABD9, name: 'inverter_sn', type: 'string', unit: null, description: 'Serial number' },
+    { id: 0x7946D888, name: 'i_dc_slow_time', type: 'float32', unit: 's', description: 'Time for slow DC-component of Iac' },
+    { id: 0x79C0A724, name: 'energy.e_ac_total_sum', type: 'float32', unit: null },
+    { id: 0x7A5C91F8, name: 'nsm.p_u[1][0]', type: 'float32', unit: null, description: 'Point 2 P/Pn' },
+    { id: 0x7A67E33B, name: 'can_bus.bms_update_response[1]', type: 'uint32', unit: null },
+    { id: 0x7A9091EA, name: 'rb485.u_l_grid[1]', type: 'float32', unit: 'V', description: 'Grid phase 2 voltage' },
+    { id: 0x7AB9B045, name: 'energy.e_dc_month[1]', type: 'float32', unit: 'Wh', description: 'Solar generator B month energy' },
+    { id: 0x7AF0AD03, name: 'power_mng.schedule[9]', type: 'string', unit: null },
+    { id: 0x7B1F7FBE, name: 'wifi.gateway', type: 'string', unit: null, description: 'Gateway' },
+    { id: 0x7C78CBAC, name: 'g_sync.q_ac_sum_lp', type: 'float32', unit: 'var', description: 'Reactive power' },
+    { id: 0x7DA7D8B6, name: 'db.power_board.version_main', type: 'uint32', unit: null, description: 'PIC software version' },
+    { id: 0x7DDE352B, name: 'wifi.sockb_ip', type: 'string', unit: null },
+    { id: 0x7E096024, name: 'energy.e_load_total_sum', type: 'float32', unit: null },
+    { id: 0x7E590128, name: 'battery.cells_stat[0].u_max.time', type: 'uint32', unit: null },
+    { id: 0x7E75B17A, name: 'nsm.q_u_max_u_high_rel', type: 'float32', unit: null, description: 'Qmax at upper voltage level relative to Smax (positive = overexcited)' },
+    { id: 0x7F42BB82, name: 'battery.cells_stat[6].u_max.index', type: 'uint8', unit: null },
+    { id: 0x7F813D73, name: 'fault[3].flt', type: 'uint32', unit: null, description: 'Error bit field 4' },
+    { id: 0x7FF6252C, name: 'battery.cells_stat[5].t_max.time', type: 'uint32', unit: null },
+    { id: 0x804A3266, name: 'battery.cells_stat[6].u_max.value', type: 'float32', unit: null },
+    { id: 0x80835476, name: 'db.power_board.adc_p5V_W_meas', type: 'float32', unit: null },
+    { id: 0x812E5ADD, name: 'energy.e_dc_total_sum[1]', type: 'float32', unit: null },
+    { id: 0x8160539D, name: 'battery.cells_stat[4].t_max.value', type: 'float32', unit: null },
+    { id: 0x81AE960B, name: 'energy.e_dc_month[0]', type: 'float32', unit: 'Wh', description: 'Solar generator A month energy' },
+    { id: 0x82258C01, name: 'cs_neg[0]', type: 'float32', unit: null, description: 'Multiply value of the current sensor 0 by' },
+    { id: 0x82CD1525, name: 'grid_mon[1].u_under.threshold', type: 'float32', unit: 'V', description: 'Min. voltage level 2' },
+    { id: 0x82E3C121, name: 'g_sync.q_ac[1]', type: 'float32', unit: 'var', description: 'Reactive power phase 2' },
+    { id: 0x8320B84C, name: 'io_board.rse_data_delay', type: 'float32', unit: 's', description: 'Delay for new K4..K1 data' },
+    { id: 0x83A5333A, name: 'nsm.cos_phi_p[0][0]', type: 'float32', unit: 'P/Pn', description: 'Point 1' },
+    { id: 0x84ABE3D8, name: 'energy.e_grid_feed_year_sum', type: 'float32', unit: null },
+    { id: 0x85886E2E, name: 'p_rec_lim[0]', type: 'float32', unit: 'W', description: 'Max. compensation power' },
+    { id: 0x86782D58, name: 'hw_test.bt_power[9]', type: 'float32', unit: null },
+    { id: 0x867DEF7D, name: 'energy.e_grid_load_day', type: 'float32', unit: 'Wh', description: 'Day energy grid load' },
+    { id: 0x872F380B, name: 'io_board.load_set', type: 'float32', unit: 'W', description: 'Dummy household load' },
+    { id: 0x87E4387A, name: 'current_sensor_max', type: 'float32', unit: 'A', description: 'Power Sensor current range' },
+    { id: 0x883DE9AB, name: 'g_sync.s_ac_lp[2]', type: 'float32', unit: 'VA', description: 'Apparent power phase 3' },
+    { id: 0x885BB57E, name: 'battery.cells_stat[6].t_min.value', type: 'float32', unit: null },
+    { id: 0x887D43C4, name: 'g_sync.i_dr_lp[0]', type: 'float32', unit: 'A', description: 'Current phase 1 (average)' },
+    { id: 0x889DC27F, name: 'battery.cells_stat[0].u_min.value', type: 'float32', unit: null },
+    { id: 0x88BBF8CB, name: 'battery.cells_stat[5].t_min.value', type: 'float32', unit: null },
+    { id: 0x88C9707B, name: 'io_board.rse_table[15]', type: 'float32', unit: null, description: 'K4..K1: 1111' },
+    { id: 0x88DEBCFE, name: 'nsm.q_u_max_u_high', type: 'float32', unit: 'var', description: 'Qmax at upper voltage level (positive = overexcited)' },
+    { id: 0x88F36D45, name: 'io_board.rse_data', type: 'uint8', unit: null, description: 'Actual K4..K1 data' },
+    { id: 0x89B25F4B, name: 'battery.stack_cycles[3]', type: 'int16', unit: null },
+    { id: 0x89EE3EB5, name: 'g_sync.i_dr_eff[0]', type: 'float32', unit: 'A', description: 'Current phase 1' },
+    { id: 0x8A18539B, name: 'g_sync.u_zk_sum_avg', type: 'float32', unit: 'V', description: 'DC link voltage' },
+    { id: 0x8B4BE168, name: 'battery_placeholder[0].soc', type: 'float32', unit: null, description: 'SOC (State of charge)' },
+    { id: 0x8B9FF008, name: 'battery.soc_target', type: 'float32', unit: null, description: 'Target SOC' },
+    { id: 0x8BB08839, name: 'battery.cells_stat[6].t_min.time', type: 'uint32', unit: null },
+    { id: 0x8CA00014, name: 'wifi.result', type: 'int8', unit: null, description: 'WiFi result' },
+    { id: 0x8D33B6BC, name: 'nsm.f_low_exit', type: 'float32', unit: 'Hz', description: 'Exit frequency for P(f) under-frequency mode' },
+    { id: 0x8D8E19F7, name: 'line_mon.u_min', type: 'float32', unit: 'V', description: 'Min line voltage' },
+    { id: 0x8DFFDD33, name: 'battery.cells_stat[3].u_min.time', type: 'uint32', unit: null },
+    { id: 0x8E41FC47, name: 'iso_struct.Rp', type: 'float32', unit: 'Ohm', description: 'Insulation resistance on positive DC input' },
+    { id: 0x8EBF9574, name: 'power_mng.soc_min_island', type: 'float32', unit: null, description: 'Min SOC target (island)' },
+    { id: 0x8EC23427, name: 'battery.cells_stat[4].u_max.time', type: 'uint32', unit: null },
+    { id: 0x8EF9C9B8, name: 'battery.cells_stat[6].t_max.time', type: 'uint32', unit: null },
+    { id: 0x8F0FF9F3, name: 'p_rec_available[1]', type: 'float32', unit: 'W', description: 'Available battery to grid power' },
+    { id: 0x902AFAFB, name: 'battery.temperature', type: 'float32', unit: '°C', description: 'Battery temperature' },
+    { id: 0x903FE89E, name: 'hw_test.bt_time[8]', type: 'float32', unit: null },
+    { id: 0x905F707B, name: 'rb485.f_wr[2]', type: 'float32', unit: 'Hz', description: 'Power Storage phase 3 frequency' },
+    { id: 0x9061EA7B, name: 'grid_lt.granularity', type: 'float32', unit: null, description: 'Resolution' },
+    { id: 0x907CD1DF, name: 'wifi.connect_service_max_duration', type: 'int32', unit: 's', description: 'Service connection max duration' },
+    { id: 0x90832471, name: 'battery.cells_stat[1].u_max.time', type: 'uint32', unit: null },
+    { id: 0x90B53336, name: 'temperature.sink_temp_power_reduction', type: 'float32', unit: '°C', description: 'Heat sink temperature target' },
+    { id: 0x915CD4A4, name: 'grid_mon[1].f_over.threshold', type: 'float32', unit: 'Hz', description: 'Max. frequency level 2' },
+    { id: 0x91617C58, name: 'g_sync.p_ac_grid_sum_lp', type: 'float32', unit: 'W', description: 'Total grid power' },
+    { id: 0x917E3622, name: 'energy.e_ext_year', type: 'float32', unit: 'Wh', description: 'External year energy' },
+    { id: 0x91C325D9, name: 'battery.cells_stat[0].t_min.time', type: 'uint32', unit: null },
+    { id: 0x91FB68CD, name: 'battery.cells_stat[6].t_max.value', type: 'float32', unit: null },
+    { id: 0x9214A00C, name: 'hw_test.booster_test_index', type: 'uint8', unit: null },
+    { id: 0x929394B7, name: 'svnversion_last_known', type: 'string', unit: null },
+    { id: 0x92BC682B, name: 'g_sync.i_dr_eff[2]', type: 'float32', unit: 'A', description: 'Current phase 3' },
+    { id: 0x933F9A24, name: 'grid_mon[0].f_over.time', type: 'float32', unit: 's', description: 'Max. frequency switch-off time level 1' },
+    { id: 0x934E64E9, name: 'switch_on_cond.u_max', type: 'float32', unit: null, description: 'Max. voltage' },
+    { id: 0x93C0C2E2, name: 'power_mng.bat_calib_reqularity', type: 'uint32', unit: 'days', description: 'Battery calibration interval' },
+    { id: 0x93E6918D, name: 'nsm.f_exit', type: 'float32', unit: 'Hz', description: 'Exit frequency for P(f) over-frequency mode' },
+    { id: 0x93F976AB, name: 'rb485.u_l_grid[0]', type: 'float32', unit: 'V', description: 'Grid phase 1 voltage' },
+    { id: 0x940569AC, name: 'hw_test.bt_time[6]', type: 'float32', unit: null },
+    { id: 0x9558AD8A, name: 'rb485.f_grid[0]', type: 'float32', unit: 'Hz', description: 'Grid phase1 frequency' },
+    { id: 0x959930BF, name: 'battery.soc', type: 'float32', unit: null, description: 'SOC (State of charge)' },
+    { id: 0x96629BB9, name: 'can_bus.bms_update_state', type: 'uint8', unit: null },
+    { id: 0x9680077F, name: 'nsm.cos_phi_p[2][0]', type: 'float32', unit: 'P/Pn', description: 'Point 3' },
+    { id: 0x96E32D11, name: 'flash_param.erase_cycles', type: 'uint32', unit: null, description: 'Erase cycles of flash parameter' },
+    { id: 0x972B3029, name: 'power_mng.stop_discharge_voltage_buffer', type: 'float32', unit: 'V', description: 'Stop discharge voltage buffer' },
+    { id: 0x97997C93, name: 'power_mng.soc_max', type: 'float32', unit: null, description: 'Max SOC target' },
+    { id: 0x97E3A6F2, name: 'power_mng.u_acc_lp', type: 'float32', unit: 'V', description: 'Battery voltage (inverter)' },
+    { id: 0x98ACC1B8, name: 'io_board.rse_table[4]', type: 'float32', unit: null, description: 'K4..K1: 0100' },
+    { id: 0x99396810, name: 'battery.module_sn[1]', type: 'string', unit: null, description: 'Module 1 Serial Number' },
+    { id: 0x993C06F6, name: 'battery.cells_resist[3]', type: 'string', unit: null },
+    { id: 0x9981F1AC, name: 'db.power_board.adc_m9V_meas', type: 'float32', unit: null },
+    { id: 0x9A33F9B7, name: 'power_mng.schedule[5]', type: 'string', unit: null },
+    { id: 0x9A51A23B, name: 'logger.log_rate', type: 'uint16', unit: 's', description: 'Data log resolution' },
+    { id: 0x9A67600D, name: 'p_rec_lim[2]', type: 'float32', unit: 'W', description: 'Pac max.' },
+    { id: 0x9B92023F, name: 'io_board.rse_table[7]', type: 'float32', unit: null, description: 'K4..K1: 0111' },
+    { id: 0x9C8FE559, name: 'pas.period', type: 'uint32', unit: null },
+    { id: 0x9D785E8C, name: 'battery.bms_software_version', type: 'uint32', unit: null, description: 'Software version BMS Master' },
+    { id: 0x9E1A88F5, name: 'dc_conv.dc_conv_struct[0].mpp.fixed_voltage', type: 'float32', unit: 'V', description: 'Fixed voltage Solar generator A' },
+    { id: 0x9E314430, name: 'battery.cells_stat[2].u_max.time', type: 'uint32', unit: null },
+    { id: 0xA10D9A4B, name: 'battery.min_cell_temperature', type: 'float32', unit: null },
+    { id: 0xA1266D6B, name: 'line_mon.time_lim', type: 'float32', unit: 's', description: 'Switch off time line voltage' },
+    { id: 0xA12BE39C, name: 'energy.e_load_month_sum', type: 'float32', unit: null },
+    { id: 0xA12E9B43, name: 'phase_marker', type: 'int16', unit: null, description: 'Next phase after phase 1' },
+    { id: 0xA1D2B565, name: 'wifi.service_port', type: 'int32', unit: null },
+    { id: 0xA305214D, name: 'logger.buffer', type: 'string', unit: null },
+    { id: 0xA3393749, name: 'io_board.check_start', type: 'uint8', unit: null },
+    { id: 0xA3E48B21, name: 'battery.cells_stat[2].t_min.value', type: 'float32', unit: null },
+    { id: 0xA40906BF, name: 'battery.stack_software_version[4]', type: 'uint32', unit: null, description: 'Software version stack 4' },
+    { id: 0xA5044DCD, name: 'nsm.p_u[2][0]', type: 'float32', unit: 'P/Pn', description: 'Point 3' },
+    { id: 0xA5341F4A, name: 'energy.e_grid_feed_month_sum', type: 'float32', unit: null },
+    { id: 0xA54C4685, name: 'battery.stack_software_version[1]', type: 'uint32', unit: null, description: 'Software version stack 1' },
+    { id: 0xA59C8428, name: 'energy.e_ext_total', type: 'float32', unit: 'Wh', description: 'External total energy' },
+    { id: 0xA616B022, name: 'battery.soc_target_low', type: 'float32', unit: null, description: 'SOC target low' },
+    { id: 0xA6271C2E, name: 'grid_mon[0].u_over.threshold', type: 'float32', unit: 'V', description: 'Max. voltage level 1' },
+    { id: 0xA6871A4D, name: 'battery.cells_stat[4].t_min.index', type: 'uint8', unit: null },
+    { id: 0xA6C4FD4A, name: 'battery.stack_cycles[0]', type: 'int16', unit: null },
+    { id: 0xA7447FC4, name: 'temperature.bat_temp_power_reduction', type: 'float32', unit: '°C', description: 'Battery actuator temperature target' },
+    { id: 0xA76AE9CA, name: 'relays.bits_real', type: 'uint16', unit: null },
+    { id: 0xA7DBD28C, name: 'battery.cells_stat[2].t_max.index', type: 'uint8', unit: null },
+    { id: 0xA7FA5C5D, name: 'power_mng.u_acc_mix_lp', type: 'float32', unit: 'V', description: 'Battery voltage' },
+    { id: 0xA7FE5C0C, name: 'battery.cells_stat[2].t_min.index', type: 'uint8', unit: null },
+    { id: 0xA9033880, name: 'battery.used_energy', type: 'float32', unit: 'Wh', description: 'Total energy flow from battery' },
+    { id: 0xA95AD038, name: 'grid_mon[0].f_under.threshold', type: 'float32', unit: 'Hz', description: 'Min. frequency level 1' },
+    { id: 0xA95EE214, name: 'power_mng.model.bat_power_change', type: 'float32', unit: null },
+    { id: 0xA9CF517D, name: 'power_spring_down', type: 'float32', unit: null },
+    { id: 0xAA9AA253, name: 'dc_conv.dc_conv_struct[1].p_dc', type: 'float32', unit: 'W', description: 'Solar generator B power' },
+    { id: 0xAACAC898, name: 'battery.cells_stat[4].t_max.time', type: 'uint32', unit: null },
+    { id: 0xAACE057A, name: 'io_board.io1_s0_min_duration', type: 'float32', unit: 's', description: 'Minimum S0 signal duration on I/O 1' },
+    { id: 0xAC2E2A56, name: 'io_board.rse_table[5]', type: 'float32', unit: null, description: 'K4..K1: 0101' },
+    { id: 0xACF7666B, name: 'battery.efficiency', type: 'float32', unit: null, description: 'Battery efficiency (used energy / stored energy)' },
+    { id: 0xAEF76FA1, name: 'power_mng.minimum_discharge_voltage', type: 'float32', unit: 'V', description: 'Min. battery discharge voltage' },
+    { id: 0xAF64D0FE, name: 'energy.e_dc_year[0]', type: 'float32', unit: 'Wh', description: 'Solar generator A year energy' },
+    { id: 0xB0041187, name: 'g_sync.u_sg_avg[1]', type: 'float32', unit: 'V', description: 'Solar generator B voltage' },
+    { id: 0xB0307591, name: 'db.power_board.status', type: 'uint16', unit: null, description: 'Power board status' },
+    { id: 0xB082C4D7, name: 'hw_test.bt_power[5]', type: 'float32', unit: null },
+    { id: 0xB0EBE75A, name: 'battery.minimum_discharge_voltage', type: 'float32', unit: 'V', description: 'Min. discharge voltage' },
+    { id: 0xB0FA4D23, name: 'acc_conv.i_charge_max', type: 'float32', unit: 'A', description: 'Max. battery converter charge current' },
+    { id: 0xB1D1BE71, name: 'osci_struct.cmd_response_time', type: 'float32', unit: null },
+    { id: 0xB1EF67CE, name: 'energy.e_ac_total', type: 'float32', unit: 'Wh', description: 'Total energy' },
+    { id: 0xB221BCFA, name: 'g_sync.p_ac_sc[2]', type: 'float32', unit: 'W', description: 'Grid power phase 3' },
+    { id: 0xB238942F, name: 'last_successfull_flash_op', type: 'int16', unit: null },
+    { id: 0xB298395D, name: 'dc_conv.dc_conv_struct[0].u_sg_lp', type: 'float32', unit: 'V', description: 'Solar generator A voltage' },
+    { id: 0xB2FB9A90, name: 'bat_mng_struct.k_trust', type: 'float32', unit: null, description: 'How fast the actual prediction can be trusted [0..10]' },
+    { id: 0xB408E40A, name: 'acc_conv.i_acc_lp_slow', type: 'float32', unit: null },
+    { id: 0xB4222BDE, name: 'wifi.state', type: 'uint8', unit: null },
+    { id: 0xB45FE275, name: 'p_rec_available[0]', type: 'float32', unit: 'W', description: 'Available compensation power' },
+    { id: 0xB4E053D4, name: 'battery.cells_stat[1].u_min.value', type: 'float32', unit: null },
+    { id: 0xB5317B78, name: 'dc_conv.dc_conv_struct[0].p_dc', type: 'float32', unit: 'W', description: 'Solar generator A power' },
+    { id: 0xB55BA2CE, name: 'g_sync.u_sg_avg[0]', type: 'float32', unit: 'V', description: 'Solar generator A voltage' },
+    { id: 0xB57B59BD, name: 'battery.ah_capacity', type: 'float32', unit: 'Ah', description: 'Battery capacity' },
+    { id: 0xB6623608, name: 'power_mng.bat_next_calib_date', type: 'int32', unit: null, description: 'Next battery calibration' },
+    { id: 0xB69171C4, name: 'db.power_board.Current_AC_RMS', type: 'float32', unit: null },
+    { id: 0xB76E2B4C, name: 'nsm.cos_phi_const', type: 'float32', unit: null, description: 'Cos phi constant value (positive = overexcited)' },
+    { id: 0xB7B2967F, name: 'energy.e_dc_total_sum[0]', type: 'float32', unit: null },
+    { id: 0xB7FEA209, name: 'wifi.connect_service_timestamp', type: 'int32', unit: null, description: 'Service auto disconnect time' },
+    { id: 0xB81FB399, name: 'battery.cells_stat[2].u_min.time', type: 'uint32', unit: null },
+    { id: 0xB836B50C, name: 'dc_conv.dc_conv_struct[1].rescan_correction', type: 'float32', unit: 'V', description: 'Last global rescan MPP correction on input B' },
+    { id: 0xB84A38AB, name: 'battery.soc_target_high', type: 'float32', unit: null, description: 'SOC target high' },
+    { id: 0xB84FDCF9, name: 'adc.u_acc', type: 'float32', unit: 'V', description: 'Battery voltage (inverter)' },
+    { id: 0xB851FA70, name: 'io_board.rse_table[11]', type: 'float32', unit: null, description: 'K4..K1: 1011' },
+    { id: 0xB98C8194, name: 'nsm.min_cos_phi', type: 'float32', unit: null, description: 'Minimum allowed cos(phi) [0..1]' },
+    { id: 0xB9928C51, name: 'g_sync.p_ac_lp[2]', type: 'float32', unit: 'W', description: 'AC power phase 3' },
+    { id: 0xB9A026F9, name: 'energy.e_ext_day', type: 'float32', unit: 'Wh', description: 'External day energy' },
+    { id: 0xB9E09F78, name: 'battery.cells_stat[5].u_min.index', type: 'uint8', unit: null },
+    { id: 0xBA8B8515, name: 'dc_conv.dc_conv_struct[0].mpp.mpp_step', type: 'float32', unit: 'V', description: 'MPP search step on input A' },
+    { id: 0xBB302278, name: 'battery.cells_stat[1].t_min.time', type: 'uint32', unit: null },
+    { id: 0xBB617E51, name: 'nsm.u_q_u[1]', type: 'float32', unit: 'V', description: 'Low voltage max. point' },
+    { id: 0xBBE6B9DF, name: 'io_board.p_rse_rise_grad', type: 'float32', unit: 'P/Pn/s', description: 'Power rise gradient' },
+    { id: 0xBCA77559, name: 'g_sync.q_ac[2]', type: 'float32', unit: 'var', description: 'Reactive power phase 3' },
+    { id: 0xBCC6F92F, name: 'io_board.home_relay_threshold', type: 'float32', unit: 'W', description: 'Switching on threshold' },
+    { id: 0xBD008E29, name: 'power_mng.battery_power_extern', type: 'float32', unit: 'W', description: 'Battery target power (positive = discharge)' },
+    { id: 0xBD3A23C3, name: 'power_mng.soc_charge', type: 'float32', unit: null, description: 'SOC min maintenance charge' },
+    { id: 0xBD4147B0, name: 'can_bus.set_cell_resist', type: 'uint32', unit: null },
+    { id: 0xBD55905F, name: 'energy.e_ac_day', type: 'float32', unit: 'Wh', description: 'Day energy' },
+    { id: 0xBD55D796, name: 'energy.e_dc_year[1]', type: 'float32', unit: 'Wh', description: 'Solar generator B year energy' },
+    { id: 0xBDE3BF0A, name: 'battery.cells_stat[6].t_max.index', type: 'uint8', unit: null },
+    { id: 0xBDFE5547, name: 'io_board.rse_table[3]', type: 'float32', unit: null, description: 'K4..K1: 0011' },
+    { id: 0xBF9B6042, name: 'svnversion_factory', type: 'string', unit: null, description: 'Control software factory version' },
+    { id: 0xBFFF3CAD, name: 'net.n_slaves', type: 'uint8', unit: null },
+    { id: 0xC03462F6, name: 'g_sync.p_ac[2]', type: 'float32', unit: null, description: 'AC3' },
+    { id: 0xC0680302, name: 'battery.cells_stat[2].t_min.time', type: 'uint32', unit: null },
+    { id: 0xC0B7C4D2, name: 'db.power_board.afi_t30', type: 'float32', unit: 's', description: 'AFI 30 mA switching off time' },
+    { id: 0xC0CC81B6, name: 'energy.e_ac_year', type: 'float32', unit: 'Wh', description: 'Year energy' },
+    { id: 0xC0DF2978, name: 'battery.cycles', type: 'int32', unit: null, description: 'Battery charge / discharge cycles' },
+    { id: 0xC198B25B, name: 'g_sync.u_zk_p_avg', type: 'float32', unit: 'V', description: 'Positive buffer capacitor voltage' },
+    { id: 0xC1C82889, name: 'hw_test.bt_power[1]', type: 'float32', unit: null },
+    { id: 0xC1D051EC, name: 'display_struct.variate_contrast', type: 'uint8', unit: null, description: 'Display pixel test mode' },
+    { id: 0xC24E85D0, name: 'db.core_temp', type: 'float32', unit: '°C', description: 'Core temperature' },
+    { id: 0xC36675D4, name: 'i_ac_max_set', type: 'float32', unit: 'A', description: 'Maximum AC throttle current' },
+    { id: 0xC3C7325E, name: 'hw_test.bt_time[4]', type: 'float32', unit: null },
+    { id: 0xC40D5688, name: 'prim_sm.state_source', type: 'uint32', unit: null },
+    { id: 0xC42F5807, name: 'battery.cells_stat[1].u_max.index', type: 'uint8', unit: null },
+    { id: 0xC46E9CA4, name: 'nsm.u_lock_out', type: 'float32', unit: 'V', description: 'Cos phi(P) lock out voltage' },
+    { id: 0xC4D87E96, name: 'prim_sm.island_retrials', type: 'uint16', unit: null, description: 'Island trials counter' },
+    { id: 0xC642B9D6, name: 'acc_conv.i_discharge_max', type: 'float32', unit: 'A', description: 'Max. battery converter discharge current' },
+    { id: 0xC66A522B, name: 'hw_test.bt_time[1]', type: 'float32', unit: null },
+    { id: 0xC6DA81A0, name: 'battery.cells_stat[6].u_max.time', type: 'uint32', unit: null },
+    { id: 0xC707102E, name: 'hw_test.bt_power[3]', type: 'float32', unit: null },
+    { id: 0xC717D1FB, name: 'iso_struct.Riso', type: 'float32', unit: 'Ohm', description: 'Total insulation resistance' },
+    { id: 0xC7605E16, name: 'io_board.s0_sum', type: 'float32', unit: null },
+    { id: 0xC7D3B479, name: 'energy.e_load_year', type: 'float32', unit: 'Wh', description: 'Household year energy' },
+    { id: 0xC88EB032, name: 'battery.cells_stat[0].u_min.time', type: 'uint32', unit: null },
+    { id: 0xC8BA1729, name: 'battery.stack_software_version[2]', type: 'uint32', unit: null, description: 'Software version stack 2' },
+    { id: 0xC9D76279, name: 'energy.e_dc_day_sum[0]', type: 'float32', unit: null },
+    { id: 0xCABC44CA, name: 'g_sync.s_ac[0]', type: 'float32', unit: 'VA', description: 'Apparent power phase 1' },
+    { id: 0xCB1B3B10, name: 'io_board.io2_s0_min_duration', type: 'float32', unit: 's', description: 'Minimum S0 signal duration on I/O 2' },
+    { id: 0xCB9E1E6C, name: 'nsm.Q_const', type: 'float32', unit: 'var', description: 'Q constant value (positive = overexcited)' },
+    { id: 0xCBEC8200, name: 'hw_test.timer2', type: 'float32', unit: null },
+    { id: 0xCCB51399, name: 'nsm.q_u_max_u_low', type: 'float32', unit: 'var', description: 'Qmax at lower voltage level (positive = overexcited)' },
+    { id: 0xCE266F0F, name: 'power_mng.soc_min', type: 'float32', unit: null, description: 'Min SOC target' },
+    { id: 0xCF053085, name: 'g_sync.u_l_rms[0]', type: 'float32', unit: 'V', description: 'AC voltage phase 1' },
+    { id: 0xD0C47326, name: 'battery.cells_stat[1].t_min.value', type: 'float32', unit: null },
+    { id: 0xD143A391, name: 'can_bus.set_cell_v_t', type: 'uint32', unit: null },
+    { id: 0xD166D94D, name: 'flash_rtc.time_stamp', type: 'uint32', unit: null, description: 'Actual date/time' },
+    { id: 0xD197CBE0, name: 'power_mng.stop_charge_current', type: 'float32', unit: 'A', description: 'Stop charge current' },
+    { id: 0xD1DFC969, name: 'power_mng.soc_target_set', type: 'float32', unit: null, description: 'Force SOC target' },
+    { id: 0xD3085D80, name: 'net.soc_av', type: 'float32', unit: null },
+    { id: 0xD451EF88, name: 'cs_map[2]', type: 'uint8', unit: null, description: 'Associate current sensor 2 with phase L' },
+    { id: 0xD45913EC, name: 'io_board.rse_table[13]', type: 'float32', unit: null, description: 'K4..K1: 1101' },
+    { id: 0xD4C4A941, name: 'hw_test.bt_time[7]', type: 'float32', unit: null },
+    { id: 0xD5205A45, name: 'net.slave_timeout', type: 'float32', unit: null },
+    { id: 0xD580567B, name: 'nsm.u_lock_in', type: 'float32', unit: 'V', description: 'Cos phi(P) lock in voltage' },
+    { id: 0xD60E7A2F, name: 'battery.cells_stat[1].u_min.time', type: 'uint32', unit: null },
+    { id: 0xD83DC6AC, name: 'wifi.server_port', type: 'int32', unit: null },
+    { id: 0xD884AF95, name: 'nsm.pf_desc_grad', type: 'float32', unit: 'P/(Pn*s)', description: 'Power decrease gradient for P(f) mode' },
+    { id: 0xD9D66B76, name: 'energy.e_grid_load_year_sum', type: 'float32', unit: null },
+    { id: 0xD9E721A5, name: 'grid_lt.timeframe', type: 'float32', unit: null, description: 'Timeframe' },
+    { id: 0xD9F9F35B, name: 'acc_conv.state_slow', type: 'uint8', unit: null },
+    { id: 0xDA207111, name: 'energy.e_grid_load_month_sum', type: 'float32', unit: null },
+    { id: 0xDABD323E, name: 'osci_struct.error', type: 'int16', unit: null, description: 'Communication error' },
+    { id: 0xDAC7DD86, name: 'io_board.p_rse_desc_grad', type: 'float32', unit: 'P/Pn/s', description: 'Power descent gradient' },
+    { id: 0xDB11855B, name: 'dc_conv.dc_conv_struct[0].p_dc_lp', type: 'float32', unit: 'W', description: 'Solar generator A power' },
+    { id: 0xDB2D69AE, name: 'g_sync.p_ac_sum_lp', type: 'float32', unit: 'W', description: 'AC power' },
+    { id: 0xDB45ABD0, name: 'dc_conv.dc_conv_struct[0].rescan_correction', type: 'float32', unit: 'V', description: 'Last global rescan MPP correction on input A' },
+    { id: 0xDB62DCB7, name: 'net.n_devices', type: 'uint8', unit: null },
+    { id: 0xDC667958, name: 'power_mng.state', type: 'uint8', unit: null, description: 'Battery state machine' },
+    { id: 0xDCA1CF26, name: 'g_sync.s_ac_sum_lp', type: 'float32', unit: 'VA', description: 'Apparent power' },
+    { id: 0xDCAC0EA9, name: 'g_sync.i_dr_lp[1]', type: 'float32', unit: 'A', description: 'Current phase 2 (average)' },
+    { id: 0xDD5930A2, name: 'battery.cells_stat[0].t_min.index', type: 'uint8', unit: null },
+    { id: 0xDD90A328, name: 'flash_rtc.time_stamp_update', type: 'uint32', unit: null, description: 'Last update date' },
+    { id: 0xDDD1C2D0, name: 'svnversion', type: 'string', unit: null, description: 'Control software version' },
+    { id: 0xDE17F021, name: 'energy.e_grid_load_year', type: 'float32', unit: 'Wh', description: 'Year energy grid load' },
+    { id: 0xDE68F62D, name: 'bat_mng_struct.profile_pext', type: 'string', unit: null },
+    { id: 0xDE9CBCB0, name: 'battery.cells_stat[5].t_max.value', type: 'float32', unit: null },
+    { id: 0xDEE1957F, name: 'battery.cells_resist[4]', type: 'string', unit: null },
+    { id: 0xDF0A735C, name: 'battery.maximum_discharge_current', type: 'float32', unit: 'A', description: 'Max. discharge current' },
+    { id: 0xDF6EA121, name: 'bat_mng_struct.profile_pdc', type: 'string', unit: null },
+    { id: 0xDFB53AF3, name: 'db.power_board.Current_Mean_Mean_AC', type: 'float32', unit: null },
+    { id: 0xDFF966E3, name: 'battery.cells_stat[6].t_min.index', type: 'uint8', unit: null },
+    { id: 0xE0E16E63, name: 'cs_map[0]', type: 'uint8', unit: null, description: 'Associate current sensor 0 with phase L' },
+    { id: 0xE14B8679, name: 'i_dc_slow_max', type: 'float32', unit: 'A', description: 'Max. slow DC-component of Iac' },
+    { id: 0xE24B00BD, name: 'power_mng.schedule[1]', type: 'string', unit: null },
+    { id: 0xE271C6D2, name: 'nsm.u_q_u[2]', type: 'float32', unit: 'V', description: 'High voltage min. point' },
+    { id: 0xE31F8B17, name: 'prim_sm.Uzk_pump_grad[0]', type: 'float32', unit: 'W', description: 'start power' },
+    { id: 0xE3F4D1DF, name: 'acc_conv.i_max', type: 'float32', unit: 'A', description: 'Max. battery converter current' },
+    { id: 0xE49BE3ED, name: 'nsm.pf_rise_grad', type: 'float32', unit: 'P/(Pn*s)', description: 'Power increase gradient after P(f) restriction' },
+    { id: 0xE52B89FA, name: 'io_board.home_relay_off_threshold', type: 'float32', unit: 'W', description: 'Switching off threshold' },
+    { id: 0xE6248312, name: 'hw_test.bt_power[8]', type: 'float32', unit: null },
+    { id: 0xE63A3529, name: 'flash_result', type: 'uint16', unit: null, description: 'Flash result' },
+    { id: 0xE6AC95E5, name: 'phase_shift_threshold', type: 'uint32', unit: null, description: 'Detection threshold' },
+    { id: 0xE6F1CB83, name: 'nsm.pu_ts', type: 'float32', unit: 's', description: 'Time const for filter' },
+    { id: 0xE7177DEE, name: 'battery.cells_stat[2].u_max.value', type: 'float32', unit: null },
+    { id: 0xE7B0E692, name: 'battery.bat_impedance.impedance_fine', type: 'float32', unit: null, description: 'Battery circuit impedance' },
+    { id: 0xE94C2EFC, name: 'g_sync.q_ac[0]', type: 'float32', unit: 'var', description: 'Reactive power phase 1' },
+    { id: 0xE952FF2D, name: 'nsm.q_u_max_u_low_rel', type: 'float32', unit: null, description: 'Qmax at lower voltage level relative to Smax (positive = overexcited)' },
+    { id: 0xE96F1844, name: 'io_board.s0_external_power', type: 'float32', unit: null },
+    { id: 0xE9BBF6E4, name: 'power_mng.amp_hours_measured', type: 'float32', unit: 'Ah', description: 'Measured battery capacity' },
+    { id: 0xEA77252E, name: 'battery.minimum_discharge_voltage_constant_u', type: 'float32', unit: 'V', description: 'Min. discharge voltage' },
+    { id: 0xEAEEB3CA, name: 'energy.e_dc_month_sum[0]', type: 'float32', unit: null },
+    { id: 0xEB4C2597, name: 'battery.cells_resist[6]', type: 'string', unit: null },
+    { id: 0xEB7773BF, name: 'nsm.p_u[1][1]', type: 'float32', unit: 'V', description: 'Point 2 voltage' },
+    { id: 0xEBC62737, name: 'android_description', type: 'string', unit: null, description: 'Device name' },
+    { id: 0xEBF7A4E8, name: 'grid_mon[0].f_over.threshold', type: 'float32', unit: 'Hz', description: 'Max. frequency level 1' },
+    { id: 0xECABB6CF, name: 'switch_on_cond.test_time', type: 'float32', unit: null, description: 'Test time' },
+    { id: 0xEEA3F59B, name: 'battery.stack_software_version[5]', type: 'uint32', unit: null, description: 'Software version stack 5' },
+    { id: 0xEECDFEFC, name: 'battery.cells_stat[2].u_min.value', type: 'float32', unit: null },
+    { id: 0xEF89568B, name: 'grid_mon[0].u_under.time', type: 'float32', unit: 's', description: 'Min. voltage switch-off time level 1' },
+    { id: 0xEFD3EC8A, name: 'battery.cells_stat[5].t_min.time', type: 'uint32', unit: null },
+    { id: 0xEFF4B537, name: 'energy.e_load_total', type: 'float32', unit: 'Wh', description: 'Household total energy' },
+    { id: 0xF044EDA0, name: 'battery.cells_stat[3].t_max.value', type: 'float32', unit: null },
+    { id: 0xF0527539, name: 'db.power_board.adc_p3V3_meas', type: 'float32', unit: null },
+    { id: 0xF09CC4A2, name: 'grid_mon[1].u_over.time', type: 'float32', unit: 's', description: 'Max. voltage switch-off time level 2' },
+    { id: 0xF0A03A20, name: 'bat_mng_struct.k', type: 'float32', unit: null, description: 'Forecast correction' },
+    { id: 0xF0B436DD, name: 'g_sync.p_ac_load[2]', type: 'float32', unit: 'W', description: 'Load household phase 3' },
+    { id: 0xF0BE6429, name: 'energy.e_load_month', type: 'float32', unit: 'Wh', description: 'Household month energy' },
+    { id: 0xF1342795, name: 'power_mng.stop_discharge_current', type: 'float32', unit: 'A', description: 'Stop discharge current' },
+    { id: 0xF1FA5BB9, name: 'grid_mon[1].f_under.time', type: 'float32', unit: 's', description: 'Min. frequency switch-off time level 2' },
+    { id: 0xF2405AC6, name: 'nsm.p_limit', type: 'float32', unit: 'W', description: 'Max. grid power' },
+    { id: 0xF247BB16, name: 'display_struct.contrast', type: 'uint8', unit: null, description: 'Display contrast' },
+    { id: 0xF25591AA, name: 'nsm.cos_phi_p[3][0]', type: 'float32', unit: 'P/Pn', description: 'Point 4' },
+    { id: 0xF257D342, name: 'battery.cells_stat[1].t_max.value', type: 'float32', unit: null },
+    { id: 0xF25C339B, name: 'g_sync.u_ptp_rms[2]', type: 'float32', unit: 'V', description: 'Phase to phase voltage 3' },
+    { id: 0xF2BE0C9C, name: 'p_buf_available', type: 'float32', unit: 'W', description: 'Available buffer power' },
+    { id: 0xF393B7B0, name: 'power_mng.calib_charge_power', type: 'float32', unit: 'W', description: 'Calibration charge power' },
+    { id: 0xF3FD8CE6, name: 'battery.cells_resist[2]', type: 'string', unit: null },
+    { id: 0xF473BC5E, name: 'buf_v_control.power_reduction_max_solar_grid', type: 'float32', unit: 'W', description: 'Max. allowed grid feed-in power' },
+    { id: 0xF49F58F2, name: 'nsm.p_u[2][1]', type: 'float32', unit: 'V', description: 'Point 3 voltage' },
+    { id: 0xF52C0B50, name: 'power_mng.schedule[7]', type: 'string', unit: null },
+    { id: 0xF54BC06D, name: 'battery.cells_stat[4].u_max.value', type: 'float32', unit: null },
+    { id: 0xF5584F90, name: 'g_sync.p_ac_sc[1]', type: 'float32', unit: 'W', description: 'Grid power phase 2' },
+    { id: 0xF644DCA7, name: 'bat_mng_struct.k_reserve', type: 'float32', unit: null, description: 'Main reservation coefficient [0..2]' },
+    { id: 0xF6A85818, name: 'nsm.f_entry', type: 'float32', unit: 'Hz', description: 'Entry frequency for P(f) over-frequency mode' },
+    { id: 0xF79D41D9, name: 'db.temp1', type: 'float32', unit: '°C', description: 'Heat sink temperature' },
+    { id: 0xF87A2A1E, name: 'dc_conv.last_rescan', type: 'uint32', unit: null, description: 'Last global rescan' },
+    { id: 0xF8DECCE6, name: 'wifi.connected_ap_ssid', type: 'string', unit: null, description: 'WiFi associated AP' },
+    { id: 0xF9FD0D61, name: 'wifi.service_ip', type: 'string', unit: null, description: 'Server to connect to to wait for commands, usually used by the vendor service personell' },
+    { id: 0xFA3276DC, name: 'battery.cells_stat[3].t_min.time', type: 'uint32', unit: null },
+    { id: 0xFA7DB323, name: 'io_board.check_s0_result', type: 'uint16', unit: null },
+    { id: 0xFAA837C8, name: 'nsm.f_low_rise_grad', type: 'float32', unit: '1/Pn*Hz', description: 'Power rise gradient for P(f) under-frequency mode without battery' },
+    { id: 0xFAE429C5, name: 'rb485.f_grid[1]', type: 'float32', unit: 'Hz', description: 'Grid phase 2 frequency' },
+    { id: 0xFB57BA65, name: 'bat_mng_struct.count', type: 'string', unit: null },
+    { id: 0xFBD94C1F, name: 'power_mng.amp_hours', type: 'float32', unit: 'Ah', description: 'Battery energy' },
+    { id: 0xFBF3CE97, name: 'energy.e_dc_day[1]', type: 'float32', unit: 'Wh', description: 'Solar generator B day energy' },
+    { id: 0xFBF6D834, name: 'battery.module_sn[0]', type: 'string', unit: null, description: 'Module 0 Serial Number' },
+    { id: 0xFBF8D63C, name: 'energy.e_grid_load_day_sum', type: 'float32', unit: null },
+    { id: 0xFC1C614E, name: 'energy.e_ac_month_sum', type: 'float32', unit: null },
+    { id: 0xFC5AA529, name: 'bat_mng_struct.bat_calib_soc_threshold', type: 'float32', unit: null, description: 'SOC threshold for battery calibration in advance' },
+    { id: 0xFC724A9E, name: 'energy.e_dc_total[0]', type: 'float32', unit: 'Wh', description: 'Solar generator A total energy' },
+    { id: 0xFCC39293, name: 'nsm.rpm_lock_in_power', type: 'float32', unit: 'P/Pn', description: 'Reactive Power Mode lock-in power' },
+    { id: 0xFD4F17C4, name: 'grid_mon[1].f_over.time', type: 'float32', unit: 's', description: 'Max. frequency switch-off time level 2' },
+    { id: 0xFDB81124, name: 'energy.e_grid_feed_day_sum', type: 'float32', unit: null },
+    { id: 0xFDBD9EE9, name: 'battery.cells_stat[3].u_max.index', type: 'uint8', unit: null },
+    { id: 0xFE1AA500, name: 'buf_v_control.power_reduction', type: 'float32', unit: null, description: 'External power reduction based on solar plant peak power [0..1]' },
+    { id: 0xFE44BA26, name: 'battery.cells_stat[0].u_min.index', type: 'uint8', unit: null },
+    { id: 0xFF2A258B, name: 'wifi.server_ip', type: 'string', unit: null, description: 'Server to connect to to wait for commands, usually used by the vendor service personell' },
+];
@@ -1,22 +1,50 @@
 // parse.js
 const CRC = require('./crc.js');
-const { Datagram } = require('./datagram.js');
+const { Datagram, Command } = require('./datagram.js');
 
 // Protokoll-Konstanten
 const START_BYTE = 0x2B; // '+'
 const ESCAPE_BYTE = 0x2D; // '-'
+const MAX_FRAME_LENGTH = 0xFFFF; // größtes 2-Byte-Längenfeld (LONG_*), wie im Builder
+const DEFAULT_MAX_FRAME_LENGTH = 0x1000; // echte Antworten (Strings, Zeitreihen) bleiben weit darunter
+
+/**
+ * Why the parser discarded bytes (`reason` of a result without datagram).
+ */
+class ParseReason {
+  static NOISE = 'NOISE';                     // Bytes vor bzw. ohne Start-Byte
+  static SHORT_FRAME = 'SHORT_FRAME';         // Frame mit Länge < 4 (keine ID), z. B. Keepalive
+  static RESTART = 'RESTART';                 // neues Start-Byte, bevor die Länge gelesen war
+  static CRC_MISMATCH = 'CRC_MISMATCH';       // vollständiger Frame mit falscher CRC
+  static LENGTH_OVERFLOW = 'LENGTH_OVERFLOW'; // Längenfeld über maxLength
+
+  static ALL = [
+    ParseReason.NOISE,
+    ParseReason.SHORT_FRAME,
+    ParseReason.RESTART,
+    ParseReason.CRC_MISMATCH,
+    ParseReason.LENGTH_OVERFLOW,
+  ];
+}
 
 /**
  * Stream-sicherer Parser:
  *  - wirft keine Exceptions für Fragmentierung/Kurz-Frames
  *  - liefert:
  *    * null                          → brauche mehr Daten
- *    * { datagram: null, bytesConsumed: N } → N Bytes verwerfen (Noise/kurzer/defekter Frame)
+ *    * { datagram: null, bytesConsumed: N, reason } → N Bytes verwerfen, reason siehe DatagramParser.Reason
+ *      (bei CRC_MISMATCH zusätzlich crc: { received, expected })
  *    * { datagram, bytesConsumed: N }       → gültiges Datagramm + verbrauchte Bytes
+ *
+ *  maxLength: Längenfelder darüber gelten als defekt (LENGTH_OVERFLOW). Standard ist 0x1000, mehr
+ *  als die längste echte Antwort des Wechselrichters; so wartet ein verfälschtes LONG-Längenfeld
+ *  nicht auf bis zu 64 KB, bevor neu synchronisiert wird. Höchstens 0xFFFF (alles, was der Builder
+ *  erzeugen kann).
  */
 class DatagramParser {
-  constructor() {
+  constructor({ maxLength = DEFAULT_MAX_FRAME_LENGTH } = {}) {
     this.buffer = Buffer.alloc(0);
+    this.maxLength = maxLength;
   }
 
   reset() {
@@ -32,17 +60,18 @@ class DatagramParser {
     if (startIndex < 0) {
       // gar kein Start-Byte → alles bis auf evtl. letztes Byte verwerfen,
       // hier vereinfachend: alles verwerfen (Transport liefert schnell neu)
-      return { datagram: null, bytesConsumed: buf.length };
+      return { datagram: null, bytesConsumed: buf.length, reason: ParseReason.NOISE };
     }
     // Noise vor dem Start verwerfen
     if (startIndex > 0) {
-      return { datagram: null, bytesConsumed: startIndex };
+      return { datagram: null, bytesConsumed: startIndex, reason: ParseReason.NOISE };
     }
 
     // 2) Unescapen & so lange sammeln, bis wir anhand der 'length' wissen, wie viele Bytes wir brauchen
     const out = [];
     let i = startIndex + 1; // erstes Byte nach START
-    let expected = null;    // erwartete unescapte Länge: 2 (cmd,len) + len + 2 (crc)
+    let expected = null;    // erwartete unescapte Länge: header (cmd,len) + len + 2 (crc)
+    let header = 2;         // cmd + 1 Byte Länge, bei LONG_* cmd + 2 Byte Länge
 
     while (i < buf.length) {
       const b = buf[i];
@@ -56,15 +85,22 @@ class DatagramParser {
         i += 2;
       } else if (b === START_BYTE && expected === null) {
         // Neuer Frame beginnt, bevor wir len lesen konnten → altes START verwerfen
-        return { datagram: null, bytesConsumed: 1 };
+        return { datagram: null, bytesConsumed: 1, reason: ParseReason.RESTART };
       } else {
         out.push(b);
         i++;
       }
 
-      if (expected === null && out.length >= 2) {
-        const len = out[1]; // length-Feld
-        expected = 2 + len + 2; // cmd+len + (len Bytes: id+data...) + 2 CRC
+      if (expected === null && out.length >= 1 && Command.isLong(out[0])) {
+        header = 3;
+      }
+      if (expected === null && out.length >= header) {
+        const len = this._readLength(out, header); // length-Feld
+        if (len > this.maxLength) {
+          // nur das Start-Byte verwerfen, danach neu synchronisieren
+          return { datagram: null, bytesConsumed: 1, reason: ParseReason.LENGTH_OVERFLOW };
+        }
+        expected = header + len + 2; // cmd+len + (len Bytes: id+data...) + 2 CRC
       }
       if (expected !== null && out.length >= expected) {
         break; // Frame komplett im 'out'
@@ -78,15 +114,15 @@ class DatagramParser {
 
     // 3) Grunddaten
     const cmd = out[0];
-    const length = out[1];
+    const length = this._readLength(out, header);
 
     // 4) Sehr kurze Frames (<4) als „Kurz-/Keepalive-Frame“ behandeln → konsumieren & überspringen
     if (length < 4) {
-      return { datagram: null, bytesConsumed: (i - startIndex) };
+      return { datagram: null, bytesConsumed: (i - startIndex), reason: ParseReason.SHORT_FRAME };
     }
 
     // 5) ID (4 Byte, big-endian)
-    let off = 2;
+    let off = header;
     let id = 0;
     for (let k = 0; k < 4; k++) {
       id = (id << 8) | out[off + k];
@@ -99,14 +135,19 @@ class DatagramParser {
     const dataBytes = out.slice(off, off + dataLen);
 
     // 7) CRC prüfen (über [cmd, length, ID..., data...], ggf. auf gerade Länge padden)
-    const crcHigh = out[2 + length];
-    const crcLow  = out[2 + length + 1];
+    const crcHigh = out[header + length];
+    const crcLow  = out[header + length + 1];
     const crcReceived = ((crcHigh << 8) | crcLow) >>> 0;
 
-    const crcCalc = this._computeCrcPad(out.slice(0, 2 + length));
+    const crcCalc = this._computeCrcPad(out.slice(0, header + length));
     if (crcCalc !== crcReceived) {
-      // korrupten Frame still verwerfen
-      return { datagram: null, bytesConsumed: (i - startIndex) };
+      // korrupten Frame verwerfen
+      return {
+        datagram: null,
+        bytesConsumed: (i - startIndex),
+        reason: ParseReason.CRC_MISMATCH,
+        crc: { received: crcReceived, expected: crcCalc },
+      };
     }
 
     // 8) Gültiges Datagramm bauen
@@ -114,6 +155,13 @@ class DatagramParser {
     return { datagram: dg, bytesConsumed: (i - startIndex) };
   }
 
+  /**
+   * Längenfeld lesen: 1 Byte, bei LONG_WRITE/LONG_RESPONSE 2 Byte big-endian
+   */
+  _readLength(out, header) {
+    return header === 3 ? ((out[1] << 8) | out[2]) : out[1];
+  }
+
   _findStartIndex(buffer) {
     for (let i = 0; i < buffer.length; i++) {
       if (buffer[i] === START_BYTE) {
@@ -136,4 +184,9 @@ class DatagramParser {
   }
 }
 
+DatagramParser.Reason = ParseReason;
+
+DatagramParser.MAX_FRAME_LENGTH = MAX_FRAME_LENGTH;
+DatagramParser.DEFAULT_MAX_FRAME_LENGTH = DEFAULT_MAX_FRAME_LENGTH;
+
 module.exports = DatagramParser;
@@ -0,0 +1,226 @@
+// recorder.js
+const fs = require('fs');
+const EventEmitter = require('events');
+
+// Richtungen bzw. Ereignisse in einer Aufzeichnung
+const DIRECTIONS = ['tx', 'rx', 'connect', 'close'];
+
+/**
+ * Records raw wire traffic of a Connection as JSONL, one entry per line:
+ *
+ *   {"t":1700000000123,"dir":"tx","hex":"2b0104959930bf..."}
+ *
+ * `dir` is 'tx' (buffer passed to the socket), 'rx' (chunk as received, fragmentation kept),
+ * 'connect' or 'close'. The target is a file path (appended synchronously, so nothing is lost
+ * on a crash), a writable stream, or nothing (entries are kept in memory).
+ *
+ *   const conn = new Connection(host, port, 0, 1000, { recorder: new TrafficRecorder('traffic.jsonl') });
+ */
+class TrafficRecorder {
+    constructor(target = null) {
+        this.entries = null;
+        this._fd = null;
+        this._stream = null;
+
+        if (typeof target === 'string') {
+            this._fd = fs.openSync(target, 'a');
+        } else if (target && typeof target.write === 'function') {
+            this._stream = target;
+        } else if (target === null) {
+            this.entries = [];
+        } else {
+            throw new Error(`Invalid recorder target: ${target}`);
+        }
+    }
+
+    record(dir, buffer = null) {
+        if (!DIRECTIONS.includes(dir)) {
+            throw new Error(`Invalid recording direction '${dir}'`);
+        }
+        const entry = { t: Date.now(), dir };
+        if (buffer) entry.hex = Buffer.from(buffer).toString('hex');
+
+        if (this.entries) {
+            this.entries.push(entry);
+        } else if (this._fd !== null) {
+            fs.writeSync(this._fd, JSON.stringify(entry) + '\n');
+        } else if (this._stream) {
+            this._stream.write(JSON.stringify(entry) + '\n');
+        }
+    }
+
+    close() {
+        if (this._fd !== null) {
+            fs.closeSync(this._fd);
+            this._fd = null;
+        }
+    }
+}
+
+/**
+ * Reads a recording from a JSONL file path or an array of entries.
+ */
+function readRecording(source) {
+    if (Array.isArray(source)) return source;
+    if (typeof source !== 'string') {
+        throw new Error('Recording must be a file path or an array of entries');
+    }
+
+    return fs.readFileSync(source, 'utf8')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map((line, i) => {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (err) {
+                throw new Error(`Invalid recording line ${i + 1}: ${err.message}`);
+            }
+            if (!DIRECTIONS.includes(entry.dir)) {
+                throw new Error(`Invalid recording line ${i + 1}: unknown direction '${entry.dir}'`);
+            }
+            return entry;
+        });
+}
+
+/**
+ * Socket replacement that plays a recording back: after 'connect' it delivers the recorded
+ * RX chunks (with their original fragmentation) up to the next recorded TX; every write()
+ * advances to the next TX and delivers the RX chunks that followed it. A recorded 'close'
+ * closes the socket as the remote side did.
+ *
+ * Writes that differ from the recording are collected in `mismatches` and emitted as
+ * 'mismatch' on the transport, the replay continues regardless.
+ */
+class ReplaySocket extends EventEmitter {
+    constructor(transport) {
+        super();
+        this.destroyed = false;
+        this._transport = transport;
+        this._delivering = false; // genau eine Lieferkette
+        this._writing = false;    // Antworten erst nach dem Write-Callback liefern
+        setImmediate(() => {
+            if (this.destroyed) return;
+            this.emit('connect');
+            this._deliver();
+        });
+    }
+
+    write(buffer, callback) {
+        if (this.destroyed) {
+            const err = new Error('Replay socket is closed');
+            if (callback) setImmediate(() => callback(err));
+            return false;
+        }
+        this._transport._consumeTx(buffer);
+        this._writing = true;
+        setImmediate(() => {
+            this._writing = false;
+            if (callback) callback(null);
+            setImmediate(() => this._deliver());
+        });
+        return true;
+    }
+
+    setKeepAlive() {}
+
+    end() {}
+
+    destroy(err) {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        setImmediate(() => {
+            if (err) this.emit('error', err);
+            this.emit('close');
+        });
+    }
+
+    // Liefert RX-Chunks bis zum nächsten aufgezeichneten TX (bzw. bis 'close')
+    _deliver() {
+        if (this.destroyed || this._delivering || this._writing) return;
+        const entry = this._transport._nextRx();
+        if (!entry) return;
+        if (entry.dir === 'close') {
+            this.destroy();
+            return;
+        }
+
+        this._delivering = true;
+        const emit = () => {
+            this._delivering = false;
+            if (this.destroyed) return;
+            this.emit('data', Buffer.from(entry.hex, 'hex'));
+            this._deliver();
+        };
+        const delayMs = this._transport._delayBefore(entry);
+        if (delayMs > 0) {
+            setTimeout(emit, delayMs);
+        } else {
+            setImmediate(emit);
+        }
+    }
+}
+
+/**
+ * Replay transport for a recording. Pass it to a Connection via the `transport` option:
+ *
+ *   const replay = new ReplayTransport('traffic.jsonl', { realtime: false });
+ *   const conn = new Connection('replay', 0, 0, 1000, { transport: replay });
+ *
+ * With `realtime: true` the recorded pauses between RX chunks are reproduced.
+ * Each new connection starts at the next recorded 'connect' (or at the start).
+ */
+class ReplayTransport extends EventEmitter {
+    constructor(recording, { realtime = false } = {}) {
+        super();
+        this.entries = readRecording(recording);
+        this.realtime = realtime;
+        this.position = 0;
+        this.mismatches = [];
+        this._lastTime = null;
+    }
+
+    createSocket() {
+        const next = this.entries.findIndex((e, i) => i >= this.position && e.dir === 'connect');
+        if (next !== -1) this.position = next + 1;
+        this._lastTime = next !== -1 ? this.entries[next].t : null;
+        return new ReplaySocket(this);
+    }
+
+    get done() {
+        return this.position >= this.entries.length;
+    }
+
+    _consumeTx(buffer) {
+        const hex = Buffer.from(buffer).toString('hex');
+        const index = this.entries.findIndex((e, i) => i >= this.position && e.dir === 'tx');
+        const expected = index === -1 ? null : this.entries[index];
+
+        if (!expected || expected.hex !== hex) {
+            const mismatch = { index, expected: expected ? expected.hex : null, actual: hex };
+            this.mismatches.push(mismatch);
+            this.emit('mismatch', mismatch);
+        }
+        if (expected) {
+            this.position = index + 1;
+            this._lastTime = expected.t;
+        }
+    }
+
+    _nextRx() {
+        const entry = this.entries[this.position];
+        if (!entry || entry.dir === 'tx' || entry.dir === 'connect') return null;
+        this.position++;
+        return entry;
+    }
+
+    _delayBefore(entry) {
+        if (!this.realtime || this._lastTime === null) return 0;
+        const delayMs = Math.max(0, entry.t - this._lastTime);
+        this._lastTime = entry.t;
+        return delayMs;
+    }
+}
+
+module.exports = { TrafficRecorder, ReplayTransport, ReplaySocket, readRecording };
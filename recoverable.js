@@ -11,7 +11,23 @@ function isRecoverableError(err) {
     return err instanceof RecoverableError;
 }
 
+// Raised when a request is cancelled through its AbortSignal; never retried
+class AbortError extends Error {
+    constructor(message = 'The operation was aborted', cause = undefined) {
+        super(message);
+        this.name = 'AbortError';
+        this.code = 'ABORT_ERR';
+        if (cause !== undefined) this.cause = cause;
+    }
+}
+
+function isAbortError(err) {
+    return err instanceof AbortError;
+}
+
 module.exports = {
     RecoverableError,
-    isRecoverableError
+    isRecoverableError,
+    AbortError,
+    isAbortError
 };
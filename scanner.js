@@ -0,0 +1,171 @@
+// scanner.js
+const { Identifier, formatId } = require('./datagram.js');
+const codec = require('./codec.js');
+
+const DEFAULT_SCAN_OPTIONS = {
+    batchSize: 10,    // READs pro TCP-Write
+    delayMs: 100,     // Pause zwischen zwei Batches, damit der Wechselrichter nicht überlastet wird
+    timeoutMs: 1000,  // unbekannte ids antworten nie – kurzer Timeout statt receiveTimeoutMs
+    retries: 1,       // zusätzliche Durchläufe für ids ohne Antwort
+    onProgress: null, // ({ scanned, total, found }) nach jedem Batch
+};
+
+// Obergrenze für die Zahl der Kandidaten eines Scans; { from: 0, to: 0xFFFFFFFF } würde sonst
+// ein Array mit 4 Mrd. Einträgen anlegen
+const MAX_SCAN_TARGETS = 0x10000;
+
+function toId(ref) {
+    if (ref && typeof ref === 'object' && typeof ref.id === 'number') return ref.id >>> 0;
+    if (typeof ref === 'string' && /^0x[0-9a-f]{1,8}$/i.test(ref)) return parseInt(ref, 16);
+    if (Number.isInteger(ref) && ref >= 0 && ref <= 0xFFFFFFFF) return ref;
+    throw new Error(`Invalid object id: ${JSON.stringify(ref)}`);
+}
+
+/**
+ * Candidate ids from an array (numbers, hex strings or identifiers) or an inclusive
+ * range { from, to, step = 1 }. Duplicates are removed, order is kept. At most
+ * MAX_SCAN_TARGETS ids per scan; split larger ranges into several scans.
+ */
+function resolveTargets(targets) {
+    let ids;
+    if (Array.isArray(targets)) {
+        ids = targets.map(toId);
+    } else if (targets && typeof targets === 'object' && 'from' in targets && 'to' in targets) {
+        const from = toId(targets.from);
+        const to = toId(targets.to);
+        const step = targets.step === undefined ? 1 : targets.step;
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid scan step: ${step}`);
+        }
+        if (from > to) {
+            throw new Error(`Invalid scan range: ${formatId(from)} > ${formatId(to)}`);
+        }
+        const count = Math.floor((to - from) / step) + 1;
+        if (count > MAX_SCAN_TARGETS) {
+            throw new Error(`Scan range too large: ${count} ids (at most ${MAX_SCAN_TARGETS} per scan)`);
+        }
+        ids = [];
+        for (let id = from; id <= to; id += step) ids.push(id);
+    } else {
+        throw new Error('scan expects an array of ids or a range { from, to, step }');
+    }
+    ids = Array.from(new Set(ids));
+    if (ids.length > MAX_SCAN_TARGETS) {
+        throw new Error(`Too many scan targets: ${ids.length} ids (at most ${MAX_SCAN_TARGETS} per scan)`);
+    }
+    return ids;
+}
+
+function resolveScanOptions(options = {}) {
+    for (const key of Object.keys(options)) {
+        if (!(key in DEFAULT_SCAN_OPTIONS)) {
+            throw new Error(`Unknown scan option '${key}'`);
+        }
+    }
+    const resolved = { ...DEFAULT_SCAN_OPTIONS, ...options };
+    if (!Number.isInteger(resolved.batchSize) || resolved.batchSize < 1) {
+        throw new Error(`Invalid scan option 'batchSize': ${resolved.batchSize}`);
+    }
+    for (const key of ['delayMs', 'timeoutMs', 'retries']) {
+        if (!Number.isInteger(resolved[key]) || resolved[key] < 0) {
+            throw new Error(`Invalid scan option '${key}': ${resolved[key]}`);
+        }
+    }
+    if (resolved.onProgress !== null && typeof resolved.onProgress !== 'function') {
+        throw new Error(`Invalid scan option 'onProgress': ${resolved.onProgress}`);
+    }
+    return resolved;
+}
+
+/**
+ * Best-effort guess of the data type from payload length and content. The protocol does not
+ * carry type information, so this is only a starting point for a definition:
+ *
+ *  - 1 byte  → uint8
+ *  - 2 bytes → uint16
+ *  - 4 bytes → float32 if the value looks like a plausible measurement, otherwise uint32
+ *  - longer payloads of printable characters (optionally zero-padded) → string
+ *
+ * @returns {string|null} codec type, or null if nothing fits
+ */
+function guessType(data) {
+    const bytes = Array.from(data);
+    switch (bytes.length) {
+        case 0:
+            return null;
+        case 1:
+            return 'uint8';
+        case 2:
+            return 'uint16';
+        case 4: {
+            const value = codec.decode('float32', bytes);
+            const magnitude = Math.abs(value);
+            if (Number.isFinite(value) && (value === 0 || (magnitude >= 1e-6 && magnitude < 1e9))) {
+                return 'float32';
+            }
+            return 'uint32';
+        }
+    }
+
+    const end = bytes.indexOf(0) === -1 ? bytes.length : bytes.indexOf(0);
+    const padding = bytes.slice(end);
+    if (end > 0 && padding.every(b => b === 0) && bytes.slice(0, end).every(b => b >= 0x20 && b <= 0x7E)) {
+        return 'string';
+    }
+    return null;
+}
+
+/**
+ * Result of Connection.scan(). Plain data plus toDefinitions() for Identifier.loadDefinitions().
+ */
+class ScanReport {
+    constructor({ scanned, results, startedAt, durationMs }) {
+        this.scanned = scanned;       // Anzahl abgefragter ids
+        this.results = results;       // nur ids mit Antwort, aufsteigend
+        this.startedAt = startedAt;
+        this.durationMs = durationMs;
+    }
+
+    static entry(dg) {
+        const type = guessType(dg.data);
+        const known = Identifier.getById(dg.id);
+        return {
+            id: formatId(dg.id),
+            length: dg.data.length,
+            data: Buffer.from(dg.data).toString('hex'),
+            type,
+            value: type ? codec.decode(type, dg.data) : null,
+            known: known ? known.name : null,
+        };
+    }
+
+    /**
+     * Definitions for the discovered objects (read-only, guessed type). Objects that are
+     * already registered and objects without a type guess are skipped unless requested.
+     */
+    toDefinitions({ includeKnown = false } = {}) {
+        return this.results
+            .filter(r => r.type && (includeKnown || !r.known))
+            .map(r => r.known
+                ? Identifier.toDefinition(Identifier.getByName(r.known))
+                : {
+                    id: r.id,
+                    name: `unknown.${r.id}`,
+                    type: r.type,
+                    writable: false,
+                    description: `Discovered object ${r.id} (${r.length} bytes)`,
+                });
+    }
+
+    toJSON() {
+        return {
+            scanned: this.scanned,
+            found: this.results.length,
+            startedAt: this.startedAt,
+            durationMs: this.durationMs,
+            results: this.results,
+        };
+    }
+}
+
+module.exports = { DEFAULT_SCAN_OPTIONS, MAX_SCAN_TARGETS, ScanReport, guessType, resolveTargets, resolveScanOptions };
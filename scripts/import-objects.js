@@ -0,0 +1,65 @@
+// Generates objects.js from the object table of the ioBroker RCT adapter (iobroker.rct on npm, MIT License).
+//
+//   npm pack iobroker.rct && tar xzf iobroker.rct-*.tgz
+//   node scripts/import-objects.js package/rct/rct_core2.js > objects.js
+const fs = require('fs');
+const path = require('path');
+
+const TYPES = {
+    FLOAT: 'float32',
+    INT8: 'int8',
+    UINT8: 'uint8',
+    INT16: 'int16',
+    UINT16: 'uint16',
+    INT32: 'int32',
+    UINT32: 'uint32',
+    STRING: 'string',
+};
+
+function quote(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function main() {
+    const file = process.argv[2];
+    if (!file) {
+        console.error('Usage: node scripts/import-objects.js <path to rct_core2.js>');
+        process.exit(1);
+    }
+    const pkg = JSON.parse(fs.readFileSync(path.join(path.dirname(file), '..', 'package.json'), 'utf8'));
+    const copyright = fs.readFileSync(path.join(path.dirname(file), '..', 'LICENSE'), 'utf8').split(/\r?\n/)[0].trim();
+    const rct = require(path.resolve(file));
+
+    const skipped = [];
+    const lines = [];
+    for (const [hex, object] of Object.entries(rct.cmdReverse).sort(([a], [b]) => a.localeCompare(b))) {
+        const type = TYPES[object.type];
+        if (!type) {
+            skipped.push(`${object.name} (${object.type})`);
+            continue;
+        }
+        // Die Multiplikatoren der Quelle (100 für %) sind Anzeigefaktoren; übertragen werden Anteile 0..1
+        const percent = object.multiplier === 100;
+        const unit = percent || !object.unit ? 'null' : quote(object.unit);
+        const description = object.description ? `, description: ${quote(object.description)}` : '';
+        lines.push(`    { id: 0x${hex}, name: ${quote(object.name)}, type: '${type}', unit: ${unit}${description} },`);
+    }
+
+    process.stdout.write(`// objects.js
+//
+// RCT Power object table: protocol name, data type, unit and description of ${lines.length} objects.
+// Generated by scripts/import-objects.js from ${pkg.name} ${pkg.version} (rct/rct_core2.js),
+// MIT License, ${copyright}.
+// Do not edit by hand; regenerate instead.
+//
+// Not imported (no matching codec type): ${skipped.sort().join(', ')}.
+// Floats are transmitted in their unit (SoC values as fractions 0..1), so every object has scale 1.
+// The source has no access flags: all objects are read-only unless datagram.js defines them.
+
+module.exports = [
+${lines.join('\n')}
+];
+`);
+}
+
+main();
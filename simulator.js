@@ -0,0 +1,271 @@
+// simulator.js
+const net = require('net');
+const EventEmitter = require('events');
+const DatagramBuilder = require('./build.js');
+const DatagramParser = require('./parse.js');
+const { Command } = require('./datagram.js');
+const codec = require('./codec.js');
+
+// Nutzdaten über 251 Byte passen nicht in das 1-Byte-Längenfeld
+const MAX_SHORT_DATA_LENGTH = 0xFF - 4;
+
+const DEFAULT_FAULTS = {
+    delayMs: 0,            // Verzögerung jeder Antwort
+    dropNext: 0,           // die nächsten N Antworten verwerfen
+    dropProbability: 0,    // Antworten zufällig verwerfen (0..1)
+    corruptNext: 0,        // bei den nächsten N Antworten die CRC verfälschen
+    corruptProbability: 0, // CRC zufällig verfälschen (0..1)
+    fragmentSize: 0,       // Antworten in Stücke dieser Größe zerlegen (0 = aus)
+    fragmentDelayMs: 0,    // Pause zwischen den Stücken
+};
+
+// Verfälscht das letzte CRC-Byte, ohne ein Start- (0x2B) oder Escape-Byte (0x2D) zu erzeugen:
+// sonst würde der kaputte Frame auch den folgenden verschlucken
+function corruptCrc(frame) {
+    const last = frame.length - 1;
+    const flipped = frame[last] ^ 0xFF;
+    frame[last] = flipped === 0x2B || flipped === 0x2D ? frame[last] ^ 0x01 : flipped;
+}
+
+/**
+ * In-process RCT inverter simulator for offline tests.
+ *
+ * A local TCP server that speaks the protocol through DatagramBuilder/DatagramParser,
+ * serves a value table keyed by Identifier, applies writes and supports fault injection.
+ *
+ *   const sim = new InverterSimulator({ values: [[Identifier.BATTERY_SOC, 0.5]] });
+ *   const { host, port } = await sim.start();
+ *   const conn = new Connection(host, port, 0);
+ *
+ * Without TCP: memoryTransport.on('connection', peer => sim.attach(peer)).
+ *
+ * Events: 'request' (dg), 'write' (id, data), 'connection' (socket)
+ */
+class InverterSimulator extends EventEmitter {
+    constructor({ values = [], host = '127.0.0.1', port = 0, periodicIntervalMs = 1000, faults = {} } = {}) {
+        super();
+        this.host = host;
+        this.port = port;
+        this.periodicIntervalMs = periodicIntervalMs;
+
+        this.values = new Map(); // id -> { identifier, data }
+        this.writes = [];        // { id, data } in Reihenfolge
+        this.requests = [];      // alle empfangenen Datagramme
+        this.faults = { ...DEFAULT_FAULTS };
+        this.setFaults(faults);
+
+        this._server = null;
+        this._sockets = new Set();
+        this._periodicTimers = new Set();
+        this._builder = new DatagramBuilder();
+
+        const entries = values instanceof Map ? values.entries() : values;
+        for (const [identifier, value] of entries) {
+            this.setValue(identifier, value);
+        }
+    }
+
+    async start() {
+        if (this._server) return { host: this.host, port: this.port };
+
+        this._server = net.createServer(socket => this._onConnection(socket));
+        await new Promise((resolve, reject) => {
+            this._server.once('error', reject);
+            this._server.listen(this.port, this.host, () => {
+                this._server.removeListener('error', reject);
+                resolve();
+            });
+        });
+        this.port = this._server.address().port;
+        return { host: this.host, port: this.port };
+    }
+
+    async stop() {
+        this.disconnect();
+        if (!this._server) return;
+        const server = this._server;
+        this._server = null;
+        await new Promise(resolve => server.close(() => resolve()));
+    }
+
+    /**
+     * Serves a client over an already connected duplex stream instead of TCP,
+     * e.g. the peer side of a MemoryTransport.
+     */
+    attach(stream) {
+        this._onConnection(stream);
+    }
+
+    /**
+     * Sets a value; value is encoded according to identifier.type, or used as-is if it is
+     * an array/Buffer of bytes.
+     */
+    setValue(identifier, value) {
+        const data = Array.isArray(value) || Buffer.isBuffer(value) || value instanceof Uint8Array
+            ? Array.from(value)
+            : codec.encode(identifier.type, value, identifier);
+        this.values.set(identifier.id, { identifier, data });
+    }
+
+    getValue(identifier) {
+        const entry = this.values.get(identifier.id);
+        if (!entry) return undefined;
+        return codec.decode(identifier.type, entry.data, identifier);
+    }
+
+    getRaw(id) {
+        const entry = this.values.get(id);
+        return entry ? entry.data.slice() : undefined;
+    }
+
+    setFaults(faults = {}) {
+        for (const key of Object.keys(faults)) {
+            if (!(key in DEFAULT_FAULTS)) {
+                throw new Error(`Unknown simulator fault '${key}'`);
+            }
+        }
+        Object.assign(this.faults, faults);
+    }
+
+    resetFaults() {
+        this.faults = { ...DEFAULT_FAULTS };
+    }
+
+    /**
+     * Pushes a frame to all connected clients without a request (e.g. { cmd, id, data }).
+     */
+    sendUnsolicited({ cmd = Command.RESPONSE, id, data = [] }) {
+        const frame = this._frame({ cmd, id, data });
+        for (const socket of this._sockets) {
+            socket.write(frame);
+        }
+    }
+
+    /**
+     * Sends arbitrary bytes to all clients (noise, partial frames, ...).
+     */
+    sendRaw(bytes) {
+        for (const socket of this._sockets) {
+            socket.write(Buffer.from(bytes));
+        }
+    }
+
+    /**
+     * Drops all client connections (the server keeps listening).
+     */
+    disconnect() {
+        for (const timer of this._periodicTimers) clearInterval(timer);
+        this._periodicTimers.clear();
+        for (const socket of this._sockets) socket.destroy();
+        this._sockets.clear();
+    }
+
+    _onConnection(socket) {
+        this._sockets.add(socket);
+        const parser = new DatagramParser();
+        const timers = new Set();
+        let buffer = Buffer.alloc(0);
+
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            for (;;) {
+                parser.buffer = buffer;
+                const parsed = parser.parse();
+                if (!parsed) break;
+                buffer = buffer.slice(parsed.bytesConsumed);
+                if (parsed.datagram) this._handleRequest(socket, parsed.datagram, timers);
+            }
+        });
+        socket.on('error', () => {});
+        socket.on('close', () => {
+            this._sockets.delete(socket);
+            for (const timer of timers) {
+                clearInterval(timer);
+                this._periodicTimers.delete(timer);
+            }
+        });
+        this.emit('connection', socket);
+    }
+
+    _handleRequest(socket, dg, timers) {
+        this.requests.push(dg);
+        this.emit('request', dg);
+
+        switch (dg.cmd) {
+            case Command.READ:
+                this._respond(socket, dg.id);
+                break;
+            case Command.WRITE:
+            case Command.LONG_WRITE: {
+                const entry = this.values.get(dg.id);
+                this.values.set(dg.id, { identifier: entry ? entry.identifier : { id: dg.id }, data: dg.data.slice() });
+                this.writes.push({ id: dg.id, data: dg.data.slice() });
+                this.emit('write', dg.id, dg.data.slice());
+                break;
+            }
+            case Command.READ_PERIODICALLY: {
+                this._respond(socket, dg.id);
+                const timer = setInterval(() => this._respond(socket, dg.id), this.periodicIntervalMs);
+                timers.add(timer);
+                this._periodicTimers.add(timer);
+                break;
+            }
+            default:
+                // andere Kommandos ignoriert der Simulator
+                break;
+        }
+    }
+
+    _respond(socket, id) {
+        const entry = this.values.get(id);
+        if (!entry) return; // unbekannte ids bleiben unbeantwortet
+
+        const faults = this.faults;
+        if (faults.dropNext > 0) {
+            faults.dropNext--;
+            return;
+        }
+        if (faults.dropProbability > 0 && Math.random() < faults.dropProbability) return;
+
+        const cmd = entry.data.length > MAX_SHORT_DATA_LENGTH ? Command.LONG_RESPONSE : Command.RESPONSE;
+        const frame = this._frame({ cmd, id, data: entry.data });
+
+        let corrupt = false;
+        if (faults.corruptNext > 0) {
+            faults.corruptNext--;
+            corrupt = true;
+        } else if (faults.corruptProbability > 0 && Math.random() < faults.corruptProbability) {
+            corrupt = true;
+        }
+        if (corrupt) corruptCrc(frame);
+
+        const deliver = () => this._write(socket, frame, faults.fragmentSize, faults.fragmentDelayMs);
+        if (faults.delayMs > 0) {
+            setTimeout(deliver, faults.delayMs);
+        } else {
+            deliver();
+        }
+    }
+
+    _write(socket, frame, fragmentSize, fragmentDelayMs) {
+        if (socket.destroyed) return;
+        if (!fragmentSize || fragmentSize >= frame.length) {
+            socket.write(frame);
+            return;
+        }
+        socket.write(frame.slice(0, fragmentSize));
+        const rest = frame.slice(fragmentSize);
+        if (fragmentDelayMs > 0) {
+            setTimeout(() => this._write(socket, rest, fragmentSize, fragmentDelayMs), fragmentDelayMs);
+        } else {
+            setImmediate(() => this._write(socket, rest, fragmentSize, fragmentDelayMs));
+        }
+    }
+
+    _frame(dg) {
+        this._builder.build(dg);
+        return Buffer.from(this._builder.bytes());
+    }
+}
+
+module.exports = InverterSimulator;
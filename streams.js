@@ -0,0 +1,84 @@
+// streams.js
+const { Transform } = require('stream');
+const DatagramBuilder = require('./build.js');
+const DatagramParser = require('./parse.js');
+
+// unvollständiger Frame am Ende des Streams (auch vom Offline-Decoder gemeldet)
+const TRUNCATED = 'TRUNCATED';
+
+/**
+ * Transform stream: bytes in, Datagram objects out.
+ *
+ *   socket.pipe(new DatagramDecoder()).on('data', dg => ...);
+ *
+ * Discarded bytes are reported as 'discard' events ({ reason, bytes, crc? }, reason see
+ * DatagramParser.Reason). An incomplete frame left when the input ends is reported with
+ * reason 'TRUNCATED'.
+ *
+ * @param {Object} [options]  stream options plus `maxLength` for the parser
+ */
+class DatagramDecoder extends Transform {
+    constructor({ maxLength, ...options } = {}) {
+        super({ ...options, readableObjectMode: true });
+        this.parser = new DatagramParser(maxLength === undefined ? {} : { maxLength });
+        this._buffer = null; // nur Reste eines unvollständigen Frames
+    }
+
+    _transform(chunk, encoding, callback) {
+        // Nur bei Resten zusammenfügen; der Normalfall parst den Chunk direkt
+        let buffer = this._buffer ? Buffer.concat([this._buffer, chunk]) : chunk;
+
+        while (buffer.length > 0) {
+            this.parser.buffer = buffer;
+            const parsed = this.parser.parse();
+            if (!parsed) break;
+
+            if (parsed.datagram) {
+                this.push(parsed.datagram);
+            } else {
+                const discard = { reason: parsed.reason, bytes: parsed.bytesConsumed };
+                if (parsed.crc) discard.crc = parsed.crc;
+                this.emit('discard', discard);
+            }
+            buffer = buffer.subarray(parsed.bytesConsumed);
+        }
+
+        this._buffer = buffer.length > 0 ? Buffer.from(buffer) : null;
+        callback();
+    }
+
+    _flush(callback) {
+        if (this._buffer) {
+            this.emit('discard', { reason: TRUNCATED, bytes: this._buffer.length });
+            this._buffer = null;
+        }
+        callback();
+    }
+}
+
+/**
+ * Transform stream: datagram descriptors ({ cmd, id, data } or Datagram) in, frame bytes out.
+ *
+ *   const encoder = new DatagramEncoder();
+ *   encoder.pipe(socket);
+ *   encoder.write({ cmd: Command.READ, id: Identifier.BATTERY_SOC.id });
+ *
+ * Invalid descriptors (e.g. payload too long for the command) destroy the stream with the error.
+ */
+class DatagramEncoder extends Transform {
+    constructor(options = {}) {
+        super({ ...options, writableObjectMode: true });
+        this.builder = new DatagramBuilder();
+    }
+
+    _transform(dg, encoding, callback) {
+        try {
+            this.builder.build({ cmd: dg.cmd, id: dg.id, data: dg.data == null ? null : dg.data });
+            callback(null, Buffer.from(this.builder.bytes()));
+        } catch (err) {
+            callback(err);
+        }
+    }
+}
+
+module.exports = { DatagramDecoder, DatagramEncoder, TRUNCATED };
@@ -0,0 +1,180 @@
+// transports.js
+const fs = require('fs');
+const net = require('net');
+const EventEmitter = require('events');
+const { Duplex } = require('stream');
+
+/**
+ * Transport interface used by Connection:
+ *
+ *   transport.createSocket(host, port) → socket
+ *
+ * The socket is an EventEmitter that emits 'connect' once usable, then 'data' (Buffer),
+ * 'error' and 'close', and offers write(buffer, callback), end(), destroy(), `destroyed` and
+ * optionally setKeepAlive(). A net.Socket satisfies it; StreamSocket adapts any duplex stream.
+ */
+
+/**
+ * Default transport: TCP via net.createConnection.
+ */
+class TcpTransport {
+    createSocket(host, port) {
+        return net.createConnection({ host, port });
+    }
+}
+
+/**
+ * Socket adapter around a duplex stream (serial port, TCP-to-serial bridge, child process,
+ * in-memory pair). `source` is the stream or a function returning it (or a Promise of it);
+ * 'connect' is emitted once the stream is available.
+ */
+class StreamSocket extends EventEmitter {
+    constructor(source) {
+        super();
+        this.stream = null;
+        this.destroyed = false;
+        this._closed = false;
+
+        Promise.resolve()
+            .then(() => (typeof source === 'function' ? source() : source))
+            .then(stream => this._attach(stream), err => this._fail(err));
+    }
+
+    _attach(stream) {
+        if (!stream || typeof stream.write !== 'function' || typeof stream.on !== 'function') {
+            this._fail(new Error('Transport did not provide a duplex stream'));
+            return;
+        }
+        this.stream = stream;
+        if (this.destroyed) {
+            stream.destroy();
+            return;
+        }
+
+        stream.on('data', chunk => this.emit('data', Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)));
+        stream.on('error', err => this.emit('error', err));
+        // Gegenseite hat beendet → wie ein geschlossener Socket behandeln
+        stream.on('end', () => this.destroy());
+        stream.on('close', () => this._emitClose());
+        this.emit('connect');
+    }
+
+    _fail(err) {
+        this.destroyed = true;
+        this.emit('error', err);
+        this._emitClose();
+    }
+
+    _emitClose() {
+        if (this._closed) return;
+        this._closed = true;
+        this.destroyed = true;
+        this.emit('close');
+    }
+
+    write(buffer, callback) {
+        if (this.destroyed || !this.stream) {
+            const err = new Error('Stream is not writable');
+            if (callback) setImmediate(() => callback(err));
+            return false;
+        }
+        return this.stream.write(buffer, callback);
+    }
+
+    end() {
+        if (this.stream && !this.destroyed) this.stream.end();
+    }
+
+    destroy(err) {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        if (this.stream) this.stream.destroy();
+        // wie net.Socket asynchron; nicht jeder Stream meldet 'close' zuverlässig
+        setImmediate(() => {
+            if (err) this.emit('error', err);
+            this._emitClose();
+        });
+    }
+}
+
+/**
+ * Transport over a generic duplex stream, e.g. an RS485 adapter or a TCP-to-serial bridge:
+ *
+ *   new StreamTransport({ open: () => new SerialPort({ path: '/dev/ttyUSB0', baudRate: 115200 }) })
+ *   new StreamTransport({ path: '/dev/ttyUSB0' })   // device opened as file; configure it with stty
+ *
+ * `open` is called for every (re)connect and may return a Promise. host and port are ignored.
+ */
+class StreamTransport {
+    constructor({ open, path } = {}) {
+        if (typeof open !== 'function' && typeof path !== 'string') {
+            throw new Error('StreamTransport requires an open() function or a device path');
+        }
+        this.open = typeof open === 'function' ? open : () => openPath(path);
+    }
+
+    createSocket() {
+        return new StreamSocket(this.open);
+    }
+}
+
+function openPath(path) {
+    return new Promise((resolve, reject) => {
+        fs.open(path, 'r+', (err, fd) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            const readable = fs.createReadStream(null, { fd, autoClose: false });
+            const writable = fs.createWriteStream(null, { fd, autoClose: false });
+            const duplex = Duplex.from({ readable, writable });
+            duplex.once('close', () => fs.close(fd, () => {}));
+            resolve(duplex);
+        });
+    });
+}
+
+/**
+ * Two linked duplex streams: bytes written to one side are read from the other.
+ * Ending or destroying one side ends the other.
+ */
+function createDuplexPair() {
+    const sides = [];
+    for (let i = 0; i < 2; i++) {
+        sides.push(new Duplex({
+            read() {},
+            write(chunk, encoding, callback) {
+                const peer = sides[1 - i];
+                if (!peer.destroyed) peer.push(chunk);
+                callback();
+            },
+            final(callback) {
+                sides[1 - i].push(null);
+                callback();
+            },
+        }));
+    }
+    sides[0].once('close', () => sides[1].destroy());
+    sides[1].once('close', () => sides[0].destroy());
+    return sides;
+}
+
+/**
+ * In-memory transport for tests: every createSocket() creates a duplex pair and emits the
+ * peer side as 'connection', e.g. for InverterSimulator#attach():
+ *
+ *   const memory = new MemoryTransport();
+ *   memory.on('connection', peer => sim.attach(peer));
+ *   const conn = new Connection('memory', 0, 0, 1000, { transport: memory });
+ */
+class MemoryTransport extends EventEmitter {
+    createSocket() {
+        const [local, peer] = createDuplexPair();
+        return new StreamSocket(() => {
+            this.emit('connection', peer);
+            return local;
+        });
+    }
+}
+
+module.exports = { TcpTransport, StreamTransport, MemoryTransport, StreamSocket, createDuplexPair };
@@ -0,0 +1,227 @@
+// writeguard.js
+const { Identifier, formatId } = require('./datagram.js');
+
+class RiskClass {
+    static LOW = 'LOW';       // kosmetisch, unkritisch
+    static MEDIUM = 'MEDIUM'; // Betriebsverhalten, umkehrbar
+    static HIGH = 'HIGH';     // Netz, Schutz, Power-Management, Kalibrierung, Service
+    static ALL = [RiskClass.LOW, RiskClass.MEDIUM, RiskClass.HIGH];
+}
+
+class Decision {
+    static ALLOW = 'ALLOW';
+    static ALLOW_WITH_CONFIRMATION = 'ALLOW_WITH_CONFIRMATION';
+    static DENY = 'DENY';
+    static ALL = [Decision.ALLOW, Decision.ALLOW_WITH_CONFIRMATION, Decision.DENY];
+}
+
+// Gruppen (Namenspräfix vor dem Punkt), die nur mit Risikoklasse HIGH freigegeben werden dürfen
+const HIGH_RISK_GROUPS = [
+    'power_mng', 'nsm', 'grid_mon', 'grid_lt', 'switch_on_cond', 'flash_param', 'flash_rtc', 'io_board', 'wifi',
+];
+
+const CONFIRMED_HIGH = { riskClass: RiskClass.HIGH, decision: Decision.ALLOW_WITH_CONFIRMATION };
+
+/**
+ * Guard records of the built-in writable identifiers. Everything else is denied until a
+ * record is defined for it. The value ranges come from the identifiers (see datagram.js).
+ */
+const DEFAULT_GUARDS = [
+    [Identifier.POWER_MNG_SOC_STRATEGY, {
+        ...CONFIRMED_HIGH, notes: 'EXTERNAL hands battery control to POWER_MNG_BATTERY_POWER_EXTERN_W',
+    }],
+    [Identifier.POWER_MNG_BATTERY_POWER_EXTERN_W, { ...CONFIRMED_HIGH, notes: 'only effective with SoC strategy EXTERNAL' }],
+    [Identifier.POWER_MNG_USE_GRID_POWER_ENABLE, { ...CONFIRMED_HIGH, notes: 'allows charging the battery from the grid' }],
+    [Identifier.POWER_MNG_SOC_TARGET_SET, CONFIRMED_HIGH],
+    [Identifier.POWER_MNG_SOC_MIN, CONFIRMED_HIGH],
+    [Identifier.POWER_MNG_SOC_MAX, CONFIRMED_HIGH],
+    [Identifier.POWER_MNG_SOC_CHARGE, CONFIRMED_HIGH],
+    [Identifier.BATTERY_SYSTEM_SOC_TARGET, { riskClass: RiskClass.MEDIUM, decision: Decision.ALLOW }],
+];
+
+// Felder, die zur Identifier-Definition gehören und nicht in einen Guard-Record
+const RANGE_FIELDS = ['allowedValues', 'min', 'max', 'step'];
+
+// wie Identifier: Namenspräfix, z. B. 'power_mng' für 'power_mng.soc_min'
+function groupOf(identifier) {
+    if (identifier.group) return identifier.group;
+    return typeof identifier.name === 'string' ? identifier.name.split(/[.[]/)[0] : null;
+}
+
+function label(identifier) {
+    return identifier.name || identifier.description || formatId(identifier.id);
+}
+
+/**
+ * Structured rejection of a write. `code` is one of WRITE_DENIED, CONFIRMATION_REQUIRED,
+ * INVALID_TYPE, INVALID_VALUE, OUT_OF_RANGE or INVALID_STEP; `constraint` names the violated
+ * limit for the domain checks.
+ */
+class WriteGuardError extends Error {
+    constructor(message, { code, identifier, value, record = null, constraint = null }) {
+        super(message);
+        this.name = 'WriteGuardError';
+        this.code = code;
+        this.identifier = identifier.name || null;
+        this.oid = formatId(identifier.id);
+        this.value = value;
+        this.riskClass = record ? record.riskClass : null;
+        this.decision = record ? record.decision : Decision.DENY;
+        this.constraint = constraint;
+    }
+
+    toJSON() {
+        const { code, identifier, oid, value, riskClass, decision, constraint } = this;
+        return { code, message: this.message, identifier, oid, value, riskClass, decision, constraint };
+    }
+}
+
+// Prüft einen Guard-Record und ergänzt die Wertebereiche aus dem Identifier
+function normalizeRecord(identifier, record) {
+    if (record === null || typeof record !== 'object') {
+        throw new Error(`Invalid guard record for '${label(identifier)}'`);
+    }
+    const fail = reason => {
+        throw new Error(`Invalid guard record for '${label(identifier)}': ${reason}`);
+    };
+    const ranges = RANGE_FIELDS.filter(field => record[field] !== undefined);
+    if (ranges.length > 0) {
+        fail(`${ranges.join(', ')} belong to the identifier definition (min, max, step, enum)`);
+    }
+    const normalized = {
+        riskClass: record.riskClass,
+        decision: record.decision,
+        ...Identifier.constraints(identifier),
+        notes: record.notes || '',
+    };
+
+    if (!RiskClass.ALL.includes(normalized.riskClass)) fail(`unknown risk class '${normalized.riskClass}'`);
+    if (!Decision.ALL.includes(normalized.decision)) fail(`unknown decision '${normalized.decision}'`);
+
+    const group = groupOf(identifier);
+    if (HIGH_RISK_GROUPS.includes(group) && normalized.riskClass !== RiskClass.HIGH) {
+        fail(`group '${group}' is high risk and must be classified HIGH`);
+    }
+    // HIGH nie ohne Bestätigung und nur mit vollständigen Grenzen freigeben
+    if (normalized.riskClass === RiskClass.HIGH && normalized.decision === Decision.ALLOW) {
+        fail('HIGH risk writes must be denied or require confirmation');
+    }
+    const constrained = normalized.allowedValues !== null || (normalized.min !== null && normalized.max !== null);
+    if (normalized.riskClass === RiskClass.HIGH && normalized.decision !== Decision.DENY && !constrained) {
+        fail('HIGH risk writes need an identifier with enum or min and max');
+    }
+    return Object.freeze(normalized);
+}
+
+/**
+ * Write-safety policy: one guard record per identifier (keyed by numeric id) with risk class
+ * and decision. The value constraints are the identifier's min/max/step/enum, copied into the
+ * record when it is defined. Identifiers without a record are denied.
+ *
+ *   const policy = new WritePolicy();   // built-in records, see DEFAULT_GUARDS
+ *   policy.define(myIdentifier, { riskClass: 'LOW', decision: 'ALLOW' });
+ *   const conn = new Connection(host, port, 0, 1000, { writePolicy: policy });
+ */
+class WritePolicy {
+    constructor(records = DEFAULT_GUARDS) {
+        this._records = new Map(); // id -> { identifier, record }
+        for (const [identifier, record] of records) {
+            this.define(identifier, record);
+        }
+    }
+
+    /**
+     * Adds or replaces the guard record of an identifier.
+     */
+    define(identifier, record) {
+        if (!identifier || typeof identifier.id !== 'number') {
+            throw new Error(`Invalid identifier for guard record: ${JSON.stringify(identifier)}`);
+        }
+        this._records.set(identifier.id, { identifier, record: normalizeRecord(identifier, record) });
+        return this;
+    }
+
+    remove(identifier) {
+        return this._records.delete(identifier.id);
+    }
+
+    get(identifier) {
+        const entry = this._records.get(identifier.id);
+        return entry ? entry.record : null;
+    }
+
+    /**
+     * Runs the validation pipeline (identity, policy, type, domain) and throws WriteGuardError
+     * on the first violation. Returns the guard record of an allowed write.
+     *
+     * @param {Object} identifier
+     * @param {*} value
+     * @param {Object} [options] { confirm = false }
+     */
+    check(identifier, value, { confirm = false } = {}) {
+        const reject = (code, message, record = null, constraint = null) => {
+            throw new WriteGuardError(`${message} for '${label(identifier)}'`, { code, identifier, value, record, constraint });
+        };
+
+        // 1) Identität und Policy
+        const record = this.get(identifier);
+        if (!record) reject('WRITE_DENIED', 'Write denied: no guard record');
+        if (!identifier.writable) reject('WRITE_DENIED', 'Write denied: identifier is not writable', record);
+        if (record.decision === Decision.DENY) reject('WRITE_DENIED', `Write denied by policy (${record.riskClass} risk)`, record);
+        if (record.decision === Decision.ALLOW_WITH_CONFIRMATION && confirm !== true) {
+            reject('CONFIRMATION_REQUIRED', `Write requires confirmation ({ confirm: true }, ${record.riskClass} risk)`, record);
+        }
+
+        // 2) Typ
+        let numeric = value;
+        if (identifier.type === 'string') {
+            if (typeof value !== 'string') reject('INVALID_TYPE', `Expected a string, got ${typeof value}`, record);
+        } else {
+            if (identifier.type === 'uint8' && typeof value === 'boolean') numeric = value ? 1 : 0;
+            if (typeof numeric !== 'number' || !Number.isFinite(numeric)) {
+                reject('INVALID_TYPE', `Expected a number, got ${JSON.stringify(value)}`, record);
+            }
+        }
+
+        // 3) Wertebereich
+        if (record.allowedValues !== null && !record.allowedValues.includes(numeric)) {
+            reject('INVALID_VALUE', `Value ${JSON.stringify(value)} is not allowed`, record, { allowedValues: record.allowedValues });
+        }
+        if (typeof numeric === 'number') {
+            if ((record.min !== null && numeric < record.min) || (record.max !== null && numeric > record.max)) {
+                reject('OUT_OF_RANGE', `Value ${numeric} is out of range [${record.min}, ${record.max}]`, record,
+                    { min: record.min, max: record.max });
+            }
+            if (record.step !== null) {
+                const steps = (numeric - (record.min !== null ? record.min : 0)) / record.step;
+                if (Math.abs(steps - Math.round(steps)) > 1e-6) {
+                    reject('INVALID_STEP', `Value ${numeric} is not a multiple of step ${record.step}`, record, { step: record.step });
+                }
+            }
+        }
+        return record;
+    }
+
+    /**
+     * All guard records in the schema of the rct-safe-write-guards skill.
+     */
+    list() {
+        return Array.from(this._records.values()).map(({ identifier, record }) => ({
+            identifier: identifier.name || null,
+            oid: formatId(identifier.id),
+            risk_class: record.riskClass,
+            decision: record.decision,
+            datatype: identifier.type,
+            unit: identifier.unit || null,
+            allowed_values: record.allowedValues,
+            min: record.min,
+            max: record.max,
+            step: record.step,
+            requires_confirmation: record.decision === Decision.ALLOW_WITH_CONFIRMATION,
+            requires_readback: true,
+            notes: record.notes,
+        }));
+    }
+}
+
+module.exports = { WritePolicy, WriteGuardError, RiskClass, Decision, DEFAULT_GUARDS, HIGH_RISK_GROUPS };